@@ -17,12 +17,10 @@ function getDb() {
 }
 
 /**
- * Initialize database with tables (called by seed script)
+ * Create the full GTFS tables (routes, stops, trips, stop_times,
+ * calendars, shapes) and their indexes
  */
-function initializeDb() {
-  const writeDb = new Database(DB_PATH);
-  
-  // Create tables for routes, stops, trips, stop_times
+function createTables(writeDb) {
   writeDb.exec(`
     -- Routes table (Bus and Metro lines)
     CREATE TABLE IF NOT EXISTS routes (
@@ -39,7 +37,8 @@ function initializeDb() {
       stop_name TEXT,
       stop_lat REAL,
       stop_lon REAL,
-      location_type INTEGER
+      location_type INTEGER DEFAULT 0,
+      parent_station TEXT
     );
 
     -- Trips table (Individual journeys on a route)
@@ -49,6 +48,7 @@ function initializeDb() {
       service_id TEXT,
       trip_headsign TEXT,
       direction_id INTEGER,
+      shape_id TEXT,
       FOREIGN KEY (route_id) REFERENCES routes(route_id)
     );
 
@@ -64,6 +64,38 @@ function initializeDb() {
       FOREIGN KEY (stop_id) REFERENCES stops(stop_id)
     );
 
+    -- Service calendar (which weekdays a service runs, and for how long)
+    CREATE TABLE IF NOT EXISTS calendar (
+      service_id TEXT PRIMARY KEY,
+      monday INTEGER,
+      tuesday INTEGER,
+      wednesday INTEGER,
+      thursday INTEGER,
+      friday INTEGER,
+      saturday INTEGER,
+      sunday INTEGER,
+      start_date TEXT,
+      end_date TEXT
+    );
+
+    -- Calendar exceptions (1 = service added, 2 = service removed)
+    CREATE TABLE IF NOT EXISTS calendar_dates (
+      service_id TEXT,
+      date TEXT,
+      exception_type INTEGER,
+      PRIMARY KEY (service_id, date)
+    );
+
+    -- Shape points (the line each trip draws on the map)
+    CREATE TABLE IF NOT EXISTS shapes (
+      shape_id TEXT,
+      shape_pt_lat REAL,
+      shape_pt_lon REAL,
+      shape_pt_sequence INTEGER,
+      shape_dist_traveled REAL,
+      PRIMARY KEY (shape_id, shape_pt_sequence)
+    );
+
     -- Create indexes for fast queries
     CREATE INDEX IF NOT EXISTS idx_routes_short_name ON routes(route_short_name);
     CREATE INDEX IF NOT EXISTS idx_routes_type ON routes(route_type);
@@ -73,7 +105,18 @@ function initializeDb() {
     CREATE INDEX IF NOT EXISTS idx_stop_times_trip ON stop_times(trip_id);
     CREATE INDEX IF NOT EXISTS idx_stop_times_stop ON stop_times(stop_id);
     CREATE INDEX IF NOT EXISTS idx_stop_times_sequence ON stop_times(stop_sequence);
+    CREATE INDEX IF NOT EXISTS idx_trips_service ON trips(service_id);
+    CREATE INDEX IF NOT EXISTS idx_trips_shape ON trips(shape_id);
+    CREATE INDEX IF NOT EXISTS idx_calendar_dates_date ON calendar_dates(date);
   `);
+}
+
+/**
+ * Initialize database with tables (called by seed script)
+ */
+function initializeDb() {
+  const writeDb = new Database(DB_PATH);
+  createTables(writeDb);
 
   console.log('✅ Database tables created successfully');
   writeDb.close();
@@ -97,6 +140,7 @@ const ROUTE_TYPES = {
 
 module.exports = {
   getDb,
+  createTables,
   initializeDb,
   ROUTE_TYPES,
   DB_PATH
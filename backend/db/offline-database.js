@@ -7,11 +7,13 @@
  */
 
 const Database = require('better-sqlite3');
+const fs = require('fs');
 const path = require('path');
 
 const OFFLINE_DB_PATH = path.join(__dirname, '..', 'db', 'dubai_transit_offline.db');
 
 let db = null;
+let dbStamp = null; // Identity of the file db was opened on
 
 /**
  * Route Types in GTFS
@@ -24,17 +26,52 @@ const ROUTE_TYPES = {
   FERRY: 4
 };
 
+/**
+ * Identity of the offline database file (inode and mtime); changes when it
+ * is rebuilt or replaced, null while it is missing
+ */
+function fileStamp() {
+  const stats = fs.statSync(OFFLINE_DB_PATH, { throwIfNoEntry: false });
+  return stats ? `${stats.ino}:${stats.mtimeMs}` : null;
+}
+
 /**
  * Get readonly database connection
+ * Reopened when the file is rebuilt (e.g. by the pipeline's build stage),
+ * so a running server picks up the new data; caches built from the
+ * database are kept per connection.
  */
 function getDb() {
+  const stamp = fileStamp();
+  if (db && stamp && stamp !== dbStamp) {
+    db.close();
+    db = null;
+  }
   if (!db) {
     db = new Database(OFFLINE_DB_PATH, { readonly: true });
     db.pragma('journal_mode = WAL');
+    dbStamp = stamp;
   }
   return db;
 }
 
+/**
+ * Check whether a table exists (older offline databases lack newer tables)
+ */
+function hasTable(db, tableName) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?
+  `).get(tableName));
+}
+
+/**
+ * Check whether a table has a column (older offline databases lack newer columns)
+ */
+function hasColumn(db, tableName, columnName) {
+  return db.prepare(`PRAGMA table_info(${tableName})`).all()
+    .some(column => column.name === columnName);
+}
+
 /**
  * Initialize offline database with optimized tables
  */
@@ -50,7 +87,8 @@ function initializeOfflineDb() {
       route_id TEXT PRIMARY KEY,
       route_short_name TEXT NOT NULL,    -- "8", "X28", "MRed"
       route_long_name TEXT,               -- "Al Barsha to Deira"
-      route_type INTEGER NOT NULL,        -- 1=Metro, 3=Bus
+      route_long_name_ar TEXT,            -- Arabic long name (optional)
+      route_type INTEGER NOT NULL,        -- 0=Tram, 1=Metro, 3=Bus, 4=Ferry (marine)
       route_color TEXT                    -- "E21836" (hex)
     );
 
@@ -61,26 +99,32 @@ function initializeOfflineDb() {
     CREATE TABLE IF NOT EXISTS stops (
       stop_id TEXT PRIMARY KEY,
       stop_name TEXT NOT NULL,
-      stop_name_ar TEXT,                  -- Arabic name (optional)
+      stop_name_ar TEXT,                  -- Arabic name (GTFS translations or local CSV)
       stop_lat REAL NOT NULL,
       stop_lon REAL NOT NULL,
-      location_type INTEGER DEFAULT 0     -- 0=stop, 1=station
+      location_type INTEGER DEFAULT 0,    -- 0=stop/platform/bay, 1=station, 2=entrance
+      parent_station TEXT,                -- Station of a platform, bay or entrance
+      zone_id TEXT                        -- Nol fare zone (GTFS or nearest local zone)
     );
 
     -- =====================================================
     -- ROUTE PATTERNS TABLE
-    -- Each route has 2 patterns: Upward (0) and Downward (1)
+    -- One pattern per distinct stop sequence of a direction:
+    -- the main pattern (most trips) plus its variants
+    -- (short-turns, express runs, branches)
     -- =====================================================
     CREATE TABLE IF NOT EXISTS route_patterns (
       pattern_id INTEGER PRIMARY KEY AUTOINCREMENT,
       route_id TEXT NOT NULL,
       direction_id INTEGER NOT NULL,      -- 0=Upward, 1=Downward
       headsign TEXT,                      -- "To UAE Exchange"
+      headsign_ar TEXT,                   -- Arabic headsign (optional)
       first_stop_id TEXT,                 -- Starting stop
       last_stop_id TEXT,                  -- Ending stop
       total_stops INTEGER,
-      FOREIGN KEY (route_id) REFERENCES routes(route_id),
-      UNIQUE(route_id, direction_id)
+      trip_count INTEGER NOT NULL DEFAULT 0,  -- trips running this stop sequence
+      variant TEXT NOT NULL DEFAULT 'main',   -- main, short_turn, express, branch
+      FOREIGN KEY (route_id) REFERENCES routes(route_id)
     );
 
     -- =====================================================
@@ -92,11 +136,123 @@ function initializeOfflineDb() {
       pattern_id INTEGER NOT NULL,
       stop_id TEXT NOT NULL,
       stop_sequence INTEGER NOT NULL,
+      arrival_offset INTEGER,             -- seconds after the trip starts
+      departure_offset INTEGER,           -- seconds after the trip starts
+      run_secs INTEGER,                   -- median secs from the previous stop (NULL at the first)
+      dwell_secs INTEGER,                 -- median secs the vehicle waits at this stop
+      shape_index INTEGER,                -- point of the pattern shape at this stop
       FOREIGN KEY (pattern_id) REFERENCES route_patterns(pattern_id),
       FOREIGN KEY (stop_id) REFERENCES stops(stop_id),
       UNIQUE(pattern_id, stop_sequence)
     );
 
+    -- =====================================================
+    -- PATTERN SHAPES TABLE
+    -- Route line of each pattern from shapes.txt, simplified
+    -- (Douglas-Peucker) and stored as a Google encoded polyline
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS pattern_shapes (
+      pattern_id INTEGER PRIMARY KEY,
+      shape_id TEXT NOT NULL,             -- GTFS shape the line was drawn from
+      polyline TEXT NOT NULL,
+      FOREIGN KEY (pattern_id) REFERENCES route_patterns(pattern_id)
+    );
+
+    -- =====================================================
+    -- PATTERN TRIPS TABLE
+    -- Compact timetable: trips of a pattern share its stop
+    -- offsets, so each trip is just a start time
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS pattern_trips (
+      trip_id TEXT PRIMARY KEY,
+      pattern_id INTEGER NOT NULL,
+      service_id TEXT NOT NULL,           -- GTFS service (calendar)
+      start_secs INTEGER NOT NULL,        -- departure from first stop, secs after midnight (may be >= 86400)
+      FOREIGN KEY (pattern_id) REFERENCES route_patterns(pattern_id)
+    );
+
+    -- =====================================================
+    -- PATTERN FREQUENCIES TABLE
+    -- Headway per pattern, service and time band
+    -- ("every 10 min 06:00-10:00"), computed from pattern_trips
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS pattern_frequencies (
+      pattern_id INTEGER NOT NULL,
+      service_id TEXT NOT NULL,
+      start_secs INTEGER NOT NULL,        -- first trip in the band
+      end_secs INTEGER NOT NULL,          -- last trip in the band
+      headway_secs INTEGER NOT NULL,      -- median gap between trips
+      trips INTEGER NOT NULL,
+      PRIMARY KEY (pattern_id, service_id, start_secs),
+      FOREIGN KEY (pattern_id) REFERENCES route_patterns(pattern_id)
+    );
+
+    -- =====================================================
+    -- CALENDAR TABLES
+    -- Which days each timetable service runs (GTFS calendar)
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS calendar (
+      service_id TEXT PRIMARY KEY,
+      monday INTEGER NOT NULL,            -- 1 = runs every Monday
+      tuesday INTEGER NOT NULL,
+      wednesday INTEGER NOT NULL,
+      thursday INTEGER NOT NULL,
+      friday INTEGER NOT NULL,
+      saturday INTEGER NOT NULL,
+      sunday INTEGER NOT NULL,
+      start_date TEXT NOT NULL,           -- "20250801" (YYYYMMDD)
+      end_date TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS calendar_dates (
+      service_id TEXT NOT NULL,
+      date TEXT NOT NULL,                 -- "20251202" (YYYYMMDD)
+      exception_type INTEGER NOT NULL,    -- 1=added, 2=removed
+      PRIMARY KEY (service_id, date)
+    );
+
+    -- =====================================================
+    -- FARE TABLES
+    -- Nol prices per card class and number of zones, from the
+    -- local fare table (data/nol-fares.json), plus GTFS fares
+    -- when the feed ships them
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS fare_classes (
+      card_class TEXT PRIMARY KEY,        -- "red", "silver", "gold", "concession"
+      class_name TEXT NOT NULL,           -- "Silver"
+      route_types TEXT                    -- "1" = metro only (Gold), NULL = all
+    );
+
+    CREATE TABLE IF NOT EXISTS fare_prices (
+      card_class TEXT NOT NULL,
+      zones INTEGER NOT NULL,             -- zones passed (last band covers more)
+      price REAL NOT NULL,                -- AED
+      PRIMARY KEY (card_class, zones),
+      FOREIGN KEY (card_class) REFERENCES fare_classes(card_class)
+    );
+
+    CREATE TABLE IF NOT EXISTS fare_settings (
+      key TEXT PRIMARY KEY,               -- version, currency, transfer_window_minutes, zone_source
+      value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS fare_attributes (
+      fare_id TEXT PRIMARY KEY,
+      price REAL NOT NULL,                -- standard (Silver) price
+      currency_type TEXT,
+      transfers INTEGER,                  -- NULL = unlimited
+      transfer_duration INTEGER           -- seconds
+    );
+
+    CREATE TABLE IF NOT EXISTS fare_rules (
+      fare_id TEXT NOT NULL,
+      route_id TEXT,
+      origin_id TEXT,                     -- zone_id
+      destination_id TEXT,
+      contains_id TEXT,
+      FOREIGN KEY (fare_id) REFERENCES fare_attributes(fare_id)
+    );
+
     -- =====================================================
     -- TRANSFERS TABLE
     -- Where passengers can transfer between routes
@@ -111,6 +267,21 @@ function initializeOfflineDb() {
       FOREIGN KEY (to_stop_id) REFERENCES stops(stop_id)
     );
 
+    -- =====================================================
+    -- FOOTPATHS TABLE
+    -- Walking links between nearby stops (transfers.txt + radius)
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS footpaths (
+      from_stop_id TEXT NOT NULL,
+      to_stop_id TEXT NOT NULL,
+      distance_m INTEGER NOT NULL,        -- estimated walking distance
+      walk_secs INTEGER NOT NULL,         -- walking time incl. min_transfer_time
+      source TEXT NOT NULL,               -- 'gtfs' or 'radius'
+      PRIMARY KEY (from_stop_id, to_stop_id),
+      FOREIGN KEY (from_stop_id) REFERENCES stops(stop_id),
+      FOREIGN KEY (to_stop_id) REFERENCES stops(stop_id)
+    );
+
     -- =====================================================
     -- STOP ROUTES TABLE (Denormalized for fast lookup)
     -- Which routes serve each stop
@@ -124,6 +295,68 @@ function initializeOfflineDb() {
       FOREIGN KEY (route_id) REFERENCES routes(route_id)
     );
 
+    -- =====================================================
+    -- SEARCH TABLES
+    -- Aliases riders search by (data/search-aliases.json) and
+    -- FTS5 trigram indexes over normalized names (lower case,
+    -- no accents or punctuation, Arabic letters unified)
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS search_aliases (
+      alias TEXT NOT NULL,                -- "MOE"
+      target TEXT NOT NULL,               -- "Mall of the Emirates"
+      PRIMARY KEY (alias, target)
+    );
+
+    -- Stations and stops outside a station
+    CREATE VIRTUAL TABLE IF NOT EXISTS stop_search USING fts5(
+      stop_id UNINDEXED,
+      name,                               -- stop name
+      other_names,                        -- platform/bay names (newline separated)
+      name_ar,                            -- Arabic name
+      aliases,                            -- aliases of the names (newline separated)
+      tokenize = 'trigram'
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS route_search USING fts5(
+      route_id UNINDEXED,
+      number,                             -- route_short_name
+      name,                               -- route_long_name
+      name_ar,                            -- route_long_name_ar
+      tokenize = 'trigram'
+    );
+
+    -- =====================================================
+    -- PLACES TABLES
+    -- Landmarks riders search by (data/places.csv and an optional
+    -- OpenStreetMap extract) with the served stops nearest to them
+    -- =====================================================
+    CREATE TABLE IF NOT EXISTS places (
+      place_id TEXT PRIMARY KEY,          -- "dubai-mall" or "osm-way-123"
+      place_name TEXT NOT NULL,           -- "The Dubai Mall"
+      place_name_ar TEXT,                 -- Arabic name
+      category TEXT NOT NULL,             -- "mall", "hospital", ...
+      place_lat REAL NOT NULL,
+      place_lon REAL NOT NULL,
+      source TEXT NOT NULL                -- "curated" or "osm"
+    );
+
+    CREATE TABLE IF NOT EXISTS place_stops (
+      place_id TEXT NOT NULL,
+      stop_id TEXT NOT NULL,              -- station or stop outside a station
+      distance_m INTEGER NOT NULL,        -- walking distance from the place
+      walk_secs INTEGER NOT NULL,
+      PRIMARY KEY (place_id, stop_id),
+      FOREIGN KEY (place_id) REFERENCES places(place_id),
+      FOREIGN KEY (stop_id) REFERENCES stops(stop_id)
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS place_search USING fts5(
+      place_id UNINDEXED,
+      name,                               -- place name
+      name_ar,                            -- Arabic name
+      tokenize = 'trigram'
+    );
+
     -- =====================================================
     -- METRO LINES TABLE (Special table for metro display)
     -- =====================================================
@@ -147,6 +380,7 @@ function initializeOfflineDb() {
     -- Stop lookups
     CREATE INDEX IF NOT EXISTS idx_stops_name ON stops(stop_name);
     CREATE INDEX IF NOT EXISTS idx_stops_location ON stops(stop_lat, stop_lon);
+    CREATE INDEX IF NOT EXISTS idx_stops_parent ON stops(parent_station);
     
     -- Pattern lookups
     CREATE INDEX IF NOT EXISTS idx_patterns_route ON route_patterns(route_id);
@@ -156,6 +390,10 @@ function initializeOfflineDb() {
     CREATE INDEX IF NOT EXISTS idx_pattern_stops_pattern ON pattern_stops(pattern_id);
     CREATE INDEX IF NOT EXISTS idx_pattern_stops_stop ON pattern_stops(stop_id);
     CREATE INDEX IF NOT EXISTS idx_pattern_stops_sequence ON pattern_stops(pattern_id, stop_sequence);
+
+    -- Timetable lookups (trips of a pattern by start time)
+    CREATE INDEX IF NOT EXISTS idx_pattern_trips_start ON pattern_trips(pattern_id, start_secs);
+    CREATE INDEX IF NOT EXISTS idx_calendar_dates_date ON calendar_dates(date);
     
     -- Stop routes lookups (for journey planning)
     CREATE INDEX IF NOT EXISTS idx_stop_routes_stop ON stop_routes(stop_id);
@@ -164,6 +402,12 @@ function initializeOfflineDb() {
     -- Transfer lookups
     CREATE INDEX IF NOT EXISTS idx_transfers_from ON transfers(from_stop_id);
     CREATE INDEX IF NOT EXISTS idx_transfers_to ON transfers(to_stop_id);
+
+    -- Footpath lookups (primary key covers from_stop_id)
+    CREATE INDEX IF NOT EXISTS idx_footpaths_to ON footpaths(to_stop_id);
+
+    -- Fare rule lookups
+    CREATE INDEX IF NOT EXISTS idx_fare_rules_fare ON fare_rules(fare_id);
   `);
 
   console.log('✅ Offline database tables created successfully');
@@ -172,6 +416,8 @@ function initializeOfflineDb() {
 
 module.exports = {
   getDb,
+  hasTable,
+  hasColumn,
   initializeOfflineDb,
   ROUTE_TYPES,
   OFFLINE_DB_PATH
@@ -4,14 +4,20 @@
  * 
  * Endpoints:
  * - GET /api/bus - Get all bus routes
- * - GET /api/bus/search?q=8 - Search bus by number
- * - GET /api/bus/:busNumber - Get bus details with up/down directions
- * - GET /api/bus/:busNumber/stops?direction=0 - Get all stops for a bus direction
+ * - GET /api/bus/search?q=8 - Search bus by number or name (typo tolerant)
+ * - GET /api/bus/:busNumber?date=2025-08-23&geometry=geojson - Get bus details with up/down directions, frequencies and route lines
+ * - GET /api/bus/:busNumber/stops?direction=0&variant=12 - Get all stops for a bus direction (or variant)
+ * - GET /api/bus/:busNumber/timetable?direction=0&date=2025-08-23 - Trip times for a day
  */
 
 const express = require('express');
 const router = express.Router();
 const { getDb, ROUTE_TYPES } = require('../db/offline-database');
+const { hasTimetable, getPatternTimetable, getPatternFrequencies } = require('../services/timetable');
+const { getRouteDirections, getPatternStops, formatVariant } = require('../services/route-variants');
+const { parseServiceDate, formatServiceDate, todayServiceDate } = require('../services/service-calendar');
+const { getPatternShape, formatGeometry, GEOMETRY_FORMATS } = require('../services/shapes');
+const { searchRoutesByText } = require('../services/text-search');
 
 /**
  * GET /api/bus
@@ -48,7 +54,7 @@ router.get('/', (req, res) => {
 
 /**
  * GET /api/bus/search?q=X28
- * Search bus by number (fuzzy search)
+ * Search bus by number or name, tolerating typos ("satwah" finds "Al Satwa")
  */
 router.get('/search', (req, res) => {
   try {
@@ -58,27 +64,12 @@ router.get('/search', (req, res) => {
     }
 
     const db = getDb();
-    const routes = db.prepare(`
-      SELECT 
-        route_id, 
-        route_short_name as bus_number, 
-        route_long_name as route_name, 
-        route_color
-      FROM routes 
-      WHERE route_type = ? AND (
-        route_short_name LIKE ? OR 
-        route_short_name = ? OR
-        route_long_name LIKE ?
-      )
-      ORDER BY 
-        CASE 
-          WHEN route_short_name = ? THEN 1
-          WHEN route_short_name LIKE ? THEN 2
-          ELSE 3
-        END,
-        route_short_name
-      LIMIT 20
-    `).all(ROUTE_TYPES.BUS, `%${q}%`, q, `%${q}%`, q, `${q}%`);
+    const routes = searchRoutesByText(db, q, [ROUTE_TYPES.BUS]).map(route => ({
+      route_id: route.route_id,
+      bus_number: route.route_short_name,
+      route_name: route.route_long_name,
+      route_color: route.route_color
+    }));
     
     res.json({
       success: true,
@@ -92,13 +83,31 @@ router.get('/search', (req, res) => {
 });
 
 /**
- * GET /api/bus/:busNumber
+ * GET /api/bus/:busNumber?date=2025-08-23&geometry=geojson
  * Get specific bus route details with both directions
- * Returns: bus info + upward direction stops + downward direction stops
+ * Returns: bus info + upward direction stops + downward direction stops,
+ * with frequency bands ("every 10 min") for the date (default today)
+ * Each direction describes its main pattern; short-turns, express runs
+ * and branches are listed under variants
+ * Every pattern has its route line as an encoded polyline (default) or GeoJSON
  */
 router.get('/:busNumber', (req, res) => {
   try {
     const { busNumber } = req.params;
+    const { date, geometry = 'polyline' } = req.query;
+
+    const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+    }
+
+    if (!GEOMETRY_FORMATS.includes(geometry)) {
+      return res.status(400).json({
+        success: false,
+        error: `"geometry" must be one of: ${GEOMETRY_FORMATS.join(', ')}`
+      });
+    }
+
     const db = getDb();
     
     // Get route info (search by short name first, then route_id)
@@ -112,34 +121,10 @@ router.get('/:busNumber', (req, res) => {
       return res.status(404).json({ success: false, error: `Bus "${busNumber}" not found` });
     }
 
-    // Get both directions (patterns) for this route
-    const patterns = db.prepare(`
-      SELECT 
-        pattern_id,
-        direction_id,
-        headsign,
-        first_stop_id,
-        last_stop_id,
-        total_stops
-      FROM route_patterns 
-      WHERE route_id = ?
-      ORDER BY direction_id
-    `).all(route.route_id);
-
-    // Get stops for each direction
-    const directions = patterns.map(pattern => {
-      const stops = db.prepare(`
-        SELECT 
-          ps.stop_sequence,
-          s.stop_id,
-          s.stop_name,
-          s.stop_lat,
-          s.stop_lon
-        FROM pattern_stops ps
-        JOIN stops s ON ps.stop_id = s.stop_id
-        WHERE ps.pattern_id = ?
-        ORDER BY ps.stop_sequence
-      `).all(pattern.pattern_id);
+    // Get both directions (main pattern + variants) for this route
+    const directions = getRouteDirections(db, route.route_id).map(direction => {
+      const pattern = direction.main;
+      const stops = getPatternStops(db, pattern.pattern_id);
 
       // Get first and last stop names
       const firstStop = stops[0];
@@ -152,7 +137,20 @@ router.get('/:busNumber', (req, res) => {
         from: firstStop?.stop_name || '',
         to: lastStop?.stop_name || '',
         total_stops: stops.length,
-        stops: stops
+        pattern_id: pattern.pattern_id,
+        trip_count: pattern.trip_count,
+        frequencies: getPatternFrequencies(db, pattern.pattern_id, serviceDate),
+        geometry: formatGeometry(getPatternShape(db, pattern.pattern_id).points, geometry),
+        stops: stops,
+        variants: direction.variants.map(variant => {
+          const variantStops = getPatternStops(db, variant.pattern_id);
+          return {
+            ...formatVariant(variant, variantStops, direction.trip_count),
+            frequencies: getPatternFrequencies(db, variant.pattern_id, serviceDate),
+            geometry: formatGeometry(getPatternShape(db, variant.pattern_id).points, geometry),
+            stops: variantStops
+          };
+        })
       };
     });
 
@@ -163,6 +161,7 @@ router.get('/:busNumber', (req, res) => {
         bus_number: route.bus_number,
         route_name: route.route_name,
         route_color: route.route_color,
+        date: formatServiceDate(serviceDate),
         directions: directions
       }
     });
@@ -172,13 +171,14 @@ router.get('/:busNumber', (req, res) => {
 });
 
 /**
- * GET /api/bus/:busNumber/stops?direction=0
+ * GET /api/bus/:busNumber/stops?direction=0&variant=12
  * Get all stops for a bus route in a specific direction
+ * Uses the main pattern unless a variant (pattern_id) is given
  */
 router.get('/:busNumber/stops', (req, res) => {
   try {
     const { busNumber } = req.params;
-    const { direction } = req.query;
+    const { direction, variant } = req.query;
     const db = getDb();
     
     // Get route
@@ -194,33 +194,30 @@ router.get('/:busNumber/stops', (req, res) => {
 
     // Get the pattern for the requested direction
     const directionId = direction !== undefined ? parseInt(direction) : 0;
-    
-    const pattern = db.prepare(`
-      SELECT pattern_id, direction_id, headsign, total_stops
-      FROM route_patterns 
-      WHERE route_id = ? AND direction_id = ?
-    `).get(route.route_id, directionId);
+    const routeDirection = getRouteDirections(db, route.route_id)
+      .find(candidate => candidate.direction_id === directionId);
 
-    if (!pattern) {
+    if (!routeDirection) {
       return res.status(404).json({ 
         success: false, 
         error: `Direction ${directionId} not found for bus ${busNumber}` 
       });
     }
 
+    const patterns = [routeDirection.main, ...routeDirection.variants];
+    const pattern = variant !== undefined
+      ? patterns.find(candidate => candidate.pattern_id === parseInt(variant))
+      : routeDirection.main;
+
+    if (!pattern) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Variant ${variant} not found for bus ${busNumber} direction ${directionId}` 
+      });
+    }
+
     // Get all stops for this pattern
-    const stops = db.prepare(`
-      SELECT 
-        ps.stop_sequence,
-        s.stop_id,
-        s.stop_name,
-        s.stop_lat,
-        s.stop_lon
-      FROM pattern_stops ps
-      JOIN stops s ON ps.stop_id = s.stop_id
-      WHERE ps.pattern_id = ?
-      ORDER BY ps.stop_sequence
-    `).all(pattern.pattern_id);
+    const stops = getPatternStops(db, pattern.pattern_id);
 
     const firstStop = stops[0];
     const lastStop = stops[stops.length - 1];
@@ -237,7 +234,83 @@ router.get('/:busNumber/stops', (req, res) => {
         from: firstStop?.stop_name || '',
         to: lastStop?.stop_name || '',
         total_stops: stops.length,
-        stops: stops
+        pattern_id: pattern.pattern_id,
+        variant: pattern.variant,
+        trip_count: pattern.trip_count,
+        stops: stops,
+        variants: patterns.map(candidate => (
+          formatVariant(candidate, getPatternStops(db, candidate.pattern_id), routeDirection.trip_count)
+        ))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/bus/:busNumber/timetable?direction=0&date=2025-08-23
+ * Get the timetable of a bus for a day (default today)
+ * Returns trip start times, each stop's offset and the first/last trip
+ * Without direction, both directions are returned; each direction has the
+ * timetable of its main pattern, with the other variants under variants
+ */
+router.get('/:busNumber/timetable', (req, res) => {
+  try {
+    const { busNumber } = req.params;
+    const { direction, date } = req.query;
+
+    const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+    }
+
+    const db = getDb();
+
+    if (!hasTimetable(db)) {
+      return res.status(503).json({
+        success: false,
+        error: 'Offline database has no timetable. Rebuild it with scripts/build-offline-db.js'
+      });
+    }
+
+    // Get route
+    const route = db.prepare(`
+      SELECT route_id, route_short_name as bus_number, route_long_name as route_name, route_color
+      FROM routes 
+      WHERE (route_short_name = ? OR route_id = ?) AND route_type = ?
+    `).get(busNumber, busNumber, ROUTE_TYPES.BUS);
+
+    if (!route) {
+      return res.status(404).json({ success: false, error: `Bus "${busNumber}" not found` });
+    }
+
+    let directions = getRouteDirections(db, route.route_id);
+
+    if (direction !== undefined) {
+      const directionId = parseInt(direction);
+      directions = directions.filter(candidate => candidate.direction_id === directionId);
+
+      if (directions.length === 0) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Direction ${direction} not found for bus ${busNumber}` 
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        route_id: route.route_id,
+        bus_number: route.bus_number,
+        route_name: route.route_name,
+        route_color: route.route_color,
+        date: formatServiceDate(serviceDate),
+        directions: directions.map(routeDirection => ({
+          ...getPatternTimetable(db, routeDirection.main, serviceDate),
+          variants: routeDirection.variants.map(variant => getPatternTimetable(db, variant, serviceDate))
+        }))
       }
     });
   } catch (error) {
@@ -0,0 +1,306 @@
+/**
+ * Line Router
+ * Builds the routers of modes that list their lines by route number
+ * (tram, marine): the same list, search, details, stops and timetable
+ * endpoints as the bus API, limited to the mode's route types
+ *
+ * Used by tram.routes.js and marine.routes.js
+ */
+
+const express = require('express');
+const { getDb } = require('../db/offline-database');
+const { hasTimetable, getPatternTimetable, getPatternFrequencies } = require('../services/timetable');
+const { getRouteDirections, getPatternStops, formatVariant } = require('../services/route-variants');
+const { parseServiceDate, formatServiceDate, todayServiceDate } = require('../services/service-calendar');
+const { getPatternShape, formatGeometry, GEOMETRY_FORMATS } = require('../services/shapes');
+const { searchRoutesByText } = require('../services/text-search');
+
+/**
+ * Create a router for one mode
+ * options:
+ *   routeType  - GTFS route type of the mode's lines
+ *   label      - name used in errors ("Tram line", "Marine route")
+ *   describe   - optional (route) => extra fields for every line
+ *   listFilter - optional (query) => { keep: (line) => boolean } or
+ *                { error } for list parameters (e.g. ?service=abra)
+ */
+function createLineRouter({ routeType, label, describe = () => ({}), listFilter = null }) {
+  const router = express.Router();
+
+  const formatLine = route => ({
+    route_id: route.route_id,
+    route_number: route.route_number,
+    route_name: route.route_name,
+    route_color: route.route_color,
+    ...describe(route)
+  });
+
+  const findLine = (db, lineNumber) => db.prepare(`
+    SELECT route_id, route_short_name as route_number, route_long_name as route_name, route_color
+    FROM routes
+    WHERE (route_short_name = ? OR route_id = ?) AND route_type = ?
+  `).get(lineNumber, lineNumber, routeType);
+
+  const notFound = (res, lineNumber) => (
+    res.status(404).json({ success: false, error: `${label} "${lineNumber}" not found` })
+  );
+
+  /**
+   * GET /
+   * Get all lines of the mode
+   */
+  router.get('/', (req, res) => {
+    try {
+      const listed = listFilter ? listFilter(req.query) : { keep: () => true };
+      if (listed.error) {
+        return res.status(400).json({ success: false, error: listed.error });
+      }
+
+      const db = getDb();
+      const routes = db.prepare(`
+        SELECT
+          route_id,
+          route_short_name as route_number,
+          route_long_name as route_name,
+          route_color
+        FROM routes
+        WHERE route_type = ?
+        ORDER BY route_short_name
+      `).all(routeType).map(formatLine).filter(listed.keep);
+
+      res.json({
+        success: true,
+        count: routes.length,
+        data: routes
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /search?q=CR
+   * Search lines by number or name (typo tolerant)
+   */
+  router.get('/search', (req, res) => {
+    try {
+      const { q } = req.query;
+      if (!q) {
+        return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
+      }
+
+      const db = getDb();
+      const routes = searchRoutesByText(db, q, [routeType]).map(route => ({
+        route_id: route.route_id,
+        route_number: route.route_short_name,
+        route_name: route.route_long_name,
+        route_color: route.route_color
+      }));
+
+      res.json({
+        success: true,
+        count: routes.length,
+        query: q,
+        data: routes.map(formatLine)
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /:lineNumber?date=2025-08-23&geometry=geojson
+   * Get a line with its directions, frequencies and route lines
+   * Each direction describes its main pattern; other patterns are variants
+   */
+  router.get('/:lineNumber', (req, res) => {
+    try {
+      const { lineNumber } = req.params;
+      const { date, geometry = 'polyline' } = req.query;
+
+      const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+      if (serviceDate === null) {
+        return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+      }
+
+      if (!GEOMETRY_FORMATS.includes(geometry)) {
+        return res.status(400).json({
+          success: false,
+          error: `"geometry" must be one of: ${GEOMETRY_FORMATS.join(', ')}`
+        });
+      }
+
+      const db = getDb();
+      const route = findLine(db, lineNumber);
+      if (!route) return notFound(res, lineNumber);
+
+      const directions = getRouteDirections(db, route.route_id).map(direction => {
+        const pattern = direction.main;
+        const stops = getPatternStops(db, pattern.pattern_id);
+
+        const firstStop = stops[0];
+        const lastStop = stops[stops.length - 1];
+
+        return {
+          direction_id: pattern.direction_id,
+          direction_name: pattern.direction_id === 0 ? 'Upward' : 'Downward',
+          headsign: pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : ''),
+          from: firstStop?.stop_name || '',
+          to: lastStop?.stop_name || '',
+          total_stops: stops.length,
+          pattern_id: pattern.pattern_id,
+          trip_count: pattern.trip_count,
+          frequencies: getPatternFrequencies(db, pattern.pattern_id, serviceDate),
+          geometry: formatGeometry(getPatternShape(db, pattern.pattern_id).points, geometry),
+          stops,
+          variants: direction.variants.map(variant => {
+            const variantStops = getPatternStops(db, variant.pattern_id);
+            return {
+              ...formatVariant(variant, variantStops, direction.trip_count),
+              frequencies: getPatternFrequencies(db, variant.pattern_id, serviceDate),
+              geometry: formatGeometry(getPatternShape(db, variant.pattern_id).points, geometry),
+              stops: variantStops
+            };
+          })
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...formatLine(route),
+          date: formatServiceDate(serviceDate),
+          directions
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /:lineNumber/stops?direction=0&variant=12
+   * Get the stops of a line direction (main pattern unless a variant is given)
+   */
+  router.get('/:lineNumber/stops', (req, res) => {
+    try {
+      const { lineNumber } = req.params;
+      const { direction, variant } = req.query;
+      const db = getDb();
+
+      const route = findLine(db, lineNumber);
+      if (!route) return notFound(res, lineNumber);
+
+      const directionId = direction !== undefined ? parseInt(direction) : 0;
+      const routeDirection = getRouteDirections(db, route.route_id)
+        .find(candidate => candidate.direction_id === directionId);
+
+      if (!routeDirection) {
+        return res.status(404).json({
+          success: false,
+          error: `Direction ${directionId} not found for ${label.toLowerCase()} ${lineNumber}`
+        });
+      }
+
+      const patterns = [routeDirection.main, ...routeDirection.variants];
+      const pattern = variant !== undefined
+        ? patterns.find(candidate => candidate.pattern_id === parseInt(variant))
+        : routeDirection.main;
+
+      if (!pattern) {
+        return res.status(404).json({
+          success: false,
+          error: `Variant ${variant} not found for ${label.toLowerCase()} ${lineNumber} direction ${directionId}`
+        });
+      }
+
+      const stops = getPatternStops(db, pattern.pattern_id);
+      const firstStop = stops[0];
+      const lastStop = stops[stops.length - 1];
+
+      res.json({
+        success: true,
+        data: {
+          ...formatLine(route),
+          direction_id: pattern.direction_id,
+          direction_name: pattern.direction_id === 0 ? 'Upward' : 'Downward',
+          headsign: pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : ''),
+          from: firstStop?.stop_name || '',
+          to: lastStop?.stop_name || '',
+          total_stops: stops.length,
+          pattern_id: pattern.pattern_id,
+          variant: pattern.variant,
+          trip_count: pattern.trip_count,
+          stops,
+          variants: patterns.map(candidate => (
+            formatVariant(candidate, getPatternStops(db, candidate.pattern_id), routeDirection.trip_count)
+          ))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /:lineNumber/timetable?direction=0&date=2025-08-23
+   * Get the trip times of a line for a day (default today)
+   */
+  router.get('/:lineNumber/timetable', (req, res) => {
+    try {
+      const { lineNumber } = req.params;
+      const { direction, date } = req.query;
+
+      const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+      if (serviceDate === null) {
+        return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+      }
+
+      const db = getDb();
+
+      if (!hasTimetable(db)) {
+        return res.status(503).json({
+          success: false,
+          error: 'Offline database has no timetable. Rebuild it with scripts/build-offline-db.js'
+        });
+      }
+
+      const route = findLine(db, lineNumber);
+      if (!route) return notFound(res, lineNumber);
+
+      let directions = getRouteDirections(db, route.route_id);
+
+      if (direction !== undefined) {
+        const directionId = parseInt(direction);
+        directions = directions.filter(candidate => candidate.direction_id === directionId);
+
+        if (directions.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: `Direction ${direction} not found for ${label.toLowerCase()} ${lineNumber}`
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...formatLine(route),
+          date: formatServiceDate(serviceDate),
+          directions: directions.map(routeDirection => ({
+            ...getPatternTimetable(db, routeDirection.main, serviceDate),
+            variants: routeDirection.variants.map(variant => getPatternTimetable(db, variant, serviceDate))
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLineRouter
+};
@@ -0,0 +1,34 @@
+/**
+ * Marine Routes API
+ * Abras, ferries, water buses and water taxis (GTFS route_type 4)
+ * 
+ * Endpoints:
+ * - GET /api/marine?service=abra - Get all marine routes (optionally of one service)
+ * - GET /api/marine/search?q=CR - Search marine routes by number or name
+ * - GET /api/marine/:routeNumber?date=2025-08-23&geometry=geojson - Route details with directions, frequencies and route lines
+ * - GET /api/marine/:routeNumber/stops?direction=0&variant=12 - Stations of a direction (or variant)
+ * - GET /api/marine/:routeNumber/timetable?direction=0&date=2025-08-23 - Trip times for a day
+ */
+
+const { ROUTE_TYPES } = require('../db/offline-database');
+const { marineService, MARINE_SERVICE_NAMES } = require('../services/transport-modes');
+const { createLineRouter } = require('./line-router');
+
+const SERVICES = Object.keys(MARINE_SERVICE_NAMES);
+
+module.exports = createLineRouter({
+  routeType: ROUTE_TYPES.FERRY,
+  label: 'Marine route',
+  // Which service runs the route: abra, ferry, water_bus or water_taxi
+  describe: route => {
+    const service = marineService(route.route_number);
+    return { service, service_name: MARINE_SERVICE_NAMES[service] };
+  },
+  listFilter: ({ service }) => {
+    if (service === undefined) return { keep: () => true };
+    if (!SERVICES.includes(service)) {
+      return { error: `"service" must be one of: ${SERVICES.join(', ')}` };
+    }
+    return { keep: line => line.service === service };
+  }
+});
@@ -4,13 +4,18 @@
  * 
  * Endpoints:
  * - GET /api/metro - Get all metro lines (Red, Green, Route 2020)
- * - GET /api/metro/:lineId - Get specific line details with stations
- * - GET /api/metro/:lineId/stations?direction=0 - Get stations for a direction
+ * - GET /api/metro/:lineId?date=2025-08-23&geometry=geojson - Get specific line details with stations, frequencies and line shapes
+ * - GET /api/metro/:lineId/stations?direction=0&variant=12 - Get stations for a direction (or variant)
+ * - GET /api/metro/:lineId/timetable?direction=0&date=2025-08-23 - Train times for a day
  */
 
 const express = require('express');
 const router = express.Router();
 const { getDb, ROUTE_TYPES } = require('../db/offline-database');
+const { hasTimetable, getPatternTimetable, getPatternFrequencies } = require('../services/timetable');
+const { getRouteDirections, getPatternStops, formatVariant } = require('../services/route-variants');
+const { parseServiceDate, formatServiceDate, todayServiceDate } = require('../services/service-calendar');
+const { getPatternShape, formatGeometry, GEOMETRY_FORMATS } = require('../services/shapes');
 
 /**
  * GET /api/metro
@@ -29,19 +34,22 @@ router.get('/', (req, res) => {
         ml.line_color,
         ml.route_id,
         r.route_long_name,
-        (SELECT COUNT(*) FROM route_patterns WHERE route_id = ml.route_id) as directions,
-        (SELECT total_stops FROM route_patterns WHERE route_id = ml.route_id AND direction_id = 0) as total_stations
+        (SELECT COUNT(DISTINCT direction_id) FROM route_patterns WHERE route_id = ml.route_id) as directions,
+        (SELECT total_stops FROM route_patterns WHERE route_id = ml.route_id AND direction_id = 0
+          ORDER BY trip_count DESC LIMIT 1) as total_stations
       FROM metro_lines ml
       JOIN routes r ON ml.route_id = r.route_id
       ORDER BY ml.line_name
     `).all();
 
-    // Get terminal stations for each line
+    // Get terminal stations for each line (main pattern)
     const linesWithTerminals = lines.map(line => {
       const pattern = db.prepare(`
         SELECT headsign, first_stop_id, last_stop_id
         FROM route_patterns
         WHERE route_id = ? AND direction_id = 0
+        ORDER BY trip_count DESC
+        LIMIT 1
       `).get(line.route_id);
 
       let from_station = '';
@@ -77,12 +85,29 @@ router.get('/', (req, res) => {
 });
 
 /**
- * GET /api/metro/:lineId
- * Get specific metro line details with both directions
+ * GET /api/metro/:lineId?date=2025-08-23&geometry=geojson
+ * Get specific metro line details with both directions,
+ * with frequency bands ("every 5 min") for the date (default today)
+ * Trains that turn back early are listed under each direction's variants
+ * Every pattern has its line shape as an encoded polyline (default) or GeoJSON
  */
 router.get('/:lineId', (req, res) => {
   try {
     const { lineId } = req.params;
+    const { date, geometry = 'polyline' } = req.query;
+
+    const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+    }
+
+    if (!GEOMETRY_FORMATS.includes(geometry)) {
+      return res.status(400).json({
+        success: false,
+        error: `"geometry" must be one of: ${GEOMETRY_FORMATS.join(', ')}`
+      });
+    }
+
     const db = getDb();
     
     // Try to find by line_id, line_name, or route_id
@@ -123,34 +148,10 @@ router.get('/:lineId', (req, res) => {
       };
     }
 
-    // Get both directions (patterns) for this line
-    const patterns = db.prepare(`
-      SELECT 
-        pattern_id,
-        direction_id,
-        headsign,
-        first_stop_id,
-        last_stop_id,
-        total_stops
-      FROM route_patterns 
-      WHERE route_id = ?
-      ORDER BY direction_id
-    `).all(line.route_id);
-
-    // Get stations for each direction
-    const directions = patterns.map(pattern => {
-      const stations = db.prepare(`
-        SELECT 
-          ps.stop_sequence,
-          s.stop_id,
-          s.stop_name,
-          s.stop_lat,
-          s.stop_lon
-        FROM pattern_stops ps
-        JOIN stops s ON ps.stop_id = s.stop_id
-        WHERE ps.pattern_id = ?
-        ORDER BY ps.stop_sequence
-      `).all(pattern.pattern_id);
+    // Get both directions (main pattern + variants) for this line
+    const directions = getRouteDirections(db, line.route_id).map(direction => {
+      const pattern = direction.main;
+      const stations = getPatternStops(db, pattern.pattern_id);
 
       const firstStation = stations[0];
       const lastStation = stations[stations.length - 1];
@@ -162,7 +163,22 @@ router.get('/:lineId', (req, res) => {
         from: firstStation?.stop_name || '',
         to: lastStation?.stop_name || '',
         total_stations: stations.length,
-        stations: stations
+        pattern_id: pattern.pattern_id,
+        trip_count: pattern.trip_count,
+        frequencies: getPatternFrequencies(db, pattern.pattern_id, serviceDate),
+        geometry: formatGeometry(getPatternShape(db, pattern.pattern_id).points, geometry),
+        stations: stations,
+        variants: direction.variants.map(variant => {
+          const variantStations = getPatternStops(db, variant.pattern_id);
+          const { total_stops, ...summary } = formatVariant(variant, variantStations, direction.trip_count);
+          return {
+            ...summary,
+            total_stations: total_stops,
+            frequencies: getPatternFrequencies(db, variant.pattern_id, serviceDate),
+            geometry: formatGeometry(getPatternShape(db, variant.pattern_id).points, geometry),
+            stations: variantStations
+          };
+        })
       };
     });
 
@@ -174,6 +190,7 @@ router.get('/:lineId', (req, res) => {
         line_name_ar: line.line_name_ar,
         line_color: line.line_color,
         route_id: line.route_id,
+        date: formatServiceDate(serviceDate),
         directions: directions
       }
     });
@@ -183,13 +200,14 @@ router.get('/:lineId', (req, res) => {
 });
 
 /**
- * GET /api/metro/:lineId/stations?direction=0
+ * GET /api/metro/:lineId/stations?direction=0&variant=12
  * Get all stations for a metro line in a specific direction
+ * Uses the main pattern unless a variant (pattern_id) is given
  */
 router.get('/:lineId/stations', (req, res) => {
   try {
     const { lineId } = req.params;
-    const { direction } = req.query;
+    const { direction, variant } = req.query;
     const db = getDb();
     
     // Find the metro line
@@ -222,33 +240,30 @@ router.get('/:lineId/stations', (req, res) => {
 
     // Get the pattern for the requested direction
     const directionId = direction !== undefined ? parseInt(direction) : 0;
-    
-    const pattern = db.prepare(`
-      SELECT pattern_id, direction_id, headsign, total_stops
-      FROM route_patterns 
-      WHERE route_id = ? AND direction_id = ?
-    `).get(line.route_id, directionId);
+    const routeDirection = getRouteDirections(db, line.route_id)
+      .find(candidate => candidate.direction_id === directionId);
 
-    if (!pattern) {
+    if (!routeDirection) {
       return res.status(404).json({ 
         success: false, 
         error: `Direction ${directionId} not found for metro line ${line.line_name}` 
       });
     }
 
+    const patterns = [routeDirection.main, ...routeDirection.variants];
+    const pattern = variant !== undefined
+      ? patterns.find(candidate => candidate.pattern_id === parseInt(variant))
+      : routeDirection.main;
+
+    if (!pattern) {
+      return res.status(404).json({ 
+        success: false, 
+        error: `Variant ${variant} not found for metro line ${line.line_name} direction ${directionId}` 
+      });
+    }
+
     // Get all stations for this pattern
-    const stations = db.prepare(`
-      SELECT 
-        ps.stop_sequence,
-        s.stop_id,
-        s.stop_name,
-        s.stop_lat,
-        s.stop_lon
-      FROM pattern_stops ps
-      JOIN stops s ON ps.stop_id = s.stop_id
-      WHERE ps.pattern_id = ?
-      ORDER BY ps.stop_sequence
-    `).all(pattern.pattern_id);
+    const stations = getPatternStops(db, pattern.pattern_id);
 
     const firstStation = stations[0];
     const lastStation = stations[stations.length - 1];
@@ -267,7 +282,104 @@ router.get('/:lineId/stations', (req, res) => {
         from: firstStation?.stop_name || '',
         to: lastStation?.stop_name || '',
         total_stations: stations.length,
-        stations: stations
+        pattern_id: pattern.pattern_id,
+        variant: pattern.variant,
+        trip_count: pattern.trip_count,
+        stations: stations,
+        variants: patterns.map(candidate => {
+          const { total_stops, ...summary } = formatVariant(
+            candidate, getPatternStops(db, candidate.pattern_id), routeDirection.trip_count
+          );
+          return { ...summary, total_stations: total_stops };
+        })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/metro/:lineId/timetable?direction=0&date=2025-08-23
+ * Get the timetable of a metro line for a day (default today)
+ * Returns train start times, each station's offset and the first/last train
+ * Without direction, both directions are returned; each direction has the
+ * timetable of its main pattern, with the other variants under variants
+ */
+router.get('/:lineId/timetable', (req, res) => {
+  try {
+    const { lineId } = req.params;
+    const { direction, date } = req.query;
+
+    const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+    }
+
+    const db = getDb();
+
+    if (!hasTimetable(db)) {
+      return res.status(503).json({
+        success: false,
+        error: 'Offline database has no timetable. Rebuild it with scripts/build-offline-db.js'
+      });
+    }
+    
+    // Find the metro line
+    let line = db.prepare(`
+      SELECT ml.line_id, ml.line_name, ml.line_name_ar, ml.line_color, ml.route_id
+      FROM metro_lines ml
+      WHERE ml.line_id = ? OR ml.route_id = ? OR LOWER(ml.line_name) LIKE LOWER(?)
+    `).get(lineId, lineId, `%${lineId}%`);
+
+    if (!line) {
+      // Try routes directly
+      const route = db.prepare(`
+        SELECT route_id, route_short_name, route_long_name, route_color
+        FROM routes
+        WHERE route_type = ? AND (route_id = ? OR route_short_name LIKE ?)
+      `).get(ROUTE_TYPES.METRO, lineId, `%${lineId}%`);
+
+      if (!route) {
+        return res.status(404).json({ success: false, error: `Metro line "${lineId}" not found` });
+      }
+
+      line = {
+        line_id: route.route_id,
+        line_name: route.route_short_name || route.route_long_name,
+        line_name_ar: '',
+        line_color: route.route_color,
+        route_id: route.route_id
+      };
+    }
+
+    let directions = getRouteDirections(db, line.route_id);
+
+    if (direction !== undefined) {
+      const directionId = parseInt(direction);
+      directions = directions.filter(candidate => candidate.direction_id === directionId);
+
+      if (directions.length === 0) {
+        return res.status(404).json({ 
+          success: false, 
+          error: `Direction ${direction} not found for metro line ${line.line_name}` 
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        line_id: line.line_id,
+        line_name: line.line_name,
+        line_name_ar: line.line_name_ar,
+        line_color: line.line_color,
+        route_id: line.route_id,
+        date: formatServiceDate(serviceDate),
+        directions: directions.map(routeDirection => ({
+          ...getPatternTimetable(db, routeDirection.main, serviceDate),
+          variants: routeDirection.variants.map(variant => getPatternTimetable(db, variant, serviceDate))
+        }))
       }
     });
   } catch (error) {
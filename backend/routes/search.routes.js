@@ -3,18 +3,76 @@
  * Updated to use the optimized offline database structure
  * 
  * Endpoints:
- * - GET /api/search/stops?q=marina - Search for stops by name
- * - GET /api/search/route?from=STOP_ID&to=STOP_ID - Journey planner
+ * - GET /api/search/stops?q=marina - Search for stops and places by name (English or Arabic)
+ * - GET /api/search/place/:placeId - Place (landmark) with its nearest stops
+ * - GET /api/search/route?from=STOP_ID&to=STOP_ID&max_transfers=3&prefer=fastest - Journey planner
+ * - GET /api/search/route?from_lat=..&from_lon=..&to_lat=..&to_lon=.. - Plan between locations
+ * - GET /api/search/route?from_place=dubai-mall&to=STOP_ID - Plan from or to a place
+ * - GET /api/search/reachable?from=STOP_ID&max_minutes=30&max_transfers=1&bands=10,20,30 - Isochrone
+ * - GET /api/search/stop/:stopId/station - Station of a stop with its platforms, bays and entrances
  * - GET /api/search/stop/:stopId/routes - Get all routes serving a stop
+ * - GET /api/search/stop/:stopId/departures?time=08:30&limit=10 - Next departures
  */
 
 const express = require('express');
 const router = express.Router();
-const { getDb, ROUTE_TYPES } = require('../db/offline-database');
+const { getDb, hasTable } = require('../db/offline-database');
+const {
+  planJourneys,
+  findReachableStops,
+  parseMaxTransfers,
+  parseModes,
+  parseList,
+  MAX_TRANSFERS_LIMIT,
+  DEFAULT_WALK_RADIUS_M,
+  PREFER_OPTIONS,
+  MODES
+} = require('../services/journey-planner');
+const { hasTimetable } = require('../services/timetable');
+const { findNearbyStops } = require('../services/stop-search');
+const { buildIsochrones } = require('../services/isochrone');
+const { GEOMETRY_FORMATS } = require('../services/shapes');
+const { transportType } = require('../services/transport-modes');
+const { stopType, getStationOf, getBoardingStops, getStation } = require('../services/stations');
+const { searchStopsByName, searchPlacesByName } = require('../services/text-search');
+const { getPlace } = require('../services/places');
+const { getRouteDirections, getPatternStops, formatVariant, VARIANT_NAMES } = require('../services/route-variants');
+const { parseClockTime, formatClockTime, SECONDS_PER_DAY } = require('../services/gtfs-time');
+const {
+  parseServiceDate,
+  formatServiceDate,
+  todayServiceDate,
+  nowInDubai,
+  previousServiceDate,
+  getActiveServices
+} = require('../services/service-calendar');
+
+// Longest first/last mile walk a client may ask for
+const MAX_WALK_RADIUS_M = 2000;
+
+// "sort" predates "prefer" and maps onto it
+const SORT_PREFERENCES = {
+  transfers: 'fewest_transfers',
+  duration: 'fastest'
+};
+
+// Reachability budget (minutes)
+const DEFAULT_REACH_MINUTES = 30;
+const MAX_REACH_MINUTES = 120;
+
+// Departures board size
+const DEFAULT_DEPARTURES = 10;
+const MAX_DEPARTURES = 50;
 
 /**
- * GET /api/search/stops?q=gold souq
- * Search for stops/stations by name (Fuzzy Search)
+ * GET /api/search/stops?q=gold souq&modes=metro,tram
+ * Search for stops/stations by name, Arabic name or alias (MOE, DXB),
+ * tolerating typos ("burjumn")
+ * Platforms and bays of a station are returned as the one station.
+ * Places (landmarks like "Dubai Mall" or "Rashid Hospital") matching the
+ * query come next to the stops in "places", each with its nearest stops.
+ * modes keeps only stops (and places near stops) served by those modes
+ * (bus, metro, tram, marine)
  */
 router.get('/stops', (req, res) => {
   try {
@@ -26,44 +84,32 @@ router.get('/stops', (req, res) => {
       });
     }
 
-    const db = getDb();
-    
-    // Split query into words and create fuzzy pattern
-    const words = q.trim().toLowerCase().split(/\s+/);
-    const fuzzyPattern = '%' + words.join('%') + '%';
-    
-    let stops = db.prepare(`
-      SELECT stop_id, stop_name, stop_lat, stop_lon, location_type
-      FROM stops 
-      WHERE LOWER(stop_name) LIKE ?
-      ORDER BY 
-        CASE 
-          WHEN LOWER(stop_name) LIKE ? THEN 1
-          WHEN LOWER(stop_name) LIKE ? THEN 2
-          ELSE 3
-        END,
-        LENGTH(stop_name)
-      LIMIT 20
-    `).all(fuzzyPattern, `%${words[0]}%`, fuzzyPattern);
-    
-    // If no results, try searching each word separately
-    if (stops.length === 0 && words.length > 1) {
-      stops = db.prepare(`
-        SELECT stop_id, stop_name, stop_lat, stop_lon, location_type
-        FROM stops 
-        WHERE LOWER(stop_name) LIKE ?
-        ORDER BY LENGTH(stop_name)
-        LIMIT 20
-      `).all(`%${words[0]}%`);
+    const modes = req.query.modes === undefined ? null : parseModes(req.query.modes);
+    if (modes === null && req.query.modes !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `"modes" must be a list of: ${Object.keys(MODES).join(', ')}`
+      });
     }
+
+    const db = getDb();
+    const stops = searchStopsByName(db, q, { routeTypes: modes });
+    const places = searchPlacesByName(db, q, { routeTypes: modes });
     
     res.json({
       success: true,
       count: stops.length,
       query: q,
+      ...(modes && { modes: Object.keys(MODES).filter(name => modes.includes(MODES[name])) }),
       data: stops.map(s => ({
         ...s,
-        type: s.location_type === 1 ? 'Station' : 'Stop'
+        type: stopType(s.location_type)
+      })),
+      places_count: places.length,
+      places: places.map(place => ({
+        ...place,
+        type: 'Place',
+        nearest_stops: place.nearest_stops.map(s => ({ ...s, type: stopType(s.location_type) }))
       }))
     });
   } catch (error) {
@@ -72,258 +118,271 @@ router.get('/stops', (req, res) => {
 });
 
 /**
- * GET /api/search/route?from=STOP_ID&to=STOP_ID
- * Journey Planner - Find routes from one stop to another
- * Returns direct routes and transfer routes (1 change)
+ * GET /api/search/place/:placeId
+ * Get a place (landmark) with its nearest stations and stops and the
+ * walk to each
+ */
+router.get('/place/:placeId', (req, res) => {
+  try {
+    const { placeId } = req.params;
+    const db = getDb();
+
+    const place = getPlace(db, placeId);
+    if (!place) {
+      return res.status(404).json({ success: false, error: 'Place not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...place,
+        type: 'Place',
+        nearest_stops: place.nearest_stops.map(s => ({ ...s, type: stopType(s.location_type) }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Read one end of a journey from the query: a stop ID, a place ID or a
+ * lat/lon pair
+ * Returns { endpoint, place } or { status, error }.
+ */
+function readEndpoint(db, query, side) {
+  const stopId = query[side];
+  const placeId = query[`${side}_place`];
+  const lat = query[`${side}_lat`];
+  const lon = query[`${side}_lon`];
+  const label = side === 'from' ? 'From' : 'To';
+
+  if (stopId) {
+    const stop = db.prepare('SELECT stop_id, stop_name, stop_lat, stop_lon FROM stops WHERE stop_id = ?').get(stopId);
+    if (!stop) {
+      return { status: 404, error: `${label} stop "${stopId}" not found` };
+    }
+    return { endpoint: { stopId }, place: { type: 'stop', ...stop } };
+  }
+
+  // A place is walked to from the stops linked to it (and any stop nearby)
+  if (placeId) {
+    const place = getPlace(db, placeId);
+    if (!place) {
+      return { status: 404, error: `${label} place "${placeId}" not found` };
+    }
+    const { nearest_stops, place_name_ar, ...details } = place;
+    return {
+      endpoint: {
+        lat: place.place_lat,
+        lon: place.place_lon,
+        name: place.place_name,
+        stopIds: nearest_stops.map(stop => stop.stop_id)
+      },
+      place: { type: 'place', ...details }
+    };
+  }
+
+  if (lat === undefined && lon === undefined) {
+    return {
+      status: 400,
+      error: `Provide "${side}" (stop ID), "${side}_place" (place ID) or "${side}_lat" and "${side}_lon"`
+    };
+  }
+
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { status: 400, error: `"${side}_lat" and "${side}_lon" must be valid coordinates` };
+  }
+
+  return {
+    endpoint: { lat: latitude, lon: longitude },
+    place: { type: 'location', lat: latitude, lon: longitude }
+  };
+}
+
+/**
+ * GET /api/search/route?from=STOP_ID&to=STOP_ID&max_transfers=3
+ * GET /api/search/route?from_lat=25.07&from_lon=55.14&to_lat=25.2&to_lon=55.27
+ * GET /api/search/route?from_place=dubai-mall&to_place=rashid-hospital
+ * GET /api/search/route?from=STOP_ID&to=STOP_ID&depart_at=08:30&date=2025-08-23 (or arrive_by=09:00)
+ * Journey Planner - Find routes between two stops, places or locations
+ * Locations are linked to nearby stops (within walk_radius meters) by walking legs;
+ * places also to their nearest stops (see /api/search/place/:placeId).
+ * With depart_at / arrive_by the timetable is used and every leg gets
+ * scheduled departure and arrival times. Only trips running on "date"
+ * (default today) are considered.
+ * Returns the journeys no other journey beats on duration, transfers and
+ * walking all at once (up to max_transfers), each with estimated in-vehicle,
+ * wait, walk and total minutes. Endpoints within walk_radius of each other
+ * (or at the same station) also get a walk-only journey (type "walk").
+ * Preferences: modes=bus,metro,tram,marine, max_walk_m=500, avoid_routes=F70,X28 and
+ * prefer=fewest_transfers|fastest|least_walking to rank the journeys
+ * (sort=transfers|duration still works as an alias of prefer).
+ * Every leg has its line (the route shape between the boarding and
+ * alighting stops) as an encoded polyline, or GeoJSON with geometry=geojson.
+ * Every journey has its Nol fare per card class (red, silver, gold,
+ * concession).
  */
 router.get('/route', (req, res) => {
   try {
-    const { from, to } = req.query;
-    
-    if (!from || !to) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Both "from" and "to" stop IDs are required' 
+    const { max_transfers, walk_radius, depart_at, arrive_by, date, sort, max_walk_m } = req.query;
+    const { geometry = 'polyline' } = req.query;
+
+    const maxTransfers = parseMaxTransfers(max_transfers);
+    if (maxTransfers === null) {
+      return res.status(400).json({
+        success: false,
+        error: `"max_transfers" must be a number between 0 and ${MAX_TRANSFERS_LIMIT}`
       });
     }
 
-    const db = getDb();
-    
-    // Get stop names for response
-    const fromStop = db.prepare('SELECT stop_id, stop_name, stop_lat, stop_lon FROM stops WHERE stop_id = ?').get(from);
-    const toStop = db.prepare('SELECT stop_id, stop_name, stop_lat, stop_lon FROM stops WHERE stop_id = ?').get(to);
-    
-    if (!fromStop) {
-      return res.status(404).json({ success: false, error: `From stop "${from}" not found` });
+    const walkRadius = walk_radius === undefined ? DEFAULT_WALK_RADIUS_M : parseInt(walk_radius);
+    if (isNaN(walkRadius) || walkRadius < 0 || walkRadius > MAX_WALK_RADIUS_M) {
+      return res.status(400).json({
+        success: false,
+        error: `"walk_radius" must be a number of meters between 0 and ${MAX_WALK_RADIUS_M}`
+      });
     }
-    if (!toStop) {
-      return res.status(404).json({ success: false, error: `To stop "${to}" not found` });
+
+    if (depart_at !== undefined && arrive_by !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use either "depart_at" or "arrive_by", not both'
+      });
     }
 
-    // ========== STEP 1: Find Direct Routes ==========
-    // Using the new stop_routes and pattern_stops tables
-    const directRoutes = db.prepare(`
-      SELECT DISTINCT 
-        r.route_id,
-        r.route_short_name,
-        r.route_long_name,
-        r.route_type,
-        r.route_color,
-        rp.pattern_id,
-        rp.direction_id,
-        rp.headsign,
-        ps1.stop_sequence as from_sequence,
-        ps2.stop_sequence as to_sequence
-      FROM stop_routes sr1
-      JOIN stop_routes sr2 ON sr1.route_id = sr2.route_id AND sr1.direction_id = sr2.direction_id
-      JOIN routes r ON sr1.route_id = r.route_id
-      JOIN route_patterns rp ON r.route_id = rp.route_id AND sr1.direction_id = rp.direction_id
-      JOIN pattern_stops ps1 ON rp.pattern_id = ps1.pattern_id AND ps1.stop_id = ?
-      JOIN pattern_stops ps2 ON rp.pattern_id = ps2.pattern_id AND ps2.stop_id = ?
-      WHERE sr1.stop_id = ? 
-        AND sr2.stop_id = ?
-        AND ps1.stop_sequence < ps2.stop_sequence
-      ORDER BY (ps2.stop_sequence - ps1.stop_sequence)
-      LIMIT 5
-    `).all(from, to, from, to);
-
-    if (directRoutes.length > 0) {
-      const formattedRoutes = directRoutes.map(r => {
-        // Get all stops between from and to for this route
-        const stopsOnRoute = db.prepare(`
-          SELECT 
-            ps.stop_sequence,
-            s.stop_id,
-            s.stop_name,
-            s.stop_lat,
-            s.stop_lon
-          FROM pattern_stops ps
-          JOIN stops s ON ps.stop_id = s.stop_id
-          WHERE ps.pattern_id = ? AND ps.stop_sequence >= ? AND ps.stop_sequence <= ?
-          ORDER BY ps.stop_sequence
-        `).all(r.pattern_id, r.from_sequence, r.to_sequence);
-
-        return {
-          type: 'direct',
-          legs: 1,
-          route_id: r.route_id,
-          route_name: r.route_short_name,
-          route_full_name: r.route_long_name,
-          transport_type: r.route_type === ROUTE_TYPES.METRO ? 'Metro' : 'Bus',
-          color: r.route_color,
-          direction_id: r.direction_id,
-          headsign: r.headsign,
-          from_stop: fromStop.stop_name,
-          to_stop: toStop.stop_name,
-          stops_count: r.to_sequence - r.from_sequence + 1,
-          stops: stopsOnRoute
-        };
+    const departAt = depart_at === undefined ? null : parseClockTime(depart_at);
+    const arriveBy = arrive_by === undefined ? null : parseClockTime(arrive_by);
+    if ((depart_at !== undefined && departAt === null) || (arrive_by !== undefined && arriveBy === null)) {
+      return res.status(400).json({
+        success: false,
+        error: '"depart_at" and "arrive_by" must be times like 08:30'
       });
+    }
 
-      return res.json({
-        success: true,
-        route_type: 'direct',
-        from: fromStop,
-        to: toStop,
-        count: formattedRoutes.length,
-        data: formattedRoutes
+    const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({
+        success: false,
+        error: '"date" must be a date like 2025-08-23'
       });
     }
 
-    // ========== STEP 2: Find Transfer Routes ==========
-    // Get all routes from origin stop
-    const fromRoutes = db.prepare(`
-      SELECT DISTINCT 
-        sr.route_id,
-        sr.direction_id,
-        r.route_short_name,
-        r.route_type,
-        r.route_color
-      FROM stop_routes sr
-      JOIN routes r ON sr.route_id = r.route_id
-      WHERE sr.stop_id = ?
-    `).all(from);
-
-    // Get all routes to destination stop  
-    const toRoutes = db.prepare(`
-      SELECT DISTINCT 
-        sr.route_id,
-        sr.direction_id,
-        r.route_short_name,
-        r.route_type,
-        r.route_color
-      FROM stop_routes sr
-      JOIN routes r ON sr.route_id = r.route_id
-      WHERE sr.stop_id = ?
-    `).all(to);
-
-    // Find transfer points
-    const transferRoutes = [];
-    
-    for (const fromRoute of fromRoutes) {
-      // Get all stops reachable from origin on this route
-      const fromPattern = db.prepare(`
-        SELECT pattern_id FROM route_patterns 
-        WHERE route_id = ? AND direction_id = ?
-      `).get(fromRoute.route_id, fromRoute.direction_id);
-
-      if (!fromPattern) continue;
-
-      // Get the sequence of origin stop
-      const fromSeq = db.prepare(`
-        SELECT stop_sequence FROM pattern_stops 
-        WHERE pattern_id = ? AND stop_id = ?
-      `).get(fromPattern.pattern_id, from);
-
-      if (!fromSeq) continue;
-
-      // Get all stops after origin on this route
-      const reachableStops = db.prepare(`
-        SELECT ps.stop_id, ps.stop_sequence, s.stop_name
-        FROM pattern_stops ps
-        JOIN stops s ON ps.stop_id = s.stop_id
-        WHERE ps.pattern_id = ? AND ps.stop_sequence > ?
-      `).all(fromPattern.pattern_id, fromSeq.stop_sequence);
-
-      // For each reachable stop, check if any toRoute serves it before destination
-      for (const stop of reachableStops) {
-        for (const toRoute of toRoutes) {
-          // Skip same route (already checked in direct)
-          if (toRoute.route_id === fromRoute.route_id) continue;
-
-          // Check if this stop is on the toRoute before the destination
-          const toPattern = db.prepare(`
-            SELECT pattern_id FROM route_patterns 
-            WHERE route_id = ? AND direction_id = ?
-          `).get(toRoute.route_id, toRoute.direction_id);
-
-          if (!toPattern) continue;
-
-          const transferSeq = db.prepare(`
-            SELECT stop_sequence FROM pattern_stops 
-            WHERE pattern_id = ? AND stop_id = ?
-          `).get(toPattern.pattern_id, stop.stop_id);
-
-          if (!transferSeq) continue;
-
-          const destSeq = db.prepare(`
-            SELECT stop_sequence FROM pattern_stops 
-            WHERE pattern_id = ? AND stop_id = ?
-          `).get(toPattern.pattern_id, to);
-
-          if (!destSeq || transferSeq.stop_sequence >= destSeq.stop_sequence) continue;
-
-          // Found a valid transfer!
-          transferRoutes.push({
-            transfer_stop_id: stop.stop_id,
-            transfer_stop_name: stop.stop_name,
-            route1: {
-              route_id: fromRoute.route_id,
-              route_name: fromRoute.route_short_name,
-              transport_type: fromRoute.route_type === ROUTE_TYPES.METRO ? 'Metro' : 'Bus',
-              color: fromRoute.route_color
-            },
-            route2: {
-              route_id: toRoute.route_id,
-              route_name: toRoute.route_short_name,
-              transport_type: toRoute.route_type === ROUTE_TYPES.METRO ? 'Metro' : 'Bus',
-              color: toRoute.route_color
-            }
-          });
-
-          if (transferRoutes.length >= 5) break;
-        }
-        if (transferRoutes.length >= 5) break;
-      }
-      if (transferRoutes.length >= 5) break;
-    }
-
-    if (transferRoutes.length > 0) {
-      const formattedTransfers = transferRoutes.map(t => ({
-        type: 'transfer',
-        legs: 2,
-        leg1: {
-          route_id: t.route1.route_id,
-          route_name: t.route1.route_name,
-          transport_type: t.route1.transport_type,
-          color: t.route1.color,
-          from: fromStop.stop_name,
-          to: t.transfer_stop_name
-        },
-        transfer_at: {
-          stop_id: t.transfer_stop_id,
-          stop_name: t.transfer_stop_name
-        },
-        leg2: {
-          route_id: t.route2.route_id,
-          route_name: t.route2.route_name,
-          transport_type: t.route2.transport_type,
-          color: t.route2.color,
-          from: t.transfer_stop_name,
-          to: toStop.stop_name
-        }
-      }));
+    if (sort !== undefined && !SORT_PREFERENCES[sort]) {
+      return res.status(400).json({
+        success: false,
+        error: `"sort" must be one of: ${Object.keys(SORT_PREFERENCES).join(', ')}`
+      });
+    }
+
+    const prefer = req.query.prefer ?? SORT_PREFERENCES[sort] ?? 'fewest_transfers';
+    if (!PREFER_OPTIONS.includes(prefer)) {
+      return res.status(400).json({
+        success: false,
+        error: `"prefer" must be one of: ${PREFER_OPTIONS.join(', ')}`
+      });
+    }
+
+    const modes = parseModes(req.query.modes);
+    if (modes === null) {
+      return res.status(400).json({
+        success: false,
+        error: `"modes" must be a list of: ${Object.keys(MODES).join(', ')}`
+      });
+    }
 
+    const maxWalk = max_walk_m === undefined ? Infinity : parseInt(max_walk_m);
+    if (isNaN(maxWalk) || maxWalk < 0) {
+      return res.status(400).json({
+        success: false,
+        error: '"max_walk_m" must be a number of meters'
+      });
+    }
+
+    const avoidRoutes = parseList(req.query.avoid_routes);
+
+    if (!GEOMETRY_FORMATS.includes(geometry)) {
+      return res.status(400).json({
+        success: false,
+        error: `"geometry" must be one of: ${GEOMETRY_FORMATS.join(', ')}`
+      });
+    }
+
+    const db = getDb();
+
+    if ((departAt !== null || arriveBy !== null) && !hasTimetable(db)) {
+      return res.status(503).json({
+        success: false,
+        error: 'Offline database has no timetable. Rebuild it with scripts/build-offline-db.js'
+      });
+    }
+
+    const from = readEndpoint(db, req.query, 'from');
+    if (from.error) {
+      return res.status(from.status).json({ success: false, error: from.error });
+    }
+    const to = readEndpoint(db, req.query, 'to');
+    if (to.error) {
+      return res.status(to.status).json({ success: false, error: to.error });
+    }
+
+    const journeys = planJourneys(db, {
+      from: from.endpoint,
+      to: to.endpoint,
+      maxTransfers,
+      walkRadius,
+      departAt,
+      arriveBy,
+      serviceDate,
+      modes,
+      maxWalk,
+      avoidRoutes,
+      prefer,
+      geometry
+    });
+
+    // Echo the requested time so clients can show "Leaving at 08:30"
+    const timing = {};
+    if (departAt !== null) timing.depart_at = depart_at;
+    if (arriveBy !== null) timing.arrive_by = arrive_by;
+    if (departAt !== null || arriveBy !== null) timing.date = formatServiceDate(serviceDate);
+
+    // Echo the preferences the journeys were planned with
+    const preferences = {
+      modes: Object.keys(MODES).filter(name => modes.includes(MODES[name])),
+      max_walk_m: max_walk_m === undefined ? null : maxWalk,
+      avoid_routes: avoidRoutes
+    };
+
+    if (journeys.length === 0) {
       return res.json({
         success: true,
-        route_type: 'transfer',
-        message: 'No direct route. Here are routes with 1 change:',
-        from: fromStop,
-        to: toStop,
-        count: formattedTransfers.length,
-        data: formattedTransfers
+        route_type: 'none',
+        message: 'No route found. These places may be too far apart or not connected by public transport.',
+        from: from.place,
+        to: to.place,
+        ...timing,
+        max_transfers: maxTransfers,
+        prefer,
+        preferences,
+        suggestion: 'Try searching for nearby stops, allow more transfers, more modes or a larger walk_radius.',
+        data: []
       });
     }
 
-    // ========== STEP 3: No Route Found ==========
-    return res.json({
+    res.json({
       success: true,
-      route_type: 'none',
-      message: 'No route found. These stops may be too far apart or not connected by public transport.',
-      from: fromStop,
-      to: toStop,
-      suggestion: 'Try searching for nearby stops or use Metro + Bus combination.',
-      data: []
+      route_type: journeys[0].type,
+      from: from.place,
+      to: to.place,
+      ...timing,
+      max_transfers: maxTransfers,
+      prefer,
+      preferences,
+      count: journeys.length,
+      data: journeys
     });
 
   } catch (error) {
@@ -332,6 +391,120 @@ router.get('/route', (req, res) => {
   }
 });
 
+/**
+ * GET /api/search/reachable?from=STOP_ID&max_minutes=30&max_transfers=1
+ * GET /api/search/reachable?from_lat=25.18&from_lon=55.26&max_minutes=45&bands=15,30,45
+ * GET /api/search/reachable?from_place=dubai-mall&max_minutes=30
+ * Isochrone - every stop reachable within max_minutes, with its best arrival
+ * and the transfers it takes. With a timetable the search leaves at
+ * depart_at (default now) on "date"; otherwise ride times are estimated.
+ * bands adds a GeoJSON FeatureCollection with one area per time band.
+ * modes=bus,metro,tram,marine limits the modes used.
+ */
+router.get('/reachable', (req, res) => {
+  try {
+    const { max_minutes, max_transfers, depart_at, date, bands } = req.query;
+
+    const maxMinutes = max_minutes === undefined ? DEFAULT_REACH_MINUTES : parseInt(max_minutes);
+    if (isNaN(maxMinutes) || maxMinutes <= 0 || maxMinutes > MAX_REACH_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        error: `"max_minutes" must be a number between 1 and ${MAX_REACH_MINUTES}`
+      });
+    }
+
+    const maxTransfers = parseMaxTransfers(max_transfers);
+    if (maxTransfers === null) {
+      return res.status(400).json({
+        success: false,
+        error: `"max_transfers" must be a number between 0 and ${MAX_TRANSFERS_LIMIT}`
+      });
+    }
+
+    const bandLimits = parseList(bands).map(value => parseInt(value));
+    if (bandLimits.some(limit => isNaN(limit) || limit <= 0 || limit > maxMinutes)) {
+      return res.status(400).json({
+        success: false,
+        error: '"bands" must be a list of minutes up to "max_minutes", like 10,20,30'
+      });
+    }
+
+    const modes = parseModes(req.query.modes);
+    if (modes === null) {
+      return res.status(400).json({
+        success: false,
+        error: `"modes" must be a list of: ${Object.keys(MODES).join(', ')}`
+      });
+    }
+
+    const departAt = depart_at === undefined ? null : parseClockTime(depart_at);
+    if (depart_at !== undefined && departAt === null) {
+      return res.status(400).json({
+        success: false,
+        error: '"depart_at" must be a time like 08:30'
+      });
+    }
+
+    const serviceDate = date === undefined ? todayServiceDate() : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({
+        success: false,
+        error: '"date" must be a date like 2025-08-23'
+      });
+    }
+
+    const db = getDb();
+
+    if (departAt !== null && !hasTimetable(db)) {
+      return res.status(503).json({
+        success: false,
+        error: 'Offline database has no timetable. Rebuild it with scripts/build-offline-db.js'
+      });
+    }
+
+    const from = readEndpoint(db, req.query, 'from');
+    if (from.error) {
+      return res.status(from.status).json({ success: false, error: from.error });
+    }
+
+    // Leave now unless told otherwise, when there is a timetable to follow
+    let leaveAt = departAt;
+    if (leaveAt === null && hasTimetable(db)) {
+      leaveAt = nowInDubai().seconds;
+    }
+
+    const stops = findReachableStops(db, {
+      from: from.endpoint,
+      maxMinutes,
+      maxTransfers,
+      departAt: leaveAt,
+      serviceDate,
+      modes
+    });
+
+    const timing = {};
+    if (leaveAt !== null) {
+      timing.depart_at = formatClockTime(leaveAt);
+      timing.date = formatServiceDate(serviceDate);
+    }
+
+    res.json({
+      success: true,
+      from: from.place,
+      ...timing,
+      max_minutes: maxMinutes,
+      max_transfers: maxTransfers,
+      count: stops.length,
+      data: stops,
+      ...(bandLimits.length > 0 && { geojson: buildIsochrones(stops, bandLimits) })
+    });
+
+  } catch (error) {
+    console.error('Reachable search error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/search/route/:routeId/details
  * Get full details of a route (for when user clicks on a journey result)
@@ -353,28 +526,10 @@ router.get('/route/:routeId/details', (req, res) => {
       return res.status(404).json({ success: false, error: `Route "${routeId}" not found` });
     }
 
-    // Get patterns for this route
-    const patterns = db.prepare(`
-      SELECT pattern_id, direction_id, headsign, first_stop_id, last_stop_id, total_stops
-      FROM route_patterns 
-      WHERE route_id = ?
-      ORDER BY direction_id
-    `).all(route.route_id);
-
-    // Get stops for each direction
-    const directions = patterns.map(pattern => {
-      const stops = db.prepare(`
-        SELECT 
-          ps.stop_sequence,
-          s.stop_id,
-          s.stop_name,
-          s.stop_lat,
-          s.stop_lon
-        FROM pattern_stops ps
-        JOIN stops s ON ps.stop_id = s.stop_id
-        WHERE ps.pattern_id = ?
-        ORDER BY ps.stop_sequence
-      `).all(pattern.pattern_id);
+    // Get stops for each direction (main pattern + variants)
+    const directions = getRouteDirections(db, route.route_id).map(direction => {
+      const pattern = direction.main;
+      const stops = getPatternStops(db, pattern.pattern_id);
 
       const firstStop = stops[0];
       const lastStop = stops[stops.length - 1];
@@ -386,7 +541,13 @@ router.get('/route/:routeId/details', (req, res) => {
         from: firstStop?.stop_name || '',
         to: lastStop?.stop_name || '',
         total_stops: stops.length,
-        stops: stops
+        pattern_id: pattern.pattern_id,
+        trip_count: pattern.trip_count,
+        stops: stops,
+        variants: direction.variants.map(variant => {
+          const variantStops = getPatternStops(db, variant.pattern_id);
+          return { ...formatVariant(variant, variantStops, direction.trip_count), stops: variantStops };
+        })
       };
     });
 
@@ -396,7 +557,7 @@ router.get('/route/:routeId/details', (req, res) => {
         route_id: route.route_id,
         route_name: route.route_short_name,
         route_full_name: route.route_long_name,
-        transport_type: route.route_type === ROUTE_TYPES.METRO ? 'Metro' : 'Bus',
+        transport_type: transportType(route.route_type),
         color: route.route_color,
         directions: directions
       }
@@ -406,9 +567,39 @@ router.get('/route/:routeId/details', (req, res) => {
   }
 });
 
+/**
+ * GET /api/search/stop/:stopId/station
+ * Get the station of a stop (or the station itself) with its platforms,
+ * bus bays and entrances
+ */
+router.get('/stop/:stopId/station', (req, res) => {
+  try {
+    const { stopId } = req.params;
+    const db = getDb();
+
+    const stop = db.prepare('SELECT stop_id FROM stops WHERE stop_id = ?').get(stopId);
+    if (!stop) {
+      return res.status(404).json({ success: false, error: 'Stop not found' });
+    }
+
+    const station = getStationOf(db, stopId);
+    if (!station) {
+      return res.status(404).json({ success: false, error: `Stop "${stopId}" is not part of a station` });
+    }
+
+    res.json({
+      success: true,
+      data: getStation(db, station.stop_id)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/search/stop/:stopId/routes
  * Find all buses/metros passing through a specific stop
+ * (any platform or bay of its station)
  */
 router.get('/stop/:stopId/routes', (req, res) => {
   try {
@@ -425,39 +616,198 @@ router.get('/stop/:stopId/routes', (req, res) => {
       return res.status(404).json({ success: false, error: 'Stop not found' });
     }
 
-    // Get all routes passing this stop using stop_routes table
-    const routes = db.prepare(`
+    const boardingStops = getBoardingStops(db, stopId);
+    const station = getStationOf(db, stopId);
+
+    // Get all route variants passing this stop, busiest variant first
+    const patterns = db.prepare(`
       SELECT DISTINCT 
+        ps.stop_id,
         r.route_id,
         r.route_short_name,
         r.route_long_name,
         r.route_type,
         r.route_color,
-        sr.direction_id,
-        rp.headsign
-      FROM stop_routes sr
-      JOIN routes r ON sr.route_id = r.route_id
-      LEFT JOIN route_patterns rp ON r.route_id = rp.route_id AND sr.direction_id = rp.direction_id
-      WHERE sr.stop_id = ?
-      ORDER BY r.route_type, r.route_short_name
-    `).all(stopId);
+        rp.direction_id,
+        rp.pattern_id,
+        rp.headsign,
+        rp.variant,
+        rp.trip_count
+      FROM pattern_stops ps
+      JOIN route_patterns rp ON ps.pattern_id = rp.pattern_id
+      JOIN routes r ON rp.route_id = r.route_id
+      WHERE ps.stop_id IN (${boardingStops.map(() => '?').join(', ')})
+      ORDER BY r.route_type, r.route_short_name, rp.direction_id, rp.trip_count DESC
+    `).all(...boardingStops);
+
+    // One entry per route direction, listing the variants that stop here
+    const routes = [];
+    for (const pattern of patterns) {
+      const previous = routes[routes.length - 1];
+      if (previous && previous.route_id === pattern.route_id && previous.direction_id === pattern.direction_id) {
+        previous.variants.push(pattern);
+      } else {
+        routes.push({ ...pattern, variants: [pattern] });
+      }
+    }
 
     res.json({
       success: true,
       data: {
         stop: {
           ...stop,
-          type: stop.location_type === 1 ? 'Station' : 'Stop'
+          type: stopType(stop.location_type)
         },
+        station: station && { ...station, type: stopType(station.location_type) },
         routes_count: routes.length,
         routes: routes.map(r => ({
           route_id: r.route_id,
           route_name: r.route_short_name,
           route_full_name: r.route_long_name,
-          transport_type: r.route_type === ROUTE_TYPES.METRO ? 'Metro' : 'Bus',
+          transport_type: transportType(r.route_type),
           color: r.route_color,
           direction_id: r.direction_id,
-          headsign: r.headsign
+          headsign: r.headsign,
+          variants: r.variants.map(variant => ({
+            pattern_id: variant.pattern_id,
+            stop_id: variant.stop_id,
+            variant: variant.variant,
+            variant_name: VARIANT_NAMES[variant.variant] || variant.variant,
+            headsign: variant.headsign,
+            trip_count: variant.trip_count
+          }))
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/search/stop/:stopId/departures?time=08:30&limit=10&date=2025-08-23
+ * Upcoming scheduled departures at a stop (default: from now, today),
+ * from every platform and bay of its station
+ */
+router.get('/stop/:stopId/departures', (req, res) => {
+  try {
+    const { stopId } = req.params;
+    const { time, date, limit } = req.query;
+
+    const now = nowInDubai();
+    const fromSecs = time === undefined ? now.seconds : parseClockTime(time);
+    if (fromSecs === null) {
+      return res.status(400).json({ success: false, error: '"time" must be a time like 08:30' });
+    }
+
+    const serviceDate = date === undefined ? now.serviceDate : parseServiceDate(date);
+    if (serviceDate === null) {
+      return res.status(400).json({ success: false, error: '"date" must be a date like 2025-08-23' });
+    }
+
+    const maxResults = limit === undefined ? DEFAULT_DEPARTURES : parseInt(limit);
+    if (isNaN(maxResults) || maxResults < 1 || maxResults > MAX_DEPARTURES) {
+      return res.status(400).json({
+        success: false,
+        error: `"limit" must be a number between 1 and ${MAX_DEPARTURES}`
+      });
+    }
+
+    const db = getDb();
+
+    if (!hasTable(db, 'pattern_trips')) {
+      return res.status(503).json({
+        success: false,
+        error: 'Offline database has no timetable. Rebuild it with scripts/build-offline-db.js'
+      });
+    }
+
+    const stop = db.prepare(`
+      SELECT stop_id, stop_name, stop_lat, stop_lon, location_type
+      FROM stops WHERE stop_id = ?
+    `).get(stopId);
+
+    if (!stop) {
+      return res.status(404).json({ success: false, error: 'Stop not found' });
+    }
+
+    // Every platform and bay of the stop's station departs here
+    const boardingStops = getBoardingStops(db, stopId);
+    const stopFilter = `ps.stop_id IN (${boardingStops.map(() => '?').join(', ')})`;
+
+    // Departure time = trip start + the stop's offset along the pattern.
+    // The last stop of a pattern only has arrivals, so it is skipped.
+    const findDepartures = (services, dayShift) => {
+      const serviceFilter = services
+        ? `AND pt.service_id IN (${[...services].map(() => '?').join(',') || 'NULL'})`
+        : '';
+
+      return db.prepare(`
+        SELECT
+          pt.trip_id,
+          pt.start_secs + ps.departure_offset - ? AS departure_secs,
+          r.route_id,
+          r.route_short_name,
+          r.route_long_name,
+          r.route_type,
+          r.route_color,
+          rp.direction_id,
+          rp.headsign,
+          rp.variant,
+          ps.stop_id,
+          platform.stop_name AS platform_name,
+          last.stop_name AS last_stop_name
+        FROM pattern_stops ps
+        JOIN pattern_trips pt ON pt.pattern_id = ps.pattern_id
+        JOIN route_patterns rp ON rp.pattern_id = ps.pattern_id
+        JOIN routes r ON r.route_id = rp.route_id
+        JOIN stops platform ON platform.stop_id = ps.stop_id
+        LEFT JOIN stops last ON last.stop_id = rp.last_stop_id
+        WHERE ${stopFilter}
+          AND ps.stop_sequence < (
+            SELECT MAX(stop_sequence) FROM pattern_stops WHERE pattern_id = ps.pattern_id
+          )
+          AND pt.start_secs + ps.departure_offset - ? >= ?
+          ${serviceFilter}
+        ORDER BY departure_secs
+        LIMIT ?
+      `).all(dayShift, ...boardingStops, dayShift, fromSecs, ...(services || []), maxResults);
+    };
+
+    // Trips from the previous service day can still be running after midnight
+    const today = getActiveServices(db, serviceDate);
+    const yesterday = today && getActiveServices(db, previousServiceDate(serviceDate));
+
+    const departures = [
+      ...findDepartures(today, 0),
+      ...(yesterday ? findDepartures(yesterday, SECONDS_PER_DAY) : [])
+    ]
+      .sort((a, b) => a.departure_secs - b.departure_secs)
+      .slice(0, maxResults);
+
+    res.json({
+      success: true,
+      data: {
+        stop: {
+          ...stop,
+          type: stopType(stop.location_type)
+        },
+        date: formatServiceDate(serviceDate),
+        time: formatClockTime(fromSecs),
+        departures_count: departures.length,
+        departures: departures.map(d => ({
+          trip_id: d.trip_id,
+          route_id: d.route_id,
+          route_name: d.route_short_name,
+          route_full_name: d.route_long_name,
+          transport_type: transportType(d.route_type),
+          color: d.route_color,
+          direction_id: d.direction_id,
+          headsign: d.headsign || (d.last_stop_name ? `To ${d.last_stop_name}` : ''),
+          variant: d.variant,
+          platform: { stop_id: d.stop_id, stop_name: d.platform_name },
+          scheduled_time: formatClockTime(d.departure_secs),
+          minutes_until: Math.floor((d.departure_secs - fromSecs) / 60)
         }))
       }
     });
@@ -484,43 +834,12 @@ router.get('/nearby', (req, res) => {
     const db = getDb();
     const latitude = parseFloat(lat);
     const longitude = parseFloat(lon);
-    const radiusKm = parseFloat(radius) / 1000;
-
-    // Approximate degree conversion (1 degree ≈ 111km at equator)
-    const latDelta = radiusKm / 111;
-    const lonDelta = radiusKm / (111 * Math.cos(latitude * Math.PI / 180));
-
-    const stops = db.prepare(`
-      SELECT 
-        stop_id, 
-        stop_name, 
-        stop_lat, 
-        stop_lon, 
-        location_type
-      FROM stops 
-      WHERE stop_lat BETWEEN ? AND ?
-        AND stop_lon BETWEEN ? AND ?
-      ORDER BY 
-        ((stop_lat - ?) * (stop_lat - ?) + (stop_lon - ?) * (stop_lon - ?))
-      LIMIT 20
-    `).all(
-      latitude - latDelta, latitude + latDelta,
-      longitude - lonDelta, longitude + lonDelta,
-      latitude, latitude, longitude, longitude
-    );
-
-    // Calculate approximate distance for each stop
-    const stopsWithDistance = stops.map(stop => {
-      const dLat = (stop.stop_lat - latitude) * 111;
-      const dLon = (stop.stop_lon - longitude) * 111 * Math.cos(latitude * Math.PI / 180);
-      const distance = Math.sqrt(dLat * dLat + dLon * dLon) * 1000; // meters
 
-      return {
+    const stopsWithDistance = findNearbyStops(db, latitude, longitude, parseFloat(radius))
+      .map(stop => ({
         ...stop,
-        type: stop.location_type === 1 ? 'Station' : 'Stop',
-        distance_meters: Math.round(distance)
-      };
-    });
+        type: stopType(stop.location_type)
+      }));
 
     res.json({
       success: true,
@@ -0,0 +1,19 @@
+/**
+ * Tram Routes API
+ * Dubai Tram lines (GTFS route_type 0), with the same endpoints as buses
+ * 
+ * Endpoints:
+ * - GET /api/tram - Get all tram lines
+ * - GET /api/tram/search?q=T1 - Search tram lines by number or name
+ * - GET /api/tram/:lineNumber?date=2025-08-23&geometry=geojson - Line details with directions, frequencies and route lines
+ * - GET /api/tram/:lineNumber/stops?direction=0&variant=12 - Stops of a direction (or variant)
+ * - GET /api/tram/:lineNumber/timetable?direction=0&date=2025-08-23 - Trip times for a day
+ */
+
+const { ROUTE_TYPES } = require('../db/offline-database');
+const { createLineRouter } = require('./line-router');
+
+module.exports = createLineRouter({
+  routeType: ROUTE_TYPES.TRAM,
+  label: 'Tram line'
+});
@@ -0,0 +1,79 @@
+/**
+ * Updates Routes API
+ * Offline database releases (data/app-version.json, written by the pipeline)
+ * Only a manifest apps would accept (current schema, signed by a trusted
+ * key) counts as published.
+ *
+ * Endpoints:
+ * - GET /api/updates/latest - Signed release manifest the app checks for a new offline database
+ * - GET /api/updates/changelog?route=8 - What changed in the latest release (optionally for one route)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { filterDiffByRoute, describeChanges } = require('../services/releases');
+const { readPublishedManifest } = require('../services/release-signing');
+
+/**
+ * GET /api/updates/latest
+ * The signed release manifest: version, database and delta downloads
+ * with their SHA-256 hashes, min_app_version and the changelog. Sent
+ * whole, as the signature covers every field.
+ */
+router.get('/latest', (req, res) => {
+  try {
+    const manifest = readPublishedManifest();
+    if (!manifest) {
+      return res.status(404).json({ success: false, error: 'No release published yet' });
+    }
+
+    res.json({
+      success: true,
+      data: manifest
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/updates/changelog?route=8
+ * Changes since the previous release: rider-facing lines plus the
+ * structured diff (routes, stops, patterns and metro stations).
+ * route (route_id, number or metro line name) keeps only that route's
+ * changes.
+ */
+router.get('/changelog', (req, res) => {
+  try {
+    const manifest = readPublishedManifest();
+    if (!manifest) {
+      return res.status(404).json({ success: false, error: 'No release published yet' });
+    }
+
+    const route = req.query.route ? String(req.query.route).trim() : null;
+    let diff = manifest.diff || null;
+    let changelog = manifest.changelog || [];
+
+    if (route && diff) {
+      diff = filterDiffByRoute(diff, route);
+      changelog = describeChanges(diff);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: manifest.version,
+        gtfs_date: manifest.gtfs_date,
+        updated_at: manifest.updated_at,
+        route,
+        changes: manifest.changes,
+        changelog,
+        diff
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -14,35 +14,35 @@
  * 
  * What this script does:
  *   1. Check Dubai Pulse for new GTFS data
- *   2. Download if new data available
- *   3. Import to full database
- *   4. Build optimized offline database (1.34 MB)
- *   5. Generate app-version.json for mobile app update checks
+ *   2. If there is, run the ingestion pipeline (scripts/pipeline.js):
+ *      download, extract, validate, import to the full database, build
+ *      the optimized offline database, diff it against the previous one
+ *      and generate the signed app-version.json (with the changelog) for
+ *      mobile app update checks
  */
 
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const crypto = require('crypto');
+const { runPipeline, LAST_RUN_PATH } = require('./pipeline');
+const { DUBAI_PULSE_GTFS_URL } = require('../services/gtfs-source');
 
 // Paths
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const DB_DIR = path.join(__dirname, '..', 'db');
 const VERSION_FILE = path.join(DATA_DIR, 'version.json');
-const APP_VERSION_FILE = path.join(DATA_DIR, 'app-version.json'); // For mobile app
 const GTFS_7Z_PATH = path.join(DATA_DIR, 'gtfs.7z');
-const OFFLINE_DB_PATH = path.join(DB_DIR, 'dubai_transit_offline.db');
 
 // Dubai Pulse GTFS URL
-const GTFS_URL = 'https://www.dubaipulse.gov.ae/dataset/73765e8f-e8c4-443c-9687-288072ed9d12/resource/11515bd3-bdba-466f-ab65-f057bd123ab5/download/gtfs.7z';
+const GTFS_URL = DUBAI_PULSE_GTFS_URL;
 
 /**
- * Get file hash (MD5)
+ * Get file hash (SHA-256)
  */
 function getFileHash(filePath) {
   if (!fs.existsSync(filePath)) return null;
   const content = fs.readFileSync(filePath);
-  return crypto.createHash('md5').update(content).digest('hex');
+  return crypto.createHash('sha256').update(content).digest('hex');
 }
 
 /**
@@ -62,14 +62,6 @@ function saveVersion(data) {
   fs.writeFileSync(VERSION_FILE, JSON.stringify(data, null, 2));
 }
 
-/**
- * Save app version info (for mobile app update checks)
- */
-function saveAppVersion(data) {
-  fs.writeFileSync(APP_VERSION_FILE, JSON.stringify(data, null, 2));
-  console.log(`\n📱 App version file saved: ${APP_VERSION_FILE}`);
-}
-
 /**
  * Check remote file size (HEAD request)
  */
@@ -108,55 +100,6 @@ async function getRemoteFileInfo(url) {
   });
 }
 
-/**
- * Build offline database
- */
-function buildOfflineDatabase() {
-  console.log('\n📦 Building optimized offline database...\n');
-  
-  const { execSync } = require('child_process');
-  execSync('node scripts/build-offline-db.js', { 
-    cwd: path.join(__dirname, '..'),
-    stdio: 'inherit'
-  });
-  
-  // Get offline DB size
-  if (fs.existsSync(OFFLINE_DB_PATH)) {
-    const stats = fs.statSync(OFFLINE_DB_PATH);
-    const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-    console.log(`\n✅ Offline database built: ${sizeMB} MB`);
-    return {
-      size: stats.size,
-      sizeMB: parseFloat(sizeMB),
-      hash: getFileHash(OFFLINE_DB_PATH)
-    };
-  }
-  return null;
-}
-
-/**
- * Generate app version JSON for mobile app update checks
- */
-function generateAppVersion(version, offlineDbInfo, gtfsDate) {
-  const appVersion = {
-    version: version,
-    gtfs_date: gtfsDate,
-    updated_at: new Date().toISOString(),
-    database: {
-      filename: 'dubai_transit_offline.db',
-      size_bytes: offlineDbInfo.size,
-      size_mb: offlineDbInfo.sizeMB,
-      hash: offlineDbInfo.hash,
-      download_url: '' // You'll set this when you host the file
-    },
-    changes: `Updated with GTFS data from ${gtfsDate}`,
-    min_app_version: '1.0.0'
-  };
-  
-  saveAppVersion(appVersion);
-  return appVersion;
-}
-
 /**
  * Main update check
  */
@@ -201,60 +144,44 @@ async function main() {
     
     console.log('\n🆕 New GTFS data available! Starting update...\n');
     
-    // Delete old file to force fresh download
-    if (fs.existsSync(GTFS_7Z_PATH)) {
-      fs.unlinkSync(GTFS_7Z_PATH);
+    // Run the whole pipeline on a fresh download
+    const report = await runPipeline({ input: GTFS_URL });
+    if (report.status !== 'success') {
+      throw new Error(report.error);
     }
-    
-    // Step 1: Run the download and import script (full database)
-    console.log('📥 Step 1/2: Downloading and importing GTFS data...\n');
-    const { execSync } = require('child_process');
-    execSync('node scripts/download-and-import.js', { 
-      cwd: path.join(__dirname, '..'),
-      stdio: 'inherit'
-    });
-    
-    // Step 2: Build offline database
-    console.log('\n📦 Step 2/2: Building optimized offline database...\n');
-    const offlineDbInfo = buildOfflineDatabase();
-    
-    // Get new hash
-    const newHash = getFileHash(GTFS_7Z_PATH);
-    
-    // Extract date from GTFS folder name or use current date
-    const gtfsFolders = fs.readdirSync(path.join(DATA_DIR, 'gtfs')).filter(f => f.startsWith('GTFS_'));
-    const latestGtfs = gtfsFolders.sort().pop() || 'GTFS_' + new Date().toISOString().split('T')[0].replace(/-/g, '');
-    const gtfsDate = latestGtfs.replace('GTFS_', '');
+    const { archive, gtfs_date: gtfsDate, offline_db: offlineDb, size_bytes: offlineSize, sha256 } = report.artifacts;
     
     // Save new version
     const newVersion = {
-      version: (currentVersion.version || 0) + 1,
+      version: report.artifacts.version,
       lastUpdate: new Date().toISOString(),
       gtfsDate: gtfsDate,
-      hash: newHash,
+      hash: getFileHash(archive),
       remoteSize: remoteInfo.size,
       remoteLastModified: remoteInfo.lastModified,
-      offlineDb: offlineDbInfo
+      offlineDb: {
+        size: offlineSize,
+        sizeMB: parseFloat((offlineSize / (1024 * 1024)).toFixed(2)),
+        sha256
+      },
+      report: path.relative(path.join(__dirname, '..'), LAST_RUN_PATH)
     };
     saveVersion(newVersion);
     
-    // Generate app version file for mobile apps
-    if (offlineDbInfo) {
-      generateAppVersion(newVersion.version, offlineDbInfo, gtfsDate);
-    }
-    
     console.log('\n' + '='.repeat(50));
     console.log('✅ UPDATE COMPLETE!');
     console.log('='.repeat(50));
     console.log(`📦 New Version: ${newVersion.version}`);
     console.log(`📅 GTFS Date: ${gtfsDate}`);
-    console.log(`📱 Offline DB: ${offlineDbInfo?.sizeMB || 'N/A'} MB`);
+    console.log(`📱 Offline DB: ${newVersion.offlineDb.sizeMB} MB (${offlineDb})`);
+    if (report.artifacts.changelog) {
+      console.log(`📝 Changelog: ${report.artifacts.changelog}`);
+    }
     console.log('');
     console.log('📋 Next Steps:');
-    console.log('   1. Upload dubai_transit_offline.db to your hosting');
-    console.log('   2. Update download_url in app-version.json');
-    console.log('   3. Upload app-version.json to your hosting');
-    console.log('   4. Mobile apps will detect the update!');
+    console.log(`   1. Upload ${report.config.releases_dir} (database + deltas) to your hosting`);
+    console.log('   2. Upload app-version.json to your hosting (set base_url in pipeline.config.json once)');
+    console.log('   3. Mobile apps will detect the update and download only the changes!');
     console.log('='.repeat(50));
     
     return { updated: true, version: newVersion };
@@ -5,6 +5,22 @@
  * for offline journey planning, dramatically reducing database size.
  * 
  * Usage: node scripts/build-offline-db.js
+ *        GTFS_DIR=data/gtfs/GTFS_20250823 node scripts/build-offline-db.js
+ *        WALK_RADIUS_M=300 node scripts/build-offline-db.js
+ *        SHAPE_TOLERANCE_M=5 node scripts/build-offline-db.js
+ *        STATION_RADIUS_M=200 node scripts/build-offline-db.js
+ *        PLACE_STOP_RADIUS_M=600 node scripts/build-offline-db.js
+ *        GTFS_VALIDATION=warning node scripts/build-offline-db.js
+ * 
+ * Reads the newest extracted feed in data/gtfs unless GTFS_DIR says
+ * otherwise; OFFLINE_DB_PATH changes where the database is written. The
+ * feed is validated first (scripts/validate-gtfs.js) and nothing is
+ * built when a check at the GTFS_VALIDATION severity (error, warning,
+ * info, none or off; default error) finds anything. The ingestion
+ * pipeline (scripts/pipeline.js) runs this as its build stage.
+ * 
+ * The database is built next to the target and renamed into place when
+ * complete, so a running server never opens a half-built file.
  * 
  * Output: ~3-5 MB database (down from 274 MB!)
  */
@@ -12,27 +28,99 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
+const { spawnSync } = require('child_process');
+const { distanceMeters, walkingDistanceMeters, walkingSeconds } = require('../services/geo');
+const { parseGtfsTime } = require('../services/gtfs-time');
+const { encodePolyline, simplifyLine, snapStopsToShape } = require('../services/shapes');
+const { loadNolFares, nearestZone } = require('../services/fares');
+const { LOCATION_TYPES, stationName } = require('../services/stations');
+const {
+  loadLocalTranslations,
+  createTranslator,
+  translateStopName,
+  translateHeadsign,
+  TRANSLATIONS_AR_PATH
+} = require('../services/translations');
+const { loadSearchAliases, normalizeSearchText, NAME_SEPARATOR } = require('../services/text-search');
+const { loadPlaces } = require('../services/places');
+const { forEachGtfsRow, readGtfsFile, latestGtfsDir } = require('../services/gtfs-feed');
 
-// Paths
-const GTFS_DIR = path.join(__dirname, '..', 'data', 'gtfs', 'GTFS_20250823');
-const OFFLINE_DB_PATH = path.join(__dirname, '..', 'db', 'dubai_transit_offline.db');
+// Paths (the feed defaults to the newest one in data/gtfs)
+const GTFS_DIR = process.env.GTFS_DIR ? path.resolve(process.env.GTFS_DIR) : latestGtfsDir();
+const OFFLINE_DB_PATH = process.env.OFFLINE_DB_PATH
+  ? path.resolve(process.env.OFFLINE_DB_PATH)
+  : path.join(__dirname, '..', 'db', 'dubai_transit_offline.db');
+const BUILD_DB_PATH = path.join(path.dirname(OFFLINE_DB_PATH), `building-${path.basename(OFFLINE_DB_PATH)}`);
 
 // Route types
 const ROUTE_TYPES = {
+  TRAM: 0,
   METRO: 1,
-  BUS: 3
+  BUS: 3,
+  FERRY: 4
+};
+
+// Stops closer than this (straight line) get a walking footpath between them
+const WALK_RADIUS_M = parseInt(process.env.WALK_RADIUS_M) || 400;
+
+// Platforms and bays sharing a station name are grouped when this close
+const STATION_RADIUS_M = parseInt(process.env.STATION_RADIUS_M) || 300;
+
+// Time to change platform or bay within a station on top of the walk
+// (stairs and concourse at rail stations, crossing the bus station)
+const PLATFORM_CHANGE_SECS = {
+  [ROUTE_TYPES.TRAM]: 120,
+  [ROUTE_TYPES.METRO]: 180,
+  [ROUTE_TYPES.BUS]: 60,
+  [ROUTE_TYPES.FERRY]: 60
 };
 
+// Places are linked to up to PLACE_STOP_LIMIT served stops within this
+// walk, else to the nearest one within MAX_PLACE_WALK_M
+const PLACE_STOP_RADIUS_M = parseInt(process.env.PLACE_STOP_RADIUS_M) || 800;
+const PLACE_STOP_LIMIT = 5;
+const MAX_PLACE_WALK_M = 2000;
+
+// Route shapes are simplified until no point is further than this from the line
+const SHAPE_TOLERANCE_M = parseFloat(process.env.SHAPE_TOLERANCE_M) || 10;
+
+// Time bands (hours) for frequency summaries: early, AM peak, midday, PM peak, evening
+const FREQUENCY_BAND_HOURS = [0, 6, 10, 16, 20, 48];
+
 console.log('🚀 Building Optimized Offline Database...\n');
 
-// Delete old database if exists
-if (fs.existsSync(OFFLINE_DB_PATH)) {
-  fs.unlinkSync(OFFLINE_DB_PATH);
-  console.log('🗑️  Old offline database deleted');
+if (!GTFS_DIR || !fs.existsSync(path.join(GTFS_DIR, 'routes.txt'))) {
+  console.error(`❌ No GTFS feed found${GTFS_DIR ? ` in ${GTFS_DIR}` : ' in data/gtfs'}`);
+  console.error('   Run the pipeline first: npm run pipeline');
+  process.exit(1);
+}
+console.log(`📂 GTFS feed: ${GTFS_DIR}`);
+
+// Validate the feed before the old database is replaced
+const GTFS_VALIDATION = process.env.GTFS_VALIDATION || 'error';
+if (GTFS_VALIDATION !== 'off') {
+  const validation = spawnSync(process.execPath, [
+    path.join(__dirname, 'validate-gtfs.js'), GTFS_DIR, '--fail-on', GTFS_VALIDATION
+  ], { stdio: 'inherit' });
+  
+  if (validation.status !== 0) {
+    console.error('\n❌ Feed failed validation, offline database not rebuilt');
+    console.error('   See data/pipeline/validation.html, or build anyway: GTFS_VALIDATION=none');
+    process.exit(1);
+  }
+  console.log('');
+}
+
+// Delete what a failed build left behind; the old database stays in
+// place until the new one is complete
+function removeBuildFiles() {
+  for (const suffix of ['', '-wal', '-shm']) {
+    fs.rmSync(BUILD_DB_PATH + suffix, { force: true });
+  }
 }
+removeBuildFiles();
 
-const db = new Database(OFFLINE_DB_PATH);
+const db = new Database(BUILD_DB_PATH);
 db.pragma('journal_mode = WAL');
 
 // =====================================================
@@ -46,6 +134,7 @@ db.exec(`
     route_id TEXT PRIMARY KEY,
     route_short_name TEXT NOT NULL,
     route_long_name TEXT,
+    route_long_name_ar TEXT,
     route_type INTEGER NOT NULL,
     route_color TEXT
   );
@@ -57,19 +146,23 @@ db.exec(`
     stop_name_ar TEXT,
     stop_lat REAL NOT NULL,
     stop_lon REAL NOT NULL,
-    location_type INTEGER DEFAULT 0
+    location_type INTEGER DEFAULT 0,
+    parent_station TEXT,
+    zone_id TEXT
   );
 
-  -- Route patterns (one per direction per route)
+  -- Route patterns (one per distinct stop sequence of a route direction)
   CREATE TABLE IF NOT EXISTS route_patterns (
     pattern_id INTEGER PRIMARY KEY AUTOINCREMENT,
     route_id TEXT NOT NULL,
     direction_id INTEGER NOT NULL,
     headsign TEXT,
+    headsign_ar TEXT,
     first_stop_id TEXT,
     last_stop_id TEXT,
     total_stops INTEGER,
-    UNIQUE(route_id, direction_id)
+    trip_count INTEGER NOT NULL DEFAULT 0,
+    variant TEXT NOT NULL DEFAULT 'main'
   );
 
   -- Pattern stops (ordered list of stops for each pattern)
@@ -78,9 +171,100 @@ db.exec(`
     pattern_id INTEGER NOT NULL,
     stop_id TEXT NOT NULL,
     stop_sequence INTEGER NOT NULL,
+    arrival_offset INTEGER,
+    departure_offset INTEGER,
+    run_secs INTEGER,
+    dwell_secs INTEGER,
+    shape_index INTEGER,
     UNIQUE(pattern_id, stop_sequence)
   );
 
+  -- Pattern shapes (simplified route line as an encoded polyline)
+  CREATE TABLE IF NOT EXISTS pattern_shapes (
+    pattern_id INTEGER PRIMARY KEY,
+    shape_id TEXT NOT NULL,
+    polyline TEXT NOT NULL
+  );
+
+  -- Pattern trips (compact timetable: one start time per trip)
+  CREATE TABLE IF NOT EXISTS pattern_trips (
+    trip_id TEXT PRIMARY KEY,
+    pattern_id INTEGER NOT NULL,
+    service_id TEXT NOT NULL,
+    start_secs INTEGER NOT NULL
+  );
+
+  -- Frequency bands (headway per pattern, service and time of day)
+  CREATE TABLE IF NOT EXISTS pattern_frequencies (
+    pattern_id INTEGER NOT NULL,
+    service_id TEXT NOT NULL,
+    start_secs INTEGER NOT NULL,
+    end_secs INTEGER NOT NULL,
+    headway_secs INTEGER NOT NULL,
+    trips INTEGER NOT NULL,
+    PRIMARY KEY (pattern_id, service_id, start_secs)
+  );
+
+  -- Service calendar (which days each timetable service runs)
+  CREATE TABLE IF NOT EXISTS calendar (
+    service_id TEXT PRIMARY KEY,
+    monday INTEGER NOT NULL,
+    tuesday INTEGER NOT NULL,
+    wednesday INTEGER NOT NULL,
+    thursday INTEGER NOT NULL,
+    friday INTEGER NOT NULL,
+    saturday INTEGER NOT NULL,
+    sunday INTEGER NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL
+  );
+
+  -- Calendar exceptions (holidays, Ramadan)
+  CREATE TABLE IF NOT EXISTS calendar_dates (
+    service_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    exception_type INTEGER NOT NULL,
+    PRIMARY KEY (service_id, date)
+  );
+
+  -- Nol card classes (Gold only applies to some route types)
+  CREATE TABLE IF NOT EXISTS fare_classes (
+    card_class TEXT PRIMARY KEY,
+    class_name TEXT NOT NULL,
+    route_types TEXT
+  );
+
+  -- Nol prices per card class and number of zones
+  CREATE TABLE IF NOT EXISTS fare_prices (
+    card_class TEXT NOT NULL,
+    zones INTEGER NOT NULL,
+    price REAL NOT NULL,
+    PRIMARY KEY (card_class, zones)
+  );
+
+  -- Fare table version, currency and transfer window
+  CREATE TABLE IF NOT EXISTS fare_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- GTFS fares (only when the feed ships them)
+  CREATE TABLE IF NOT EXISTS fare_attributes (
+    fare_id TEXT PRIMARY KEY,
+    price REAL NOT NULL,
+    currency_type TEXT,
+    transfers INTEGER,
+    transfer_duration INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS fare_rules (
+    fare_id TEXT NOT NULL,
+    route_id TEXT,
+    origin_id TEXT,
+    destination_id TEXT,
+    contains_id TEXT
+  );
+
   -- Transfers between stops
   CREATE TABLE IF NOT EXISTS transfers (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -90,6 +274,16 @@ db.exec(`
     min_transfer_time INTEGER
   );
 
+  -- Walking footpaths between nearby stops
+  CREATE TABLE IF NOT EXISTS footpaths (
+    from_stop_id TEXT NOT NULL,
+    to_stop_id TEXT NOT NULL,
+    distance_m INTEGER NOT NULL,
+    walk_secs INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    PRIMARY KEY (from_stop_id, to_stop_id)
+  );
+
   -- Stop routes (which routes serve each stop)
   CREATE TABLE IF NOT EXISTS stop_routes (
     stop_id TEXT NOT NULL,
@@ -98,6 +292,57 @@ db.exec(`
     PRIMARY KEY (stop_id, route_id, direction_id)
   );
 
+  -- Search aliases (MOE -> Mall of the Emirates)
+  CREATE TABLE IF NOT EXISTS search_aliases (
+    alias TEXT NOT NULL,
+    target TEXT NOT NULL,
+    PRIMARY KEY (alias, target)
+  );
+  
+  -- Full-text search over normalized names (trigrams, for typo tolerance)
+  CREATE VIRTUAL TABLE IF NOT EXISTS stop_search USING fts5(
+    stop_id UNINDEXED,
+    name,
+    other_names,
+    name_ar,
+    aliases,
+    tokenize = 'trigram'
+  );
+  
+  CREATE VIRTUAL TABLE IF NOT EXISTS route_search USING fts5(
+    route_id UNINDEXED,
+    number,
+    name,
+    name_ar,
+    tokenize = 'trigram'
+  );
+  
+  -- Places (landmarks) and the stops nearest to them
+  CREATE TABLE IF NOT EXISTS places (
+    place_id TEXT PRIMARY KEY,
+    place_name TEXT NOT NULL,
+    place_name_ar TEXT,
+    category TEXT NOT NULL,
+    place_lat REAL NOT NULL,
+    place_lon REAL NOT NULL,
+    source TEXT NOT NULL
+  );
+  
+  CREATE TABLE IF NOT EXISTS place_stops (
+    place_id TEXT NOT NULL,
+    stop_id TEXT NOT NULL,
+    distance_m INTEGER NOT NULL,
+    walk_secs INTEGER NOT NULL,
+    PRIMARY KEY (place_id, stop_id)
+  );
+  
+  CREATE VIRTUAL TABLE IF NOT EXISTS place_search USING fts5(
+    place_id UNINDEXED,
+    name,
+    name_ar,
+    tokenize = 'trigram'
+  );
+  
   -- Metro lines (for UI display)
   CREATE TABLE IF NOT EXISTS metro_lines (
     line_id TEXT PRIMARY KEY,
@@ -111,81 +356,161 @@ db.exec(`
 console.log('✅ Tables created');
 
 // =====================================================
-// HELPER: Parse CSV line (handles quoted fields)
+// HELPER: Most common non-empty value of a list
+// =====================================================
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
 // =====================================================
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
+// HELPER: Scheduled times of a trip (fills blank times)
+// =====================================================
+function tripTimes(stops) {
+  const arrivals = stops.map(s => s.arrival);
+  const departures = stops.map(s => s.departure ?? s.arrival);
   
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += char;
+  // Blank times are allowed between timepoints: interpolate by stop index
+  let lastKnown = -1;
+  for (let i = 0; i < stops.length; i++) {
+    if (departures[i] === null) continue;
+    if (lastKnown >= 0 && i - lastKnown > 1) {
+      const step = (arrivals[i] - departures[lastKnown]) / (i - lastKnown);
+      for (let j = lastKnown + 1; j < i; j++) {
+        arrivals[j] = departures[j] = Math.round(departures[lastKnown] + step * (j - lastKnown));
+      }
     }
+    if (arrivals[i] === null) arrivals[i] = departures[i];
+    lastKnown = i;
   }
-  result.push(current.trim());
   
-  return result;
+  if (departures[0] === null || departures[stops.length - 1] === null) {
+    return null;
+  }
+  return { start: departures[0], arrivals, departures };
 }
 
 // =====================================================
-// HELPER: Read CSV file and return array of objects
+// HELPER: Classify a route variant against the main pattern
 // =====================================================
-async function readCSV(filename) {
-  const filepath = path.join(GTFS_DIR, filename);
+function variantType(mainStopIds, stopIds) {
+  // Every stop of the variant appears on the main pattern, in order?
+  const positions = [];
+  let from = 0;
+  for (const stopId of stopIds) {
+    const index = mainStopIds.indexOf(stopId, from);
+    if (index === -1) return 'branch';
+    positions.push(index);
+    from = index + 1;
+  }
   
-  if (!fs.existsSync(filepath)) {
-    console.log(`⚠️  File not found: ${filename}`);
-    return [];
+  // A contiguous run of the main pattern ends early or starts late
+  const contiguous = positions[positions.length - 1] - positions[0] === positions.length - 1;
+  return contiguous ? 'short_turn' : 'express';
+}
+
+// =====================================================
+// HELPER: Median of a list of numbers (null when empty)
+// =====================================================
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// =====================================================
+// HELPER: Typical run and dwell times of a pattern
+// =====================================================
+function typicalTimes(allTimes, stopCount) {
+  const runs = [null];
+  const dwells = [];
+  
+  // Run: previous stop's departure to this stop's arrival; dwell: time at the stop
+  for (let i = 0; i < stopCount; i++) {
+    if (i > 0) runs.push(median(allTimes.map(t => t.arrivals[i] - t.departures[i - 1])));
+    dwells.push(median(allTimes.map(t => t.departures[i] - t.arrivals[i])));
   }
   
-  return new Promise((resolve, reject) => {
-    const results = [];
-    let headers = null;
-    let lineCount = 0;
-    
-    const fileStream = fs.createReadStream(filepath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
+  return { runs, dwells };
+}
+
+// =====================================================
+// HELPER: Frequency bands from sorted trip start times
+// =====================================================
+function frequencyBands(starts) {
+  // Each gap belongs to the band of the trip it follows
+  const bands = [];
+  for (let b = 0; b < FREQUENCY_BAND_HOURS.length - 1; b++) {
+    const bandStart = FREQUENCY_BAND_HOURS[b] * 3600;
+    const bandEnd = FREQUENCY_BAND_HOURS[b + 1] * 3600;
+    const inBand = starts.filter(start => start >= bandStart && start < bandEnd);
+    if (inBand.length === 0) continue;
     
-    rl.on('line', (line) => {
-      if (!line.trim()) return;
-      
-      const values = parseCSVLine(line);
-      
-      if (!headers) {
-        headers = values.map(h => h.replace(/"/g, '').trim());
-      } else {
-        const obj = {};
-        headers.forEach((header, i) => {
-          obj[header] = values[i] ? values[i].replace(/"/g, '').trim() : '';
-        });
-        results.push(obj);
-        lineCount++;
-        
-        // Progress indicator for large files
-        if (lineCount % 100000 === 0) {
-          process.stdout.write(`\r   Processing ${filename}: ${lineCount.toLocaleString()} rows...`);
-        }
+    const gaps = [];
+    for (let i = 0; i < starts.length - 1; i++) {
+      if (starts[i] >= bandStart && starts[i] < bandEnd) {
+        gaps.push(starts[i + 1] - starts[i]);
       }
-    });
+    }
     
-    rl.on('close', () => {
-      if (lineCount > 100000) console.log('');
-      resolve(results);
-    });
+    const band = {
+      start: Math.max(bandStart, starts[0]),
+      end: Math.min(bandEnd, starts[starts.length - 1]),
+      headway: gaps.length > 0 ? median(gaps) : null,
+      trips: inBand.length
+    };
     
-    rl.on('error', reject);
+    // Merge with the previous band when the headway (in minutes) is the same
+    const previous = bands[bands.length - 1];
+    if (previous && (band.headway === null ||
+        Math.round(previous.headway / 60) === Math.round(band.headway / 60))) {
+      previous.end = band.end;
+      previous.trips += band.trips;
+    } else if (band.headway !== null) {
+      bands.push(band);
+    }
+  }
+  
+  return bands;
+}
+
+// =====================================================
+// HELPER: Clusters of stops linked within a radius
+// =====================================================
+function linkedClusters(stops, radius) {
+  // Union-find: stops within the radius of any stop of a cluster join it,
+  // so a chain of bays is one cluster however the stops are ordered
+  const parents = stops.map((stop, i) => i);
+  const find = i => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  };
+  
+  for (let i = 0; i < stops.length; i++) {
+    for (let j = i + 1; j < stops.length; j++) {
+      const a = stops[i];
+      const b = stops[j];
+      if (distanceMeters(parseFloat(a.stop_lat), parseFloat(a.stop_lon),
+          parseFloat(b.stop_lat), parseFloat(b.stop_lon)) <= radius) {
+        parents[find(j)] = find(i);
+      }
+    }
+  }
+  
+  const clusters = new Map();
+  stops.forEach((stop, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(stop);
   });
+  
+  return [...clusters.values()];
 }
 
 // =====================================================
@@ -197,15 +522,15 @@ async function buildOfflineDatabase() {
     // STEP 1: Import Routes
     // -------------------------------------------------
     console.log('\n📥 Importing routes...');
-    const routes = await readCSV('routes.txt');
+    const routes = await readGtfsFile(GTFS_DIR, 'routes.txt');
     
     const insertRoute = db.prepare(`
       INSERT OR REPLACE INTO routes (route_id, route_short_name, route_long_name, route_type, route_color)
       VALUES (?, ?, ?, ?, ?)
     `);
     
-    let busCount = 0;
-    let metroCount = 0;
+    // Routes per route type
+    const modeCounts = new Map();
     
     const insertRoutes = db.transaction(() => {
       for (const route of routes) {
@@ -217,26 +542,24 @@ async function buildOfflineDatabase() {
           route.route_color || ''
         );
         
-        if (parseInt(route.route_type) === ROUTE_TYPES.METRO) {
-          metroCount++;
-        } else {
-          busCount++;
-        }
+        const routeType = parseInt(route.route_type) || ROUTE_TYPES.BUS;
+        modeCounts.set(routeType, (modeCounts.get(routeType) || 0) + 1);
       }
     });
     insertRoutes();
     
-    console.log(`✅ Imported ${routes.length} routes (${busCount} buses, ${metroCount} metro)`);
+    const modeCount = routeType => modeCounts.get(routeType) || 0;
+    console.log(`✅ Imported ${routes.length} routes (${modeCount(ROUTE_TYPES.BUS)} buses, ${modeCount(ROUTE_TYPES.METRO)} metro, ${modeCount(ROUTE_TYPES.TRAM)} tram, ${modeCount(ROUTE_TYPES.FERRY)} marine)`);
     
     // -------------------------------------------------
     // STEP 2: Import Stops
     // -------------------------------------------------
     console.log('\n📥 Importing stops...');
-    const stops = await readCSV('stops.txt');
+    const stops = await readGtfsFile(GTFS_DIR, 'stops.txt');
     
     const insertStop = db.prepare(`
-      INSERT OR REPLACE INTO stops (stop_id, stop_name, stop_lat, stop_lon, location_type)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO stops (stop_id, stop_name, stop_lat, stop_lon, location_type, parent_station, zone_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
     
     const insertStops = db.transaction(() => {
@@ -246,7 +569,9 @@ async function buildOfflineDatabase() {
           stop.stop_name || '',
           parseFloat(stop.stop_lat) || 0,
           parseFloat(stop.stop_lon) || 0,
-          parseInt(stop.location_type) || 0
+          parseInt(stop.location_type) || 0,
+          stop.parent_station || null,
+          stop.zone_id || null
         );
       }
     });
@@ -255,114 +580,141 @@ async function buildOfflineDatabase() {
     console.log(`✅ Imported ${stops.length} stops`);
     
     // -------------------------------------------------
-    // STEP 3: Import Trips (temporary, for pattern extraction)
+    // STEP 3: Group Stops into Stations
+    // -------------------------------------------------
+    console.log(`\n🚉 Grouping platforms and bays into stations (radius ${STATION_RADIUS_M} m)...`);
+    
+    // The feed's parent_station wins; stops without one are grouped by
+    // their name without the platform/bay number ("Union Metro Station 1"
+    // and "Union (Green Line) Metro Station 2") when close together
+    const feedStationCount = stops.filter(stop => parseInt(stop.location_type) === LOCATION_TYPES.STATION).length;
+    const looseStops = stops.filter(stop =>
+      !stop.parent_station && (parseInt(stop.location_type) || 0) === LOCATION_TYPES.STOP);
+    
+    const stopsByName = new Map();
+    for (const stop of looseStops) {
+      const key = stationName(stop.stop_name).toLowerCase();
+      if (!stopsByName.has(key)) stopsByName.set(key, []);
+      stopsByName.get(key).push(stop);
+    }
+    
+    const stationGroups = [];
+    for (const group of stopsByName.values()) {
+      if (group.length < 2) continue;
+      
+      // Split a shared name into clusters of stops linked within the radius
+      const clusters = linkedClusters(group, STATION_RADIUS_M);
+      stationGroups.push(...clusters.filter(cluster => cluster.length > 1));
+    }
+    
+    const stopIds = new Set(stops.map(stop => stop.stop_id));
+    const insertStation = db.prepare(`
+      INSERT INTO stops (stop_id, stop_name, stop_lat, stop_lon, location_type)
+      VALUES (?, ?, ?, ?, ${LOCATION_TYPES.STATION})
+    `);
+    const setParentStation = db.prepare('UPDATE stops SET parent_station = ? WHERE stop_id = ?');
+    
+    const insertStations = db.transaction(() => {
+      for (const cluster of stationGroups) {
+        const children = cluster.sort((a, b) => a.stop_id.localeCompare(b.stop_id));
+        
+        // Station ID from its first platform, kept clear of feed IDs
+        let stationId = `S${children[0].stop_id}`;
+        while (stopIds.has(stationId)) stationId = `S${stationId}`;
+        stopIds.add(stationId);
+        
+        const average = field => children.reduce((sum, stop) => sum + parseFloat(stop[field]), 0) / children.length;
+        insertStation.run(stationId, stationName(children[0].stop_name), average('stop_lat'), average('stop_lon'));
+        
+        for (const child of children) {
+          setParentStation.run(stationId, child.stop_id);
+        }
+      }
+    });
+    insertStations();
+    
+    const childCount = db.prepare('SELECT COUNT(*) as count FROM stops WHERE parent_station IS NOT NULL').get().count;
+    console.log(`✅ ${feedStationCount + stationGroups.length} stations (${feedStationCount} from the feed, ${stationGroups.length} grouped) with ${childCount} platforms, bays and entrances`);
+    
+    // -------------------------------------------------
+    // STEP 4: Import Trips (temporary, for pattern extraction)
     // -------------------------------------------------
     console.log('\n📥 Reading trips...');
-    const trips = await readCSV('trips.txt');
+    const trips = await readGtfsFile(GTFS_DIR, 'trips.txt');
     console.log(`   Found ${trips.length.toLocaleString()} trips`);
     
-    // Create a map: route_id + direction_id -> trip_id (just need one trip per pattern)
-    const patternTrips = new Map();
+    // Create a map: route_id + direction_id -> all trips of that direction
+    // (split into variants by stop sequence once stop times are known)
+    const directionTrips = new Map();
     
     for (const trip of trips) {
       const key = `${trip.route_id}_${trip.direction_id || 0}`;
       
-      // Store the first trip for each pattern (we only need one to get the stop sequence)
-      if (!patternTrips.has(key)) {
-        patternTrips.set(key, {
-          trip_id: trip.trip_id,
+      if (!directionTrips.has(key)) {
+        directionTrips.set(key, {
           route_id: trip.route_id,
           direction_id: parseInt(trip.direction_id) || 0,
-          headsign: trip.trip_headsign || ''
+          trips: []
         });
       }
+      directionTrips.get(key).trips.push(trip);
     }
     
-    console.log(`   Found ${patternTrips.size} unique route patterns`);
+    console.log(`   Found ${directionTrips.size} route directions`);
     
     // -------------------------------------------------
-    // STEP 4: Read Stop Times (streaming for memory efficiency)
+    // STEP 5: Read Stop Times (streaming for memory efficiency)
     // -------------------------------------------------
     console.log('\n📥 Reading stop times (this may take a moment)...');
     
-    // Get the trip IDs we need
-    const neededTripIds = new Set();
-    for (const pattern of patternTrips.values()) {
-      neededTripIds.add(pattern.trip_id);
-    }
+    // Every trip is needed for the timetable
+    const neededTripIds = new Set(trips.map(trip => trip.trip_id));
     
-    console.log(`   Looking for stop times for ${neededTripIds.size} representative trips...`);
+    console.log(`   Looking for stop times for ${neededTripIds.size.toLocaleString()} trips...`);
     
     // Read stop_times.txt and extract only what we need
-    const tripStops = new Map(); // trip_id -> [{stop_id, sequence}, ...]
-    
-    const stopTimesPath = path.join(GTFS_DIR, 'stop_times.txt');
-    const fileStream = fs.createReadStream(stopTimesPath);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
+    const tripStops = new Map(); // trip_id -> [{stop_id, sequence, arrival, departure}, ...]
     
-    let headers = null;
-    let processedLines = 0;
     let matchedLines = 0;
     
-    await new Promise((resolve, reject) => {
-      rl.on('line', (line) => {
-        if (!line.trim()) return;
-        
-        const values = parseCSVLine(line);
-        
-        if (!headers) {
-          headers = values.map(h => h.replace(/"/g, '').trim());
-        } else {
-          processedLines++;
-          
-          // Get trip_id from the line
-          const tripIdIndex = headers.indexOf('trip_id');
-          const tripId = values[tripIdIndex]?.replace(/"/g, '').trim();
-          
-          // Only process if this trip is one of our representative trips
-          if (neededTripIds.has(tripId)) {
-            const stopIdIndex = headers.indexOf('stop_id');
-            const sequenceIndex = headers.indexOf('stop_sequence');
-            
-            const stopId = values[stopIdIndex]?.replace(/"/g, '').trim();
-            const sequence = parseInt(values[sequenceIndex]?.replace(/"/g, '').trim()) || 0;
-            
-            if (!tripStops.has(tripId)) {
-              tripStops.set(tripId, []);
-            }
-            tripStops.get(tripId).push({ stop_id: stopId, sequence });
-            matchedLines++;
-          }
-          
-          // Progress
-          if (processedLines % 500000 === 0) {
-            process.stdout.write(`\r   Processed ${(processedLines / 1000000).toFixed(1)}M rows, found ${matchedLines.toLocaleString()} needed...`);
-          }
-        }
-      });
+    await forEachGtfsRow(GTFS_DIR, 'stop_times.txt', (row) => {
+      // Only process trips we know about
+      if (!neededTripIds.has(row.trip_id)) return;
       
-      rl.on('close', resolve);
-      rl.on('error', reject);
+      if (!tripStops.has(row.trip_id)) {
+        tripStops.set(row.trip_id, []);
+      }
+      tripStops.get(row.trip_id).push({
+        stop_id: row.stop_id,
+        sequence: parseInt(row.stop_sequence) || 0,
+        arrival: parseGtfsTime(row.arrival_time),
+        departure: parseGtfsTime(row.departure_time)
+      });
+      matchedLines++;
     });
     
-    console.log(`\n✅ Extracted stop sequences for ${tripStops.size} patterns`);
+    console.log(`✅ Extracted ${matchedLines.toLocaleString()} stop times for ${tripStops.size.toLocaleString()} trips`);
     
     // -------------------------------------------------
-    // STEP 5: Build Route Patterns
+    // STEP 6: Build Route Patterns
     // -------------------------------------------------
     console.log('\n📦 Building route patterns...');
     
     const insertPattern = db.prepare(`
-      INSERT INTO route_patterns (route_id, direction_id, headsign, first_stop_id, last_stop_id, total_stops)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO route_patterns
+        (route_id, direction_id, headsign, first_stop_id, last_stop_id, total_stops, trip_count, variant)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     const insertPatternStop = db.prepare(`
-      INSERT INTO pattern_stops (pattern_id, stop_id, stop_sequence)
-      VALUES (?, ?, ?)
+      INSERT INTO pattern_stops
+        (pattern_id, stop_id, stop_sequence, arrival_offset, departure_offset, run_secs, dwell_secs)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const insertPatternTrip = db.prepare(`
+      INSERT INTO pattern_trips (trip_id, pattern_id, service_id, start_secs)
+      VALUES (?, ?, ?, ?)
     `);
     
     const insertStopRoute = db.prepare(`
@@ -371,54 +723,357 @@ async function buildOfflineDatabase() {
     `);
     
     let patternCount = 0;
+    let variantCount = 0;
     let patternStopCount = 0;
+    let timetableTripCount = 0;
+    let skippedTripCount = 0;
+    
+    // Patterns to draw once shapes.txt is read: { patternId, shapeId, stops }
+    const shapeJobs = [];
+    
+    const sortBySequence = (a, b) => a.sequence - b.sequence;
+    const stopSignature = stops => stops.map(s => s.stop_id).join('|');
     
     const buildPatterns = db.transaction(() => {
-      for (const [key, pattern] of patternTrips) {
-        const stops = tripStops.get(pattern.trip_id);
+      for (const direction of directionTrips.values()) {
+        // Group the trips of this direction by their stop sequence
+        const variants = new Map();
         
-        if (!stops || stops.length === 0) {
-          continue;
+        for (const trip of direction.trips) {
+          const stops = tripStops.get(trip.trip_id);
+          if (!stops || stops.length === 0) continue;
+          
+          stops.sort(sortBySequence);
+          const signature = stopSignature(stops);
+          if (!variants.has(signature)) {
+            variants.set(signature, { stops, trips: [] });
+          }
+          variants.get(signature).trips.push(trip);
         }
         
-        // Sort by sequence
-        stops.sort((a, b) => a.sequence - b.sequence);
+        // The variant with the most trips is the main pattern
+        const sorted = [...variants.values()].sort((a, b) => b.trips.length - a.trips.length);
+        const mainStopIds = sorted.length > 0 ? sorted[0].stops.map(s => s.stop_id) : [];
+        
+        sorted.forEach((variant, v) => {
+          const timedTrips = [];
+          for (const trip of variant.trips) {
+            const times = tripTimes(tripStops.get(trip.trip_id));
+            if (times) timedTrips.push({ trip, times });
+          }
+          skippedTripCount += variant.trips.length - timedTrips.length;
+          
+          // Offsets come from the first trip with usable times,
+          // run and dwell times are the median over all of them
+          const representative = timedTrips.length > 0 ? timedTrips[0].trip : variant.trips[0];
+          const times = timedTrips.length > 0 ? timedTrips[0].times : null;
+          const typical = times ? typicalTimes(timedTrips.map(t => t.times), variant.stops.length) : null;
+          
+          const stops = variant.stops;
+          const firstStop = stops[0].stop_id;
+          const lastStop = stops[stops.length - 1].stop_id;
+          
+          // Insert pattern
+          const result = insertPattern.run(
+            direction.route_id,
+            direction.direction_id,
+            representative.trip_headsign || '',
+            firstStop,
+            lastStop,
+            stops.length,
+            variant.trips.length,
+            v === 0 ? 'main' : variantType(mainStopIds, stops.map(s => s.stop_id))
+          );
+          
+          const patternId = result.lastInsertRowid;
+          patternCount++;
+          if (v > 0) variantCount++;
+          
+          const shapeId = mostCommon(variant.trips.map(trip => trip.shape_id));
+          if (shapeId) shapeJobs.push({ patternId, shapeId, stops });
+          
+          // Insert pattern stops, timed relative to the start of the trip
+          stops.forEach((stop, i) => {
+            insertPatternStop.run(
+              patternId,
+              stop.stop_id,
+              stop.sequence,
+              times ? times.arrivals[i] - times.start : null,
+              times ? times.departures[i] - times.start : null,
+              typical ? typical.runs[i] : null,
+              typical ? typical.dwells[i] : null
+            );
+            patternStopCount++;
+            
+            // Also add to stop_routes for journey planning
+            insertStopRoute.run(stop.stop_id, direction.route_id, direction.direction_id);
+          });
+          
+          // Timetable: trips of a variant share its stops and offsets,
+          // so only their start time is stored
+          for (const { trip, times: ownTimes } of timedTrips) {
+            insertPatternTrip.run(trip.trip_id, patternId, trip.service_id || '', ownTimes.start);
+            timetableTripCount++;
+          }
+        });
+      }
+    });
+    buildPatterns();
+    
+    // Stations are served by the routes of their platforms and bays
+    db.exec(`
+      INSERT OR IGNORE INTO stop_routes (stop_id, route_id, direction_id)
+      SELECT s.parent_station, sr.route_id, sr.direction_id
+      FROM stop_routes sr
+      JOIN stops s ON s.stop_id = sr.stop_id
+      WHERE s.parent_station IS NOT NULL
+    `);
+    
+    console.log(`✅ Created ${patternCount} patterns (${variantCount} variants) with ${patternStopCount.toLocaleString()} stop entries`);
+    console.log(`✅ Timetable has ${timetableTripCount.toLocaleString()} trips (${skippedTripCount.toLocaleString()} skipped: no times)`);
+    
+    // -------------------------------------------------
+    // STEP 7: Compute Frequency Bands
+    // -------------------------------------------------
+    console.log('\n⏱️  Computing frequency bands...');
+    
+    const insertFrequency = db.prepare(`
+      INSERT INTO pattern_frequencies (pattern_id, service_id, start_secs, end_secs, headway_secs, trips)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    
+    const tripStarts = db.prepare(`
+      SELECT pattern_id, service_id, start_secs
+      FROM pattern_trips
+      ORDER BY pattern_id, service_id, start_secs
+    `).all();
+    
+    // Group start times by pattern + service (rows are already sorted)
+    const startGroups = new Map();
+    for (const row of tripStarts) {
+      const key = `${row.pattern_id}|${row.service_id}`;
+      if (!startGroups.has(key)) {
+        startGroups.set(key, { pattern_id: row.pattern_id, service_id: row.service_id, starts: [] });
+      }
+      startGroups.get(key).starts.push(row.start_secs);
+    }
+    
+    let frequencyCount = 0;
+    const insertFrequencies = db.transaction(() => {
+      for (const group of startGroups.values()) {
+        for (const band of frequencyBands(group.starts)) {
+          insertFrequency.run(group.pattern_id, group.service_id, band.start, band.end, band.headway, band.trips);
+          frequencyCount++;
+        }
+      }
+    });
+    insertFrequencies();
+    
+    console.log(`✅ Created ${frequencyCount.toLocaleString()} frequency bands`);
+    
+    // -------------------------------------------------
+    // STEP 8: Build Pattern Shapes
+    // -------------------------------------------------
+    console.log(`\n🗺️  Building pattern shapes (tolerance ${SHAPE_TOLERANCE_M} m)...`);
+    
+    // Only read the points of shapes some pattern uses
+    const neededShapeIds = new Set(shapeJobs.map(job => job.shapeId));
+    const shapePoints = new Map(); // shape_id -> [{ sequence, lat, lon }]
+    let shapePointCount = 0;
+    
+    await forEachGtfsRow(GTFS_DIR, 'shapes.txt', (row) => {
+      if (!neededShapeIds.has(row.shape_id)) return;
+      if (!shapePoints.has(row.shape_id)) {
+        shapePoints.set(row.shape_id, []);
+      }
+      shapePoints.get(row.shape_id).push({
+        sequence: parseInt(row.shape_pt_sequence) || 0,
+        lat: parseFloat(row.shape_pt_lat),
+        lon: parseFloat(row.shape_pt_lon)
+      });
+    });
+    
+    const stopsById = new Map(stops.map(stop => [stop.stop_id, {
+      stop_lat: parseFloat(stop.stop_lat) || 0,
+      stop_lon: parseFloat(stop.stop_lon) || 0
+    }]));
+    
+    const insertShape = db.prepare(`
+      INSERT INTO pattern_shapes (pattern_id, shape_id, polyline)
+      VALUES (?, ?, ?)
+    `);
+    
+    const updateShapeIndex = db.prepare(`
+      UPDATE pattern_stops SET shape_index = ?
+      WHERE pattern_id = ? AND stop_sequence = ?
+    `);
+    
+    let shapeCount = 0;
+    let keptPointCount = 0;
+    
+    const insertShapes = db.transaction(() => {
+      for (const job of shapeJobs) {
+        const rows = shapePoints.get(job.shapeId);
+        if (!rows || rows.length < 2) continue;
         
-        const firstStop = stops[0].stop_id;
-        const lastStop = stops[stops.length - 1].stop_id;
+        const points = rows
+          .sort((a, b) => a.sequence - b.sequence)
+          .map(row => [row.lat, row.lon]);
         
-        // Insert pattern
-        const result = insertPattern.run(
-          pattern.route_id,
-          pattern.direction_id,
-          pattern.headsign,
-          firstStop,
-          lastStop,
-          stops.length
-        );
+        // Stops keep their own points, so a ride is a slice of the line
+        const stopIndexes = snapStopsToShape(points, job.stops.map(stop => stopsById.get(stop.stop_id)));
+        const kept = simplifyLine(points, SHAPE_TOLERANCE_M, stopIndexes);
+        const keptIndex = new Map(kept.map((pointIndex, i) => [pointIndex, i]));
         
-        const patternId = result.lastInsertRowid;
-        patternCount++;
+        insertShape.run(job.patternId, job.shapeId, encodePolyline(kept.map(i => points[i])));
+        job.stops.forEach((stop, i) => {
+          updateShapeIndex.run(keptIndex.get(stopIndexes[i]), job.patternId, stop.sequence);
+        });
         
-        // Insert pattern stops
-        for (const stop of stops) {
-          insertPatternStop.run(patternId, stop.stop_id, stop.sequence);
-          patternStopCount++;
-          
-          // Also add to stop_routes for journey planning
-          insertStopRoute.run(stop.stop_id, pattern.route_id, pattern.direction_id);
+        shapeCount++;
+        shapePointCount += points.length;
+        keptPointCount += kept.length;
+      }
+    });
+    insertShapes();
+    
+    console.log(`✅ Created ${shapeCount} shapes (${keptPointCount.toLocaleString()} of ${shapePointCount.toLocaleString()} points kept)`);
+    
+    // -------------------------------------------------
+    // STEP 9: Import Service Calendars
+    // -------------------------------------------------
+    console.log('\n📅 Importing service calendars...');
+    const calendar = await readGtfsFile(GTFS_DIR, 'calendar.txt');
+    const calendarDates = await readGtfsFile(GTFS_DIR, 'calendar_dates.txt');
+    
+    // Only services with trips in the timetable are worth shipping
+    const usedServices = new Set(
+      db.prepare('SELECT DISTINCT service_id FROM pattern_trips').all().map(row => row.service_id)
+    );
+    
+    const insertCalendar = db.prepare(`
+      INSERT OR REPLACE INTO calendar
+        (service_id, monday, tuesday, wednesday, thursday, friday, saturday, sunday, start_date, end_date)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const insertCalendarDate = db.prepare(`
+      INSERT OR REPLACE INTO calendar_dates (service_id, date, exception_type)
+      VALUES (?, ?, ?)
+    `);
+    
+    let calendarCount = 0;
+    let calendarDateCount = 0;
+    
+    const insertCalendars = db.transaction(() => {
+      for (const c of calendar) {
+        if (!usedServices.has(c.service_id)) continue;
+        insertCalendar.run(
+          c.service_id,
+          parseInt(c.monday) || 0,
+          parseInt(c.tuesday) || 0,
+          parseInt(c.wednesday) || 0,
+          parseInt(c.thursday) || 0,
+          parseInt(c.friday) || 0,
+          parseInt(c.saturday) || 0,
+          parseInt(c.sunday) || 0,
+          c.start_date,
+          c.end_date
+        );
+        calendarCount++;
+      }
+      
+      for (const d of calendarDates) {
+        if (!usedServices.has(d.service_id)) continue;
+        insertCalendarDate.run(d.service_id, d.date, parseInt(d.exception_type) || 0);
+        calendarDateCount++;
+      }
+    });
+    insertCalendars();
+    
+    console.log(`✅ Imported ${calendarCount} calendars and ${calendarDateCount} exceptions`);
+    
+    // -------------------------------------------------
+    // STEP 10: Import Fares
+    // -------------------------------------------------
+    console.log('\n💳 Importing fares...');
+    const nolFares = loadNolFares();
+    const fareAttributes = await readGtfsFile(GTFS_DIR, 'fare_attributes.txt');
+    const fareRules = await readGtfsFile(GTFS_DIR, 'fare_rules.txt');
+    
+    // Zones from the feed win; without any, stops take the nearest local zone
+    const feedHasZones = stops.some(stop => stop.zone_id);
+    if (!feedHasZones) {
+      const updateZone = db.prepare('UPDATE stops SET zone_id = ? WHERE stop_id = ?');
+      const zoneStops = db.prepare('SELECT stop_id, stop_lat, stop_lon FROM stops WHERE stop_lat != 0 AND stop_lon != 0').all();
+      
+      db.transaction(() => {
+        for (const stop of zoneStops) {
+          updateZone.run(nearestZone(nolFares.zones, stop.stop_lat, stop.stop_lon), stop.stop_id);
         }
+      })();
+    }
+    
+    const insertFareClass = db.prepare(`
+      INSERT INTO fare_classes (card_class, class_name, route_types)
+      VALUES (?, ?, ?)
+    `);
+    const insertFarePrice = db.prepare(`
+      INSERT INTO fare_prices (card_class, zones, price)
+      VALUES (?, ?, ?)
+    `);
+    const insertFareSetting = db.prepare('INSERT INTO fare_settings (key, value) VALUES (?, ?)');
+    const insertFareAttribute = db.prepare(`
+      INSERT OR REPLACE INTO fare_attributes (fare_id, price, currency_type, transfers, transfer_duration)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const insertFareRule = db.prepare(`
+      INSERT INTO fare_rules (fare_id, route_id, origin_id, destination_id, contains_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    
+    const insertFares = db.transaction(() => {
+      for (const fareClass of nolFares.classes) {
+        insertFareClass.run(fareClass.card_class, fareClass.name, fareClass.route_types ? fareClass.route_types.join(',') : null);
+        fareClass.fares.forEach((price, i) => insertFarePrice.run(fareClass.card_class, i + 1, price));
+      }
+      
+      insertFareSetting.run('version', nolFares.version);
+      insertFareSetting.run('currency', nolFares.currency);
+      insertFareSetting.run('transfer_window_minutes', String(nolFares.transfer_window_minutes));
+      insertFareSetting.run('zone_source', feedHasZones ? 'gtfs' : 'nol_zones');
+      
+      // An empty transfers field means unlimited transfers
+      for (const fare of fareAttributes) {
+        insertFareAttribute.run(
+          fare.fare_id,
+          parseFloat(fare.price) || 0,
+          fare.currency_type || null,
+          fare.transfers === '' || fare.transfers === undefined ? null : parseInt(fare.transfers),
+          parseInt(fare.transfer_duration) || null
+        );
+      }
+      
+      for (const rule of fareRules) {
+        insertFareRule.run(
+          rule.fare_id,
+          rule.route_id || null,
+          rule.origin_id || null,
+          rule.destination_id || null,
+          rule.contains_id || null
+        );
       }
     });
-    buildPatterns();
+    insertFares();
     
-    console.log(`✅ Created ${patternCount} patterns with ${patternStopCount.toLocaleString()} stop entries`);
+    const zoneCount = db.prepare('SELECT COUNT(DISTINCT zone_id) as count FROM stops').get().count;
+    console.log(`✅ Imported ${nolFares.classes.length} card classes (fare table ${nolFares.version}), ${zoneCount} zones and ${fareAttributes.length} GTFS fares`);
     
     // -------------------------------------------------
-    // STEP 6: Import Transfers
+    // STEP 11: Import Transfers
     // -------------------------------------------------
     console.log('\n📥 Importing transfers...');
-    const transfers = await readCSV('transfers.txt');
+    const transfers = await readGtfsFile(GTFS_DIR, 'transfers.txt');
     
     const insertTransfer = db.prepare(`
       INSERT INTO transfers (from_stop_id, to_stop_id, transfer_type, min_transfer_time)
@@ -440,7 +1095,321 @@ async function buildOfflineDatabase() {
     console.log(`✅ Imported ${transfers.length} transfers`);
     
     // -------------------------------------------------
-    // STEP 7: Create Metro Lines Table
+    // STEP 12: Build Walking Footpaths
+    // -------------------------------------------------
+    console.log(`\n🚶 Building walking footpaths (radius ${WALK_RADIUS_M} m)...`);
+    
+    // Only stops served by a pattern are useful for transfers
+    const servedStops = db.prepare(`
+      SELECT s.stop_id, s.stop_lat, s.stop_lon, s.parent_station
+      FROM stops s
+      WHERE s.stop_id IN (SELECT DISTINCT stop_id FROM pattern_stops)
+        AND s.stop_lat != 0 AND s.stop_lon != 0
+      ORDER BY s.stop_lat
+    `).all();
+    const servedById = new Map(servedStops.map(s => [s.stop_id, s]));
+    
+    // transfers.txt wins over the radius: it can forbid or slow down a walk
+    const gtfsTransfers = new Map();
+    for (const transfer of transfers) {
+      gtfsTransfers.set(`${transfer.from_stop_id}|${transfer.to_stop_id}`, transfer);
+    }
+    
+    // Slowest platform change of the modes serving each stop
+    const changeSecs = new Map();
+    for (const row of db.prepare(`
+      SELECT sr.stop_id, r.route_type
+      FROM stop_routes sr
+      JOIN routes r ON r.route_id = sr.route_id
+    `).all()) {
+      const secs = PLATFORM_CHANGE_SECS[row.route_type] || PLATFORM_CHANGE_SECS[ROUTE_TYPES.BUS];
+      changeSecs.set(row.stop_id, Math.max(changeSecs.get(row.stop_id) || 0, secs));
+    }
+    
+    const footpaths = new Map();
+    const addFootpath = (from, to, source, minTransferTime) => {
+      const key = `${from.stop_id}|${to.stop_id}`;
+      const distance = walkingDistanceMeters(from.stop_lat, from.stop_lon, to.stop_lat, to.stop_lon);
+      footpaths.set(key, {
+        from_stop_id: from.stop_id,
+        to_stop_id: to.stop_id,
+        distance_m: distance,
+        walk_secs: Math.max(walkingSeconds(distance), minTransferTime || 0),
+        source
+      });
+    };
+    
+    // Explicit transfers from the feed
+    for (const transfer of transfers) {
+      if (parseInt(transfer.transfer_type) === 3) continue;
+      if (transfer.from_stop_id === transfer.to_stop_id) continue;
+      
+      const from = servedById.get(transfer.from_stop_id);
+      const to = servedById.get(transfer.to_stop_id);
+      if (!from || !to) continue;
+      
+      addFootpath(from, to, 'gtfs', parseInt(transfer.min_transfer_time));
+    }
+    
+    // Platforms and bays of a station, however far apart
+    const stationChildren = new Map();
+    for (const stop of servedStops) {
+      if (!stop.parent_station) continue;
+      if (!stationChildren.has(stop.parent_station)) stationChildren.set(stop.parent_station, []);
+      stationChildren.get(stop.parent_station).push(stop);
+    }
+    
+    for (const children of stationChildren.values()) {
+      for (const from of children) {
+        for (const to of children) {
+          const key = `${from.stop_id}|${to.stop_id}`;
+          if (from === to || footpaths.has(key)) continue;
+          if (parseInt(gtfsTransfers.get(key)?.transfer_type) === 3) continue;
+          
+          const distance = walkingDistanceMeters(from.stop_lat, from.stop_lon, to.stop_lat, to.stop_lon);
+          const change = Math.max(changeSecs.get(from.stop_id) || 0, changeSecs.get(to.stop_id) || 0);
+          addFootpath(from, to, 'station', walkingSeconds(distance) + change);
+        }
+      }
+    }
+    
+    // Nearby stops (sweep over stops sorted by latitude)
+    const latDelta = WALK_RADIUS_M / 111000;
+    for (let i = 0; i < servedStops.length; i++) {
+      const a = servedStops[i];
+      for (let j = i + 1; j < servedStops.length; j++) {
+        const b = servedStops[j];
+        if (b.stop_lat - a.stop_lat > latDelta) break;
+        if (distanceMeters(a.stop_lat, a.stop_lon, b.stop_lat, b.stop_lon) > WALK_RADIUS_M) continue;
+        
+        for (const [from, to] of [[a, b], [b, a]]) {
+          const key = `${from.stop_id}|${to.stop_id}`;
+          if (footpaths.has(key)) continue;
+          if (parseInt(gtfsTransfers.get(key)?.transfer_type) === 3) continue;
+          addFootpath(from, to, 'radius', 0);
+        }
+      }
+    }
+    
+    const insertFootpath = db.prepare(`
+      INSERT INTO footpaths (from_stop_id, to_stop_id, distance_m, walk_secs, source)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    
+    const insertFootpaths = db.transaction(() => {
+      for (const f of footpaths.values()) {
+        insertFootpath.run(f.from_stop_id, f.to_stop_id, f.distance_m, f.walk_secs, f.source);
+      }
+    });
+    insertFootpaths();
+    
+    console.log(`✅ Created ${footpaths.size.toLocaleString()} footpaths`);
+    
+    // -------------------------------------------------
+    // STEP 13: Import Arabic Names
+    // -------------------------------------------------
+    console.log('\n🌐 Importing Arabic names...');
+    
+    // The feed's translations.txt wins; without one, the maintained local CSV
+    const feedTranslations = await readGtfsFile(GTFS_DIR, 'translations.txt');
+    const translationSource = feedTranslations.length > 0
+      ? 'translations.txt'
+      : path.relative(path.join(__dirname, '..'), TRANSLATIONS_AR_PATH);
+    const translate = createTranslator(
+      feedTranslations.length > 0 ? feedTranslations : loadLocalTranslations(),
+      'ar'
+    );
+    
+    const updateStopName = db.prepare('UPDATE stops SET stop_name_ar = ? WHERE stop_id = ?');
+    const updateRouteName = db.prepare('UPDATE routes SET route_long_name_ar = ? WHERE route_id = ?');
+    const updateHeadsign = db.prepare('UPDATE route_patterns SET headsign_ar = ? WHERE pattern_id = ?');
+    
+    let arabicStopCount = 0;
+    let arabicRouteCount = 0;
+    let arabicHeadsignCount = 0;
+    
+    db.transaction(() => {
+      // Stations included, so grouped stations take their name's translation
+      for (const stop of db.prepare('SELECT stop_id, stop_name FROM stops').all()) {
+        const nameAr = translateStopName(translate, stop);
+        if (!nameAr) continue;
+        updateStopName.run(nameAr, stop.stop_id);
+        arabicStopCount++;
+      }
+      
+      for (const route of db.prepare("SELECT route_id, route_long_name FROM routes WHERE route_long_name != ''").all()) {
+        const nameAr = translate('routes', 'route_long_name', route.route_long_name, route.route_id);
+        if (!nameAr) continue;
+        updateRouteName.run(nameAr, route.route_id);
+        arabicRouteCount++;
+      }
+      
+      for (const pattern of db.prepare("SELECT pattern_id, headsign FROM route_patterns WHERE headsign != ''").all()) {
+        const headsignAr = translateHeadsign(translate, pattern.headsign);
+        if (!headsignAr) continue;
+        updateHeadsign.run(headsignAr, pattern.pattern_id);
+        arabicHeadsignCount++;
+      }
+    })();
+    
+    console.log(`✅ Arabic names from ${translationSource}: ${arabicStopCount} stops, ${arabicRouteCount} routes, ${arabicHeadsignCount} headsigns`);
+    
+    // -------------------------------------------------
+    // STEP 14: Build Search Index
+    // -------------------------------------------------
+    console.log('\n🔎 Building search index...');
+    
+    const searchAliases = loadSearchAliases();
+    const insertAlias = db.prepare('INSERT OR IGNORE INTO search_aliases (alias, target) VALUES (?, ?)');
+    const insertStopSearch = db.prepare(`
+      INSERT INTO stop_search (stop_id, name, other_names, name_ar, aliases)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const insertRouteSearch = db.prepare(`
+      INSERT INTO route_search (route_id, number, name, name_ar)
+      VALUES (?, ?, ?, ?)
+    `);
+    
+    // An alias names the stops whose name contains its target, or the
+    // stops it lists (and the stations they are grouped into)
+    const aliasTargets = searchAliases.aliases.map(entry => ({
+      alias: normalizeSearchText(entry.alias),
+      target: entry.target ? normalizeSearchText(entry.target) : null,
+      stops: entry.stops ? new Set(entry.stops) : null
+    }));
+    
+    // Stations and stops outside a station; a station is also found by
+    // the names of its platforms and bays
+    const searchStops = db.prepare(`
+      SELECT stop_id, stop_name, stop_name_ar FROM stops
+      WHERE parent_station IS NULL AND location_type IN (?, ?)
+    `).all(LOCATION_TYPES.STOP, LOCATION_TYPES.STATION);
+    const children = db.prepare('SELECT stop_id, stop_name FROM stops WHERE parent_station = ?');
+    
+    let aliasedStopCount = 0;
+    
+    db.transaction(() => {
+      for (const entry of searchAliases.aliases) {
+        insertAlias.run(entry.alias, entry.target || entry.stops.join(', '));
+      }
+      
+      for (const stop of searchStops) {
+        const name = normalizeSearchText(stop.stop_name);
+        const childStops = children.all(stop.stop_id);
+        const otherNames = [...new Set(childStops.map(child => normalizeSearchText(child.stop_name)))]
+          .filter(childName => childName !== name);
+        const stopIds = [stop.stop_id, ...childStops.map(child => child.stop_id)];
+        const aliases = [...new Set(aliasTargets
+          .filter(entry => (entry.stops
+            ? stopIds.some(stopId => entry.stops.has(stopId))
+            : [name, ...otherNames].some(stopName => stopName.includes(entry.target))))
+          .map(entry => entry.alias))];
+        
+        if (aliases.length > 0) aliasedStopCount++;
+        
+        insertStopSearch.run(
+          stop.stop_id,
+          name,
+          otherNames.join(NAME_SEPARATOR),
+          normalizeSearchText(stop.stop_name_ar),
+          aliases.join(NAME_SEPARATOR)
+        );
+      }
+      
+      for (const route of db.prepare('SELECT route_id, route_short_name, route_long_name, route_long_name_ar FROM routes').all()) {
+        insertRouteSearch.run(
+          route.route_id,
+          normalizeSearchText(route.route_short_name),
+          normalizeSearchText(route.route_long_name),
+          normalizeSearchText(route.route_long_name_ar)
+        );
+      }
+    })();
+    
+    console.log(`✅ Indexed ${searchStops.length} stops (${aliasedStopCount} with aliases, ${searchAliases.aliases.length} aliases v${searchAliases.version}) and ${routes.length} routes`);
+    
+    // -------------------------------------------------
+    // STEP 15: Import Places
+    // -------------------------------------------------
+    console.log(`\n📍 Importing places (stops within ${PLACE_STOP_RADIUS_M} m)...`);
+    
+    const { places, sources: placeSources } = loadPlaces();
+    const insertPlace = db.prepare(`
+      INSERT OR IGNORE INTO places (place_id, place_name, place_name_ar, category, place_lat, place_lon, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertPlaceStop = db.prepare(`
+      INSERT INTO place_stops (place_id, stop_id, distance_m, walk_secs)
+      VALUES (?, ?, ?, ?)
+    `);
+    const insertPlaceSearch = db.prepare(`
+      INSERT INTO place_search (place_id, name, name_ar)
+      VALUES (?, ?, ?)
+    `);
+    
+    // Riders walk to a station or a stop outside one, never to a bare
+    // entrance; only stops some route serves
+    const placeStopCandidates = db.prepare(`
+      SELECT stop_id, stop_lat, stop_lon FROM stops
+      WHERE parent_station IS NULL AND location_type IN (?, ?)
+        AND stop_id IN (SELECT stop_id FROM stop_routes)
+    `).all(LOCATION_TYPES.STOP, LOCATION_TYPES.STATION);
+    
+    let placeCount = 0;
+    let placeStopCount = 0;
+    let unlinkedPlaceCount = 0;
+    
+    db.transaction(() => {
+      for (const place of places) {
+        if (isNaN(place.place_lat) || isNaN(place.place_lon)) continue;
+        
+        const nearest = placeStopCandidates
+          .map(stop => ({
+            stop_id: stop.stop_id,
+            distance: walkingDistanceMeters(place.place_lat, place.place_lon, stop.stop_lat, stop.stop_lon)
+          }))
+          .filter(stop => stop.distance <= MAX_PLACE_WALK_M)
+          .sort((a, b) => a.distance - b.distance);
+        
+        const linked = nearest.filter(stop => stop.distance <= PLACE_STOP_RADIUS_M).slice(0, PLACE_STOP_LIMIT);
+        if (linked.length === 0 && nearest.length > 0) linked.push(nearest[0]);
+        
+        // A place no stop is within walking distance of cannot be travelled to
+        if (linked.length === 0) {
+          unlinkedPlaceCount++;
+          continue;
+        }
+        
+        const inserted = insertPlace.run(
+          place.place_id,
+          place.place_name,
+          place.place_name_ar,
+          place.category,
+          place.place_lat,
+          place.place_lon,
+          place.source
+        );
+        if (inserted.changes === 0) continue;
+        
+        for (const stop of linked) {
+          insertPlaceStop.run(place.place_id, stop.stop_id, stop.distance, walkingSeconds(stop.distance));
+          placeStopCount++;
+        }
+        
+        insertPlaceSearch.run(
+          place.place_id,
+          normalizeSearchText(place.place_name),
+          normalizeSearchText(place.place_name_ar)
+        );
+        placeCount++;
+      }
+    })();
+    
+    const placeSourceNames = placeSources.map(source => path.relative(path.join(__dirname, '..'), source)).join(', ');
+    console.log(`✅ Imported ${placeCount} places from ${placeSourceNames} (${placeStopCount} nearest stops, ${unlinkedPlaceCount} too far from any stop)`);
+    
+    // -------------------------------------------------
+    // STEP 16: Create Metro Lines Table
     // -------------------------------------------------
     console.log('\n🚇 Creating metro lines...');
     
@@ -458,18 +1427,17 @@ async function buildOfflineDatabase() {
     const insertMetroLines = db.transaction(() => {
       for (const route of metroRoutes) {
         let lineName = route.route_short_name || route.route_long_name || route.route_id;
-        let lineNameAr = '';
+        const lineNameAr = translate('routes', 'route_short_name', route.route_short_name, route.route_id)
+          || translate('routes', 'route_long_name', route.route_long_name, route.route_id)
+          || '';
         
         // Clean up common metro naming patterns
         if (lineName.toLowerCase().includes('red') || lineName.includes('MRed')) {
           lineName = 'Red Line';
-          lineNameAr = 'الخط الأحمر';
         } else if (lineName.toLowerCase().includes('green') || lineName.includes('MGr')) {
           lineName = 'Green Line';
-          lineNameAr = 'الخط الأخضر';
         } else if (lineName.toLowerCase().includes('2020') || lineName.includes('Route 2020')) {
           lineName = 'Route 2020';
-          lineNameAr = 'طريق 2020';
         }
         
         insertMetroLine.run(
@@ -486,7 +1454,7 @@ async function buildOfflineDatabase() {
     console.log(`✅ Created ${metroRoutes.length} metro lines`);
     
     // -------------------------------------------------
-    // STEP 8: Create Indexes
+    // STEP 17: Create Indexes
     // -------------------------------------------------
     console.log('\n🔧 Creating indexes...');
     
@@ -495,20 +1463,25 @@ async function buildOfflineDatabase() {
       CREATE INDEX IF NOT EXISTS idx_routes_type ON routes(route_type);
       CREATE INDEX IF NOT EXISTS idx_stops_name ON stops(stop_name);
       CREATE INDEX IF NOT EXISTS idx_stops_location ON stops(stop_lat, stop_lon);
+      CREATE INDEX IF NOT EXISTS idx_stops_parent ON stops(parent_station);
       CREATE INDEX IF NOT EXISTS idx_patterns_route ON route_patterns(route_id);
       CREATE INDEX IF NOT EXISTS idx_patterns_direction ON route_patterns(route_id, direction_id);
       CREATE INDEX IF NOT EXISTS idx_pattern_stops_pattern ON pattern_stops(pattern_id);
       CREATE INDEX IF NOT EXISTS idx_pattern_stops_stop ON pattern_stops(stop_id);
+      CREATE INDEX IF NOT EXISTS idx_pattern_trips_start ON pattern_trips(pattern_id, start_secs);
+      CREATE INDEX IF NOT EXISTS idx_calendar_dates_date ON calendar_dates(date);
       CREATE INDEX IF NOT EXISTS idx_stop_routes_stop ON stop_routes(stop_id);
       CREATE INDEX IF NOT EXISTS idx_stop_routes_route ON stop_routes(route_id);
       CREATE INDEX IF NOT EXISTS idx_transfers_from ON transfers(from_stop_id);
       CREATE INDEX IF NOT EXISTS idx_transfers_to ON transfers(to_stop_id);
+      CREATE INDEX IF NOT EXISTS idx_footpaths_to ON footpaths(to_stop_id);
+      CREATE INDEX IF NOT EXISTS idx_fare_rules_fare ON fare_rules(fare_id);
     `);
     
     console.log('✅ Indexes created');
     
     // -------------------------------------------------
-    // STEP 9: Optimize database
+    // STEP 18: Optimize database
     // -------------------------------------------------
     console.log('\n🗜️  Optimizing database...');
     db.exec('VACUUM');
@@ -520,6 +1493,9 @@ async function buildOfflineDatabase() {
     // -------------------------------------------------
     db.close();
     
+    // Swap the new database in (one atomic rename)
+    fs.renameSync(BUILD_DB_PATH, OFFLINE_DB_PATH);
+    
     // Get final file size
     const stats = fs.statSync(OFFLINE_DB_PATH);
     const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
@@ -532,14 +1508,25 @@ async function buildOfflineDatabase() {
     console.log('');
     console.log('📊 Summary:');
     console.log(`   • Routes: ${routes.length}`);
-    console.log(`   • Stops: ${stops.length}`);
-    console.log(`   • Patterns: ${patternCount}`);
+    console.log(`   • Stops: ${stops.length} (+${stationGroups.length} grouped stations)`);
+    console.log(`   • Patterns: ${patternCount} (${variantCount} variants)`);
     console.log(`   • Pattern Stops: ${patternStopCount.toLocaleString()}`);
+    console.log(`   • Timetable Trips: ${timetableTripCount.toLocaleString()}`);
+    console.log(`   • Frequency Bands: ${frequencyCount.toLocaleString()}`);
+    console.log(`   • Shapes: ${shapeCount} (${keptPointCount.toLocaleString()} points)`);
+    console.log(`   • Calendars: ${calendarCount} (+${calendarDateCount} exceptions)`);
+    console.log(`   • Arabic Names: ${arabicStopCount} stops, ${arabicRouteCount} routes, ${arabicHeadsignCount} headsigns`);
+    console.log(`   • Search Index: ${searchStops.length} stops (${aliasedStopCount} with aliases), ${routes.length} routes`);
+    console.log(`   • Places: ${placeCount} (${placeStopCount} nearest stops)`);
+    console.log(`   • Fares: ${nolFares.classes.length} card classes, ${zoneCount} zones${fareAttributes.length ? `, ${fareAttributes.length} GTFS fares` : ''}`);
     console.log(`   • Transfers: ${transfers.length}`);
+    console.log(`   • Footpaths: ${footpaths.size.toLocaleString()}`);
     console.log('='.repeat(50));
     
   } catch (error) {
     console.error('\n❌ Error building offline database:', error);
+    db.close();
+    removeBuildFiles();
     process.exit(1);
   }
 }
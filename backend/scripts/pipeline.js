@@ -0,0 +1,739 @@
+/**
+ * GTFS Ingestion Pipeline
+ *
+ * One command from a GTFS feed to a published offline database, in stages:
+ *
+ *   fetch     Download the feed (URL inputs only)
+ *   extract   Unpack a zip/7z into data/gtfs/GTFS_<YYYYMMDD>
+ *   validate  Check the feed (data/pipeline/validation.json and .html)
+ *   load      Load the feed into the full database (db/dubai_transit.db)
+ *   build     Build the offline database (scripts/build-offline-db.js)
+ *   diff      Compare it with the previous one (data/pipeline/changelog.json)
+ *   publish   Stamp the release and write deltas from earlier ones
+ *             (data/releases) and the signed app manifest
+ *             (data/app-version.json)
+ *
+ * Usage: node scripts/pipeline.js [options]
+ *   --input <url|zip|7z|dir>  Feed to ingest (default: Dubai Pulse download)
+ *   --config <file>           JSON config (default: pipeline.config.json if present)
+ *   --from <stage>            Start at a stage, reusing earlier ones from the last run
+ *   --to <stage>              Stop after a stage
+ *   --only <stage>            Run one stage (same as --from <stage> --to <stage>)
+ *   --skip <stage,...>        Leave stages out (e.g. --skip load)
+ *   --fail-on <severity>      Validation severity that fails the run
+ *                             (error, warning, info or none; default: error)
+ *   --resume                  Carry on where the last run failed or stopped
+ *   --report <file>           Also write the run report here
+ *
+ * Config file keys: input, full_db, offline_db, manifest, releases_dir,
+ * base_url, download_url, min_app_version, signing_key, skip, fail_on,
+ * report (paths relative to the config file);
+ * command line options win.
+ *
+ * Every run writes a JSON report (data/pipeline/last-run.json) with each
+ * stage's status, timing, outputs and counts; --resume and --from read
+ * the previous one back. Exits with 1 when a stage fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const Database = require('better-sqlite3');
+const { DB_PATH } = require('../db/database');
+const { hasTable, OFFLINE_DB_PATH } = require('../db/offline-database');
+const { findGtfsDir, feedDate, GTFS_ROOT, GTFS_DIR_PREFIX } = require('../services/gtfs-feed');
+const { inputKind, downloadFeed, extractArchive, DUBAI_PULSE_GTFS_URL } = require('../services/gtfs-source');
+const { loadFullDatabase } = require('../services/gtfs-loader');
+const {
+  validateFeed,
+  writeValidationReports,
+  printValidation,
+  isFailOnLevel,
+  FAIL_ON_LEVELS,
+  DEFAULT_FAIL_ON
+} = require('../services/gtfs-validator');
+const { buildDelta, formatDelta } = require('../services/db-delta');
+const {
+  readManifest,
+  stampRelease,
+  readRelease,
+  diffOfflineDatabases,
+  describeChanges,
+  summarizeChanges,
+  APP_VERSION_PATH,
+  RELEASE_INFO_TABLE
+} = require('../services/releases');
+const { sha256File, checkSigningKey, signManifest, SIGNING_KEY_PATH } = require('../services/release-signing');
+const { MANIFEST_SCHEMA_VERSION } = require('../../shared/release-manifest');
+
+// Paths
+const BACKEND_DIR = path.join(__dirname, '..');
+const CONFIG_PATH = path.join(BACKEND_DIR, 'pipeline.config.json');
+const PIPELINE_DIR = path.join(BACKEND_DIR, 'data', 'pipeline');
+const LAST_RUN_PATH = path.join(PIPELINE_DIR, 'last-run.json');
+const PREVIOUS_DB_PATH = path.join(PIPELINE_DIR, 'previous-offline.db');
+const CHANGELOG_PATH = path.join(PIPELINE_DIR, 'changelog.json');
+const RELEASES_DIR = path.join(BACKEND_DIR, 'data', 'releases');
+const BUILD_SCRIPT = path.join(__dirname, 'build-offline-db.js');
+
+// Stages in run order
+const STAGES = ['fetch', 'extract', 'validate', 'load', 'build', 'diff', 'publish'];
+
+// Outputs each stage needs from earlier stages
+const STAGE_NEEDS = {
+  extract: [],
+  validate: ['gtfs_dir'],
+  load: ['gtfs_dir'],
+  build: ['gtfs_dir'],
+  diff: ['offline_db'],
+  publish: ['offline_db', 'sha256']
+};
+
+// Outputs that are files or folders (must still exist to be reused)
+const PATH_OUTPUTS = [
+  'archive', 'gtfs_dir', 'full_db', 'offline_db', 'previous_db', 'changelog', 'manifest', 'release_db', 'delta'
+];
+
+// Config keys holding paths
+const PATH_KEYS = ['full_db', 'offline_db', 'manifest', 'releases_dir', 'signing_key', 'report'];
+
+// Deltas listed in the manifest (apps further behind download the database)
+const MAX_DELTA_CHAIN = 10;
+
+// Deltas larger than this share of the database are not worth it
+const MAX_DELTA_SHARE = 0.5;
+
+const DEFAULT_CONFIG = {
+  input: DUBAI_PULSE_GTFS_URL,
+  full_db: DB_PATH,
+  offline_db: OFFLINE_DB_PATH,
+  manifest: APP_VERSION_PATH,
+  releases_dir: RELEASES_DIR,
+  base_url: null,
+  download_url: null,
+  min_app_version: null,
+  signing_key: SIGNING_KEY_PATH,
+  skip: [],
+  fail_on: DEFAULT_FAIL_ON,
+  report: null
+};
+
+/**
+ * Read a JSON file (null when it does not exist)
+ */
+function readJson(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Write a JSON file, creating its folder
+ */
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Resolve a local input or path option (URLs stay as they are)
+ */
+function resolvePath(value, baseDir) {
+  if (!value || /^https?:\/\//i.test(value)) return value;
+  return path.resolve(baseDir, value);
+}
+
+// =====================================================
+// STAGES
+// Each takes (config, outputs of earlier stages) and returns
+// { outputs, counts } or { skipped: reason, outputs }
+// =====================================================
+
+/**
+ * fetch: download a URL input; local inputs pass through
+ */
+async function fetchStage(config) {
+  const kind = inputKind(config.input);
+
+  if (kind === 'dir') {
+    return { skipped: 'input is an extracted feed', outputs: {} };
+  }
+  if (kind !== 'url') {
+    return { skipped: `input is a local ${kind} archive`, outputs: { archive: config.input, kind } };
+  }
+
+  const download = await downloadFeed(config.input);
+  return {
+    outputs: {
+      archive: download.archive,
+      kind: download.kind,
+      last_modified: download.last_modified,
+      etag: download.etag
+    },
+    counts: { bytes: download.bytes }
+  };
+}
+
+/**
+ * extract: unpack the archive into data/gtfs/GTFS_<date>, the date
+ * being the feed's own (feed_info.txt) or today's
+ */
+async function extractStage(config, artifacts) {
+  if (!artifacts.archive) {
+    const gtfsDir = findGtfsDir(config.input);
+    if (!gtfsDir) throw new Error(`No GTFS files (routes.txt) in ${config.input}`);
+    return { skipped: 'input is an extracted feed', outputs: { gtfs_dir: gtfsDir, gtfs_date: await feedDate(gtfsDir) } };
+  }
+
+  const extractDir = path.join(GTFS_ROOT, '.extracting');
+  await extractArchive(artifacts.archive, extractDir);
+
+  const extracted = findGtfsDir(extractDir);
+  if (!extracted) {
+    fs.rmSync(extractDir, { recursive: true });
+    throw new Error('Could not find GTFS files after extraction');
+  }
+
+  const gtfsDate = await feedDate(extracted) || new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const gtfsDir = path.join(GTFS_ROOT, `${GTFS_DIR_PREFIX}${gtfsDate}`);
+
+  if (fs.existsSync(gtfsDir)) fs.rmSync(gtfsDir, { recursive: true });
+  fs.renameSync(extracted, gtfsDir);
+  if (fs.existsSync(extractDir)) fs.rmSync(extractDir, { recursive: true });
+
+  const files = fs.readdirSync(gtfsDir).filter(file => file.endsWith('.txt'));
+  console.log(`📂 Feed ${gtfsDate}: ${files.length} files in ${gtfsDir}`);
+
+  return { outputs: { gtfs_dir: gtfsDir, gtfs_date: gtfsDate }, counts: { files: files.length } };
+}
+
+/**
+ * validate: the feed checks, failing at the fail_on severity
+ */
+async function validateStage(config, artifacts) {
+  const validation = await validateFeed(artifacts.gtfs_dir, { failOn: config.fail_on });
+  const reports = writeValidationReports(validation, PIPELINE_DIR);
+  printValidation(validation);
+
+  const outputs = { validation_json: reports.json, validation_html: reports.html };
+  if (!validation.passed) {
+    const { error, warning, info } = validation.summary;
+    const failed = new Error(`Feed failed validation (${error} errors, ${warning} warnings, ${info} info; fails on ${config.fail_on})`);
+    failed.outputs = outputs;
+    failed.counts = validation.summary;
+    throw failed;
+  }
+
+  return { outputs, counts: validation.summary };
+}
+
+/**
+ * load: the full database
+ */
+async function loadStage(config, artifacts) {
+  const { db_path, counts } = await loadFullDatabase(artifacts.gtfs_dir, config.full_db);
+  return { outputs: { full_db: db_path }, counts };
+}
+
+/**
+ * build: the offline database, built by its own script, keeping the
+ * one it replaces for the diff
+ */
+async function buildStage(config, artifacts) {
+  let previousDb = null;
+  if (fs.existsSync(config.offline_db)) {
+    fs.mkdirSync(PIPELINE_DIR, { recursive: true });
+    fs.copyFileSync(config.offline_db, PREVIOUS_DB_PATH);
+    previousDb = PREVIOUS_DB_PATH;
+  }
+
+  const result = spawnSync(process.execPath, [BUILD_SCRIPT], {
+    cwd: BACKEND_DIR,
+    // The feed was validated in its own stage
+    env: {
+      ...process.env,
+      GTFS_DIR: artifacts.gtfs_dir,
+      OFFLINE_DB_PATH: config.offline_db,
+      GTFS_VALIDATION: 'off'
+    },
+    stdio: 'inherit'
+  });
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    throw new Error(`build-offline-db.js exited with code ${result.status}`);
+  }
+
+  const db = new Database(config.offline_db, { readonly: true });
+  const counts = {};
+  try {
+    for (const table of ['routes', 'stops', 'route_patterns', 'pattern_trips', 'footpaths', 'places']) {
+      if (hasTable(db, table)) {
+        counts[table] = db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  return {
+    outputs: {
+      offline_db: config.offline_db,
+      previous_db: previousDb,
+      size_bytes: fs.statSync(config.offline_db).size,
+      sha256: sha256File(config.offline_db)
+    },
+    counts
+  };
+}
+
+/**
+ * diff: what changed for riders since the previous offline database
+ */
+async function diffStage(config, artifacts) {
+  if (!artifacts.previous_db) {
+    return { skipped: 'no previous offline database', outputs: {} };
+  }
+
+  const diff = diffOfflineDatabases(artifacts.previous_db, artifacts.offline_db);
+  const changelog = describeChanges(diff);
+  writeJson(CHANGELOG_PATH, { changes: summarizeChanges(diff), changelog, diff });
+
+  console.log(`📝 ${summarizeChanges(diff)}`);
+  changelog.slice(0, 10).forEach(line => console.log(`   • ${line}`));
+  if (changelog.length > 10) console.log(`   ... and ${changelog.length - 10} more`);
+
+  return { outputs: { changelog: CHANGELOG_PATH }, counts: diff.summary };
+}
+
+/**
+ * Base URL the release files are hosted under: base_url, or the folder
+ * of download_url
+ * Throws when neither is set to an http(s) URL (the YOUR_HOSTING_URL
+ * placeholder included), so no manifest sends apps nowhere.
+ */
+function releaseBaseUrl(config) {
+  for (const key of ['base_url', 'download_url']) {
+    if (config[key] && !/^https?:\/\/[^/\s]+/i.test(config[key])) {
+      throw new Error(`"${key}" is not an http(s) URL: ${config[key]}`);
+    }
+  }
+
+  const baseUrl = config.base_url || (config.download_url || '').replace(/[^/]*$/, '');
+  if (!baseUrl) {
+    throw new Error('Set "base_url" (or "download_url") in the pipeline config to where releases are hosted');
+  }
+  return baseUrl.replace(/\/?$/, '/');
+}
+
+/**
+ * Delta from the last release to the new one (data/releases/delta-v1-v2.sql)
+ * Returns its manifest entry, or null when the schema changed or it
+ * would not be much smaller than the database.
+ */
+function writeDelta(config, baseline, releaseDb, from, to, baseUrl) {
+  const delta = buildDelta(baseline, releaseDb);
+  if (!delta.compatible) {
+    console.log('⚠️  Schema changed: no delta, apps download the full database');
+    return null;
+  }
+
+  const sql = formatDelta(delta, from, to);
+  const sizeBytes = Buffer.byteLength(sql);
+  if (sizeBytes > fs.statSync(releaseDb).size * MAX_DELTA_SHARE) {
+    console.log(`⚠️  Delta is ${(sizeBytes / (1024 * 1024)).toFixed(2)} MB, apps download the full database instead`);
+    return null;
+  }
+
+  const filename = `delta-v${from}-v${to}.sql`;
+  const deltaPath = path.join(config.releases_dir, filename);
+  fs.writeFileSync(deltaPath, sql);
+  console.log(`🧩 Delta v${from} → v${to}: ${delta.statements.length.toLocaleString()} statements, ${(sizeBytes / 1024).toFixed(1)} KB`);
+
+  return {
+    from_version: from,
+    to_version: to,
+    filename,
+    size_bytes: sizeBytes,
+    sha256: sha256File(deltaPath),
+    download_url: baseUrl + filename,
+    counts: delta.counts
+  };
+}
+
+/**
+ * publish: the release apps download - the offline database stamped
+ * with its version and the deltas from earlier versions in
+ * data/releases, and the manifest apps check for updates, signed with
+ * the release key. Versioned up only when the offline database changed
+ * (or the manifest predates the current schema).
+ */
+async function publishStage(config, artifacts) {
+  const previous = readManifest(config.manifest);
+  const gtfsDate = artifacts.gtfs_date || new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const filename = path.basename(artifacts.offline_db);
+  const releaseDb = path.join(config.releases_dir, filename);
+
+  // The last release, if it is still the one the manifest lists
+  const lastRelease = previous && fs.existsSync(releaseDb) ? readRelease(releaseDb) : null;
+  const baseline = lastRelease && lastRelease.version === previous.version ? releaseDb : null;
+
+  // Manifests from before the current schema are published again
+  const current = Boolean(previous && previous.schema_version === MANIFEST_SCHEMA_VERSION);
+  let unchanged = current && previous.database.sha256 === artifacts.sha256;
+  if (current && baseline) {
+    const delta = buildDelta(baseline, artifacts.offline_db, { exclude: [RELEASE_INFO_TABLE] });
+    unchanged = delta.compatible && delta.statements.length === 0;
+  }
+  if (unchanged) {
+    console.log(`✅ Offline database unchanged, manifest stays at version ${previous.version}`);
+    return { outputs: { manifest: config.manifest, version: previous.version, changed: false } };
+  }
+
+  // Before touching the release: it could not be hosted or signed
+  const baseUrl = releaseBaseUrl(config);
+  checkSigningKey(config.signing_key);
+
+  // Stamp a copy, so the release carries its version
+  const version = ((previous && previous.version) || 0) + 1;
+  const stamped = `${releaseDb}.new`;
+  fs.mkdirSync(config.releases_dir, { recursive: true });
+  fs.copyFileSync(artifacts.offline_db, stamped);
+  stampRelease(stamped, { version, gtfs_date: gtfsDate });
+
+  const delta = baseline ? writeDelta(config, baseline, stamped, previous.version, version, baseUrl) : null;
+  fs.renameSync(stamped, releaseDb);
+
+  // Deltas chain on from older versions; a gap (no delta) ends the chain
+  const deltas = delta
+    ? [...((current && previous.deltas) || []), delta].slice(-MAX_DELTA_CHAIN)
+    : [];
+  for (const file of fs.readdirSync(config.releases_dir)) {
+    if (/^delta-v\d+-v\d+\.sql$/.test(file) && !deltas.some(entry => entry.filename === file)) {
+      fs.unlinkSync(path.join(config.releases_dir, file));
+    }
+  }
+
+  const sizeBytes = fs.statSync(releaseDb).size;
+  const release = artifacts.changelog ? readJson(artifacts.changelog) : null;
+  const manifest = signManifest({
+    schema_version: MANIFEST_SCHEMA_VERSION,
+    version,
+    gtfs_date: gtfsDate,
+    updated_at: new Date().toISOString(),
+    database: {
+      filename,
+      size_bytes: sizeBytes,
+      size_mb: parseFloat((sizeBytes / (1024 * 1024)).toFixed(2)),
+      sha256: sha256File(releaseDb),
+      download_url: config.download_url || baseUrl + filename
+    },
+    deltas,
+    changes: release
+      ? `Updated with GTFS data from ${gtfsDate}: ${release.changes}`
+      : `Updated with GTFS data from ${gtfsDate}`,
+    min_app_version: config.min_app_version || (previous && previous.min_app_version) || '1.0.0',
+    changelog: release ? release.changelog : [],
+    diff: release ? release.diff : null
+  }, { keyPath: config.signing_key });
+
+  writeJson(config.manifest, manifest);
+  console.log(`📱 Manifest version ${manifest.version} signed with key ${manifest.signature.key_id}: ${config.manifest}`);
+  console.log(`📦 Upload ${config.releases_dir} (database + ${deltas.length} deltas) to ${baseUrl}`);
+  return {
+    outputs: {
+      manifest: config.manifest,
+      version,
+      changed: true,
+      release_db: releaseDb,
+      delta: delta ? path.join(config.releases_dir, delta.filename) : null
+    }
+  };
+}
+
+const STAGE_RUNNERS = {
+  fetch: fetchStage,
+  extract: extractStage,
+  validate: validateStage,
+  load: loadStage,
+  build: buildStage,
+  diff: diffStage,
+  publish: publishStage
+};
+
+// =====================================================
+// RUNNER
+// =====================================================
+
+/**
+ * Check a stage name from the options
+ */
+function checkStage(name, option) {
+  if (!STAGES.includes(name)) {
+    throw new Error(`"${option}" must be one of: ${STAGES.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Which stages run, which are reused from the previous run and which
+ * are left out
+ * Returns [{ name, action: 'run' | 'reuse' | 'skip' | 'stop', reason }].
+ */
+function planStages(config, kind, previous) {
+  const skip = new Set(config.skip.map(name => checkStage(name, 'skip')));
+  const to = STAGES.indexOf(checkStage(config.to || STAGES[STAGES.length - 1], 'to'));
+  let from = config.from ? STAGES.indexOf(checkStage(config.from, 'from')) : 0;
+
+  if (config.resume) {
+    const done = ['done', 'skipped', 'reused'];
+    from = STAGES.findIndex(name => {
+      const stage = previous.stages.find(record => record.name === name);
+      return !stage || !done.includes(stage.status);
+    });
+    if (from === -1) from = STAGES.length;
+  }
+
+  // An extracted folder needs nothing from earlier runs: fetch and
+  // extract only look at it
+  const local = kind === 'dir' ? ['fetch', 'extract'] : [];
+
+  return STAGES.map((name, i) => {
+    if (i < from && !local.includes(name)) return { name, action: 'reuse' };
+    if (i > to) return { name, action: 'stop', reason: `after --to ${STAGES[to]}` };
+    if (skip.has(name)) return { name, action: 'skip', reason: 'skipped by config' };
+    return { name, action: 'run' };
+  });
+}
+
+/**
+ * A stage of the previous run to carry over, checking its files are
+ * still there
+ */
+function reuseStage(name, previous) {
+  const stage = previous && previous.stages.find(record => record.name === name);
+  if (!stage || !['done', 'skipped', 'reused'].includes(stage.status)) {
+    throw new Error(`Stage "${name}" did not finish in the last run; start from it instead`);
+  }
+
+  for (const key of PATH_OUTPUTS) {
+    const value = stage.outputs && stage.outputs[key];
+    if (value && !fs.existsSync(value)) {
+      throw new Error(`Stage "${name}" output ${key} (${value}) is gone; run it again`);
+    }
+  }
+
+  return {
+    name,
+    status: 'reused',
+    reused_from: previous.run_id,
+    outputs: stage.outputs || {},
+    counts: stage.counts
+  };
+}
+
+/**
+ * Run the pipeline
+ * Options are config keys plus from, to, only and resume. Returns the
+ * run report (status 'success' or 'failed'); throws only for bad
+ * options.
+ */
+async function runPipeline(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  config.input = resolvePath(config.input, process.cwd());
+  if (config.only) {
+    config.from = checkStage(config.only, 'only');
+    config.to = config.only;
+  }
+
+  if (!isFailOnLevel(config.fail_on)) {
+    throw new Error(`"fail_on" must be one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  const kind = inputKind(config.input);
+  if (!kind) {
+    throw new Error(`Input is not a URL, zip, 7z or GTFS folder: ${config.input}`);
+  }
+
+  const previous = config.resume || config.from ? readJson(LAST_RUN_PATH) : null;
+  if (config.resume && !previous) {
+    throw new Error(`Nothing to resume (no ${path.relative(BACKEND_DIR, LAST_RUN_PATH)})`);
+  }
+  if (previous && previous.input.source !== config.input) {
+    throw new Error(`The last run was for another input (${previous.input.source})`);
+  }
+
+  const startedAt = new Date();
+  const report = {
+    run_id: startedAt.toISOString().replace(/[:.]/g, '-'),
+    status: 'success',
+    started_at: startedAt.toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    input: { source: config.input, kind },
+    resumed_from: previous ? previous.run_id : null,
+    config: {
+      full_db: config.full_db,
+      offline_db: config.offline_db,
+      manifest: config.manifest,
+      releases_dir: config.releases_dir,
+      skip: config.skip,
+      fail_on: config.fail_on,
+      from: config.from || null,
+      to: config.to || null
+    },
+    stages: [],
+    artifacts: {},
+    error: null
+  };
+
+  console.log('');
+  console.log('🚀 Dubai Transit - GTFS Pipeline');
+  console.log('='.repeat(50));
+  console.log(`📥 Input (${kind}): ${config.input}`);
+
+  const plan = planStages(config, kind, previous);
+  for (const { name, action, reason } of plan) {
+    if (report.status === 'failed' || action === 'stop') {
+      report.stages.push({ name, status: 'not_run', reason: reason || 'an earlier stage failed' });
+      continue;
+    }
+    if (action === 'skip') {
+      report.stages.push({ name, status: 'skipped', reason });
+      continue;
+    }
+
+    if (action === 'reuse') {
+      try {
+        const stage = reuseStage(name, previous);
+        Object.assign(report.artifacts, stage.outputs);
+        report.stages.push(stage);
+        console.log(`\n♻️  ${name}: reused from ${previous.run_id}`);
+      } catch (error) {
+        report.stages.push({ name, status: 'failed', error: error.message });
+        report.status = 'failed';
+        report.error = `${name}: ${error.message}`;
+        console.error(`\n❌ ${name} cannot be reused: ${error.message}`);
+      }
+      continue;
+    }
+
+    console.log(`\n▶️  Stage: ${name}`);
+    console.log('-'.repeat(50));
+    const stageStart = Date.now();
+    const record = { name, status: 'done', started_at: new Date(stageStart).toISOString() };
+
+    try {
+      const missing = (STAGE_NEEDS[name] || []).filter(key => report.artifacts[key] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Needs ${missing.join(', ')} from an earlier stage`);
+      }
+
+      const result = await STAGE_RUNNERS[name](config, report.artifacts);
+      if (result.skipped) {
+        record.status = 'skipped';
+        record.reason = result.skipped;
+        console.log(`⏭️  Skipped: ${result.skipped}`);
+      }
+      record.outputs = result.outputs;
+      if (result.counts) record.counts = result.counts;
+      Object.assign(report.artifacts, result.outputs);
+    } catch (error) {
+      record.status = 'failed';
+      record.error = error.message;
+      if (error.outputs) record.outputs = error.outputs;
+      if (error.counts) record.counts = error.counts;
+      report.status = 'failed';
+      report.error = `${name}: ${error.message}`;
+      console.error(`❌ ${name} failed: ${error.message}`);
+    }
+
+    record.duration_ms = Date.now() - stageStart;
+    report.stages.push(record);
+  }
+
+  const finishedAt = new Date();
+  report.finished_at = finishedAt.toISOString();
+  report.duration_ms = finishedAt - startedAt;
+
+  writeJson(LAST_RUN_PATH, report);
+  if (config.report) writeJson(config.report, report);
+
+  console.log('\n' + '='.repeat(50));
+  console.log(report.status === 'success' ? '✅ PIPELINE COMPLETE!' : '❌ PIPELINE FAILED');
+  console.log('='.repeat(50));
+  for (const stage of report.stages) {
+    const seconds = stage.duration_ms !== undefined ? ` (${(stage.duration_ms / 1000).toFixed(1)}s)` : '';
+    console.log(`   • ${stage.name}: ${stage.status}${seconds}`);
+  }
+  console.log(`📋 Report: ${config.report || LAST_RUN_PATH}`);
+
+  return report;
+}
+
+/**
+ * Read the config file and command line options
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--input': args.input = value(); break;
+      case '--config': args.config = value(); break;
+      case '--from': args.from = value(); break;
+      case '--to': args.to = value(); break;
+      case '--only': args.only = value(); break;
+      case '--skip': args.skip = value().split(',').map(name => name.trim()).filter(Boolean); break;
+      case '--fail-on': args.fail_on = value(); break;
+      case '--report': args.report = value(); break;
+      case '--resume': args.resume = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const configPath = args.config ? path.resolve(args.config) : CONFIG_PATH;
+  if (args.config && !fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const fileConfig = readJson(configPath) || {};
+  const configDir = path.dirname(configPath);
+  for (const key of ['input', ...PATH_KEYS]) {
+    if (fileConfig[key]) fileConfig[key] = resolvePath(fileConfig[key], configDir);
+  }
+  for (const key of PATH_KEYS) {
+    if (args[key]) args[key] = resolvePath(args[key], process.cwd());
+  }
+  delete args.config;
+
+  return { ...fileConfig, ...args };
+}
+
+/**
+ * Command line entry point
+ */
+async function main() {
+  try {
+    const report = await runPipeline(parseArgs(process.argv.slice(2)));
+    process.exit(report.status === 'success' ? 0 : 1);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  runPipeline,
+  STAGES,
+  LAST_RUN_PATH
+};
@@ -0,0 +1,72 @@
+/**
+ * Release Signing Keys
+ *
+ * Creates the Ed25519 key the pipeline signs app-version.json with, and
+ * checks a signed manifest the way the app does.
+ *
+ * Usage: node scripts/release-keys.js <command> [options]
+ *   generate             New key in keys/release-signing.key; its public
+ *                        key is added to shared/release-keys.json
+ *   verify [manifest]    Check a manifest (default: data/app-version.json)
+ *   --key <file>         Private key to create (default: keys/release-signing.key)
+ *
+ * The private key never leaves the publishing machine. Commit
+ * shared/release-keys.json and rebuild the app, so it trusts the new
+ * key before the first release signed with it. Keep the old public key
+ * in the file until apps are past the releases it signed.
+ */
+
+const path = require('path');
+const { readManifest, APP_VERSION_PATH } = require('../services/releases');
+const {
+  generateSigningKey,
+  readTrustedKeys,
+  verifySignature,
+  SIGNING_KEY_PATH,
+  TRUSTED_KEYS_PATH
+} = require('../services/release-signing');
+const { verifyManifest } = require('../../shared/release-manifest');
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.shift();
+  let keyPath = SIGNING_KEY_PATH;
+  let manifestPath = APP_VERSION_PATH;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--key') keyPath = path.resolve(args[++i] || '');
+    else manifestPath = path.resolve(args[i]);
+  }
+
+  if (command === 'generate') {
+    const { key_id: keyId, public_key: publicKey } = generateSigningKey(keyPath);
+    console.log(`🔑 Signing key ${keyId}: ${keyPath}`);
+    console.log(`   Public key ${publicKey}`);
+    console.log(`   Trusted in ${TRUSTED_KEYS_PATH} - commit it and rebuild the app`);
+    return;
+  }
+
+  if (command === 'verify') {
+    const manifest = readManifest(manifestPath);
+    if (!manifest) {
+      throw new Error(`No manifest at ${manifestPath}`);
+    }
+
+    const check = verifyManifest(manifest, { trustedKeys: readTrustedKeys(), verify: verifySignature });
+    if (!check.valid) {
+      throw new Error(`Manifest version ${manifest.version} is not valid (${check.reason}): ${check.error}`);
+    }
+    console.log(`✅ Manifest version ${manifest.version} is signed by trusted key ${manifest.signature.key_id}`);
+    return;
+  }
+
+  throw new Error('Usage: node scripts/release-keys.js <generate|verify> [options]');
+}
+
+main().catch((error) => {
+  console.error('\n❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Validate a GTFS Feed
+ *
+ * Checks a feed for the problems the offline database builder would
+ * otherwise build in quietly (see services/gtfs-validator.js) and writes
+ * validation.json and validation.html.
+ *
+ * Usage: node scripts/validate-gtfs.js [feed folder] [options]
+ *   --fail-on <error|warning|info|none>  Severity that fails (default: error)
+ *   --out <dir>                          Report folder (default: data/pipeline)
+ *
+ * The feed defaults to the newest one in data/gtfs. Exits with 1 when a
+ * check at or above the fail-on severity finds anything.
+ */
+
+const path = require('path');
+const { latestGtfsDir } = require('../services/gtfs-feed');
+const {
+  validateFeed,
+  writeValidationReports,
+  printValidation,
+  isFailOnLevel,
+  FAIL_ON_LEVELS,
+  DEFAULT_FAIL_ON,
+  VALIDATION_DIR
+} = require('../services/gtfs-validator');
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  let gtfsDir = null;
+  let failOn = DEFAULT_FAIL_ON;
+  let outDir = VALIDATION_DIR;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--fail-on') failOn = args[++i];
+    else if (args[i] === '--out') outDir = path.resolve(args[++i] || '');
+    else gtfsDir = path.resolve(args[i]);
+  }
+
+  if (!isFailOnLevel(failOn)) {
+    throw new Error(`--fail-on must be one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  gtfsDir = gtfsDir || latestGtfsDir();
+  if (!gtfsDir) {
+    throw new Error('No GTFS feed found in data/gtfs (run: npm run pipeline)');
+  }
+
+  console.log(`🔎 Validating GTFS feed: ${gtfsDir}\n`);
+  const report = await validateFeed(gtfsDir, { failOn });
+  printValidation(report);
+
+  const { json, html } = writeValidationReports(report, outDir);
+  console.log(`\n📋 Report: ${json}`);
+  console.log(`📋 HTML:   ${html}`);
+
+  if (!report.passed) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error('\n❌ Error:', error.message);
+  process.exit(1);
+});
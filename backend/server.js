@@ -1,7 +1,7 @@
 /**
  * Dubai Transit API Server
  * 
- * A lightweight API for Dubai Bus & Metro journey planning
+ * A lightweight API for Dubai Bus, Metro, Tram & Marine journey planning
  * Uses optimized offline database (~1.3 MB) for fast queries
  */
 
@@ -12,10 +12,14 @@ const path = require("path");
 // Import routes
 const busRoutes = require("./routes/bus.routes");
 const metroRoutes = require("./routes/metro.routes");
+const tramRoutes = require("./routes/tram.routes");
+const marineRoutes = require("./routes/marine.routes");
 const searchRoutes = require("./routes/search.routes");
+const updatesRoutes = require("./routes/updates.routes");
 
 // Import database for stats
 const { getDb, OFFLINE_DB_PATH } = require("./db/offline-database");
+const { localizeResponses, LANGUAGES } = require("./services/translations");
 const fs = require("fs");
 
 const app = express();
@@ -62,33 +66,69 @@ app.get("/", (req, res) => {
       patterns: stats.patterns,
       metro_lines: stats.metro_lines
     },
+    languages: LANGUAGES,
     endpoints: {
       bus: {
         list: "GET /api/bus",
         search: "GET /api/bus/search?q=8",
-        details: "GET /api/bus/:busNumber",
-        stops: "GET /api/bus/:busNumber/stops?direction=0"
+        details: "GET /api/bus/:busNumber?date=2025-08-23&geometry=polyline|geojson",
+        stops: "GET /api/bus/:busNumber/stops?direction=0&variant=12",
+        timetable: "GET /api/bus/:busNumber/timetable?direction=0&date=2025-08-23"
       },
       metro: {
         lines: "GET /api/metro",
-        details: "GET /api/metro/:lineId",
-        stations: "GET /api/metro/:lineId/stations?direction=0"
+        details: "GET /api/metro/:lineId?date=2025-08-23&geometry=polyline|geojson",
+        stations: "GET /api/metro/:lineId/stations?direction=0&variant=12",
+        timetable: "GET /api/metro/:lineId/timetable?direction=0&date=2025-08-23"
+      },
+      tram: {
+        lines: "GET /api/tram",
+        search: "GET /api/tram/search?q=T1",
+        details: "GET /api/tram/:lineNumber?date=2025-08-23&geometry=polyline|geojson",
+        stops: "GET /api/tram/:lineNumber/stops?direction=0&variant=12",
+        timetable: "GET /api/tram/:lineNumber/timetable?direction=0&date=2025-08-23"
+      },
+      marine: {
+        routes: "GET /api/marine?service=abra|ferry|water_bus|water_taxi",
+        search: "GET /api/marine/search?q=CR",
+        details: "GET /api/marine/:routeNumber?date=2025-08-23&geometry=polyline|geojson",
+        stops: "GET /api/marine/:routeNumber/stops?direction=0&variant=12",
+        timetable: "GET /api/marine/:routeNumber/timetable?direction=0&date=2025-08-23"
       },
       search: {
-        stops: "GET /api/search/stops?q=marina",
-        journey: "GET /api/search/route?from=STOP_ID&to=STOP_ID",
+        stops: "GET /api/search/stops?q=marina&modes=metro,tram (or q=الغبيبة) - stops and places",
+        place: "GET /api/search/place/:placeId",
+        localized: "Any endpoint with ?lang=ar or Accept-Language: ar",
+        journey: "GET /api/search/route?from=STOP_ID&to=STOP_ID&max_transfers=3",
+        journey_preferences: "GET /api/search/route?from=STOP_ID&to=STOP_ID&modes=bus,metro,tram,marine&max_walk_m=500&avoid_routes=F70&prefer=fewest_transfers|fastest|least_walking&geometry=polyline|geojson",
+        journey_by_location: "GET /api/search/route?from_lat=25.07&from_lon=55.14&to_lat=25.2&to_lon=55.27",
+        journey_by_place: "GET /api/search/route?from_place=dubai-mall&to_place=rashid-hospital",
+        journey_timed: "GET /api/search/route?from=STOP_ID&to=STOP_ID&depart_at=08:30&date=2025-08-23 (or arrive_by=09:00)",
+        reachable: "GET /api/search/reachable?from=STOP_ID&max_minutes=30&max_transfers=1&bands=10,20,30",
         route_details: "GET /api/search/route/:routeId/details",
+        stop_station: "GET /api/search/stop/:stopId/station",
         stop_routes: "GET /api/search/stop/:stopId/routes",
+        stop_departures: "GET /api/search/stop/:stopId/departures?time=08:30&limit=10",
         nearby: "GET /api/search/nearby?lat=25.2&lon=55.3&radius=500"
+      },
+      updates: {
+        latest: "GET /api/updates/latest",
+        changelog: "GET /api/updates/changelog?route=8"
       }
     }
   });
 });
 
+// Names in the request's language (?lang=ar or Accept-Language: ar)
+app.use("/api", localizeResponses);
+
 // API Routes
 app.use("/api/bus", busRoutes);
 app.use("/api/metro", metroRoutes);
+app.use("/api/tram", tramRoutes);
+app.use("/api/marine", marineRoutes);
 app.use("/api/search", searchRoutes);
+app.use("/api/updates", updatesRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -121,6 +161,7 @@ app.listen(PORT, () => {
   console.log(`   • All Buses: http://localhost:${PORT}/api/bus`);
   console.log(`   • Bus 8: http://localhost:${PORT}/api/bus/8`);
   console.log(`   • Metro Lines: http://localhost:${PORT}/api/metro`);
+  console.log(`   • Marine Routes: http://localhost:${PORT}/api/marine`);
   console.log(`   • Search Stops: http://localhost:${PORT}/api/search/stops?q=marina`);
   console.log(`${'='.repeat(50)}\n`);
 });
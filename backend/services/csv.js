@@ -0,0 +1,47 @@
+/**
+ * CSV
+ * Reading the small CSV files maintained in data/ (translations, places)
+ *
+ * The large GTFS files are streamed by the feed reader (gtfs-feed.js).
+ */
+
+/**
+ * Parse CSV text into row objects (quoted fields may hold commas)
+ */
+function parseCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+
+  const parseLine = line => {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === ',' && !inQuotes) {
+        values.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current.trim());
+
+    return values;
+  };
+
+  const headers = lines.length > 0 ? parseLine(lines[0]) : [];
+  return lines.slice(1).map(line => {
+    const values = parseLine(line);
+    return Object.fromEntries(headers.map((header, i) => [header, values[i] || '']));
+  });
+}
+
+module.exports = {
+  parseCsv
+};
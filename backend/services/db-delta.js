@@ -0,0 +1,311 @@
+/**
+ * Offline Database Deltas
+ * Row-level SQL that turns one offline database release into the next,
+ * so apps download the changes instead of the whole database
+ *
+ * Rows are matched on their primary key (every column for tables without
+ * one, like fare_rules and the search indexes): removed and changed rows
+ * are deleted, new and changed rows inserted. A table where most rows
+ * changed is emptied and inserted again, keeping the new row order. The
+ * delta holds no schema changes - when the schema differs there is no
+ * delta and apps download the full database.
+ *
+ * Used by the ingestion pipeline's publish stage
+ */
+
+const Database = require('better-sqlite3');
+const { hasTable } = require('../db/offline-database');
+
+// Shadow tables of an FTS5 index (written through the index itself)
+const FTS_SHADOW_SUFFIXES = ['_data', '_idx', '_content', '_docsize', '_config'];
+
+// A table is replaced as a whole when this share of its rows changed
+const REPLACE_TABLE_SHARE = 0.5;
+
+// Pattern ids are handed out in build order, so one changed route
+// renumbers every pattern after it. Patterns are matched on their route,
+// direction and stops instead, and the delta renumbers the app's ids
+// (in these tables) first.
+const PATTERN_ID_TABLES = ['route_patterns', 'pattern_stops', 'pattern_trips', 'pattern_frequencies', 'pattern_shapes'];
+
+// Build-order ids nothing refers to: rows are matched without them
+const UNREFERENCED_IDS = {
+  pattern_stops: 'id',
+  transfers: 'id'
+};
+
+// Rows per INSERT of the pattern id map
+const ID_MAP_BATCH = 500;
+
+/**
+ * Tables a delta covers: ordinary and FTS5 tables, without SQLite's
+ * own and the FTS5 shadow tables
+ */
+function deltaTables(db, exclude = []) {
+  const tables = db.prepare(`
+    SELECT name, sql FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `).all();
+
+  const fts = tables.filter(table => /^CREATE VIRTUAL TABLE .* USING fts5/is.test(table.sql)).map(table => table.name);
+  const shadow = new Set(fts.flatMap(name => FTS_SHADOW_SUFFIXES.map(suffix => name + suffix)));
+
+  return tables
+    .filter(table => !shadow.has(table.name) && !exclude.includes(table.name))
+    .map(table => ({ name: table.name, fts: fts.includes(table.name) }));
+}
+
+/**
+ * The schema a delta can be applied to (tables and indexes)
+ */
+function schemaOf(db, exclude = []) {
+  return db.prepare(`
+    SELECT name, sql FROM sqlite_master
+    WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `).all()
+    .filter(entry => !exclude.includes(entry.name) && !exclude.some(table => entry.sql.includes(` ON ${table}(`)))
+    .map(entry => entry.sql.replace(/\s+/g, ' '))
+    .join('\n');
+}
+
+/**
+ * How a table's rows are matched
+ * Returns { columns, key (matched on), unique (key is the primary key),
+ * compared (a changed row differs in), inserted (columns inserted),
+ * rowidKey (an INTEGER PRIMARY KEY, so inserting it keeps row ids) }.
+ */
+function tableLayout(db, table) {
+  const info = db.prepare(`PRAGMA table_info(${table.name})`).all();
+  const columns = info.map(column => column.name);
+  const primaryKey = info.filter(column => column.pk > 0).sort((a, b) => a.pk - b.pk).map(column => column.name);
+  const rowidKey = primaryKey.length === 1 && /^INTEGER$/i.test(info.find(column => column.name === primaryKey[0]).type);
+
+  const unreferenced = UNREFERENCED_IDS[table.name];
+  if (unreferenced) {
+    const content = columns.filter(column => column !== unreferenced);
+    return { columns, key: content, unique: false, compared: content, inserted: content, rowidKey };
+  }
+  if (table.fts || primaryKey.length === 0) {
+    return { columns, key: columns, unique: false, compared: columns, inserted: columns, rowidKey };
+  }
+  return { columns, key: primaryKey, unique: true, compared: columns, inserted: columns, rowidKey };
+}
+
+/**
+ * A value as an SQL literal
+ */
+function sqlValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+  if (Buffer.isBuffer(value)) return `X'${value.toString('hex')}'`;
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Which new pattern each old one is (matched on route, direction and
+ * stops; patterns sharing all three stay unmatched)
+ * Returns Map old pattern_id -> new pattern_id.
+ */
+function matchPatterns(oldDb, newDb) {
+  const signatures = db => {
+    const byPattern = new Map();
+    const rows = db.prepare(`
+      SELECT rp.pattern_id, rp.route_id, rp.direction_id, ps.stop_id
+      FROM route_patterns rp
+      LEFT JOIN pattern_stops ps ON ps.pattern_id = rp.pattern_id
+      ORDER BY rp.pattern_id, ps.stop_sequence
+    `).all();
+    for (const row of rows) {
+      if (!byPattern.has(row.pattern_id)) byPattern.set(row.pattern_id, [row.route_id, row.direction_id]);
+      if (row.stop_id !== null) byPattern.get(row.pattern_id).push(row.stop_id);
+    }
+
+    const patterns = new Map();
+    for (const [patternId, signature] of byPattern) {
+      const key = JSON.stringify(signature);
+      patterns.set(key, patterns.has(key) ? null : patternId);
+    }
+    return patterns;
+  };
+
+  const before = signatures(oldDb);
+  const after = signatures(newDb);
+  const matches = new Map();
+  for (const [key, oldId] of before) {
+    const newId = after.get(key);
+    if (oldId !== null && newId !== null && newId !== undefined) matches.set(oldId, newId);
+  }
+  return matches;
+}
+
+/**
+ * Statements renumbering the app's pattern ids to the new release's:
+ * matched patterns take their new id, the others a negative one (their
+ * rows are then deleted)
+ * Returns { statements, renumber: old id -> id after }, or null when
+ * no id changes.
+ */
+function renumberPatterns(oldDb, newDb) {
+  if (!hasTable(oldDb, 'route_patterns') || !hasTable(oldDb, 'pattern_stops')) return null;
+
+  const matches = matchPatterns(oldDb, newDb);
+  const ids = oldDb.prepare('SELECT pattern_id FROM route_patterns').pluck().all();
+  const moved = ids.filter(id => matches.get(id) !== id);
+  if (moved.length === 0) return null;
+
+  const statements = ['CREATE TEMP TABLE delta_pattern_ids (old_id INTEGER PRIMARY KEY, new_id INTEGER);'];
+  for (let i = 0; i < moved.length; i += ID_MAP_BATCH) {
+    const values = moved.slice(i, i + ID_MAP_BATCH).map(id => `(${id}, ${sqlValue(matches.get(id))})`);
+    statements.push(`INSERT INTO delta_pattern_ids (old_id, new_id) VALUES ${values.join(', ')};`);
+  }
+  for (const table of PATTERN_ID_TABLES) {
+    statements.push(
+      `UPDATE ${table} SET pattern_id = -pattern_id WHERE pattern_id IN (SELECT old_id FROM delta_pattern_ids);`,
+      `UPDATE ${table} SET pattern_id = (SELECT new_id FROM delta_pattern_ids WHERE old_id = -${table}.pattern_id) ` +
+        'WHERE pattern_id < 0 AND -pattern_id IN (SELECT old_id FROM delta_pattern_ids WHERE new_id IS NOT NULL);'
+    );
+  }
+  statements.push('DROP TABLE delta_pattern_ids;');
+
+  const renumber = new Map(moved.map(id => [id, matches.has(id) ? matches.get(id) : -id]));
+  return { statements, renumber };
+}
+
+/**
+ * Rows of a table by their match key (several when the key is not
+ * unique), with pattern ids renumbered
+ */
+function readRows(db, table, layout, renumber) {
+  const { columns, key, compared } = layout;
+  const patternColumn = renumber && PATTERN_ID_TABLES.includes(table.name) ? columns.indexOf('pattern_id') : -1;
+  const pick = (values, names) => JSON.stringify(names.map(column => values[columns.indexOf(column)]));
+  const rows = new Map();
+
+  for (const row of db.prepare(`SELECT rowid, * FROM ${table.name} ORDER BY rowid`).raw().iterate()) {
+    const values = row.slice(1);
+    if (patternColumn !== -1 && renumber.has(values[patternColumn])) {
+      values[patternColumn] = renumber.get(values[patternColumn]);
+    }
+    const id = pick(values, key);
+    if (!rows.has(id)) rows.set(id, []);
+    rows.get(id).push({ rowid: row[0], values, json: pick(values, compared) });
+  }
+  return rows;
+}
+
+/**
+ * Rows of a that b does not have (as many times as a has them more)
+ */
+function missingRows(a, b) {
+  const missing = [];
+  for (const [id, rows] of a) {
+    const others = (b.get(id) || []).map(row => row.json);
+    for (const row of rows) {
+      const match = others.indexOf(row.json);
+      if (match === -1) missing.push(row);
+      else others.splice(match, 1);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Statements for one table (null when it did not change)
+ */
+function tableDelta(oldDb, newDb, table, renumber) {
+  const layout = tableLayout(newDb, table);
+  const { columns, key, unique, inserted: insertedColumns, rowidKey } = layout;
+  const before = readRows(oldDb, table, layout, renumber);
+  const after = readRows(newDb, table, layout, null);
+
+  const deleted = missingRows(before, after);
+  const inserted = missingRows(after, before);
+  if (deleted.length === 0 && inserted.length === 0) return null;
+
+  const value = (row, column) => sqlValue(row.values[columns.indexOf(column)]);
+
+  // Mostly new: empty it and insert every row in order (row ids too)
+  const newRows = [...after.values()].flat().sort((a, b) => a.rowid - b.rowid);
+  if (Math.max(deleted.length, inserted.length) >= newRows.length * REPLACE_TABLE_SHARE) {
+    const insertAll = row => rowidKey
+      ? `INSERT INTO ${table.name} (${columns.join(', ')}) VALUES (${columns.map(column => value(row, column)).join(', ')});`
+      : `INSERT INTO ${table.name} (rowid, ${columns.join(', ')}) VALUES (${[sqlValue(row.rowid), ...columns.map(column => value(row, column))].join(', ')});`;
+    return {
+      statements: [`DELETE FROM ${table.name};`, ...newRows.map(insertAll)],
+      changes: { replaced: newRows.length }
+    };
+  }
+
+  const matchesKey = row => key.map(column => `${column} IS ${value(row, column)}`).join(' AND ');
+  const statements = deleted.map(row => unique
+    ? `DELETE FROM ${table.name} WHERE ${matchesKey(row)};`
+    : `DELETE FROM ${table.name} WHERE rowid = (SELECT rowid FROM ${table.name} WHERE ${matchesKey(row)} LIMIT 1);`);
+  statements.push(...inserted.map(row =>
+    `INSERT INTO ${table.name} (${insertedColumns.join(', ')}) VALUES (${insertedColumns.map(column => value(row, column)).join(', ')});`));
+
+  return { statements, changes: { deleted: deleted.length, inserted: inserted.length } };
+}
+
+/**
+ * Delta from one offline database to another
+ * Returns { compatible, statements, changes: { table: { deleted,
+ * inserted } | { replaced } }, renumbered_patterns, counts: { table:
+ * rows after } } - compatible is false (and there are no statements)
+ * when the schema changed. exclude leaves tables out of both.
+ */
+function buildDelta(oldDbPath, newDbPath, { exclude = [] } = {}) {
+  const oldDb = new Database(oldDbPath, { readonly: true });
+  const newDb = new Database(newDbPath, { readonly: true });
+
+  try {
+    const tables = deltaTables(newDb, exclude);
+    const counts = {};
+    for (const table of tables) {
+      counts[table.name] = newDb.prepare(`SELECT COUNT(*) AS count FROM ${table.name}`).get().count;
+    }
+
+    if (schemaOf(oldDb, exclude) !== schemaOf(newDb, exclude)) {
+      return { compatible: false, statements: [], changes: {}, renumbered_patterns: 0, counts };
+    }
+
+    const patterns = renumberPatterns(oldDb, newDb);
+    const statements = patterns ? [...patterns.statements] : [];
+    const changes = {};
+    for (const table of tables) {
+      const delta = tableDelta(oldDb, newDb, table, patterns && patterns.renumber);
+      if (!delta) continue;
+      statements.push(...delta.statements);
+      changes[table.name] = delta.changes;
+    }
+
+    return {
+      compatible: true,
+      statements,
+      changes,
+      renumbered_patterns: patterns ? patterns.renumber.size : 0,
+      counts
+    };
+  } finally {
+    oldDb.close();
+    newDb.close();
+  }
+}
+
+/**
+ * A delta as the SQL file apps download
+ */
+function formatDelta(delta, fromVersion, toVersion) {
+  return [
+    `-- Dubai Transit offline database delta: version ${fromVersion} -> ${toVersion}`,
+    '-- Apply in one transaction, then check the table row counts in app-version.json',
+    ...delta.statements,
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  buildDelta,
+  formatDelta
+};
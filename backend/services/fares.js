@@ -0,0 +1,275 @@
+/**
+ * Nol Fares
+ * What a journey costs with each Nol card class (Red Ticket, Silver,
+ * Gold, concession)
+ *
+ * Dubai charges by fare zone: the number of zones a trip passes through
+ * sets its price, and rides linked by a transfer within the transfer
+ * window count as one trip, so a bus/metro transfer costs nothing extra
+ * unless it adds zones. Stops carry their zone (stops.zone_id), from the
+ * GTFS feed or, when the feed has none, from the versioned local fare
+ * table (data/nol-fares.json), which also holds the prices per class.
+ *
+ * When the feed ships fares (fare_attributes.txt / fare_rules.txt) its
+ * prices win: each ride takes the cheapest matching fare, and the next
+ * ride rides on it for free while the fare's transfers and
+ * transfer_duration allow. Feed prices are standard (Silver) fares; the
+ * other classes are scaled by the local table.
+ *
+ * Shared by the journey planner and the offline database builder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasTable } = require('../db/offline-database');
+const { distanceMeters } = require('./geo');
+
+// Local fare table (zones, prices per card class, transfer window)
+const NOL_FARES_PATH = path.join(__dirname, '..', 'data', 'nol-fares.json');
+
+// Class feed prices are given in
+const STANDARD_CLASS = 'silver';
+
+// Fare table per database connection (rebuilt with the offline database)
+const fareTables = new WeakMap();
+
+/**
+ * Read the local fare table
+ */
+function loadNolFares() {
+  return JSON.parse(fs.readFileSync(NOL_FARES_PATH, 'utf8'));
+}
+
+/**
+ * Zone of the nearest zone centre to a point
+ */
+function nearestZone(zones, lat, lon) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const zone of zones) {
+    const distance = distanceMeters(lat, lon, zone.lat, zone.lon);
+    if (distance < nearestDistance) {
+      nearest = zone.zone_id;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Load fare classes, stop zones and feed fares from the offline database
+ * Returns null for databases built before fares existed.
+ */
+function buildFareTable(db) {
+  if (!hasTable(db, 'fare_prices')) return null;
+
+  const settings = new Map(
+    db.prepare('SELECT key, value FROM fare_settings').all().map(row => [row.key, row.value])
+  );
+
+  const prices = db.prepare('SELECT price FROM fare_prices WHERE card_class = ? ORDER BY zones');
+  const classes = db.prepare('SELECT card_class, class_name, route_types FROM fare_classes ORDER BY rowid').all()
+    .map(row => ({
+      card_class: row.card_class,
+      name: row.class_name,
+      routeTypes: row.route_types ? new Set(row.route_types.split(',').map(Number)) : null,
+      prices: prices.all(row.card_class).map(price => price.price)
+    }));
+
+  const zones = new Map(
+    db.prepare('SELECT stop_id, zone_id FROM stops WHERE zone_id IS NOT NULL').all()
+      .map(row => [row.stop_id, row.zone_id])
+  );
+
+  let feed = null;
+  if (hasTable(db, 'fare_attributes')) {
+    const fares = new Map();
+    for (const row of db.prepare('SELECT * FROM fare_attributes').all()) {
+      fares.set(row.fare_id, {
+        fare_id: row.fare_id,
+        price: row.price,
+        transfers: row.transfers,
+        transferDuration: row.transfer_duration,
+        rules: [],
+        contains: new Set()
+      });
+    }
+
+    for (const rule of db.prepare('SELECT * FROM fare_rules').all()) {
+      const fare = fares.get(rule.fare_id);
+      if (!fare) continue;
+      fare.rules.push(rule);
+      if (rule.contains_id) fare.contains.add(rule.contains_id);
+    }
+
+    if (fares.size > 0) feed = [...fares.values()];
+  }
+
+  return {
+    version: settings.get('version') || null,
+    currency: settings.get('currency') || 'AED',
+    transferWindowSecs: (parseInt(settings.get('transfer_window_minutes')) || 30) * 60,
+    classes,
+    zones,
+    feed
+  };
+}
+
+/**
+ * Get the cached fare table, building it on first use
+ */
+function getFareTable(db) {
+  if (!fareTables.has(db)) {
+    fareTables.set(db, buildFareTable(db));
+  }
+  return fareTables.get(db);
+}
+
+/**
+ * Price of a class for a number of zones (the last band covers the rest)
+ */
+function classPrice(fareClass, zones) {
+  const prices = fareClass.prices;
+  return prices[Math.min(Math.max(zones, 1), prices.length) - 1];
+}
+
+/**
+ * Zones a ride passes through, in order (stops without a zone skipped)
+ */
+function rideZones(table, ride) {
+  return ride.stops.map(stopId => table.zones.get(stopId)).filter(Boolean);
+}
+
+/**
+ * Split rides into charged trips by the Nol transfer window
+ */
+function zoneCharges(table, rides) {
+  const charges = [];
+  let current = null;
+  let lastArrival = null;
+
+  for (const ride of rides) {
+    const linked = current && (ride.departure === null || lastArrival === null
+      || ride.departure - lastArrival <= table.transferWindowSecs);
+
+    if (!linked) {
+      current = { price: null, zones: new Set() };
+      charges.push(current);
+    }
+
+    rideZones(table, ride).forEach(zone => current.zones.add(zone));
+    lastArrival = ride.arrival;
+  }
+
+  return charges;
+}
+
+/**
+ * Feed fares a ride matches (route, origin and destination zone, and
+ * every zone passed among the fare's contains zones)
+ */
+function matchingFares(table, ride) {
+  const zones = rideZones(table, ride);
+  const origin = zones[0];
+  const destination = zones[zones.length - 1];
+
+  return table.feed.filter(fare => {
+    if (fare.contains.size > 0 && !zones.every(zone => fare.contains.has(zone))) return false;
+
+    return fare.rules.some(rule =>
+      (!rule.route_id || rule.route_id === ride.route_id)
+      && (!rule.origin_id || rule.origin_id === origin)
+      && (!rule.destination_id || rule.destination_id === destination));
+  });
+}
+
+/**
+ * Charge rides with the feed's fares
+ * Returns null when a ride matches no fare.
+ */
+function feedCharges(table, rides) {
+  const charges = [];
+  let current = null;
+
+  for (const ride of rides) {
+    const fares = matchingFares(table, ride);
+    if (fares.length === 0) return null;
+
+    const fare = current?.fare;
+    const transfer = fare && fares.includes(fare)
+      && (fare.transfers === null || current.transfers < fare.transfers)
+      && (fare.transferDuration === null || ride.departure === null || current.start === null
+        || ride.departure - current.start <= fare.transferDuration);
+
+    if (transfer) {
+      current.transfers++;
+    } else {
+      const cheapest = fares.reduce((best, candidate) => (candidate.price < best.price ? candidate : best));
+      current = { fare: cheapest, price: cheapest.price, zones: new Set(), transfers: 0, start: ride.departure };
+      charges.push(current);
+    }
+
+    rideZones(table, ride).forEach(zone => current.zones.add(zone));
+  }
+
+  return charges;
+}
+
+/**
+ * Calculate the fare of a journey for every Nol card class
+ * rides are the journey's rides in order:
+ *   [{ route_id, route_type, stops: [stop_id, ...], departure, arrival }]
+ * with stops the ones passed from boarding to alighting, and departure /
+ * arrival in seconds (null when unknown, which links the rides).
+ *
+ * Returns { currency, source, version, zones, charged_trips, classes },
+ * classes mapping each card class to its price (null when the class does
+ * not apply, e.g. Gold without a metro ride), or null without fare data.
+ */
+function calculateFare(table, rides) {
+  if (!table || table.classes.length === 0 || rides.length === 0) return null;
+
+  const feed = table.feed ? feedCharges(table, rides) : null;
+  const charges = feed || zoneCharges(table, rides);
+
+  const standard = table.classes.find(fareClass => fareClass.card_class === STANDARD_CLASS);
+  const round = value => Math.round(value * 100) / 100;
+
+  const classes = {};
+  for (const fareClass of table.classes) {
+    const applies = !fareClass.routeTypes || rides.some(ride => fareClass.routeTypes.has(ride.route_type));
+
+    classes[fareClass.card_class] = applies
+      ? round(charges.reduce((sum, charge) => {
+        const zonePrice = classPrice(fareClass, charge.zones.size);
+        if (charge.price === null) return sum + zonePrice;
+
+        // Scale the feed's standard price to this class
+        const standardPrice = standard ? classPrice(standard, charge.zones.size) : zonePrice;
+        return sum + charge.price * (standardPrice ? zonePrice / standardPrice : 1);
+      }, 0))
+      : null;
+  }
+
+  const zones = new Set();
+  charges.forEach(charge => charge.zones.forEach(zone => zones.add(zone)));
+
+  return {
+    currency: table.currency,
+    source: feed ? 'gtfs' : 'nol_zones',
+    version: table.version,
+    zones: Math.max(zones.size, 1),
+    charged_trips: charges.length,
+    classes
+  };
+}
+
+module.exports = {
+  loadNolFares,
+  nearestZone,
+  getFareTable,
+  calculateFare,
+  NOL_FARES_PATH
+};
@@ -0,0 +1,48 @@
+/**
+ * Geo Helpers
+ * Distances and walking times between coordinates
+ *
+ * Shared by the journey planner and the offline database builder
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+// Average walking speed (m/s) - a little slower than usual for Dubai heat
+const WALK_SPEED_MPS = 1.2;
+
+// Streets are never straight; scale straight-line distance to walking distance
+const WALK_DETOUR_FACTOR = 1.25;
+
+/**
+ * Great-circle distance between two points in meters (haversine)
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Estimated walking distance in meters between two points
+ */
+function walkingDistanceMeters(lat1, lon1, lat2, lon2) {
+  return Math.round(distanceMeters(lat1, lon1, lat2, lon2) * WALK_DETOUR_FACTOR);
+}
+
+/**
+ * Walking time in seconds for a walking distance in meters
+ */
+function walkingSeconds(meters) {
+  return Math.round(meters / WALK_SPEED_MPS);
+}
+
+module.exports = {
+  distanceMeters,
+  walkingDistanceMeters,
+  walkingSeconds,
+  WALK_SPEED_MPS,
+  WALK_DETOUR_FACTOR
+};
@@ -0,0 +1,199 @@
+/**
+ * GTFS Feed
+ * Finding and reading an extracted GTFS feed (routes.txt, stops.txt, ...)
+ *
+ * Extracted feeds live in data/gtfs/GTFS_<YYYYMMDD>; the newest one is
+ * the default input of the offline database builder. Files are streamed
+ * line by line so stop_times.txt never has to fit in memory as text.
+ *
+ * Shared by the ingestion pipeline, the validator, the full database
+ * loader and the offline database builder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Extracted feeds (GTFS_<YYYYMMDD> folders)
+const GTFS_ROOT = path.join(__dirname, '..', 'data', 'gtfs');
+const GTFS_DIR_PREFIX = 'GTFS_';
+
+// Files every feed needs, and the columns each must have
+const REQUIRED_FILES = {
+  'routes.txt': ['route_id', 'route_type'],
+  'stops.txt': ['stop_id', 'stop_lat', 'stop_lon'],
+  'trips.txt': ['route_id', 'service_id', 'trip_id'],
+  'stop_times.txt': ['trip_id', 'stop_id', 'stop_sequence']
+};
+
+// A feed needs at least one of these to say when services run
+const CALENDAR_FILES = ['calendar.txt', 'calendar_dates.txt'];
+
+/**
+ * Split one CSV line into trimmed values (quoted fields may hold commas)
+ */
+function parseCSVLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"' && inQuotes && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+
+  return values;
+}
+
+/**
+ * Stream the rows of a feed file, calling onRow(row) for each
+ * Returns the number of rows (0 when the feed has no such file).
+ */
+async function forEachGtfsRow(gtfsDir, filename, onRow) {
+  const filepath = path.join(gtfsDir, filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.log(`⚠️  File not found: ${filename}`);
+    return 0;
+  }
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filepath),
+    crlfDelay: Infinity
+  });
+
+  let headers = null;
+  let rowCount = 0;
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+
+    const values = parseCSVLine(line);
+    if (!headers) {
+      headers = values.map(header => header.replace(/^\uFEFF/, ''));
+      continue;
+    }
+
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = values[i] || '';
+    });
+    onRow(row);
+    rowCount++;
+
+    // Progress indicator for large files
+    if (rowCount % 500000 === 0) {
+      process.stdout.write(`\r   Processing ${filename}: ${rowCount.toLocaleString()} rows...`);
+    }
+  }
+
+  if (rowCount >= 500000) console.log('');
+  return rowCount;
+}
+
+/**
+ * Read a feed file into row objects ([] when the feed has no such file)
+ */
+async function readGtfsFile(gtfsDir, filename) {
+  const rows = [];
+  await forEachGtfsRow(gtfsDir, filename, row => rows.push(row));
+  return rows;
+}
+
+/**
+ * Column names of a feed file (null when the feed has no such file)
+ */
+async function readGtfsHeader(gtfsDir, filename) {
+  const filepath = path.join(gtfsDir, filename);
+  if (!fs.existsSync(filepath)) return null;
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filepath),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    rl.close();
+    return parseCSVLine(line).map(header => header.replace(/^\uFEFF/, ''));
+  }
+  return [];
+}
+
+/**
+ * Folder holding the feed files: the folder itself or one of its
+ * subfolders (archives often wrap the feed in one)
+ * Returns null when there is no routes.txt in either.
+ */
+function findGtfsDir(dir) {
+  if (!fs.existsSync(dir)) return null;
+  if (fs.existsSync(path.join(dir, 'routes.txt'))) return dir;
+
+  for (const item of fs.readdirSync(dir).sort()) {
+    const itemPath = path.join(dir, item);
+    if (fs.statSync(itemPath).isDirectory() && fs.existsSync(path.join(itemPath, 'routes.txt'))) {
+      return itemPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Newest extracted feed in data/gtfs (null when there is none)
+ */
+function latestGtfsDir() {
+  if (!fs.existsSync(GTFS_ROOT)) return null;
+
+  const folders = fs.readdirSync(GTFS_ROOT)
+    .filter(item => item.startsWith(GTFS_DIR_PREFIX))
+    .sort()
+    .reverse();
+
+  for (const folder of folders) {
+    const gtfsDir = findGtfsDir(path.join(GTFS_ROOT, folder));
+    if (gtfsDir) return gtfsDir;
+  }
+  return null;
+}
+
+/**
+ * Date of a feed (YYYYMMDD): its GTFS_<date> folder name, else the
+ * feed_start_date of feed_info.txt, else null
+ */
+async function feedDate(gtfsDir) {
+  // The feed may sit in a subfolder of its GTFS_<date> folder
+  for (const dir of [gtfsDir, path.dirname(gtfsDir)]) {
+    const match = path.basename(dir).match(/^GTFS_(\d{8})$/);
+    if (match) return match[1];
+  }
+
+  if (!fs.existsSync(path.join(gtfsDir, 'feed_info.txt'))) return null;
+
+  const [feedInfo] = await readGtfsFile(gtfsDir, 'feed_info.txt');
+  return feedInfo && /^\d{8}$/.test(feedInfo.feed_start_date) ? feedInfo.feed_start_date : null;
+}
+
+module.exports = {
+  parseCSVLine,
+  forEachGtfsRow,
+  readGtfsFile,
+  readGtfsHeader,
+  findGtfsDir,
+  latestGtfsDir,
+  feedDate,
+  REQUIRED_FILES,
+  CALENDAR_FILES,
+  GTFS_ROOT,
+  GTFS_DIR_PREFIX
+};
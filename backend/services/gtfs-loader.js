@@ -0,0 +1,175 @@
+/**
+ * GTFS Loader
+ * Loading an extracted GTFS feed into the full database
+ * (db/dubai_transit.db: routes, stops, trips, stop_times, calendars and
+ * shapes as the feed has them)
+ *
+ * Every file is streamed and written in batches, so even the largest
+ * stop_times.txt loads in constant memory.
+ *
+ * Shared by the ingestion pipeline and the import scripts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createTables, DB_PATH } = require('../db/database');
+const { forEachGtfsRow } = require('./gtfs-feed');
+
+// Rows written per transaction
+const BATCH_SIZE = 10000;
+
+/**
+ * Parse a number, falling back when the field is empty or invalid
+ */
+function toNumber(parse, value, fallback) {
+  const number = parse(value);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+// Table, feed file and row -> values of every table loaded
+const TABLES = [
+  {
+    table: 'routes',
+    file: 'routes.txt',
+    columns: ['route_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color'],
+    values: r => [
+      r.route_id,
+      r.route_short_name || '',
+      r.route_long_name || '',
+      toNumber(parseInt, r.route_type, 3),
+      r.route_color || ''
+    ]
+  },
+  {
+    table: 'stops',
+    file: 'stops.txt',
+    columns: ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station'],
+    values: s => [
+      s.stop_id,
+      s.stop_name || '',
+      toNumber(parseFloat, s.stop_lat, 0),
+      toNumber(parseFloat, s.stop_lon, 0),
+      toNumber(parseInt, s.location_type, 0),
+      s.parent_station || null
+    ]
+  },
+  {
+    table: 'trips',
+    file: 'trips.txt',
+    columns: ['trip_id', 'route_id', 'service_id', 'trip_headsign', 'direction_id', 'shape_id'],
+    values: t => [
+      t.trip_id,
+      t.route_id || '',
+      t.service_id || '',
+      t.trip_headsign || '',
+      toNumber(parseInt, t.direction_id, 0),
+      t.shape_id || null
+    ]
+  },
+  {
+    table: 'stop_times',
+    file: 'stop_times.txt',
+    columns: ['trip_id', 'stop_id', 'arrival_time', 'departure_time', 'stop_sequence'],
+    values: st => [
+      st.trip_id,
+      st.stop_id,
+      st.arrival_time || '',
+      st.departure_time || '',
+      toNumber(parseInt, st.stop_sequence, 0)
+    ]
+  },
+  {
+    table: 'calendar',
+    file: 'calendar.txt',
+    columns: [
+      'service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+      'start_date', 'end_date'
+    ],
+    values: c => [
+      c.service_id,
+      ...['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+        .map(day => toNumber(parseInt, c[day], 0)),
+      c.start_date || '',
+      c.end_date || ''
+    ]
+  },
+  {
+    table: 'calendar_dates',
+    file: 'calendar_dates.txt',
+    columns: ['service_id', 'date', 'exception_type'],
+    values: d => [d.service_id, d.date, toNumber(parseInt, d.exception_type, 0)]
+  },
+  {
+    table: 'shapes',
+    file: 'shapes.txt',
+    columns: ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'],
+    values: p => [
+      p.shape_id,
+      parseFloat(p.shape_pt_lat),
+      parseFloat(p.shape_pt_lon),
+      toNumber(parseInt, p.shape_pt_sequence, 0),
+      toNumber(parseFloat, p.shape_dist_traveled, null)
+    ]
+  }
+];
+
+/**
+ * Load one feed file into its table
+ * Returns the number of rows loaded.
+ */
+async function loadTable(db, { table, file, columns, values }, gtfsDir) {
+  console.log(`📥 Importing ${file}...`);
+
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO ${table} (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
+  `);
+  const insertBatch = db.transaction(rows => {
+    for (const row of rows) insert.run(...values(row));
+  });
+
+  let batch = [];
+  const rowCount = await forEachGtfsRow(gtfsDir, file, row => {
+    batch.push(row);
+    if (batch.length === BATCH_SIZE) {
+      insertBatch(batch);
+      batch = [];
+    }
+  });
+  insertBatch(batch);
+
+  console.log(`   ✅ ${rowCount.toLocaleString()} ${table} rows imported!`);
+  return rowCount;
+}
+
+/**
+ * Build the full database from an extracted feed, replacing any old one
+ * Returns { db_path, counts: { table: rows } }.
+ */
+async function loadFullDatabase(gtfsDir, dbPath = DB_PATH) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+
+  try {
+    console.log('🗃️ Creating database tables...');
+    createTables(db);
+
+    const counts = {};
+    for (const table of TABLES) {
+      counts[table.table] = await loadTable(db, table, gtfsDir);
+    }
+    return { db_path: dbPath, counts };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  loadFullDatabase
+};
@@ -0,0 +1,203 @@
+/**
+ * GTFS Source
+ * Getting a GTFS feed onto disk: downloading it from a URL and
+ * extracting its zip or 7z archive
+ *
+ * A feed can be given as a URL, a local .zip or .7z archive, or an
+ * already extracted folder. Downloads land in data/gtfs.<zip|7z>, named
+ * by the archive's own signature rather than the URL (Dubai Pulse serves
+ * its 7z from a .../download/ URL).
+ *
+ * Shared by the ingestion pipeline and the update script
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+const { pipeline } = require('stream/promises');
+const unzipper = require('unzipper');
+const Seven = require('node-7z');
+const sevenBin = require('7zip-bin');
+
+// Dubai Pulse GTFS download URL (RTA open data, 7z)
+const DUBAI_PULSE_GTFS_URL = 'https://www.dubaipulse.gov.ae/dataset/73765e8f-e8c4-443c-9687-288072ed9d12/resource/11515bd3-bdba-466f-ab65-f057bd123ab5/download/gtfs.7z';
+
+// Where downloaded archives are kept (data/gtfs.zip, data/gtfs.7z)
+const DOWNLOAD_DIR = path.join(__dirname, '..', 'data');
+
+// Leading bytes of each archive format
+const ARCHIVE_SIGNATURES = {
+  zip: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  '7z': Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])
+};
+
+const MAX_REDIRECTS = 5;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+/**
+ * Kind of a feed input: 'url', 'zip', '7z' or 'dir'
+ * Returns null when a local input does not exist or is not a feed.
+ */
+function inputKind(input) {
+  if (/^https?:\/\//i.test(input)) return 'url';
+  if (!fs.existsSync(input)) return null;
+  if (fs.statSync(input).isDirectory()) return 'dir';
+  return archiveKind(input);
+}
+
+/**
+ * Format of an archive from its leading bytes: 'zip', '7z' or null
+ */
+function archiveKind(filePath) {
+  const header = Buffer.alloc(6);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  for (const [kind, signature] of Object.entries(ARCHIVE_SIGNATURES)) {
+    if (header.subarray(0, signature.length).equals(signature)) return kind;
+  }
+  return null;
+}
+
+/**
+ * Download a URL to a file, following redirects
+ * Returns { bytes, last_modified, etag }.
+ */
+function downloadFile(url, destPath, maxRedirects = MAX_REDIRECTS) {
+  return new Promise((resolve, reject) => {
+    if (maxRedirects <= 0) {
+      reject(new Error('Too many redirects'));
+      return;
+    }
+
+    console.log(`📥 Downloading from: ${url.substring(0, 60)}...`);
+
+    const protocol = url.startsWith('https') ? https : http;
+    const request = protocol.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    }, (response) => {
+      // Handle redirects
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        console.log('   ↪️ Following redirect...');
+        downloadFile(new URL(response.headers.location, url).href, destPath, maxRedirects - 1)
+          .then(resolve)
+          .catch(reject);
+        return;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`HTTP Error: ${response.statusCode}`));
+        return;
+      }
+
+      const totalBytes = parseInt(response.headers['content-length'], 10);
+      let downloadedBytes = 0;
+
+      response.on('data', (chunk) => {
+        downloadedBytes += chunk.length;
+        if (totalBytes) {
+          const percent = ((downloadedBytes / totalBytes) * 100).toFixed(1);
+          const mb = (downloadedBytes / 1024 / 1024).toFixed(2);
+          process.stdout.write(`\r   📦 Downloaded: ${mb} MB (${percent}%)`);
+        }
+      });
+
+      pipeline(response, fs.createWriteStream(destPath))
+        .then(() => {
+          console.log('\n   ✅ Download complete!');
+          resolve({
+            bytes: downloadedBytes,
+            last_modified: response.headers['last-modified'] || null,
+            etag: response.headers.etag || null
+          });
+        })
+        .catch((err) => {
+          if (fs.existsSync(destPath)) fs.unlinkSync(destPath);
+          reject(err);
+        });
+    });
+
+    request.on('error', (err) => {
+      if (fs.existsSync(destPath)) fs.unlinkSync(destPath);
+      reject(err);
+    });
+
+    request.setTimeout(DOWNLOAD_TIMEOUT_MS, () => {
+      request.destroy(new Error('Download timeout'));
+    });
+  });
+}
+
+/**
+ * Download a feed archive into data/, named after its format
+ * Returns { archive, kind, bytes, last_modified, etag }.
+ */
+async function downloadFeed(url) {
+  const partPath = path.join(DOWNLOAD_DIR, 'gtfs.download');
+  const download = await downloadFile(url, partPath);
+
+  const kind = archiveKind(partPath);
+  if (!kind) {
+    fs.unlinkSync(partPath);
+    throw new Error('Downloaded file is not a zip or 7z archive');
+  }
+
+  const archive = path.join(DOWNLOAD_DIR, `gtfs.${kind}`);
+  fs.renameSync(partPath, archive);
+  return { archive, kind, ...download };
+}
+
+/**
+ * Extract a zip or 7z archive into an empty folder
+ */
+async function extractArchive(archivePath, destDir) {
+  const kind = archiveKind(archivePath);
+  if (!kind) {
+    throw new Error(`${path.basename(archivePath)} is not a zip or 7z archive`);
+  }
+
+  console.log(`📂 Extracting ${kind} archive to: ${destDir}`);
+
+  // Clean up old extraction
+  if (fs.existsSync(destDir)) {
+    fs.rmSync(destDir, { recursive: true });
+  }
+  fs.mkdirSync(destDir, { recursive: true });
+
+  if (kind === 'zip') {
+    await pipeline(
+      fs.createReadStream(archivePath),
+      unzipper.Extract({ path: destDir })
+    );
+  } else {
+    await new Promise((resolve, reject) => {
+      const stream = Seven.extractFull(archivePath, destDir, {
+        $bin: sevenBin.path7za,
+        recursive: true
+      });
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+  }
+
+  console.log('   ✅ Extraction complete!');
+}
+
+module.exports = {
+  inputKind,
+  archiveKind,
+  downloadFile,
+  downloadFeed,
+  extractArchive,
+  DUBAI_PULSE_GTFS_URL,
+  DOWNLOAD_DIR
+};
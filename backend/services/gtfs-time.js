@@ -0,0 +1,52 @@
+/**
+ * GTFS Time Helpers
+ * Convert between GTFS times ("25:10:00") and seconds after midnight
+ *
+ * GTFS times are measured from noon minus 12h of the service day, so trips
+ * running past midnight use hours >= 24.
+ *
+ * Shared by the journey planner and the offline database builder
+ */
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Parse "HH:MM:SS" (or "HH:MM") into seconds after midnight
+ * Returns null for empty or malformed values.
+ */
+function parseGtfsTime(value) {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, hours, minutes, seconds = '0'] = match;
+  if (parseInt(minutes) > 59 || parseInt(seconds) > 59) return null;
+
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds);
+}
+
+/**
+ * Parse a clock time from the API ("08:30", "8:30:15") into seconds
+ * Unlike GTFS times, hours must be below 24.
+ */
+function parseClockTime(value) {
+  const seconds = parseGtfsTime(value);
+  if (seconds === null || seconds >= SECONDS_PER_DAY) return null;
+  return seconds;
+}
+
+/**
+ * Format seconds after midnight as "HH:MM" on a 24h clock
+ */
+function formatClockTime(seconds) {
+  const minutes = Math.floor((((seconds % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY) / 60);
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  parseGtfsTime,
+  parseClockTime,
+  formatClockTime,
+  SECONDS_PER_DAY
+};
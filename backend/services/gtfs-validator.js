@@ -0,0 +1,380 @@
+/**
+ * GTFS Validator
+ * Checks a feed before the offline database is built from it, and writes
+ * the findings as a JSON and an HTML report
+ *
+ * The builder fills gaps quietly (a missing coordinate becomes 0, a stop
+ * time of an unknown trip is dropped), so problems are caught here
+ * instead: missing files and columns, dangling references (trips ->
+ * routes/services/shapes, stop_times -> trips/stops, parent stations,
+ * transfers), coordinates missing or outside the UAE, duplicate
+ * stop_sequences, trips too short to make a pattern, routes without
+ * trips, stops nothing calls at and missing route colors.
+ *
+ * Every check has a severity (error, warning, info); a run fails when a
+ * check at or above the fail-on severity finds anything.
+ *
+ * Shared by the ingestion pipeline, the offline database builder and
+ * scripts/validate-gtfs.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { forEachGtfsRow, readGtfsHeader, REQUIRED_FILES, CALENDAR_FILES } = require('./gtfs-feed');
+const { LOCATION_TYPES } = require('./stations');
+
+// Severities, most severe first ('none' never fails)
+const SEVERITIES = ['error', 'warning', 'info'];
+const FAIL_ON_LEVELS = [...SEVERITIES, 'none'];
+const DEFAULT_FAIL_ON = 'error';
+
+// Where reports are written
+const VALIDATION_DIR = path.join(__dirname, '..', 'data', 'pipeline');
+
+// Stops must lie in the UAE (with a margin for border crossings)
+const UAE_BOUNDS = { minLat: 22.5, maxLat: 26.5, minLon: 51.0, maxLon: 56.5 };
+
+// Findings kept per check as examples
+const MAX_SAMPLES = 20;
+
+// Every check, in report order
+const CHECKS = {
+  missing_file: { severity: 'error', title: 'Required file missing' },
+  missing_column: { severity: 'error', title: 'Required column missing' },
+  missing_calendar: { severity: 'error', title: 'No calendar.txt or calendar_dates.txt' },
+  trip_route_missing: { severity: 'error', title: 'Trip references an unknown route' },
+  stop_time_trip_missing: { severity: 'error', title: 'Stop time references an unknown trip' },
+  stop_time_stop_missing: { severity: 'error', title: 'Stop time references an unknown stop' },
+  duplicate_stop_sequence: { severity: 'error', title: 'Trip repeats a stop_sequence' },
+  stop_coordinates_missing: { severity: 'error', title: 'Stop has no valid coordinates' },
+  stop_outside_uae: { severity: 'error', title: 'Stop lies outside the UAE' },
+  parent_station_missing: { severity: 'error', title: 'Stop references an unknown parent station' },
+  empty_pattern: { severity: 'error', title: 'Trip has fewer than two stop times (empty pattern)' },
+  trip_service_missing: { severity: 'warning', title: 'Trip references a service with no calendar' },
+  trip_shape_missing: { severity: 'warning', title: 'Trip references an unknown shape' },
+  transfer_stop_missing: { severity: 'warning', title: 'Transfer references an unknown stop' },
+  route_without_trips: { severity: 'warning', title: 'Route has no trips' },
+  orphan_stop: { severity: 'warning', title: 'No trip calls at the stop' },
+  route_color_missing: { severity: 'warning', title: 'Route has no route_color' },
+  route_color_invalid: { severity: 'warning', title: 'Route color is not a hex color' }
+};
+
+/**
+ * Collects findings per check
+ */
+function createFindings() {
+  const findings = new Map(Object.keys(CHECKS).map(id => [id, { count: 0, samples: [] }]));
+
+  return {
+    add(id, sample) {
+      const finding = findings.get(id);
+      finding.count++;
+      if (finding.samples.length < MAX_SAMPLES) finding.samples.push(sample);
+    },
+    list() {
+      return Object.entries(CHECKS).map(([id, check]) => ({ id, ...check, ...findings.get(id) }));
+    }
+  };
+}
+
+/**
+ * Stream a feed file with the line number of each row (1 is the header)
+ * Returns the number of rows, or null when the feed has no such file.
+ */
+async function forEachLine(gtfsDir, file, onRow) {
+  if (!fs.existsSync(path.join(gtfsDir, file))) return null;
+
+  let line = 1;
+  return forEachGtfsRow(gtfsDir, file, row => onRow(row, ++line));
+}
+
+/**
+ * Whether a fail-on level is known
+ */
+function isFailOnLevel(failOn) {
+  return FAIL_ON_LEVELS.includes(failOn);
+}
+
+/**
+ * Validate an extracted feed
+ * Returns { feed, generated_at, fail_on, passed, summary, files, checks }
+ * where checks hold each check's count and sample findings.
+ */
+async function validateFeed(gtfsDir, { failOn = DEFAULT_FAIL_ON } = {}) {
+  if (!isFailOnLevel(failOn)) {
+    throw new Error(`"fail_on" must be one of: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  const findings = createFindings();
+  const files = {};
+
+  // Files and columns
+  for (const [file, columns] of Object.entries(REQUIRED_FILES)) {
+    const header = await readGtfsHeader(gtfsDir, file);
+    if (!header) {
+      findings.add('missing_file', { file, message: `${file} is missing` });
+      continue;
+    }
+    for (const column of columns.filter(column => !header.includes(column))) {
+      findings.add('missing_column', { file, column, message: `${file} has no ${column} column` });
+    }
+  }
+  if (!CALENDAR_FILES.some(file => fs.existsSync(path.join(gtfsDir, file)))) {
+    findings.add('missing_calendar', { message: `Neither ${CALENDAR_FILES.join(' nor ')} is present` });
+  }
+
+  // Routes
+  const routes = new Map();
+  files['routes.txt'] = await forEachLine(gtfsDir, 'routes.txt', (route, line) => {
+    routes.set(route.route_id, { line, trips: 0 });
+
+    if (!route.route_color) {
+      findings.add('route_color_missing', { file: 'routes.txt', line, route_id: route.route_id, message: `Route ${route.route_short_name || route.route_id} has no color` });
+    } else if (!/^[0-9A-Fa-f]{6}$/.test(route.route_color)) {
+      findings.add('route_color_invalid', { file: 'routes.txt', line, route_id: route.route_id, value: route.route_color, message: `Route ${route.route_short_name || route.route_id} color "${route.route_color}"` });
+    }
+  });
+
+  // Stops
+  const stops = new Map();
+  const parentRefs = [];
+  files['stops.txt'] = await forEachLine(gtfsDir, 'stops.txt', (stop, line) => {
+    const locationType = parseInt(stop.location_type) || LOCATION_TYPES.STOP;
+    stops.set(stop.stop_id, { line, name: stop.stop_name, locationType, used: false });
+    if (stop.parent_station) parentRefs.push({ stop, line });
+
+    const lat = parseFloat(stop.stop_lat);
+    const lon = parseFloat(stop.stop_lon);
+    const sample = { file: 'stops.txt', line, stop_id: stop.stop_id };
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || (lat === 0 && lon === 0)) {
+      findings.add('stop_coordinates_missing', { ...sample, value: `${stop.stop_lat},${stop.stop_lon}`, message: `${stop.stop_name || stop.stop_id} has coordinates "${stop.stop_lat},${stop.stop_lon}"` });
+    } else if (lat < UAE_BOUNDS.minLat || lat > UAE_BOUNDS.maxLat || lon < UAE_BOUNDS.minLon || lon > UAE_BOUNDS.maxLon) {
+      findings.add('stop_outside_uae', { ...sample, value: `${lat},${lon}`, message: `${stop.stop_name || stop.stop_id} is at ${lat},${lon}` });
+    }
+  });
+
+  for (const { stop, line } of parentRefs) {
+    if (!stops.has(stop.parent_station)) {
+      findings.add('parent_station_missing', { file: 'stops.txt', line, stop_id: stop.stop_id, value: stop.parent_station, message: `${stop.stop_name || stop.stop_id} -> parent ${stop.parent_station}` });
+    }
+  }
+
+  // Services and shapes the trips may reference
+  const services = new Set();
+  for (const file of CALENDAR_FILES) {
+    files[file] = await forEachLine(gtfsDir, file, row => services.add(row.service_id));
+  }
+
+  const shapeIds = new Set();
+  files['shapes.txt'] = await forEachLine(gtfsDir, 'shapes.txt', row => shapeIds.add(row.shape_id));
+
+  // Trips
+  const trips = new Map();
+  files['trips.txt'] = await forEachLine(gtfsDir, 'trips.txt', (trip, line) => {
+    trips.set(trip.trip_id, { line, sequences: new Set(), stopTimes: 0 });
+    const sample = { file: 'trips.txt', line, trip_id: trip.trip_id };
+
+    if (routes.has(trip.route_id)) {
+      routes.get(trip.route_id).trips++;
+    } else {
+      findings.add('trip_route_missing', { ...sample, value: trip.route_id, message: `Trip ${trip.trip_id} -> route ${trip.route_id}` });
+    }
+
+    if (files['calendar.txt'] !== null || files['calendar_dates.txt'] !== null) {
+      if (!services.has(trip.service_id)) {
+        findings.add('trip_service_missing', { ...sample, value: trip.service_id, message: `Trip ${trip.trip_id} -> service ${trip.service_id}` });
+      }
+    }
+
+    if (trip.shape_id && files['shapes.txt'] !== null && !shapeIds.has(trip.shape_id)) {
+      findings.add('trip_shape_missing', { ...sample, value: trip.shape_id, message: `Trip ${trip.trip_id} -> shape ${trip.shape_id}` });
+    }
+  });
+
+  // Stop times (streamed; only trip sequences are kept)
+  files['stop_times.txt'] = await forEachLine(gtfsDir, 'stop_times.txt', (stopTime, line) => {
+    const sample = { file: 'stop_times.txt', line, trip_id: stopTime.trip_id };
+    const trip = trips.get(stopTime.trip_id);
+    const stop = stops.get(stopTime.stop_id);
+
+    if (!trip) {
+      findings.add('stop_time_trip_missing', { ...sample, message: `Stop time of unknown trip ${stopTime.trip_id}` });
+    } else {
+      trip.stopTimes++;
+      if (trip.sequences.has(stopTime.stop_sequence)) {
+        findings.add('duplicate_stop_sequence', { ...sample, value: stopTime.stop_sequence, message: `Trip ${stopTime.trip_id} repeats stop_sequence ${stopTime.stop_sequence}` });
+      }
+      trip.sequences.add(stopTime.stop_sequence);
+    }
+
+    if (stop) {
+      stop.used = true;
+    } else {
+      findings.add('stop_time_stop_missing', { ...sample, stop_id: stopTime.stop_id, message: `Trip ${stopTime.trip_id} calls at unknown stop ${stopTime.stop_id}` });
+    }
+  });
+
+  // Transfers
+  files['transfers.txt'] = await forEachLine(gtfsDir, 'transfers.txt', (transfer, line) => {
+    for (const field of ['from_stop_id', 'to_stop_id']) {
+      if (transfer[field] && !stops.has(transfer[field])) {
+        findings.add('transfer_stop_missing', { file: 'transfers.txt', line, stop_id: transfer[field], message: `Transfer ${field} ${transfer[field]}` });
+      }
+    }
+  });
+
+  // Trips too short to ride, and routes nothing runs on
+  for (const [tripId, trip] of trips) {
+    if (files['stop_times.txt'] !== null && trip.stopTimes < 2) {
+      findings.add('empty_pattern', { file: 'trips.txt', line: trip.line, trip_id: tripId, value: trip.stopTimes, message: `Trip ${tripId} has ${trip.stopTimes} stop time${trip.stopTimes === 1 ? '' : 's'}` });
+    }
+  }
+
+  if (files['trips.txt'] !== null) {
+    for (const [routeId, route] of routes) {
+      if (route.trips === 0) {
+        findings.add('route_without_trips', { file: 'routes.txt', line: route.line, route_id: routeId, message: `Route ${routeId} has no trips` });
+      }
+    }
+  }
+
+  // Stops no trip calls at (stations count when one of their platforms is used)
+  if (files['stop_times.txt'] !== null) {
+    const usedParents = new Set(parentRefs
+      .filter(({ stop }) => stops.get(stop.stop_id).used)
+      .map(({ stop }) => stop.parent_station));
+
+    for (const [stopId, stop] of stops) {
+      if (stop.used || usedParents.has(stopId)) continue;
+      if (stop.locationType !== LOCATION_TYPES.STOP && stop.locationType !== LOCATION_TYPES.STATION) continue;
+      findings.add('orphan_stop', { file: 'stops.txt', line: stop.line, stop_id: stopId, message: `${stop.name || stopId} is not used by any trip` });
+    }
+  }
+
+  const checks = findings.list();
+  const summary = Object.fromEntries(SEVERITIES.map(severity => [
+    severity,
+    checks.filter(check => check.severity === severity).reduce((sum, check) => sum + check.count, 0)
+  ]));
+  const failing = SEVERITIES.slice(0, SEVERITIES.indexOf(failOn) + 1);
+
+  return {
+    feed: gtfsDir,
+    generated_at: new Date().toISOString(),
+    fail_on: failOn,
+    passed: failOn === 'none' || failing.every(severity => summary[severity] === 0),
+    summary,
+    files,
+    checks
+  };
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Render a validation report as a standalone HTML page
+ */
+function renderValidationHtml(report) {
+  const colors = { error: '#c62828', warning: '#ef6c00', info: '#1565c0' };
+
+  const rows = report.checks.map(check => {
+    const samples = check.samples.map(sample =>
+      `<li>${sample.file ? `<code>${escapeHtml(sample.file)}${sample.line ? `:${sample.line}` : ''}</code> ` : ''}${escapeHtml(sample.message)}</li>`
+    ).join('');
+    const more = check.count > check.samples.length ? `<li>… ${check.count - check.samples.length} more</li>` : '';
+
+    return `
+      <tr class="${check.count > 0 ? 'found' : 'ok'}">
+        <td><span class="badge" style="background:${colors[check.severity]}">${check.severity}</span></td>
+        <td>${escapeHtml(check.title)}<div class="id">${check.id}</div></td>
+        <td class="count">${check.count.toLocaleString()}</td>
+        <td>${check.count > 0 ? `<details><summary>Examples</summary><ul>${samples}${more}</ul></details>` : '✓'}</td>
+      </tr>`;
+  }).join('');
+
+  const files = Object.entries(report.files)
+    .map(([file, count]) => `<li><code>${escapeHtml(file)}</code>: ${count === null ? 'not present' : `${count.toLocaleString()} rows`}</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>GTFS Validation - ${report.passed ? 'Passed' : 'Failed'}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; color: #212121; }
+  h1 { margin-bottom: 0.25rem; }
+  .status { font-weight: bold; color: ${report.passed ? '#2e7d32' : '#c62828'}; }
+  table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+  th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+  tr.ok { color: #9e9e9e; }
+  .badge { color: #fff; border-radius: 4px; padding: 0.1rem 0.4rem; font-size: 0.8rem; }
+  .id { font-family: monospace; font-size: 0.8rem; color: #757575; }
+  .count { text-align: right; font-variant-numeric: tabular-nums; }
+  ul { margin: 0.25rem 0; padding-left: 1.25rem; }
+</style>
+</head>
+<body>
+<h1>GTFS Validation</h1>
+<p><code>${escapeHtml(report.feed)}</code> · ${escapeHtml(report.generated_at)}</p>
+<p class="status">${report.passed ? 'Passed' : 'Failed'} (fails on: ${report.fail_on}) ·
+  ${report.summary.error} errors, ${report.summary.warning} warnings, ${report.summary.info} info</p>
+<ul>${files}</ul>
+<table>
+  <thead><tr><th>Severity</th><th>Check</th><th class="count">Found</th><th></th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a validation report as validation.json and validation.html
+ * Returns { json, html } (the file paths).
+ */
+function writeValidationReports(report, dir = VALIDATION_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const json = path.join(dir, 'validation.json');
+  const html = path.join(dir, 'validation.html');
+
+  fs.writeFileSync(json, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(html, renderValidationHtml(report));
+  return { json, html };
+}
+
+/**
+ * Print a validation report's findings
+ */
+function printValidation(report) {
+  const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+  for (const check of report.checks.filter(check => check.count > 0)) {
+    console.log(`   ${icons[check.severity]} ${check.title}: ${check.count.toLocaleString()}`);
+    check.samples.slice(0, 3).forEach(sample => console.log(`        ${sample.message}`));
+  }
+  console.log(`   ${report.passed ? '✅ Passed' : '❌ Failed'} (fails on ${report.fail_on}): ${report.summary.error} errors, ${report.summary.warning} warnings`);
+}
+
+module.exports = {
+  validateFeed,
+  renderValidationHtml,
+  writeValidationReports,
+  printValidation,
+  isFailOnLevel,
+  CHECKS,
+  SEVERITIES,
+  FAIL_ON_LEVELS,
+  DEFAULT_FAIL_ON,
+  UAE_BOUNDS,
+  VALIDATION_DIR
+};
@@ -0,0 +1,70 @@
+/**
+ * Isochrones
+ * GeoJSON areas reachable within time bands, drawn from reachable stops
+ *
+ * Every stop reached before a band's limit covers a circle: the distance a
+ * rider can still walk from it in the minutes left (capped at a normal
+ * first/last mile walk). A band is the union of its stops' circles, as a
+ * MultiPolygon whose circles may overlap.
+ */
+
+const { WALK_SPEED_MPS, WALK_DETOUR_FACTOR } = require('./geo');
+
+const METERS_PER_DEGREE = 111320;
+
+// Points per circle, and the longest walk drawn around a stop
+const CIRCLE_POINTS = 16;
+const MAX_WALK_M = 800;
+
+/**
+ * Polygon ring (counterclockwise, closed) approximating a circle
+ */
+function circleRing(lat, lon, radiusMeters) {
+  const latRadius = radiusMeters / METERS_PER_DEGREE;
+  const lonRadius = radiusMeters / (METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+  const round = value => Math.round(value * 1e5) / 1e5;
+
+  const ring = [];
+  for (let i = 0; i < CIRCLE_POINTS; i++) {
+    const angle = (2 * Math.PI * i) / CIRCLE_POINTS;
+    ring.push([round(lon + lonRadius * Math.cos(angle)), round(lat + latRadius * Math.sin(angle))]);
+  }
+  ring.push(ring[0]);
+
+  return ring;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with one feature per time band
+ * stops are reachable stops ({ stop_lat, stop_lon, minutes }), bands the
+ * band limits in minutes. Features are ordered by band, smallest first.
+ */
+function buildIsochrones(stops, bands) {
+  const features = [...bands].sort((a, b) => a - b).map(limit => {
+    const polygons = [];
+    let count = 0;
+
+    for (const stop of stops) {
+      if (stop.minutes > limit || stop.stop_lat === undefined) continue;
+      count++;
+
+      const walkable = (limit - stop.minutes) * 60 * WALK_SPEED_MPS / WALK_DETOUR_FACTOR;
+      const radius = Math.min(walkable, MAX_WALK_M);
+      if (radius > 0) {
+        polygons.push([circleRing(stop.stop_lat, stop.stop_lon, radius)]);
+      }
+    }
+
+    return {
+      type: 'Feature',
+      properties: { max_minutes: limit, stops: count },
+      geometry: { type: 'MultiPolygon', coordinates: polygons }
+    };
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  buildIsochrones
+};
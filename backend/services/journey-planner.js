@@ -0,0 +1,1234 @@
+/**
+ * Journey Planner
+ * Round-based (RAPTOR-style) router over the offline pattern graph
+ *
+ * Round k finds the best way to reach every stop using exactly k vehicles,
+ * so the result holds the best journey for each number of transfers.
+ * After each round, footpaths let riders walk to nearby stops.
+ * Journeys can start and end at a stop or at a location, in which case
+ * the nearby stops become candidates with a first/last mile walk.
+ * Endpoints within walking distance (or at the same station) also get a
+ * journey on foot.
+ *
+ * Without a time, the cost of a journey is an estimated time in seconds:
+ * riding time from the median run and dwell times between stops (or, for
+ * databases without them, the distance and a typical speed per mode),
+ * plus the walking time of each footpath. With a depart-at or arrive-by
+ * time, rides follow the compact timetable (pattern_trips) instead.
+ * Untimed journeys still get an expected wait per ride (half the headway
+ * running now, from pattern_frequencies, or a default wait when no band
+ * covers it), counted in the rounds so more rides cost more waiting.
+ *
+ * The rounds trade time against transfers; a second pass that weighs
+ * walking more heavily finds journeys that walk less. Together they give a
+ * Pareto set over duration, transfers and walking distance, ranked by the
+ * rider's preference. Modes, routes to avoid and the longest walk narrow
+ * the network the rounds may use.
+ *
+ * Every leg carries its line for maps: rides the slice of the pattern's
+ * shape between the boarding and alighting stops, walks a straight line.
+ * Every journey carries its Nol fare per card class (services/fares.js).
+ *
+ * Usage:
+ *   const { planJourneys } = require('../services/journey-planner');
+ *   const journeys = planJourneys(db, {
+ *     from: { stopId: '15601' },
+ *     to: { lat: 25.2048, lon: 55.2708 },
+ *     maxTransfers: 2,
+ *     departAt: 8 * 3600,
+ *     modes: [ROUTE_TYPES.METRO],
+ *     prefer: 'least_walking'
+ *   });
+ */
+
+const { ROUTE_TYPES, hasTable, hasColumn } = require('../db/offline-database');
+const { distanceMeters, walkingDistanceMeters, walkingSeconds } = require('./geo');
+const { findNearbyStops } = require('./stop-search');
+const { getBoardingStops } = require('./stations');
+const { formatClockTime, SECONDS_PER_DAY } = require('./gtfs-time');
+const { getActiveServices, previousServiceDate, todayServiceDate, nowInDubai } = require('./service-calendar');
+const { hasTimetable, getHeadwaysAt } = require('./timetable');
+const { decodePolyline, formatGeometry } = require('./shapes');
+const { getFareTable, calculateFare } = require('./fares');
+const { transportType, MODES } = require('./transport-modes');
+
+const DEFAULT_MAX_TRANSFERS = 3;
+const MAX_TRANSFERS_LIMIT = 5;
+
+// How journeys can be ranked: criteria in order, ties fall through
+const RANKINGS = {
+  fewest_transfers: ['transfers', 'time', 'walk'],
+  fastest: ['time', 'transfers', 'walk'],
+  least_walking: ['walk', 'time', 'transfers']
+};
+const PREFER_OPTIONS = Object.keys(RANKINGS);
+
+// The second pass counts every walking second this many times
+const WALK_RELUCTANCE = 3;
+
+// First/last mile: how far riders walk to reach a stop from a location
+const DEFAULT_WALK_RADIUS_M = 800;
+const MAX_ACCESS_STOPS = 20;
+
+// Fallback running speed (m/s) and dwell time per stop (seconds)
+// when the database has no typical run times
+const RIDE_SPEED_MPS = {
+  [ROUTE_TYPES.METRO]: 12,
+  [ROUTE_TYPES.TRAM]: 7,
+  [ROUTE_TYPES.FERRY]: 5,
+  default: 6
+};
+const DWELL_SECS = 20;
+
+// Expected wait per ride when no frequency band covers the time searched
+// (e.g. a date outside the feed's calendar): half a 10-minute headway
+const DEFAULT_WAIT_SECS = 5 * 60;
+
+// In-memory network per database connection (readonly, so built once;
+// getDb reopens the offline database when it is rebuilt)
+const networks = new WeakMap();
+
+/**
+ * Load patterns, pattern stops, timetable and stops into lookup maps
+ */
+function buildNetwork(db) {
+  const patterns = new Map();
+  const stopPatterns = new Map(); // stop_id -> [{ pattern, index }]
+  const footpaths = new Map(); // stop_id -> [{ to_stop_id, distance_m, walk_secs }]
+  const stops = new Map();
+
+  // Databases built before pattern variants existed only have main patterns
+  const patternRows = db.prepare(`
+    SELECT
+      rp.pattern_id,
+      rp.direction_id,
+      rp.headsign,
+      ${hasColumn(db, 'route_patterns', 'variant') ? 'rp.variant' : "'main' AS variant"},
+      r.route_id,
+      r.route_short_name,
+      r.route_long_name,
+      r.route_type,
+      r.route_color
+    FROM route_patterns rp
+    JOIN routes r ON rp.route_id = r.route_id
+  `).all();
+
+  for (const row of patternRows) {
+    patterns.set(row.pattern_id, {
+      ...row,
+      stops: [],
+      sequences: [],
+      runs: [],
+      dwells: [],
+      shapeIndexes: [],
+      polyline: null,
+      shape: null,
+      estimate: null,
+      schedule: { arrivals: [], departures: [] },
+      trips: []
+    });
+  }
+
+  const stopRows = db.prepare('SELECT stop_id, stop_name, stop_lat, stop_lon FROM stops').all();
+  for (const row of stopRows) {
+    stops.set(row.stop_id, row);
+  }
+
+  // Databases built before the timetable (or shapes) existed lack their columns
+  const timetable = hasTimetable(db);
+  const hasShapes = hasTable(db, 'pattern_shapes');
+
+  const patternStopRows = db.prepare(`
+    SELECT pattern_id, stop_id, stop_sequence
+      ${timetable ? ', arrival_offset, departure_offset, run_secs, dwell_secs' : ''}
+      ${hasShapes ? ', shape_index' : ''}
+    FROM pattern_stops
+    ORDER BY pattern_id, stop_sequence
+  `).all();
+
+  for (const row of patternStopRows) {
+    const pattern = patterns.get(row.pattern_id);
+    if (!pattern) continue;
+
+    const index = pattern.stops.length;
+    pattern.stops.push(row.stop_id);
+    pattern.sequences.push(row.stop_sequence);
+    pattern.schedule.arrivals.push(row.arrival_offset ?? null);
+    pattern.schedule.departures.push(row.departure_offset ?? null);
+    pattern.runs.push(row.run_secs ?? null);
+    pattern.dwells.push(row.dwell_secs ?? null);
+    pattern.shapeIndexes.push(row.shape_index ?? null);
+
+    if (!stopPatterns.has(row.stop_id)) {
+      stopPatterns.set(row.stop_id, []);
+    }
+    stopPatterns.get(row.stop_id).push({ pattern, index });
+  }
+
+  for (const pattern of patterns.values()) {
+    pattern.estimate = estimateOffsets(pattern, stops);
+  }
+
+  // Shapes stay encoded until a journey needs them
+  if (hasShapes) {
+    for (const row of db.prepare('SELECT pattern_id, polyline FROM pattern_shapes').all()) {
+      const pattern = patterns.get(row.pattern_id);
+      if (pattern) pattern.polyline = row.polyline;
+    }
+  }
+
+  if (timetable) {
+    const tripRows = db.prepare(`
+      SELECT trip_id, pattern_id, service_id, start_secs
+      FROM pattern_trips
+      ORDER BY pattern_id, start_secs
+    `).all();
+
+    for (const row of tripRows) {
+      patterns.get(row.pattern_id)?.trips.push({
+        trip_id: row.trip_id,
+        service_id: row.service_id,
+        start: row.start_secs
+      });
+    }
+  }
+
+  // Without footpaths (older databases) riders transfer at the same stop only
+  const footpathRows = hasTable(db, 'footpaths') ? db.prepare(`
+    SELECT from_stop_id, to_stop_id, distance_m, walk_secs
+    FROM footpaths
+  `).all() : [];
+
+  for (const row of footpathRows) {
+    if (!footpaths.has(row.from_stop_id)) {
+      footpaths.set(row.from_stop_id, []);
+    }
+    footpaths.get(row.from_stop_id).push(row);
+  }
+
+  return { patterns, stopPatterns, footpaths, stops, reversed: null };
+}
+
+/**
+ * Estimate when a typical vehicle reaches and leaves each stop
+ * (seconds from the first stop), from the median run and dwell times
+ * Segments without them fall back to distance and speed.
+ */
+function estimateOffsets(pattern, stops) {
+  const speed = RIDE_SPEED_MPS[pattern.route_type] || RIDE_SPEED_MPS.default;
+  const arrivals = [0];
+  const departures = [pattern.dwells[0] ?? 0];
+
+  for (let i = 1; i < pattern.stops.length; i++) {
+    let run = pattern.runs[i];
+    if (run === null) {
+      const a = stops.get(pattern.stops[i - 1]);
+      const b = stops.get(pattern.stops[i]);
+      const meters = a && b ? distanceMeters(a.stop_lat, a.stop_lon, b.stop_lat, b.stop_lon) : 0;
+      run = Math.round(meters / speed);
+    }
+
+    arrivals.push(departures[i - 1] + run);
+    departures.push(arrivals[i] + (pattern.dwells[i] ?? DWELL_SECS));
+  }
+
+  return { arrivals, departures };
+}
+
+/**
+ * Get the line of a pattern: { points: [[lat, lon], ...], stopIndexes }
+ * Decoded on first use; without a shape the line runs through the stops.
+ */
+function patternShape(net, pattern) {
+  if (!pattern.shape) {
+    if (pattern.polyline && pattern.shapeIndexes.every(index => index !== null)) {
+      pattern.shape = { points: decodePolyline(pattern.polyline), stopIndexes: pattern.shapeIndexes };
+    } else {
+      const points = pattern.stops.map(stopId => {
+        const stop = net.stops.get(stopId);
+        return [stop?.stop_lat, stop?.stop_lon];
+      });
+      pattern.shape = { points, stopIndexes: points.map((point, i) => i) };
+    }
+  }
+  return pattern.shape;
+}
+
+/**
+ * Mirror the network in time for arrive-by searches
+ *
+ * Patterns run backwards and times are negated, so the latest departure
+ * becomes the earliest "arrival" and the normal rounds can be reused.
+ */
+function reverseNetwork(net) {
+  const patterns = new Map();
+  const stopPatterns = new Map();
+  const footpaths = new Map();
+
+  const reverseTimes = ({ arrivals, departures }) => {
+    const last = arrivals[arrivals.length - 1];
+    return {
+      arrivals: departures.map(offset => last - offset).reverse(),
+      departures: arrivals.map(offset => last - offset).reverse()
+    };
+  };
+
+  for (const pattern of net.patterns.values()) {
+    const scheduled = pattern.trips.length > 0;
+    const last = scheduled ? pattern.schedule.arrivals[pattern.stops.length - 1] : 0;
+
+    const reversed = {
+      ...pattern,
+      original: pattern,
+      stops: [...pattern.stops].reverse(),
+      sequences: [...pattern.sequences].reverse(),
+      estimate: reverseTimes(pattern.estimate),
+      schedule: scheduled ? reverseTimes(pattern.schedule) : pattern.schedule,
+      trips: pattern.trips
+        .map(trip => ({ ...trip, start: -(trip.start + last) }))
+        .reverse()
+    };
+    patterns.set(pattern.pattern_id, reversed);
+
+    reversed.stops.forEach((stopId, index) => {
+      if (!stopPatterns.has(stopId)) {
+        stopPatterns.set(stopId, []);
+      }
+      stopPatterns.get(stopId).push({ pattern: reversed, index });
+    });
+  }
+
+  for (const list of net.footpaths.values()) {
+    for (const footpath of list) {
+      if (!footpaths.has(footpath.to_stop_id)) {
+        footpaths.set(footpath.to_stop_id, []);
+      }
+      footpaths.get(footpath.to_stop_id).push({
+        ...footpath,
+        from_stop_id: footpath.to_stop_id,
+        to_stop_id: footpath.from_stop_id
+      });
+    }
+  }
+
+  return { ...net, patterns, stopPatterns, footpaths, reversed: null };
+}
+
+/**
+ * Get the cached network of a connection, building it on first use
+ */
+function getNetwork(db) {
+  let network = networks.get(db);
+  if (!network) {
+    network = buildNetwork(db);
+    networks.set(db, network);
+  }
+  return network;
+}
+
+/**
+ * Get the cached time-mirrored network for arrive-by searches
+ */
+function getReversedNetwork(db) {
+  const net = getNetwork(db);
+  if (!net.reversed) {
+    net.reversed = reverseNetwork(net);
+  }
+  return net.reversed;
+}
+
+/**
+ * Clamp the requested number of transfers to a sane range
+ */
+function parseMaxTransfers(value) {
+  if (value === undefined || value === '') return DEFAULT_MAX_TRANSFERS;
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < 0) return null;
+  return Math.min(parsed, MAX_TRANSFERS_LIMIT);
+}
+
+/**
+ * Parse a comma separated list ("bus, metro") into trimmed, non-empty items
+ */
+function parseList(value) {
+  if (value === undefined) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the requested modes ("bus,metro") into route types
+ * Returns null for unknown modes, or all modes when none are given.
+ */
+function parseModes(value) {
+  const names = parseList(value).map(name => name.toLowerCase());
+  if (names.length === 0) return Object.values(MODES);
+  if (names.some(name => MODES[name] === undefined)) return null;
+  return [...new Set(names.map(name => MODES[name]))];
+}
+
+/**
+ * Whether the rider's preferences let the search use a pattern
+ * Avoided routes match by route ID or route number (case insensitive).
+ */
+function isAllowed(search, pattern) {
+  let allowed = search.allowed.get(pattern);
+  if (allowed !== undefined) return allowed;
+
+  const { modes, avoidRoutes } = search.preferences;
+  allowed = modes.has(pattern.route_type)
+    && !avoidRoutes.has(String(pattern.route_id).toLowerCase())
+    && !avoidRoutes.has(String(pattern.route_short_name).toLowerCase());
+
+  search.allowed.set(pattern, allowed);
+  return allowed;
+}
+
+/**
+ * Record a better cost at a stop if it can still beat the best journey found
+ * (and stays within the search's time budget, if any)
+ * Returns true when the stop was improved.
+ */
+function improve(search, stopId, cost) {
+  const bestHere = search.best.has(stopId) ? search.best.get(stopId) : Infinity;
+  if (cost >= bestHere || cost >= search.bestTarget || cost > search.maxCost) return false;
+
+  search.best.set(stopId, cost);
+
+  // Reaching a destination stop by vehicle sets a new bound for pruning
+  // (walking there without riding is not a transit journey)
+  const egress = search.egress.get(stopId);
+  if (egress && search.round > 0) {
+    search.bestTarget = Math.min(search.bestTarget, cost + walkCost(search, egress));
+  }
+  return true;
+}
+
+/**
+ * Cost of a walk in the current pass (seconds, weighted by the reluctance)
+ */
+function walkCost(search, walk) {
+  return walk.walk_secs * search.walkFactor;
+}
+
+/**
+ * Let riders walk from the stops reached by a vehicle this round
+ * A stop reached by a vehicle keeps its ride label, so walks never chain;
+ * nor do they chain with the walks from the origin and to the destination:
+ * those are only relaxed from when the origin is the stop itself, and
+ * stops the destination is walked to from are not walked to.
+ * Walks longer than the rider's limit are skipped.
+ */
+function relaxFootpaths(net, search, labels, marked) {
+  const walked = new Set();
+
+  for (const stopId of marked) {
+    const label = labels.get(stopId);
+
+    for (const footpath of net.footpaths.get(stopId) || []) {
+      const target = footpath.to_stop_id;
+      if (marked.has(target) || footpath.distance_m > search.preferences.maxWalk) continue;
+
+      const egress = search.egress.get(target);
+      if (egress && egress.walk_secs > 0) continue;
+
+      const cost = label.cost + walkCost(search, footpath);
+      if (improve(search, target, cost)) {
+        labels.set(target, { cost, walk: footpath, from: stopId });
+        walked.add(target);
+      }
+    }
+  }
+
+  return walked;
+}
+
+/**
+ * Trips of a pattern running on the search date, sorted by start
+ *
+ * Trips of the previous service day still running after midnight are
+ * included with their times shifted back by a day.
+ */
+function timetableFor(search, pattern) {
+  let trips = search.timetables.get(pattern);
+  if (trips) return trips;
+
+  const { today, yesterday } = search.services;
+  if (!today) {
+    trips = pattern.trips;
+  } else {
+    // Mirrored networks negate times, so a day earlier is a day "later"
+    const shift = search.reversed ? SECONDS_PER_DAY : -SECONDS_PER_DAY;
+    trips = [
+      ...pattern.trips
+        .filter(trip => yesterday.has(trip.service_id))
+        .map(trip => ({ ...trip, start: trip.start + shift })),
+      ...pattern.trips.filter(trip => today.has(trip.service_id))
+    ].sort((a, b) => a.start - b.start);
+  }
+
+  search.timetables.set(pattern, trips);
+  return trips;
+}
+
+/**
+ * Expected wait (seconds) before an untimed ride: half the pattern's
+ * headway, or DEFAULT_WAIT_SECS without one
+ * Searches without headways (reachable stops) do not wait.
+ */
+function expectedWait(search, pattern) {
+  if (!search.headways) return 0;
+  const headway = search.headways.get(pattern.pattern_id);
+  return headway === undefined ? DEFAULT_WAIT_SECS : headway / 2;
+}
+
+/**
+ * Find the first trip of a pattern that can be boarded at index i by time ready
+ *
+ * Without a timetable a vehicle is assumed to pull in after the expected
+ * wait, so the "trip" simply starts at the right moment.
+ */
+function catchTrip(search, pattern, i, ready) {
+  const times = search.timed ? pattern.schedule : pattern.estimate;
+
+  // Untimed: a typical vehicle pulls in after the expected wait
+  if (!search.timed) {
+    return { trip_id: null, start: ready + expectedWait(search, pattern) - times.arrivals[i] };
+  }
+
+  // Binary search the first trip departing stop i at or after ready
+  const earliestStart = ready - times.departures[i];
+  const trips = timetableFor(search, pattern);
+  let low = 0;
+  let high = trips.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (trips[mid].start < earliestStart) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return trips[low] || null;
+}
+
+/**
+ * Run the rounds and return the per-round labels
+ *
+ * labels[k] maps stop_id -> { cost, leg | walk | access, from } where leg is
+ * the ride (or walk the footpath) that reached the stop in round k and from
+ * is the stop it started at. Round 0 holds the access stops.
+ * Costs are seconds: relative when untimed, clock times when timed.
+ */
+function runRounds(net, search, maxTransfers) {
+  const labels = [new Map()];
+  let marked = new Set();
+  search.round = 0;
+
+  // Round 0: walk from the origin to its access stops
+  for (const [stopId, access] of search.access) {
+    const cost = search.startTime + walkCost(search, access);
+    if (improve(search, stopId, cost)) {
+      labels[0].set(stopId, { cost, access, from: null });
+      marked.add(stopId);
+    }
+  }
+  const atOrigin = new Set([...marked].filter(stopId => search.access.get(stopId).walk_secs === 0));
+  for (const stopId of relaxFootpaths(net, search, labels[0], atOrigin)) {
+    marked.add(stopId);
+  }
+
+  for (let k = 1; k <= maxTransfers + 1 && marked.size > 0; k++) {
+    const previous = labels[k - 1];
+    const current = new Map();
+    const newlyMarked = new Set();
+    search.round = k;
+
+    // Collect patterns serving marked stops, with the earliest marked index
+    const queue = new Map();
+    for (const stopId of marked) {
+      for (const { pattern, index } of net.stopPatterns.get(stopId) || []) {
+        if (!isAllowed(search, pattern)) continue;
+
+        const queued = queue.get(pattern);
+        if (queued === undefined || index < queued) {
+          queue.set(pattern, index);
+        }
+      }
+    }
+
+    // Scan each pattern once from its earliest marked stop
+    for (const [pattern, startIndex] of queue) {
+      const times = search.timed ? pattern.schedule : pattern.estimate;
+      let boarding = null;
+
+      for (let i = startIndex; i < pattern.stops.length; i++) {
+        const stopId = pattern.stops[i];
+        const rideCost = boarding ? boarding.trip.start + times.arrivals[i] : Infinity;
+
+        // Alight here if it improves the best known cost
+        if (boarding && improve(search, stopId, rideCost)) {
+          current.set(stopId, {
+            cost: rideCost,
+            leg: { pattern, boardIndex: boarding.index, alightIndex: i, trip: boarding.trip },
+            from: boarding.stopId
+          });
+          newlyMarked.add(stopId);
+        }
+
+        // Board (or catch an earlier vehicle) if we reached this stop in the last round
+        const reached = previous.get(stopId);
+        const departure = boarding ? boarding.trip.start + times.departures[i] : Infinity;
+        if (reached && reached.cost < departure) {
+          const trip = catchTrip(search, pattern, i, reached.cost);
+          if (trip && (!boarding || trip.start < boarding.trip.start)) {
+            boarding = { index: i, trip, stopId };
+          }
+        }
+      }
+    }
+
+    for (const stopId of relaxFootpaths(net, search, current, newlyMarked)) {
+      newlyMarked.add(stopId);
+    }
+
+    labels.push(current);
+    marked = newlyMarked;
+  }
+
+  return labels;
+}
+
+/**
+ * Walk the labels back from a destination stop to the steps of one journey
+ * Steps are in search order: for arrive-by searches that is back to front.
+ */
+function reconstructSteps(search, labels, round, stopId) {
+  const steps = [];
+
+  const egress = search.egress.get(stopId);
+  if (egress.walk_secs > 0) {
+    steps.push({ kind: 'egress', stopId, walk: egress });
+  }
+
+  for (let k = round; k >= 0; k--) {
+    let label = labels[k].get(stopId);
+
+    if (label.walk) {
+      steps.unshift({ kind: 'walk', fromStopId: label.from, toStopId: stopId, footpath: label.walk });
+      stopId = label.from;
+      label = labels[k].get(stopId);
+    }
+
+    if (k === 0) {
+      if (label.access.walk_secs > 0) {
+        steps.unshift({ kind: 'access', stopId, walk: label.access });
+      }
+      break;
+    }
+
+    steps.unshift({ kind: 'ride', leg: label.leg });
+    stopId = label.from;
+  }
+
+  return steps;
+}
+
+/**
+ * Turn the steps of an arrive-by search back into travel order
+ */
+function forwardSteps(search, steps) {
+  if (!search.reversed) return steps;
+
+  return steps.reverse().map(step => {
+    if (step.kind === 'access') return { ...step, kind: 'egress' };
+    if (step.kind === 'egress') return { ...step, kind: 'access' };
+    if (step.kind === 'walk') {
+      return { ...step, fromStopId: step.toStopId, toStopId: step.fromStopId };
+    }
+
+    // Map indexes and the trip back onto the pattern as it really runs
+    const { pattern, boardIndex, alightIndex, trip } = step.leg;
+    const original = pattern.original;
+    const last = original.stops.length - 1;
+    const times = search.timed ? original.schedule : original.estimate;
+
+    return {
+      kind: 'ride',
+      leg: {
+        pattern: original,
+        boardIndex: last - alightIndex,
+        alightIndex: last - boardIndex,
+        trip: { ...trip, start: -trip.start - times.arrivals[last] }
+      }
+    };
+  });
+}
+
+/**
+ * Work out when each step starts and ends (seconds after midnight)
+ * Walks after a ride start when it arrives; walks before the first ride
+ * end just as it departs.
+ */
+function scheduleSteps(steps) {
+  const schedule = steps.map(step => {
+    if (step.kind !== 'ride') return null;
+    const { pattern, boardIndex, alightIndex, trip } = step.leg;
+    return {
+      departure: trip.start + pattern.schedule.departures[boardIndex],
+      arrival: trip.start + pattern.schedule.arrivals[alightIndex]
+    };
+  });
+
+  const walkSecs = step => (step.footpath || step.walk).walk_secs;
+  const firstRide = steps.findIndex(step => step.kind === 'ride');
+
+  for (let i = firstRide - 1; i >= 0; i--) {
+    const arrival = schedule[i + 1].departure;
+    schedule[i] = { departure: arrival - walkSecs(steps[i]), arrival };
+  }
+  for (let i = firstRide + 1; i < steps.length; i++) {
+    if (schedule[i]) continue;
+    const departure = schedule[i - 1].arrival;
+    schedule[i] = { departure, arrival: departure + walkSecs(steps[i]) };
+  }
+
+  return schedule;
+}
+
+/**
+ * Format a walk between a location and a stop (first or last mile)
+ */
+function formatPointWalk(net, search, stopId, point, walk, direction) {
+  const stop = net.stops.get(stopId);
+  const stopPoint = [stop?.stop_lat, stop?.stop_lon];
+  const stopRef = { stop_id: stopId, stop_name: stop?.stop_name || stopId };
+  const pointRef = { stop_id: null, stop_name: point.name, stop_lat: point.lat, stop_lon: point.lon };
+  const isAccess = direction === 'access';
+
+  return {
+    type: 'walk',
+    transport_type: 'Walk',
+    from_stop: isAccess ? pointRef : stopRef,
+    to_stop: isAccess ? stopRef : pointRef,
+    distance_meters: walk.distance_m,
+    duration_minutes: Math.ceil(walk.walk_secs / 60),
+    instruction: `Walk ${walk.distance_m} m to ${isAccess ? stopRef.stop_name : point.name}`,
+    geometry: formatGeometry(
+      isAccess ? [[point.lat, point.lon], stopPoint] : [stopPoint, [point.lat, point.lon]],
+      search.geometry
+    )
+  };
+}
+
+/**
+ * Format a walk between two stops for the API response
+ */
+function formatWalk(net, search, fromStopId, toStopId, footpath) {
+  const fromStop = net.stops.get(fromStopId);
+  const toStop = net.stops.get(toStopId);
+  const toName = toStop?.stop_name || toStopId;
+
+  return {
+    type: 'walk',
+    transport_type: 'Walk',
+    from_stop: { stop_id: fromStopId, stop_name: fromStop?.stop_name || '' },
+    to_stop: { stop_id: toStopId, stop_name: toName },
+    distance_meters: footpath.distance_m,
+    duration_minutes: Math.ceil(footpath.walk_secs / 60),
+    instruction: `Walk ${footpath.distance_m} m to ${toName}`,
+    geometry: formatGeometry(
+      [[fromStop?.stop_lat, fromStop?.stop_lon], [toStop?.stop_lat, toStop?.stop_lon]],
+      search.geometry
+    )
+  };
+}
+
+/**
+ * Format a single ride for the API response
+ * Its geometry is the pattern's line from the boarding to the alighting stop.
+ */
+function formatLeg(net, search, { pattern, boardIndex, alightIndex }) {
+  const stops = [];
+  for (let i = boardIndex; i <= alightIndex; i++) {
+    const stop = net.stops.get(pattern.stops[i]);
+    stops.push({
+      stop_sequence: pattern.sequences[i],
+      stop_id: pattern.stops[i],
+      stop_name: stop?.stop_name || '',
+      stop_lat: stop?.stop_lat,
+      stop_lon: stop?.stop_lon
+    });
+  }
+
+  const firstStop = stops[0];
+  const lastStop = stops[stops.length - 1];
+  const shape = patternShape(net, pattern);
+
+  return {
+    type: 'ride',
+    route_id: pattern.route_id,
+    route_name: pattern.route_short_name,
+    route_full_name: pattern.route_long_name,
+    transport_type: transportType(pattern.route_type),
+    color: pattern.route_color,
+    pattern_id: pattern.pattern_id,
+    variant: pattern.variant,
+    direction_id: pattern.direction_id,
+    headsign: pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : ''),
+    from_stop: { stop_id: firstStop.stop_id, stop_name: firstStop.stop_name },
+    to_stop: { stop_id: lastStop.stop_id, stop_name: lastStop.stop_name },
+    stops_count: stops.length,
+    stops,
+    geometry: formatGeometry(
+      shape.points.slice(shape.stopIndexes[boardIndex], shape.stopIndexes[alightIndex] + 1),
+      search.geometry
+    )
+  };
+}
+
+/**
+ * Format the steps of one journey as API legs
+ * A schedule (timed searches only) adds clock times to every leg.
+ * Every ride gets its in-vehicle, wait and total time; without a schedule
+ * they come from the typical run times and the expected wait. Rides also
+ * get the headway running at the time searched.
+ * Returns the legs, the journey's totals in seconds and its rides for
+ * fares (stops passed, departure and arrival in seconds from the start).
+ */
+function formatSteps(net, search, steps, schedule) {
+  const totals = { in_vehicle: 0, wait: 0, walk: 0 };
+  const rides = [];
+
+  const legs = steps.map((step, i) => {
+    if (step.kind !== 'ride') {
+      const walk = step.footpath || step.walk;
+      totals.walk += walk.walk_secs;
+
+      if (step.kind === 'walk') return formatWalk(net, search, step.fromStopId, step.toStopId, step.footpath);
+      const point = step.kind === 'access' ? search.origin : search.destination;
+      return formatPointWalk(net, search, step.stopId, point, step.walk, step.kind);
+    }
+
+    const leg = formatLeg(net, search, step.leg);
+    const { pattern, boardIndex, alightIndex } = step.leg;
+
+    const headway = search.headways.get(pattern.pattern_id);
+    leg.headway_minutes = headway === undefined ? null : Math.round(headway / 60);
+
+    let inVehicle;
+    let wait;
+    if (schedule) {
+      inVehicle = schedule[i].arrival - schedule[i].departure;
+      wait = i > 0 ? schedule[i].departure - schedule[i - 1].arrival : 0;
+    } else {
+      inVehicle = pattern.estimate.arrivals[alightIndex] - pattern.estimate.departures[boardIndex];
+      wait = expectedWait(search, pattern);
+    }
+
+    // Untimed rides follow each other with the expected waits and walks
+    const elapsed = totals.in_vehicle + totals.wait + wait + totals.walk;
+    rides.push({
+      route_id: pattern.route_id,
+      route_type: pattern.route_type,
+      stops: pattern.stops.slice(boardIndex, alightIndex + 1),
+      departure: schedule ? schedule[i].departure : elapsed,
+      arrival: schedule ? schedule[i].arrival : elapsed + inVehicle
+    });
+
+    totals.in_vehicle += inVehicle;
+    totals.wait += wait;
+
+    leg.in_vehicle_minutes = Math.round(inVehicle / 60);
+    leg.wait_minutes = Math.ceil(wait / 60);
+    leg.duration_minutes = Math.ceil((inVehicle + wait) / 60);
+    return leg;
+  });
+
+  if (schedule) {
+    schedule.forEach((times, i) => {
+      legs[i].departure_time = formatClockTime(times.departure);
+      legs[i].arrival_time = formatClockTime(times.arrival);
+      if (steps[i].kind === 'ride') {
+        legs[i].trip_id = steps[i].leg.trip.trip_id;
+      }
+    });
+  }
+
+  return { legs, totals, rides };
+}
+
+/**
+ * Resolve a journey endpoint to candidate stops with their walking times
+ * An endpoint is either { stopId } or a location { lat, lon }. A stop
+ * stands for every platform and bay of its station. A place is a location
+ * with a name and the stops linked to it ({ lat, lon, name, stopIds }),
+ * which are walked to even when further than walkRadius.
+ */
+function resolveEndpoint(db, net, endpoint, walkRadius, name) {
+  if (endpoint.stopId) {
+    const stop = net.stops.get(endpoint.stopId);
+    return {
+      point: { name: stop?.stop_name || endpoint.stopId, lat: stop?.stop_lat, lon: stop?.stop_lon },
+      stops: new Map(getBoardingStops(db, endpoint.stopId).map(stopId => [stopId, { distance_m: 0, walk_secs: 0 }]))
+    };
+  }
+
+  const stops = new Map();
+  const addStop = stop => {
+    if (!net.stopPatterns.has(stop.stop_id) || stops.has(stop.stop_id)) return;
+
+    const distance = walkingDistanceMeters(endpoint.lat, endpoint.lon, stop.stop_lat, stop.stop_lon);
+    stops.set(stop.stop_id, { distance_m: distance, walk_secs: walkingSeconds(distance) });
+  };
+
+  findNearbyStops(db, endpoint.lat, endpoint.lon, walkRadius, MAX_ACCESS_STOPS).forEach(addStop);
+
+  for (const stopId of (endpoint.stopIds || []).flatMap(id => getBoardingStops(db, id))) {
+    const stop = net.stops.get(stopId);
+    if (stop) addStop(stop);
+  }
+
+  return { point: { name: endpoint.name || name, lat: endpoint.lat, lon: endpoint.lon }, stops };
+}
+
+/**
+ * Services running on a service date and on the day before
+ * (whose trips may still run after midnight)
+ */
+function serviceDays(db, serviceDate) {
+  const today = getActiveServices(db, serviceDate);
+  return {
+    today,
+    yesterday: today && getActiveServices(db, previousServiceDate(serviceDate))
+  };
+}
+
+/**
+ * Build the best journey of every round of a pass
+ * Each candidate carries the journey and the minutes it is compared on:
+ * the total duration when untimed, the arrival time for depart-at searches
+ * and the (negated) departure time for arrive-by searches.
+ */
+function collectJourneys(net, search, labels) {
+  const candidates = [];
+
+  for (let k = 1; k < labels.length; k++) {
+    // Best destination stop reached in this round, counting the final walk
+    let arrival = null;
+    for (const [stopId, egress] of search.egress) {
+      const label = labels[k].get(stopId);
+      if (!label) continue;
+
+      const cost = label.cost + walkCost(search, egress);
+      if (!arrival || cost < arrival.cost) {
+        arrival = { stopId, cost };
+      }
+    }
+
+    if (!arrival) continue;
+
+    const steps = forwardSteps(search, reconstructSteps(search, labels, k, arrival.stopId));
+    const schedule = search.timed ? scheduleSteps(steps) : null;
+    const { legs, totals, rides: fareRides } = formatSteps(net, search, steps, schedule);
+    const rides = legs.filter(leg => leg.type === 'ride');
+    const walks = legs.filter(leg => leg.type === 'walk');
+
+    const journey = {
+      type: rides.length === 1 ? 'direct' : 'transfer',
+      transfers: rides.length - 1,
+      stops_travelled: rides.reduce((sum, leg) => sum + leg.stops_count - 1, 0),
+      walk_meters: walks.reduce((sum, leg) => sum + leg.distance_meters, 0),
+      transfer_at: rides.slice(1).map(leg => leg.from_stop),
+      in_vehicle_minutes: Math.round(totals.in_vehicle / 60),
+      wait_minutes: Math.ceil(totals.wait / 60),
+      walk_minutes: Math.ceil(totals.walk / 60),
+      duration_minutes: Math.ceil((totals.in_vehicle + totals.wait + totals.walk) / 60),
+      fare: calculateFare(search.fares, fareRides),
+      legs
+    };
+
+    let time = totals.in_vehicle + totals.wait + totals.walk;
+    if (schedule) {
+      const departure = schedule[0].departure;
+      const arrivalTime = schedule[schedule.length - 1].arrival;
+      journey.departure_time = formatClockTime(departure);
+      journey.arrival_time = formatClockTime(arrivalTime);
+      journey.duration_minutes = Math.ceil((arrivalTime - departure) / 60);
+      time = search.reversed ? -departure : arrivalTime;
+    }
+
+    // Same rides and walks (and trips) means the same journey
+    const key = legs.map(leg => (leg.type === 'ride'
+      ? `${leg.pattern_id}:${leg.from_stop.stop_id}:${leg.to_stop.stop_id}:${leg.trip_id || ''}`
+      : `walk:${leg.from_stop.stop_id}:${leg.to_stop.stop_id}`)).join('|');
+
+    candidates.push({
+      journey,
+      key,
+      time: Math.ceil(time / 60),
+      transfers: journey.transfers,
+      walk: journey.walk_meters
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * The journey on foot between two endpoints within walkRadius of each
+ * other or at the same station (null otherwise)
+ * Compared like the others: it is kept when no ride beats it.
+ */
+function walkJourney(search, origin, destination, walkRadius) {
+  const sameStation = [...origin.stops.keys()].some(stopId => destination.stops.has(stopId));
+  const distance = walkingDistanceMeters(
+    origin.point.lat, origin.point.lon, destination.point.lat, destination.point.lon
+  );
+  if (Number.isNaN(distance) || (!sameStation && distance > walkRadius) || distance > search.preferences.maxWalk) {
+    return null;
+  }
+
+  const walkSecs = walkingSeconds(distance);
+  const from = { stop_id: null, stop_name: origin.point.name, stop_lat: origin.point.lat, stop_lon: origin.point.lon };
+  const to = {
+    stop_id: null,
+    stop_name: destination.point.name,
+    stop_lat: destination.point.lat,
+    stop_lon: destination.point.lon
+  };
+
+  const journey = {
+    type: 'walk',
+    transfers: 0,
+    stops_travelled: 0,
+    walk_meters: distance,
+    transfer_at: [],
+    in_vehicle_minutes: 0,
+    wait_minutes: 0,
+    walk_minutes: Math.ceil(walkSecs / 60),
+    duration_minutes: Math.ceil(walkSecs / 60),
+    fare: null,
+    legs: [{
+      type: 'walk',
+      transport_type: 'Walk',
+      from_stop: from,
+      to_stop: to,
+      distance_meters: distance,
+      duration_minutes: Math.ceil(walkSecs / 60),
+      instruction: distance > 0 ? `Walk ${distance} m to ${to.stop_name}` : `You are already at ${to.stop_name}`,
+      geometry: formatGeometry([[from.stop_lat, from.stop_lon], [to.stop_lat, to.stop_lon]], search.geometry)
+    }]
+  };
+
+  let time = walkSecs;
+  if (search.timed) {
+    // Timed searches start at -arriveBy when reversed
+    const departure = search.reversed ? -search.startTime - walkSecs : search.startTime;
+    journey.departure_time = formatClockTime(departure);
+    journey.arrival_time = formatClockTime(departure + walkSecs);
+    time = search.reversed ? -departure : departure + walkSecs;
+  }
+
+  return { journey, key: 'walk', time: Math.ceil(time / 60), transfers: 0, walk: distance };
+}
+
+/**
+ * Whether candidate a is at least as good as b on every criterion
+ * and better on one
+ */
+function dominates(a, b) {
+  return a.time <= b.time && a.transfers <= b.transfers && a.walk <= b.walk
+    && (a.time < b.time || a.transfers < b.transfers || a.walk < b.walk);
+}
+
+/**
+ * Keep the distinct candidates no other candidate dominates
+ */
+function paretoSet(candidates) {
+  const unique = [...new Map(candidates.map(candidate => [candidate.key, candidate])).values()];
+  return unique.filter(candidate => !unique.some(other => dominates(other, candidate)));
+}
+
+/**
+ * Plan journeys between two endpoints (stops, locations or places)
+ * Returns the Pareto set over duration, transfers and walking distance:
+ * a journey is only kept if no other one is at least as quick, with as few
+ * transfers and as little walking, and better on one of them. Endpoints
+ * within walkRadius of each other (or at the same station) also get a
+ * walk-only journey (type 'walk').
+ *
+ * With departAt (seconds after midnight) the timetable gives the earliest
+ * arrival; with arriveBy it gives the latest departure. Only trips running
+ * on serviceDate ("20250823", default today) are used. Without either
+ * time, ride times are estimated and waits come from the headways running
+ * at this time of day on serviceDate. Rides carry the headway running at
+ * the time searched.
+ *
+ * Preferences:
+ *   modes       - route types the journey may use (default every mode)
+ *   maxWalk     - longest walk in meters, per walk and in total
+ *   avoidRoutes - route IDs or numbers not to ride
+ *   prefer      - one of PREFER_OPTIONS, how the journeys are ranked
+ *                 (default 'fewest_transfers')
+ *
+ * geometry is the format of the legs' lines: 'polyline' (default) or 'geojson'.
+ */
+function planJourneys(db, {
+  from,
+  to,
+  maxTransfers = DEFAULT_MAX_TRANSFERS,
+  walkRadius = DEFAULT_WALK_RADIUS_M,
+  departAt = null,
+  arriveBy = null,
+  serviceDate = todayServiceDate(),
+  modes = Object.values(MODES),
+  maxWalk = Infinity,
+  avoidRoutes = [],
+  prefer = 'fewest_transfers',
+  geometry = 'polyline'
+}) {
+  const reversed = arriveBy !== null;
+  const net = reversed ? getReversedNetwork(db) : getNetwork(db);
+
+  const origin = resolveEndpoint(db, net, from, walkRadius, 'Start point');
+  const destination = resolveEndpoint(db, net, to, walkRadius, 'Destination');
+
+  // First/last mile walks must fit the rider's limit too
+  const withinWalk = stops => new Map([...stops].filter(([, walk]) => walk.distance_m <= maxWalk));
+
+  const timed = departAt !== null || reversed;
+  const services = timed ? serviceDays(db, serviceDate) : { today: null, yesterday: null };
+
+  // Arrive-by searches run from the destination on the mirrored network
+  const base = {
+    origin: origin.point,
+    destination: destination.point,
+    access: withinWalk(reversed ? destination.stops : origin.stops),
+    egress: withinWalk(reversed ? origin.stops : destination.stops),
+    timed,
+    reversed,
+    services,
+    headways: getHeadwaysAt(db, serviceDate, departAt ?? arriveBy ?? nowInDubai().seconds),
+    timetables: new Map(),
+    preferences: {
+      modes: new Set(modes),
+      maxWalk,
+      avoidRoutes: new Set(avoidRoutes.map(route => String(route).toLowerCase()))
+    },
+    allowed: new Map(),
+    geometry,
+    fares: getFareTable(db),
+    startTime: reversed ? -arriveBy : (departAt ?? 0),
+    maxCost: Infinity
+  };
+
+  const runPass = walkFactor => {
+    const search = { ...base, walkFactor, best: new Map(), bestTarget: Infinity, round: 0 };
+    return collectJourneys(net, search, runRounds(net, search, maxTransfers));
+  };
+
+  // Nothing to ride from a stop to itself
+  const walk = walkJourney(base, origin, destination, walkRadius);
+  if (walk && from.stopId && from.stopId === to.stopId) return [walk.journey];
+
+  const candidates = runPass(1);
+  if (walk) candidates.push(walk);
+
+  // Only worth a second pass if the quickest journeys walk at all
+  if (candidates.some(candidate => candidate.walk > 0)) {
+    candidates.push(...runPass(WALK_RELUCTANCE));
+  }
+
+  const ranking = RANKINGS[prefer] || RANKINGS.fewest_transfers;
+  return paretoSet(candidates.filter(candidate => candidate.walk <= maxWalk))
+    .sort((a, b) => {
+      for (const criterion of ranking) {
+        if (a[criterion] !== b[criterion]) return a[criterion] - b[criterion];
+      }
+      return 0;
+    })
+    .map(candidate => candidate.journey);
+}
+
+/**
+ * Find every stop reachable from an endpoint within a time budget
+ * Runs the same rounds as planJourneys without a destination, so each
+ * stop keeps its earliest arrival and the number of vehicles it took.
+ *
+ * With departAt the timetable gives exact arrival times; without it ride
+ * times are estimated (no waiting). Returns stops quickest first:
+ * [{ stop_id, stop_name, stop_lat, stop_lon, minutes, arrival_time, transfers, walk_only }]
+ */
+function findReachableStops(db, {
+  from,
+  maxMinutes,
+  maxTransfers = DEFAULT_MAX_TRANSFERS,
+  walkRadius = DEFAULT_WALK_RADIUS_M,
+  departAt = null,
+  serviceDate = todayServiceDate(),
+  modes = Object.values(MODES)
+}) {
+  const net = getNetwork(db);
+  const origin = resolveEndpoint(db, net, from, walkRadius, 'Start point');
+  const timed = departAt !== null;
+  const startTime = departAt ?? 0;
+
+  const search = {
+    origin: origin.point,
+    access: origin.stops,
+    egress: new Map(),
+    timed,
+    reversed: false,
+    services: timed ? serviceDays(db, serviceDate) : { today: null, yesterday: null },
+    timetables: new Map(),
+    preferences: { modes: new Set(modes), maxWalk: Infinity, avoidRoutes: new Set() },
+    allowed: new Map(),
+    startTime,
+    maxCost: startTime + maxMinutes * 60,
+    walkFactor: 1,
+    best: new Map(),
+    bestTarget: Infinity,
+    round: 0
+  };
+
+  const labels = runRounds(net, search, maxTransfers);
+
+  // A later round only labels a stop when it arrives earlier, so the
+  // last round holding a stop has its best arrival
+  const reached = new Map();
+  labels.forEach((round, rides) => {
+    for (const [stopId, label] of round) {
+      reached.set(stopId, { cost: label.cost, rides });
+    }
+  });
+
+  return [...reached]
+    .map(([stopId, { cost, rides }]) => {
+      const stop = net.stops.get(stopId);
+      return {
+        stop_id: stopId,
+        stop_name: stop?.stop_name || '',
+        stop_lat: stop?.stop_lat,
+        stop_lon: stop?.stop_lon,
+        minutes: Math.ceil((cost - startTime) / 60),
+        arrival_time: timed ? formatClockTime(cost) : null,
+        transfers: Math.max(rides - 1, 0),
+        walk_only: rides === 0
+      };
+    })
+    .sort((a, b) => a.minutes - b.minutes || a.transfers - b.transfers);
+}
+
+module.exports = {
+  planJourneys,
+  findReachableStops,
+  parseMaxTransfers,
+  parseModes,
+  parseList,
+  DEFAULT_MAX_TRANSFERS,
+  MAX_TRANSFERS_LIMIT,
+  DEFAULT_WALK_RADIUS_M,
+  PREFER_OPTIONS,
+  MODES
+};
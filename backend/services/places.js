@@ -0,0 +1,188 @@
+/**
+ * Places
+ * Landmarks riders search by ("Dubai Mall", "Rashid Hospital",
+ * "Knowledge Village"), each linked to the stops nearest to it
+ *
+ * Places come from the maintained local CSV (data/places.csv) and, when
+ * present, a local OpenStreetMap extract (data/osm/places.geojson, e.g.
+ * exported with `osmium export` or Overpass); the CSV wins when both
+ * name a place. The offline database builder stores them in places with
+ * their nearest served stations and stops in place_stops; journeys to or
+ * from a place walk between it and those stops.
+ *
+ * Shared by the builder, the search endpoints and the journey planner
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasTable } = require('../db/offline-database');
+const { parseCsv } = require('./csv');
+
+// Maintained places (approximate main entrances)
+const PLACES_PATH = path.join(__dirname, '..', 'data', 'places.csv');
+
+// Optional OpenStreetMap extract (GeoJSON), not checked in
+const OSM_PLACES_PATH = path.join(__dirname, '..', 'data', 'osm', 'places.geojson');
+
+// Place category per OpenStreetMap tag value
+const OSM_CATEGORIES = {
+  shop: { mall: 'mall' },
+  amenity: {
+    hospital: 'hospital',
+    university: 'education',
+    college: 'education',
+    marketplace: 'market',
+    townhall: 'government'
+  },
+  tourism: {
+    attraction: 'attraction',
+    museum: 'landmark',
+    theme_park: 'attraction',
+    zoo: 'attraction'
+  },
+  leisure: { park: 'park', beach_resort: 'beach' },
+  natural: { beach: 'beach' },
+  aeroway: { terminal: 'airport' }
+};
+
+/**
+ * Category of an OpenStreetMap feature from its tags (null when the
+ * feature is not a kind of place riders travel to)
+ */
+function osmCategory(tags) {
+  for (const [key, values] of Object.entries(OSM_CATEGORIES)) {
+    if (values[tags[key]]) return values[tags[key]];
+  }
+  return null;
+}
+
+/**
+ * Representative point of a GeoJSON geometry: the point itself, else the
+ * average of the outer ring of a (multi)polygon
+ * Returns [lon, lat] or null.
+ */
+function featurePoint(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') return geometry.coordinates;
+
+  const ring = geometry.type === 'Polygon' ? geometry.coordinates[0]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0]
+      : null;
+  if (!ring || ring.length === 0) return null;
+
+  return [
+    ring.reduce((sum, [lon]) => sum + lon, 0) / ring.length,
+    ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length
+  ];
+}
+
+/**
+ * Read the places of an OpenStreetMap GeoJSON extract
+ */
+function loadOsmPlaces(filePath) {
+  const { features = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const places = [];
+
+  for (const feature of features) {
+    const tags = feature.properties || {};
+    const category = osmCategory(tags);
+    const point = featurePoint(feature.geometry);
+    if (!tags.name || !category || !point) continue;
+
+    // "way/123" (Overpass) or "w123" (osmium)
+    const osmId = String(feature.id || tags['@id'] || places.length).replace(/\//g, '-');
+
+    places.push({
+      place_id: `osm-${osmId}`,
+      place_name: tags.name,
+      place_name_ar: tags['name:ar'] || null,
+      category,
+      place_lat: point[1],
+      place_lon: point[0],
+      source: 'osm'
+    });
+  }
+
+  return places;
+}
+
+/**
+ * Read the local places: the CSV, plus the OpenStreetMap extract if there
+ * is one (places the CSV already names are skipped)
+ * Returns { places, sources }.
+ */
+function loadPlaces() {
+  const curated = parseCsv(fs.readFileSync(PLACES_PATH, 'utf8')).map(row => ({
+    place_id: row.place_id,
+    place_name: row.place_name,
+    place_name_ar: row.place_name_ar || null,
+    category: row.category,
+    place_lat: parseFloat(row.place_lat),
+    place_lon: parseFloat(row.place_lon),
+    source: 'curated'
+  }));
+
+  if (!fs.existsSync(OSM_PLACES_PATH)) {
+    return { places: curated, sources: [PLACES_PATH] };
+  }
+
+  const names = new Set(curated.map(place => place.place_name.toLowerCase()));
+  const osm = loadOsmPlaces(OSM_PLACES_PATH).filter(place => !names.has(place.place_name.toLowerCase()));
+
+  return { places: [...curated, ...osm], sources: [PLACES_PATH, OSM_PLACES_PATH] };
+}
+
+/**
+ * Whether the database has places (older offline databases do not)
+ */
+function hasPlaces(db) {
+  return hasTable(db, 'places');
+}
+
+/**
+ * Stops linked to places, nearest first
+ * Returns Map(place_id -> [{ stop_id, stop_name, stop_lat, stop_lon,
+ * location_type, distance_m, walk_secs }]).
+ */
+function getPlaceStops(db, placeIds) {
+  const stops = new Map(placeIds.map(placeId => [placeId, []]));
+  if (placeIds.length === 0) return stops;
+
+  const rows = db.prepare(`
+    SELECT ps.place_id, s.stop_id, s.stop_name, s.stop_lat, s.stop_lon, s.location_type,
+      ps.distance_m, ps.walk_secs
+    FROM place_stops ps
+    JOIN stops s ON s.stop_id = ps.stop_id
+    WHERE ps.place_id IN (${placeIds.map(() => '?').join(', ')})
+    ORDER BY ps.distance_m
+  `).all(...placeIds);
+
+  for (const { place_id, ...stop } of rows) {
+    stops.get(place_id).push(stop);
+  }
+  return stops;
+}
+
+/**
+ * Get a place with its nearest stops (null when it does not exist)
+ */
+function getPlace(db, placeId) {
+  if (!hasPlaces(db)) return null;
+
+  const place = db.prepare(`
+    SELECT place_id, place_name, place_name_ar, category, place_lat, place_lon
+    FROM places WHERE place_id = ?
+  `).get(placeId);
+  if (!place) return null;
+
+  return { ...place, nearest_stops: getPlaceStops(db, [placeId]).get(placeId) };
+}
+
+module.exports = {
+  loadPlaces,
+  hasPlaces,
+  getPlaceStops,
+  getPlace,
+  PLACES_PATH,
+  OSM_PLACES_PATH
+};
@@ -0,0 +1,157 @@
+/**
+ * Release Signing
+ * Ed25519 keys that sign the release manifest, and SHA-256 hashes of
+ * the files it lists
+ *
+ * The private key stays on the machine that publishes
+ * (keys/release-signing.key, never committed); its public key goes in
+ * shared/release-keys.json, which the app ships with. The manifest
+ * layout and its check are in shared/release-manifest.js.
+ *
+ * Used by the ingestion pipeline's publish stage, the updates endpoints
+ * and scripts/release-keys.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { signedPayload, verifyManifest, keyIdOf, SIGNATURE_ALGORITHM } = require('../../shared/release-manifest');
+const { readManifest } = require('./releases');
+
+// Private key the publisher signs with (PEM, PKCS#8)
+const SIGNING_KEY_PATH = path.join(__dirname, '..', 'keys', 'release-signing.key');
+
+// Public keys apps trust (shipped with the app)
+const TRUSTED_KEYS_PATH = path.join(__dirname, '..', '..', 'shared', 'release-keys.json');
+
+/**
+ * SHA-256 hash of a file (hex)
+ */
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Raw Ed25519 public key (hex) of a key object
+ */
+function publicKeyHex(key) {
+  const jwk = crypto.createPublicKey(key).export({ format: 'jwk' });
+  return Buffer.from(jwk.x, 'base64url').toString('hex');
+}
+
+/**
+ * Key object for a raw Ed25519 public key (hex)
+ */
+function publicKeyObject(hex) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(hex, 'hex').toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Trusted public keys, by key id
+ */
+function readTrustedKeys(keysPath = TRUSTED_KEYS_PATH) {
+  if (!fs.existsSync(keysPath)) return {};
+  return JSON.parse(fs.readFileSync(keysPath, 'utf8')).keys || {};
+}
+
+/**
+ * Generate a signing key into keyPath and trust its public key
+ * Refuses to overwrite an existing key. Returns { key_id, public_key }.
+ */
+function generateSigningKey(keyPath = SIGNING_KEY_PATH, keysPath = TRUSTED_KEYS_PATH) {
+  if (fs.existsSync(keyPath)) {
+    throw new Error(`Signing key already exists: ${keyPath}`);
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+
+  const publicKey = publicKeyHex(privateKey);
+  const keyId = keyIdOf(publicKey);
+  const keys = { ...readTrustedKeys(keysPath), [keyId]: publicKey };
+  fs.writeFileSync(keysPath, JSON.stringify({ keys }, null, 2) + '\n');
+
+  return { key_id: keyId, public_key: publicKey };
+}
+
+/**
+ * Read the signing key
+ */
+function readSigningKey(keyPath = SIGNING_KEY_PATH) {
+  if (!fs.existsSync(keyPath)) {
+    throw new Error(`No release signing key at ${keyPath} (create one with: npm run release-keys generate)`);
+  }
+  return crypto.createPrivateKey(fs.readFileSync(keyPath));
+}
+
+/**
+ * Read the signing key and make sure apps trust it
+ * Returns { privateKey, keyId }.
+ */
+function checkSigningKey(keyPath = SIGNING_KEY_PATH, keysPath = TRUSTED_KEYS_PATH) {
+  const privateKey = readSigningKey(keyPath);
+  const keyId = keyIdOf(publicKeyHex(privateKey));
+  if (!readTrustedKeys(keysPath)[keyId]) {
+    throw new Error(`Signing key ${keyId} is not in ${keysPath}, apps would reject the release`);
+  }
+  return { privateKey, keyId };
+}
+
+/**
+ * Ed25519 check of a signature (hex) over a string
+ */
+function verifySignature(payload, signatureHex, publicKey) {
+  return crypto.verify(null, Buffer.from(payload), publicKeyObject(publicKey), Buffer.from(signatureHex, 'hex'));
+}
+
+/**
+ * Sign a manifest and check it the way apps will, so nothing
+ * unverifiable is published
+ */
+function signManifest(manifest, { keyPath = SIGNING_KEY_PATH, keysPath = TRUSTED_KEYS_PATH } = {}) {
+  const { privateKey, keyId } = checkSigningKey(keyPath, keysPath);
+  const { signature, ...unsigned } = manifest;
+  const signed = {
+    ...unsigned,
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      key_id: keyId,
+      value: crypto.sign(null, Buffer.from(signedPayload(unsigned)), privateKey).toString('hex')
+    }
+  };
+
+  const check = verifyManifest(signed, { trustedKeys: readTrustedKeys(keysPath), verify: verifySignature });
+  if (!check.valid) {
+    throw new Error(`Signed manifest does not verify: ${check.error}`);
+  }
+  return signed;
+}
+
+/**
+ * Read the release manifest if apps would accept it: current schema,
+ * signed by a trusted key (null before the first signed release, e.g.
+ * while data/app-version.json is still an unsigned MD5 manifest)
+ */
+function readPublishedManifest(manifestPath) {
+  const manifest = readManifest(manifestPath);
+  if (!manifest) return null;
+
+  const check = verifyManifest(manifest, { trustedKeys: readTrustedKeys(), verify: verifySignature });
+  return check.valid ? manifest : null;
+}
+
+module.exports = {
+  sha256File,
+  readTrustedKeys,
+  generateSigningKey,
+  checkSigningKey,
+  verifySignature,
+  signManifest,
+  readPublishedManifest,
+  SIGNING_KEY_PATH,
+  TRUSTED_KEYS_PATH
+};
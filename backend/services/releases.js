@@ -0,0 +1,364 @@
+/**
+ * Releases
+ * The release manifest apps check for new offline databases
+ * (data/app-version.json), the release each database carries
+ * (release_info) and what changed between two releases
+ *
+ * The diff compares the previous and the new offline database: routes
+ * added and removed, stops renamed or moved, route directions whose
+ * stops changed (per direction, over all its patterns) and metro
+ * stations opened or closed. It is stored structured in the manifest
+ * next to rider-facing lines ("Bus 8 no longer serves Al Ghubaiba Bus
+ * Station 2").
+ *
+ * Shared by the ingestion pipeline and the updates endpoints
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { hasTable, ROUTE_TYPES } = require('../db/offline-database');
+const { distanceMeters } = require('./geo');
+const { transportType } = require('./transport-modes');
+
+// Release manifest (written by the pipeline's publish stage)
+const APP_VERSION_PATH = path.join(__dirname, '..', 'data', 'app-version.json');
+
+// Stops that moved less than this only had their coordinates tidied
+const STOP_MOVED_M = 50;
+
+// Stops named in one changelog line before "and N more"
+const MAX_NAMED_STOPS = 3;
+
+// Table stamped into every released database (version, gtfs_date), so
+// apps know which deltas apply to their copy
+const RELEASE_INFO_TABLE = 'release_info';
+
+/**
+ * Read the release manifest (null before the first release)
+ */
+function readManifest(manifestPath = APP_VERSION_PATH) {
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+}
+
+/**
+ * Stamp a release into an offline database
+ */
+function stampRelease(dbPath, { version, gtfs_date }) {
+  const db = new Database(dbPath);
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${RELEASE_INFO_TABLE} (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )
+    `);
+    const upsert = db.prepare(`INSERT OR REPLACE INTO ${RELEASE_INFO_TABLE} (key, value) VALUES (?, ?)`);
+    db.transaction(() => {
+      upsert.run('version', String(version));
+      upsert.run('gtfs_date', gtfs_date);
+    })();
+
+    // One file to host and hash, without -wal/-shm beside it
+    db.pragma('journal_mode = DELETE');
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Release an offline database was stamped with (null if none)
+ * Returns { version, gtfs_date }.
+ */
+function readRelease(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+
+  try {
+    if (!hasTable(db, RELEASE_INFO_TABLE)) return null;
+
+    const info = Object.fromEntries(db.prepare(`SELECT key, value FROM ${RELEASE_INFO_TABLE}`).all()
+      .map(row => [row.key, row.value]));
+    return { version: parseInt(info.version, 10), gtfs_date: info.gtfs_date || null };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * What riders see in an offline database: routes, stops, the stops
+ * each route direction serves and the metro stations
+ */
+function readSnapshot(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+
+  try {
+    const routes = new Map(db.prepare(`
+      SELECT r.route_id, r.route_short_name, r.route_long_name, r.route_type, ml.line_name
+      FROM routes r
+      LEFT JOIN metro_lines ml ON ml.route_id = r.route_id
+    `).all().map(route => [route.route_id, route]));
+
+    const stops = new Map(db.prepare(`
+      SELECT stop_id, stop_name, stop_lat, stop_lon, location_type, parent_station FROM stops
+    `).all().map(stop => [stop.stop_id, stop]));
+
+    // Stops of every pattern, main pattern (most trips) first
+    const directions = new Map();
+    const patternStops = db.prepare(`
+      SELECT rp.route_id, rp.direction_id, rp.headsign, rp.pattern_id, ps.stop_id
+      FROM route_patterns rp
+      JOIN pattern_stops ps ON ps.pattern_id = rp.pattern_id
+      ORDER BY rp.route_id, rp.direction_id, rp.trip_count DESC, rp.pattern_id, ps.stop_sequence
+    `).all();
+
+    for (const row of patternStops) {
+      const key = `${row.route_id}|${row.direction_id}`;
+      if (!directions.has(key)) {
+        directions.set(key, {
+          route_id: row.route_id,
+          direction_id: row.direction_id,
+          headsign: row.headsign,
+          main_pattern_id: row.pattern_id,
+          main: [],
+          stops: new Set()
+        });
+      }
+      const direction = directions.get(key);
+      if (row.pattern_id === direction.main_pattern_id) direction.main.push(row.stop_id);
+      direction.stops.add(row.stop_id);
+    }
+
+    const metroStations = new Set(db.prepare(`
+      SELECT DISTINCT s.stop_id
+      FROM stops s
+      JOIN stop_routes sr ON sr.stop_id = s.stop_id
+      JOIN routes r ON r.route_id = sr.route_id
+      WHERE r.route_type = ? AND s.parent_station IS NULL
+    `).all(ROUTE_TYPES.METRO).map(row => row.stop_id));
+
+    return { routes, stops, directions, metroStations };
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * A route as listed in a diff
+ */
+function routeEntry(route) {
+  return {
+    route_id: route.route_id,
+    route_name: route.line_name || route.route_short_name,
+    route_long_name: route.route_long_name,
+    transport_type: transportType(route.route_type)
+  };
+}
+
+/**
+ * A stop as listed in a diff
+ */
+function stopEntry(stop) {
+  return { stop_id: stop.stop_id, stop_name: stop.stop_name };
+}
+
+/**
+ * Diff two offline databases (the previous release and the new one)
+ * Returns { summary, routes: { added, removed }, stops: { added,
+ * removed, renamed, moved }, patterns: { changed }, metro_stations:
+ * { added, removed } }.
+ */
+function diffOfflineDatabases(previousDbPath, newDbPath) {
+  const before = readSnapshot(previousDbPath);
+  const after = readSnapshot(newDbPath);
+
+  const added = (a, b) => [...b.keys()].filter(key => !a.has(key));
+  const byName = (x, y) => String(x.route_name || x.stop_name).localeCompare(String(y.route_name || y.stop_name), 'en', { numeric: true });
+
+  // Routes
+  const routes = {
+    added: added(before.routes, after.routes).map(id => routeEntry(after.routes.get(id))).sort(byName),
+    removed: added(after.routes, before.routes).map(id => routeEntry(before.routes.get(id))).sort(byName)
+  };
+
+  // Stops
+  const stops = {
+    added: added(before.stops, after.stops).map(id => stopEntry(after.stops.get(id))).sort(byName),
+    removed: added(after.stops, before.stops).map(id => stopEntry(before.stops.get(id))).sort(byName),
+    renamed: [],
+    moved: []
+  };
+  for (const [stopId, stop] of after.stops) {
+    const old = before.stops.get(stopId);
+    if (!old) continue;
+
+    if (old.stop_name !== stop.stop_name) {
+      stops.renamed.push({ stop_id: stopId, old_name: old.stop_name, stop_name: stop.stop_name });
+    }
+    const distance = distanceMeters(old.stop_lat, old.stop_lon, stop.stop_lat, stop.stop_lon);
+    if (distance >= STOP_MOVED_M) {
+      stops.moved.push({
+        stop_id: stopId,
+        stop_name: stop.stop_name,
+        distance_m: Math.round(distance),
+        from: { lat: old.stop_lat, lon: old.stop_lon },
+        to: { lat: stop.stop_lat, lon: stop.stop_lon }
+      });
+    }
+  }
+  stops.renamed.sort(byName);
+  stops.moved.sort((a, b) => b.distance_m - a.distance_m);
+
+  // Route directions of routes in both releases whose stops changed
+  const changed = [];
+  const keys = new Set([...before.directions.keys(), ...after.directions.keys()]);
+  for (const key of keys) {
+    const old = before.directions.get(key);
+    const now = after.directions.get(key);
+    const routeId = (now || old).route_id;
+    if (!before.routes.has(routeId) || !after.routes.has(routeId)) continue;
+
+    const oldStops = old ? old.stops : new Set();
+    const newStops = now ? now.stops : new Set();
+    const stopsAdded = [...newStops].filter(stopId => !oldStops.has(stopId));
+    const stopsRemoved = [...oldStops].filter(stopId => !newStops.has(stopId));
+    const orderChanged = Boolean(old && now) && old.main.join('|') !== now.main.join('|');
+    if (stopsAdded.length === 0 && stopsRemoved.length === 0 && !orderChanged) continue;
+
+    changed.push({
+      ...routeEntry(after.routes.get(routeId)),
+      direction_id: (now || old).direction_id,
+      headsign: (now || old).headsign,
+      stops_added: stopsAdded.map(stopId => stopEntry(after.stops.get(stopId))),
+      stops_removed: stopsRemoved.map(stopId => stopEntry(before.stops.get(stopId))),
+      order_changed: orderChanged
+    });
+  }
+  changed.sort((a, b) => byName(a, b) || a.direction_id - b.direction_id);
+
+  // Metro stations
+  const metroStations = {
+    added: [...after.metroStations].filter(id => !before.metroStations.has(id))
+      .map(id => stopEntry(after.stops.get(id))).sort(byName),
+    removed: [...before.metroStations].filter(id => !after.metroStations.has(id))
+      .map(id => stopEntry(before.stops.get(id))).sort(byName)
+  };
+
+  return withSummary({ routes, stops, patterns: { changed }, metro_stations: metroStations });
+}
+
+/**
+ * A diff with its counts in front
+ */
+function withSummary({ routes, stops, patterns, metro_stations }) {
+  return {
+    summary: {
+      routes_added: routes.added.length,
+      routes_removed: routes.removed.length,
+      stops_added: stops.added.length,
+      stops_removed: stops.removed.length,
+      stops_renamed: stops.renamed.length,
+      stops_moved: stops.moved.length,
+      patterns_changed: patterns.changed.length,
+      metro_stations_added: metro_stations.added.length,
+      metro_stations_removed: metro_stations.removed.length
+    },
+    routes,
+    stops,
+    patterns,
+    metro_stations
+  };
+}
+
+/**
+ * "A", "A and B", "A, B, C and 4 more stops"
+ */
+function nameList(names) {
+  const unique = [...new Set(names)];
+  if (unique.length <= MAX_NAMED_STOPS) {
+    return unique.length > 1 ? `${unique.slice(0, -1).join(', ')} and ${unique[unique.length - 1]}` : unique[0];
+  }
+  return `${unique.slice(0, MAX_NAMED_STOPS).join(', ')} and ${unique.length - MAX_NAMED_STOPS} more stops`;
+}
+
+/**
+ * Rider-facing lines describing a diff ("Bus 8 no longer serves X")
+ */
+function describeChanges(diff) {
+  const label = route => route.transport_type === 'Metro' || route.transport_type === 'Tram'
+    ? route.route_name
+    : `${route.transport_type} ${route.route_name}`;
+  const lines = [];
+
+  diff.metro_stations.added.forEach(stop => lines.push(`New metro station: ${stop.stop_name}`));
+  diff.metro_stations.removed.forEach(stop => lines.push(`Metro station closed: ${stop.stop_name}`));
+  diff.routes.added.forEach(route => lines.push(`New route: ${label(route)}${route.route_long_name ? ` (${route.route_long_name})` : ''}`));
+  diff.routes.removed.forEach(route => lines.push(`${label(route)} no longer runs`));
+
+  // Both directions of a route make one line each way
+  const byRoute = new Map();
+  for (const change of diff.patterns.changed) {
+    if (!byRoute.has(change.route_id)) byRoute.set(change.route_id, { route: change, added: [], removed: [], reordered: false });
+    const entry = byRoute.get(change.route_id);
+    entry.added.push(...change.stops_added.map(stop => stop.stop_name));
+    entry.removed.push(...change.stops_removed.map(stop => stop.stop_name));
+    entry.reordered = entry.reordered || change.order_changed;
+  }
+  for (const { route, added, removed, reordered } of byRoute.values()) {
+    if (removed.length > 0) lines.push(`${label(route)} no longer serves ${nameList(removed)}`);
+    if (added.length > 0) lines.push(`${label(route)} now serves ${nameList(added)}`);
+    if (added.length === 0 && removed.length === 0 && reordered) lines.push(`${label(route)} takes a different route`);
+  }
+
+  diff.stops.renamed.forEach(stop => lines.push(`${stop.old_name} is now called ${stop.stop_name}`));
+  diff.stops.moved.forEach(stop => lines.push(`${stop.stop_name} has moved ${stop.distance_m} m`));
+
+  return lines;
+}
+
+/**
+ * One-line summary of a diff for the manifest's changes field
+ */
+function summarizeChanges(diff) {
+  const { summary } = diff;
+  const parts = [
+    [summary.routes_added, 'route added', 'routes added'],
+    [summary.routes_removed, 'route removed', 'routes removed'],
+    [summary.patterns_changed, 'route direction changed', 'route directions changed'],
+    [summary.stops_added, 'stop added', 'stops added'],
+    [summary.stops_removed, 'stop removed', 'stops removed'],
+    [summary.stops_renamed, 'stop renamed', 'stops renamed'],
+    [summary.stops_moved, 'stop moved', 'stops moved'],
+    [summary.metro_stations_added, 'new metro station', 'new metro stations']
+  ].filter(([count]) => count > 0).map(([count, one, many]) => `${count} ${count === 1 ? one : many}`);
+
+  return parts.length > 0 ? parts.join(', ') : 'no changes for riders';
+}
+
+/**
+ * The part of a diff about one route (route_id, number or line name)
+ */
+function filterDiffByRoute(diff, route) {
+  const wanted = String(route).toLowerCase();
+  const matches = entry => entry.route_id.toLowerCase() === wanted || String(entry.route_name).toLowerCase() === wanted;
+
+  return withSummary({
+    routes: { added: diff.routes.added.filter(matches), removed: diff.routes.removed.filter(matches) },
+    stops: { added: [], removed: [], renamed: [], moved: [] },
+    patterns: { changed: diff.patterns.changed.filter(matches) },
+    metro_stations: { added: [], removed: [] }
+  });
+}
+
+module.exports = {
+  readManifest,
+  stampRelease,
+  readRelease,
+  diffOfflineDatabases,
+  describeChanges,
+  summarizeChanges,
+  filterDiffByRoute,
+  APP_VERSION_PATH,
+  RELEASE_INFO_TABLE,
+  STOP_MOVED_M
+};
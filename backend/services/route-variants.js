@@ -0,0 +1,98 @@
+/**
+ * Route Variants
+ * A route direction can run several stop patterns: the main pattern (the
+ * one most trips follow) plus short-turns, express runs and branches.
+ * The offline builder stores each one as a route_patterns row, weighted by
+ * the number of trips running it.
+ *
+ * Shared by the bus, metro and search endpoints
+ */
+
+const VARIANT_NAMES = {
+  main: 'Main route',
+  short_turn: 'Short turn',
+  express: 'Express',
+  branch: 'Branch'
+};
+
+/**
+ * Get the patterns of a route grouped by direction
+ * Returns [{ direction_id, main, variants, trip_count }], where main is the
+ * busiest pattern and variants the others, busiest first.
+ */
+function getRouteDirections(db, routeId) {
+  const patterns = db.prepare(`
+    SELECT
+      pattern_id,
+      direction_id,
+      headsign,
+      first_stop_id,
+      last_stop_id,
+      total_stops,
+      trip_count,
+      variant
+    FROM route_patterns
+    WHERE route_id = ?
+    ORDER BY direction_id, trip_count DESC, pattern_id
+  `).all(routeId);
+
+  const directions = [];
+  for (const pattern of patterns) {
+    let direction = directions[directions.length - 1];
+    if (!direction || direction.direction_id !== pattern.direction_id) {
+      direction = { direction_id: pattern.direction_id, main: pattern, variants: [], trip_count: 0 };
+      directions.push(direction);
+    } else {
+      direction.variants.push(pattern);
+    }
+    direction.trip_count += pattern.trip_count;
+  }
+
+  return directions;
+}
+
+/**
+ * Get the ordered stops of a pattern
+ */
+function getPatternStops(db, patternId) {
+  return db.prepare(`
+    SELECT
+      ps.stop_sequence,
+      s.stop_id,
+      s.stop_name,
+      s.stop_lat,
+      s.stop_lon
+    FROM pattern_stops ps
+    JOIN stops s ON ps.stop_id = s.stop_id
+    WHERE ps.pattern_id = ?
+    ORDER BY ps.stop_sequence
+  `).all(patternId);
+}
+
+/**
+ * Describe a variant for API responses
+ * share_percent is the variant's share of the direction's trips.
+ */
+function formatVariant(pattern, stops, directionTripCount) {
+  const firstStop = stops[0];
+  const lastStop = stops[stops.length - 1];
+
+  return {
+    pattern_id: pattern.pattern_id,
+    variant: pattern.variant,
+    variant_name: VARIANT_NAMES[pattern.variant] || pattern.variant,
+    trip_count: pattern.trip_count,
+    share_percent: directionTripCount > 0 ? Math.round(pattern.trip_count * 100 / directionTripCount) : null,
+    headsign: pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : ''),
+    from: firstStop?.stop_name || '',
+    to: lastStop?.stop_name || '',
+    total_stops: stops.length
+  };
+}
+
+module.exports = {
+  getRouteDirections,
+  getPatternStops,
+  formatVariant,
+  VARIANT_NAMES
+};
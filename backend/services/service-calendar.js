@@ -0,0 +1,116 @@
+/**
+ * Service Calendar
+ * Which GTFS services (calendar.txt / calendar_dates.txt) run on a date
+ *
+ * Dates are GTFS service dates ("20250823"). The API accepts "2025-08-23"
+ * as well and defaults to today in Dubai.
+ */
+
+const { hasTable } = require('../db/offline-database');
+
+// Dubai is UTC+4 all year (no daylight saving)
+const DUBAI_UTC_OFFSET_MS = 4 * 60 * 60 * 1000;
+
+const WEEKDAY_COLUMNS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parse "2025-08-23" or "20250823" into a service date ("20250823")
+ * Returns null for malformed or impossible dates.
+ */
+function parseServiceDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+  if (date.getUTCMonth() !== parseInt(month) - 1 || date.getUTCDate() !== parseInt(day)) {
+    return null;
+  }
+
+  return `${year}${month}${day}`;
+}
+
+/**
+ * Format a service date for API responses ("2025-08-23")
+ */
+function formatServiceDate(serviceDate) {
+  return `${serviceDate.slice(0, 4)}-${serviceDate.slice(4, 6)}-${serviceDate.slice(6, 8)}`;
+}
+
+/**
+ * Current service date and time of day (seconds) in Dubai
+ */
+function nowInDubai() {
+  const now = new Date(Date.now() + DUBAI_UTC_OFFSET_MS);
+  return {
+    serviceDate: now.toISOString().slice(0, 10).replace(/-/g, ''),
+    seconds: now.getUTCHours() * 3600 + now.getUTCMinutes() * 60 + now.getUTCSeconds()
+  };
+}
+
+/**
+ * Today's service date in Dubai
+ */
+function todayServiceDate() {
+  return nowInDubai().serviceDate;
+}
+
+/**
+ * The service date before the given one (for trips running past midnight)
+ */
+function previousServiceDate(serviceDate) {
+  const date = toUTCDate(serviceDate);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function toUTCDate(serviceDate) {
+  return new Date(Date.UTC(
+    parseInt(serviceDate.slice(0, 4)),
+    parseInt(serviceDate.slice(4, 6)) - 1,
+    parseInt(serviceDate.slice(6, 8))
+  ));
+}
+
+/**
+ * Whether the database has a service calendar at all
+ * Older databases don't, in which case every service runs every day.
+ */
+function hasCalendar(db) {
+  return hasTable(db, 'calendar');
+}
+
+/**
+ * Get the set of service_ids running on a service date
+ * Returns null when the database has no calendar (no filtering possible).
+ */
+function getActiveServices(db, serviceDate) {
+  if (!hasCalendar(db)) return null;
+
+  const weekday = WEEKDAY_COLUMNS[toUTCDate(serviceDate).getUTCDay()];
+
+  // Weekly pattern within the validity range, plus added dates, minus removed dates
+  const rows = db.prepare(`
+    SELECT service_id FROM calendar
+    WHERE ${weekday} = 1
+      AND start_date <= ? AND end_date >= ?
+      AND service_id NOT IN (
+        SELECT service_id FROM calendar_dates WHERE date = ? AND exception_type = 2
+      )
+    UNION
+    SELECT service_id FROM calendar_dates
+    WHERE date = ? AND exception_type = 1
+  `).all(serviceDate, serviceDate, serviceDate, serviceDate);
+
+  return new Set(rows.map(row => row.service_id));
+}
+
+module.exports = {
+  parseServiceDate,
+  formatServiceDate,
+  todayServiceDate,
+  nowInDubai,
+  previousServiceDate,
+  hasCalendar,
+  getActiveServices
+};
@@ -0,0 +1,239 @@
+/**
+ * Route Shapes
+ * The line a pattern draws on a map, from GTFS shapes.txt
+ *
+ * The offline builder snaps every stop of a pattern to a point of its
+ * shape, simplifies the shape (Douglas-Peucker, keeping the stop points)
+ * and stores it as a Google encoded polyline in pattern_shapes, with the
+ * point of each stop in pattern_stops.shape_index. A ride between two
+ * stops is then the slice of points between their indexes.
+ *
+ * Patterns without a shape fall back to a line through their stops.
+ *
+ * Shared by the bus, metro and search endpoints, the journey planner and
+ * the offline database builder
+ */
+
+const { hasTable } = require('../db/offline-database');
+const { distanceMeters } = require('./geo');
+
+// How geometries can be returned
+const GEOMETRY_FORMATS = ['polyline', 'geojson'];
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Encode [[lat, lon], ...] as a Google encoded polyline (5 decimals)
+ */
+function encodePolyline(points) {
+  let result = '';
+  let lastLat = 0;
+  let lastLon = 0;
+
+  const encodeValue = value => {
+    let bits = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (bits >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (bits & 0x1f)) + 63);
+      bits >>= 5;
+    }
+    return chunk + String.fromCharCode(bits + 63);
+  };
+
+  for (const [lat, lon] of points) {
+    const latE5 = Math.round(lat * 1e5);
+    const lonE5 = Math.round(lon * 1e5);
+    result += encodeValue(latE5 - lastLat) + encodeValue(lonE5 - lastLon);
+    lastLat = latE5;
+    lastLon = lonE5;
+  }
+
+  return result;
+}
+
+/**
+ * Decode a Google encoded polyline into [[lat, lon], ...]
+ */
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lon += decodeValue();
+    points.push([lat / 1e5, lon / 1e5]);
+  }
+
+  return points;
+}
+
+/**
+ * Distance in meters from point p to the segment a-b
+ * (flat projection, fine at street scale)
+ */
+function segmentDistanceMeters(p, a, b) {
+  const scale = Math.cos(p[0] * Math.PI / 180);
+  const ax = a[1] * scale;
+  const bx = b[1] * scale;
+  const px = p[1] * scale;
+  const dx = bx - ax;
+  const dy = b[0] - a[0];
+  const lengthSquared = dx * dx + dy * dy;
+
+  let t = lengthSquared === 0 ? 0 : ((px - ax) * dx + (p[0] - a[0]) * dy) / lengthSquared;
+  t = Math.max(0, Math.min(1, t));
+
+  const x = ax + t * dx - px;
+  const y = a[0] + t * dy - p[0];
+  return Math.sqrt(x * x + y * y) * METERS_PER_DEGREE;
+}
+
+/**
+ * Simplify a line with Douglas-Peucker
+ * Points listed in keep (indexes, e.g. the stops) always stay.
+ * Returns the sorted indexes of the points to keep.
+ */
+function simplifyLine(points, toleranceMeters, keep = []) {
+  if (points.length <= 2) return points.map((point, i) => i);
+
+  const kept = new Set([0, points.length - 1, ...keep]);
+
+  const simplify = (first, last) => {
+    let farthest = -1;
+    let maxDistance = toleranceMeters;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceMeters(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      kept.add(farthest);
+      simplify(first, farthest);
+      simplify(farthest, last);
+    }
+  };
+
+  // Simplify each stretch between kept points on its own
+  const anchors = [...kept].sort((a, b) => a - b);
+  for (let i = 0; i < anchors.length - 1; i++) {
+    simplify(anchors[i], anchors[i + 1]);
+  }
+
+  return [...kept].sort((a, b) => a - b);
+}
+
+/**
+ * Find the shape point of each stop, in order along the shape
+ * Searching forward from the previous stop keeps loops and return legs
+ * from matching the wrong side of the route.
+ */
+function snapStopsToShape(points, stops) {
+  const indexes = [];
+  let from = 0;
+
+  for (const stop of stops) {
+    let best = from;
+    let bestDistance = Infinity;
+
+    for (let i = from; i < points.length; i++) {
+      const distance = distanceMeters(stop.stop_lat, stop.stop_lon, points[i][0], points[i][1]);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      } else if (bestDistance < 100 && distance > bestDistance + 300) {
+        // Close match found and the shape is moving away again
+        break;
+      }
+    }
+
+    indexes.push(best);
+    from = best;
+  }
+
+  return indexes;
+}
+
+/**
+ * Get the shape of a pattern
+ * Returns { points: [[lat, lon], ...], stopIndexes, source } where
+ * stopIndexes[i] is the point of the pattern's i-th stop and source is
+ * 'shapes' (shapes.txt) or 'stops' (straight lines between the stops).
+ */
+function getPatternShape(db, patternId) {
+  const hasShapes = hasTable(db, 'pattern_shapes');
+
+  const stops = db.prepare(`
+    SELECT s.stop_lat, s.stop_lon ${hasShapes ? ', ps.shape_index' : ''}
+    FROM pattern_stops ps
+    JOIN stops s ON ps.stop_id = s.stop_id
+    WHERE ps.pattern_id = ?
+    ORDER BY ps.stop_sequence
+  `).all(patternId);
+
+  const shape = hasShapes
+    ? db.prepare('SELECT polyline FROM pattern_shapes WHERE pattern_id = ?').get(patternId)
+    : null;
+
+  if (shape && stops.every(stop => stop.shape_index !== null)) {
+    return {
+      points: decodePolyline(shape.polyline),
+      stopIndexes: stops.map(stop => stop.shape_index),
+      source: 'shapes'
+    };
+  }
+
+  return {
+    points: stops.map(stop => [stop.stop_lat, stop.stop_lon]),
+    stopIndexes: stops.map((stop, i) => i),
+    source: 'stops'
+  };
+}
+
+/**
+ * Points of a shape between two of its stops (by stop index)
+ */
+function sliceShape(shape, fromStop, toStop) {
+  return shape.points.slice(shape.stopIndexes[fromStop], shape.stopIndexes[toStop] + 1);
+}
+
+/**
+ * Format points for API responses
+ * 'polyline' gives an encoded polyline string, 'geojson' a LineString.
+ */
+function formatGeometry(points, format = 'polyline') {
+  if (format === 'geojson') {
+    return {
+      type: 'LineString',
+      coordinates: points.map(([lat, lon]) => [lon, lat])
+    };
+  }
+  return encodePolyline(points);
+}
+
+module.exports = {
+  encodePolyline,
+  decodePolyline,
+  simplifyLine,
+  snapStopsToShape,
+  getPatternShape,
+  sliceShape,
+  formatGeometry,
+  GEOMETRY_FORMATS
+};
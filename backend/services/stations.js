@@ -0,0 +1,128 @@
+/**
+ * Stations
+ * The stop hierarchy of the offline database: stations with their
+ * platforms and bus bays, entrances and other parts, linked by
+ * stops.parent_station (GTFS location_type / parent_station)
+ *
+ * The feed's hierarchy is kept; the offline database builder groups the
+ * remaining platforms and bays into stations by name and distance, so a
+ * station's children are interchangeable for riders.
+ *
+ * Shared by the search endpoints, the journey planner and the builder
+ */
+
+const { hasColumn } = require('../db/offline-database');
+
+// GTFS location_type values
+const LOCATION_TYPES = {
+  STOP: 0,
+  STATION: 1,
+  ENTRANCE: 2,
+  NODE: 3,
+  BOARDING_AREA: 4
+};
+
+// type label per location type
+const LOCATION_TYPE_NAMES = {
+  [LOCATION_TYPES.STOP]: 'Stop',
+  [LOCATION_TYPES.STATION]: 'Station',
+  [LOCATION_TYPES.ENTRANCE]: 'Entrance',
+  [LOCATION_TYPES.NODE]: 'Node',
+  [LOCATION_TYPES.BOARDING_AREA]: 'Boarding Area'
+};
+
+/**
+ * Label of a location type for API responses ("Stop", "Station", ...)
+ */
+function stopType(locationType) {
+  return LOCATION_TYPE_NAMES[locationType] || 'Stop';
+}
+
+/**
+ * Name of the station a platform or bay belongs to: its name without
+ * the platform/bay number or line note
+ * ("Union  (Green Line ) Metro Station 1" -> "Union Metro Station")
+ */
+function stationName(stopName) {
+  return String(stopName || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\s+\d+(-\d+)?\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether the database has the stop hierarchy (older offline databases
+ * were built without parent_station)
+ */
+function hasStations(db) {
+  return hasColumn(db, 'stops', 'parent_station');
+}
+
+/**
+ * Station of a stop: the stop itself when it is a station, else its
+ * parent station (null for stops outside a station)
+ */
+function getStationOf(db, stopId) {
+  if (!hasStations(db)) return null;
+
+  return db.prepare(`
+    SELECT st.stop_id, st.stop_name, st.stop_lat, st.stop_lon, st.location_type
+    FROM stops s
+    JOIN stops st ON st.stop_id = CASE WHEN s.location_type = ? THEN s.stop_id ELSE s.parent_station END
+    WHERE s.stop_id = ?
+  `).get(LOCATION_TYPES.STATION, stopId) || null;
+}
+
+/**
+ * Stops riders can board or alight at for a stop: every platform and bay
+ * of its station, or the stop alone
+ */
+function getBoardingStops(db, stopId) {
+  const station = getStationOf(db, stopId);
+  if (!station) return [stopId];
+
+  const children = db.prepare(`
+    SELECT stop_id FROM stops WHERE parent_station = ? AND location_type = ?
+    ORDER BY stop_id
+  `).all(station.stop_id, LOCATION_TYPES.STOP).map(row => row.stop_id);
+
+  return children.length > 0 ? children : [stopId];
+}
+
+/**
+ * Get a station with its children (platforms and bays, entrances, ...)
+ */
+function getStation(db, stationId) {
+  const station = db.prepare(`
+    SELECT stop_id, stop_name, stop_lat, stop_lon, location_type
+    FROM stops WHERE stop_id = ?
+  `).get(stationId);
+
+  const children = db.prepare(`
+    SELECT stop_id, stop_name, stop_lat, stop_lon, location_type
+    FROM stops WHERE parent_station = ?
+    ORDER BY location_type, stop_name, stop_id
+  `).all(stationId);
+
+  const formatStop = stop => ({ ...stop, type: stopType(stop.location_type) });
+
+  return {
+    ...formatStop(station),
+    platforms: children.filter(stop => stop.location_type === LOCATION_TYPES.STOP).map(formatStop),
+    entrances: children.filter(stop => stop.location_type === LOCATION_TYPES.ENTRANCE).map(formatStop),
+    other: children
+      .filter(stop => stop.location_type !== LOCATION_TYPES.STOP && stop.location_type !== LOCATION_TYPES.ENTRANCE)
+      .map(formatStop)
+  };
+}
+
+module.exports = {
+  stopType,
+  stationName,
+  hasStations,
+  getStationOf,
+  getBoardingStops,
+  getStation,
+  LOCATION_TYPES
+};
@@ -0,0 +1,52 @@
+/**
+ * Stop Search
+ * Location based stop lookups shared by the search endpoints and the planner
+ */
+
+/**
+ * Find stops near a location, nearest first
+ * Uses a bounding box on the stops index, then an approximate distance.
+ */
+function findNearbyStops(db, latitude, longitude, radiusMeters, limit = 20) {
+  const radiusKm = radiusMeters / 1000;
+
+  // Approximate degree conversion (1 degree ≈ 111km at equator)
+  const latDelta = radiusKm / 111;
+  const lonDelta = radiusKm / (111 * Math.cos(latitude * Math.PI / 180));
+
+  const stops = db.prepare(`
+    SELECT
+      stop_id,
+      stop_name,
+      stop_lat,
+      stop_lon,
+      location_type
+    FROM stops
+    WHERE stop_lat BETWEEN ? AND ?
+      AND stop_lon BETWEEN ? AND ?
+    ORDER BY
+      ((stop_lat - ?) * (stop_lat - ?) + (stop_lon - ?) * (stop_lon - ?))
+    LIMIT ?
+  `).all(
+    latitude - latDelta, latitude + latDelta,
+    longitude - lonDelta, longitude + lonDelta,
+    latitude, latitude, longitude, longitude,
+    limit
+  );
+
+  // Calculate approximate distance for each stop
+  return stops.map(stop => {
+    const dLat = (stop.stop_lat - latitude) * 111;
+    const dLon = (stop.stop_lon - longitude) * 111 * Math.cos(latitude * Math.PI / 180);
+    const distance = Math.sqrt(dLat * dLat + dLon * dLon) * 1000; // meters
+
+    return {
+      ...stop,
+      distance_meters: Math.round(distance)
+    };
+  });
+}
+
+module.exports = {
+  findNearbyStops
+};
@@ -0,0 +1,307 @@
+/**
+ * Text Search
+ * Stop and route search by name with prefix matching and typo tolerance
+ *
+ * The offline database builder indexes normalized names (lower case, no
+ * accents or punctuation, Arabic letters unified) in FTS5 trigram tables:
+ * stop_search for stations and stops outside a station (with the names
+ * of their platforms and bays, Arabic name and aliases from
+ * data/search-aliases.json, e.g. MOE -> Mall of the Emirates) and
+ * route_search for routes (number, long name, Arabic name) and
+ * place_search for places (landmarks from data/places.csv).
+ *
+ * Candidates sharing a trigram with the query come from the index; they
+ * are ranked by how well their best name matches: exact, prefix, every
+ * word as a word prefix, else the share of the query's trigrams the name
+ * contains ("Burjumn" still finds "BurJuman"). Normalizing and scoring
+ * are in shared/search-ranking.js, which the app ranks with too.
+ *
+ * Databases built before the index fall back to LIKE matching.
+ *
+ * Shared by the search and line endpoints and the builder
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasTable } = require('../db/offline-database');
+const { hasStations } = require('./stations');
+const { hasPlaces, getPlaceStops } = require('./places');
+const { hasArabic, normalizeArabic, normalizedArabicSql } = require('./translations');
+const {
+  normalizeSearchText,
+  searchTrigrams,
+  ftsQuery,
+  bestScore,
+  splitNames,
+  CANDIDATE_LIMIT,
+  NAME_SEPARATOR
+} = require('../../shared/search-ranking');
+
+// Aliases riders search by (MOE, DXB, JLT, ...)
+const SEARCH_ALIASES_PATH = path.join(__dirname, '..', 'data', 'search-aliases.json');
+
+/**
+ * Read the local search aliases
+ */
+function loadSearchAliases() {
+  return JSON.parse(fs.readFileSync(SEARCH_ALIASES_PATH, 'utf8'));
+}
+
+/**
+ * Search stops by name (English, Arabic or alias)
+ * Stations stand for their platforms and bays. routeTypes keeps only
+ * stops served by those route types.
+ * Returns [{ stop_id, stop_name, stop_name_ar, stop_lat, stop_lon,
+ * location_type, platform_count? }], best match first.
+ */
+function searchStopsByName(db, query, { routeTypes = null, limit = 20 } = {}) {
+  if (!hasTable(db, 'stop_search')) {
+    return likeSearchStops(db, query, routeTypes, limit);
+  }
+
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const modeFilter = routeTypes
+    ? `AND s.stop_id IN (
+        SELECT sr.stop_id FROM stop_routes sr
+        JOIN routes r ON sr.route_id = r.route_id
+        WHERE r.route_type IN (${routeTypes.map(() => '?').join(', ')})
+      )`
+    : '';
+
+  const match = ftsQuery(text);
+  const candidates = db.prepare(`
+    SELECT
+      s.stop_id, s.stop_name, s.stop_name_ar, s.stop_lat, s.stop_lon, s.location_type,
+      (SELECT COUNT(*) FROM stops c WHERE c.parent_station = s.stop_id AND c.location_type = 0) AS platform_count,
+      ss.name AS search_name, ss.name_ar AS search_name_ar, ss.other_names, ss.aliases
+    FROM stop_search ss
+    JOIN stops s ON s.stop_id = ss.stop_id
+    WHERE ${match ? 'stop_search MATCH ?' : '(ss.name LIKE ? OR ss.other_names LIKE ? OR ss.name_ar LIKE ? OR ss.aliases LIKE ?)'}
+      ${modeFilter}
+    ORDER BY ${match ? 'bm25(stop_search)' : 'LENGTH(s.stop_name)'}
+    LIMIT ?
+  `).all(...(match ? [match] : Array(4).fill(`%${text}%`)), ...(routeTypes || []), CANDIDATE_LIMIT);
+
+  const queryTrigrams = searchTrigrams(text);
+
+  return candidates
+    .map(stop => ({
+      stop,
+      score: bestScore(text, queryTrigrams, [
+        stop.search_name,
+        stop.search_name_ar,
+        ...splitNames(stop.other_names),
+        ...splitNames(stop.aliases)
+      ])
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score
+      || a.stop.stop_name.length - b.stop.stop_name.length
+      || a.stop.stop_name.localeCompare(b.stop.stop_name))
+    .slice(0, limit)
+    .map(({ stop }) => {
+      const { search_name, search_name_ar, other_names, aliases, ...result } = stop;
+      return result;
+    });
+}
+
+/**
+ * Stop search for databases without the search index: names containing
+ * the query's words in order, else its first word
+ */
+function likeSearchStops(db, query, routeTypes, limit) {
+  // Arabic queries match the Arabic names, both sides normalized
+  const arabic = hasArabic(query);
+  const words = (arabic ? normalizeArabic(query) : query).trim().toLowerCase().split(/\s+/);
+  const fuzzyPattern = '%' + words.join('%') + '%';
+  const nameColumn = arabic ? normalizedArabicSql('stop_name_ar') : 'LOWER(stop_name)';
+
+  // Only stops a route of the requested modes calls at
+  const modeFilter = routeTypes
+    ? `AND stop_id IN (
+        SELECT sr.stop_id FROM stop_routes sr
+        JOIN routes r ON sr.route_id = r.route_id
+        WHERE r.route_type IN (${routeTypes.map(() => '?').join(', ')})
+      )`
+    : '';
+  const modeParams = routeTypes || [];
+
+  // Stations stand for their platforms, bays and entrances, which are
+  // still found by their own names
+  const stations = hasStations(db);
+  const nameMatch = stations
+    ? `parent_station IS NULL AND location_type IN (0, 1) AND (
+        ${nameColumn} LIKE ? OR
+        stop_id IN (SELECT parent_station FROM stops WHERE ${nameColumn} LIKE ?)
+      )`
+    : `${nameColumn} LIKE ?`;
+  const nameParams = pattern => (stations ? [pattern, pattern] : [pattern]);
+  const platformCount = stations
+    ? ', (SELECT COUNT(*) FROM stops c WHERE c.parent_station = stops.stop_id AND c.location_type = 0) AS platform_count'
+    : '';
+
+  const stops = db.prepare(`
+    SELECT stop_id, stop_name, stop_name_ar, stop_lat, stop_lon, location_type${platformCount}
+    FROM stops
+    WHERE ${nameMatch}
+      ${modeFilter}
+    ORDER BY
+      CASE
+        WHEN ${nameColumn} LIKE ? THEN 1
+        WHEN ${nameColumn} LIKE ? THEN 2
+        ELSE 3
+      END,
+      LENGTH(stop_name)
+    LIMIT ?
+  `).all(...nameParams(fuzzyPattern), ...modeParams, `%${words[0]}%`, fuzzyPattern, limit);
+
+  // If no results, try searching each word separately
+  if (stops.length > 0 || words.length === 1) return stops;
+
+  return db.prepare(`
+    SELECT stop_id, stop_name, stop_name_ar, stop_lat, stop_lon, location_type${platformCount}
+    FROM stops
+    WHERE ${nameMatch}
+      ${modeFilter}
+    ORDER BY LENGTH(stop_name)
+    LIMIT ?
+  `).all(...nameParams(`%${words[0]}%`), ...modeParams, limit);
+}
+
+/**
+ * Search places (landmarks) by name, English or Arabic
+ * routeTypes keeps only places near a stop served by those route types.
+ * Returns [{ place_id, place_name, place_name_ar, category, place_lat,
+ * place_lon, nearest_stops }], best match first; [] for databases
+ * without places.
+ */
+function searchPlacesByName(db, query, { routeTypes = null, limit = 10 } = {}) {
+  if (!hasPlaces(db) || !hasTable(db, 'place_search')) return [];
+
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const modeFilter = routeTypes
+    ? `AND p.place_id IN (
+        SELECT ps.place_id FROM place_stops ps
+        JOIN stop_routes sr ON sr.stop_id = ps.stop_id
+        JOIN routes r ON sr.route_id = r.route_id
+        WHERE r.route_type IN (${routeTypes.map(() => '?').join(', ')})
+      )`
+    : '';
+
+  const match = ftsQuery(text);
+  const candidates = db.prepare(`
+    SELECT
+      p.place_id, p.place_name, p.place_name_ar, p.category, p.place_lat, p.place_lon,
+      pls.name AS search_name, pls.name_ar AS search_name_ar
+    FROM place_search pls
+    JOIN places p ON p.place_id = pls.place_id
+    WHERE ${match ? 'place_search MATCH ?' : '(pls.name LIKE ? OR pls.name_ar LIKE ?)'}
+      ${modeFilter}
+    LIMIT ?
+  `).all(...(match ? [match] : Array(2).fill(`%${text}%`)), ...(routeTypes || []), CANDIDATE_LIMIT);
+
+  const queryTrigrams = searchTrigrams(text);
+
+  const places = candidates
+    .map(place => ({
+      place,
+      score: bestScore(text, queryTrigrams, [place.search_name, place.search_name_ar])
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score
+      || a.place.place_name.length - b.place.place_name.length
+      || a.place.place_name.localeCompare(b.place.place_name))
+    .slice(0, limit)
+    .map(({ place }) => {
+      const { search_name, search_name_ar, ...result } = place;
+      return result;
+    });
+
+  const stops = getPlaceStops(db, places.map(place => place.place_id));
+  return places.map(place => ({ ...place, nearest_stops: stops.get(place.place_id) }));
+}
+
+/**
+ * Search routes of some route types by number or name
+ * Numbers win: exact, then prefix, then containing the query; names are
+ * ranked like stop names.
+ * Returns [{ route_id, route_short_name, route_long_name, route_color,
+ * route_type }], best match first.
+ */
+function searchRoutesByText(db, query, routeTypes, limit = 20) {
+  const typeList = routeTypes.map(() => '?').join(', ');
+
+  if (!hasTable(db, 'route_search')) {
+    return db.prepare(`
+      SELECT route_id, route_short_name, route_long_name, route_color, route_type
+      FROM routes
+      WHERE route_type IN (${typeList}) AND (
+        route_short_name LIKE ? OR
+        route_long_name LIKE ?
+      )
+      ORDER BY
+        CASE
+          WHEN route_short_name = ? THEN 1
+          WHEN route_short_name LIKE ? THEN 2
+          ELSE 3
+        END,
+        route_short_name
+      LIMIT ?
+    `).all(...routeTypes, `%${query}%`, `%${query}%`, query, `${query}%`, limit);
+  }
+
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const match = ftsQuery(text);
+  const candidates = db.prepare(`
+    SELECT
+      r.route_id, r.route_short_name, r.route_long_name, r.route_color, r.route_type,
+      rs.number AS search_number, rs.name AS search_name, rs.name_ar AS search_name_ar
+    FROM route_search rs
+    JOIN routes r ON r.route_id = rs.route_id
+    WHERE r.route_type IN (${typeList}) AND (
+      rs.number LIKE ?
+      ${match ? 'OR rs.rowid IN (SELECT rowid FROM route_search WHERE route_search MATCH ?)' : ''}
+    )
+    LIMIT ?
+  `).all(...routeTypes, `%${text}%`, ...(match ? [`{name name_ar} : (${match})`] : []), CANDIDATE_LIMIT);
+
+  const queryTrigrams = searchTrigrams(text);
+  const numberScore = number => {
+    if (number === text) return 7;
+    if (number.startsWith(text)) return 6;
+    return number.includes(text) ? 5 : 0;
+  };
+
+  return candidates
+    .map(route => ({
+      route,
+      score: Math.max(
+        numberScore(route.search_number),
+        bestScore(text, queryTrigrams, [route.search_name, route.search_name_ar])
+      )
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score
+      || a.route.route_short_name.localeCompare(b.route.route_short_name, undefined, { numeric: true }))
+    .slice(0, limit)
+    .map(({ route }) => {
+      const { search_number, search_name, search_name_ar, ...result } = route;
+      return result;
+    });
+}
+
+module.exports = {
+  loadSearchAliases,
+  normalizeSearchText,
+  searchStopsByName,
+  searchPlacesByName,
+  searchRoutesByText,
+  NAME_SEPARATOR,
+  SEARCH_ALIASES_PATH
+};
@@ -0,0 +1,139 @@
+/**
+ * Route Timetables
+ * Trip start times and stop offsets of a pattern, read from the compact
+ * timetable (pattern_trips + pattern_stops offsets) in the offline database,
+ * and the frequency bands computed from it (pattern_frequencies)
+ *
+ * Shared by the bus and metro endpoints and the journey planner
+ */
+
+const { hasTable } = require('../db/offline-database');
+const { formatClockTime } = require('./gtfs-time');
+const { getActiveServices } = require('./service-calendar');
+
+/**
+ * Whether the offline database has a timetable
+ */
+function hasTimetable(db) {
+  return hasTable(db, 'pattern_trips');
+}
+
+/**
+ * Build the timetable of one pattern (direction) for a service date
+ * Stops carry their offset along the pattern; trips only their start time.
+ */
+function getPatternTimetable(db, pattern, serviceDate) {
+  const stops = db.prepare(`
+    SELECT
+      ps.stop_sequence,
+      s.stop_id,
+      s.stop_name,
+      ps.arrival_offset,
+      ps.departure_offset
+    FROM pattern_stops ps
+    JOIN stops s ON ps.stop_id = s.stop_id
+    WHERE ps.pattern_id = ?
+    ORDER BY ps.stop_sequence
+  `).all(pattern.pattern_id);
+
+  const services = getActiveServices(db, serviceDate);
+  const trips = db.prepare(`
+    SELECT trip_id, service_id, start_secs
+    FROM pattern_trips
+    WHERE pattern_id = ?
+    ORDER BY start_secs
+  `).all(pattern.pattern_id)
+    .filter(trip => !services || services.has(trip.service_id));
+
+  const firstStop = stops[0];
+  const lastStop = stops[stops.length - 1];
+  const firstTrip = trips[0];
+  const lastTrip = trips[trips.length - 1];
+
+  return {
+    direction_id: pattern.direction_id,
+    direction_name: pattern.direction_id === 0 ? 'Upward' : 'Downward',
+    pattern_id: pattern.pattern_id,
+    variant: pattern.variant,
+    headsign: pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : ''),
+    from: firstStop?.stop_name || '',
+    to: lastStop?.stop_name || '',
+    total_trips: trips.length,
+    first_trip: firstTrip ? formatClockTime(firstTrip.start_secs) : null,
+    last_trip: lastTrip ? formatClockTime(lastTrip.start_secs) : null,
+    trips: trips.map(trip => ({
+      trip_id: trip.trip_id,
+      start_time: formatClockTime(trip.start_secs)
+    })),
+    stops: stops.map(stop => ({
+      stop_sequence: stop.stop_sequence,
+      stop_id: stop.stop_id,
+      stop_name: stop.stop_name,
+      offset_minutes: stop.arrival_offset === null ? null : Math.round(stop.arrival_offset / 60)
+    }))
+  };
+}
+
+/**
+ * Get the frequency bands of a pattern on a service date
+ * e.g. [{ from: '06:00', to: '10:00', headway_minutes: 5, trips: 42 }]
+ */
+function getPatternFrequencies(db, patternId, serviceDate) {
+  if (!hasTable(db, 'pattern_frequencies')) return [];
+
+  const services = getActiveServices(db, serviceDate);
+
+  return db.prepare(`
+    SELECT service_id, start_secs, end_secs, headway_secs, trips
+    FROM pattern_frequencies
+    WHERE pattern_id = ?
+    ORDER BY start_secs
+  `).all(patternId)
+    .filter(band => !services || services.has(band.service_id))
+    .map(band => ({
+      from: formatClockTime(band.start_secs),
+      to: formatClockTime(band.end_secs),
+      headway_minutes: Math.round(band.headway_secs / 60),
+      trips: band.trips
+    }));
+}
+
+/**
+ * Get the headway (seconds) of every pattern running at a time of day
+ * Returns a Map of pattern_id -> headway_secs; empty without frequency bands.
+ */
+function getHeadwaysAt(db, serviceDate, seconds) {
+  const headways = new Map();
+  if (!hasTable(db, 'pattern_frequencies')) return headways;
+
+  const services = getActiveServices(db, serviceDate);
+  const bands = db.prepare(`
+    SELECT pattern_id, service_id, headway_secs
+    FROM pattern_frequencies
+    WHERE start_secs <= ? AND end_secs > ?
+  `).all(seconds, seconds);
+
+  // Several services may overlap (e.g. a school-day supplement): their
+  // vehicles add up, so the combined headway is 1 / Σ(1 / headway)
+  const frequencies = new Map();
+  for (const band of bands) {
+    if (services && !services.has(band.service_id)) continue;
+    if (!(band.headway_secs > 0)) continue;
+
+    const current = frequencies.get(band.pattern_id) || 0;
+    frequencies.set(band.pattern_id, current + 1 / band.headway_secs);
+  }
+
+  for (const [patternId, frequency] of frequencies) {
+    headways.set(patternId, Math.round(1 / frequency));
+  }
+
+  return headways;
+}
+
+module.exports = {
+  hasTimetable,
+  getPatternTimetable,
+  getPatternFrequencies,
+  getHeadwaysAt
+};
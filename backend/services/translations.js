@@ -0,0 +1,272 @@
+/**
+ * Translations
+ * Arabic names for stops, stations, routes and headsigns, and the API's
+ * language handling (lang=ar / Accept-Language)
+ *
+ * Names come from the feed's translations.txt or, when the feed has none,
+ * from the maintained local CSV (data/translations-ar.csv) in the same
+ * format. Rows are matched by record_id or by field_value; platforms and
+ * bays without their own row take their station's name plus their number
+ * ("Union Metro Station 2" -> "محطة مترو الاتحاد 2").
+ *
+ * The offline database builder stores the Arabic names next to the
+ * English ones (stops.stop_name_ar, routes.route_long_name_ar,
+ * route_patterns.headsign_ar, metro_lines.line_name_ar, and
+ * places.place_name_ar from data/places.csv); with lang=ar
+ * every endpoint answers with them, falling back to English.
+ *
+ * Shared by the builder, the search endpoints and the server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDb, hasColumn } = require('../db/offline-database');
+const { stationName } = require('./stations');
+const { parseCsv } = require('./csv');
+const { normalizeArabic } = require('../../shared/search-ranking');
+
+// Maintained Arabic names for feeds without translations.txt
+const TRANSLATIONS_AR_PATH = path.join(__dirname, '..', 'data', 'translations-ar.csv');
+
+// Languages the API answers in (lang=en|ar)
+const LANGUAGES = ['en', 'ar'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Response fields holding a stop, place, route or line name
+const NAME_FIELDS = new Set([
+  'stop_name', 'place_name', 'from', 'to', 'from_station', 'to_station', 'headsign',
+  'route_name', 'route_full_name', 'line_name'
+]);
+
+// Name translations per database connection (rebuilt with the offline database)
+const nameTranslations = new WeakMap();
+
+/**
+ * Read the local Arabic translations
+ */
+function loadLocalTranslations() {
+  return parseCsv(fs.readFileSync(TRANSLATIONS_AR_PATH, 'utf8'));
+}
+
+/**
+ * Build a lookup over translations.txt rows for one language
+ * Returns translate(table, field, value, recordId, recordSubId), the
+ * translation or null; record rows win over field_value rows.
+ */
+function createTranslator(rows, language) {
+  const byRecord = new Map();
+  const byValue = new Map();
+
+  for (const row of rows) {
+    const rowLanguage = String(row.language || '').toLowerCase();
+    if (rowLanguage !== language && !rowLanguage.startsWith(`${language}-`)) continue;
+    if (!row.translation) continue;
+
+    const key = `${row.table_name}|${row.field_name}`;
+    if (row.record_id) {
+      byRecord.set(`${key}|${row.record_id}|${row.record_sub_id || ''}`, row.translation);
+    } else if (row.field_value) {
+      byValue.set(`${key}|${row.field_value.toLowerCase()}`, row.translation);
+    }
+  }
+
+  return (table, field, value, recordId = null, recordSubId = '') => {
+    const key = `${table}|${field}`;
+    if (recordId !== null) {
+      const translation = byRecord.get(`${key}|${recordId}|${recordSubId}`);
+      if (translation) return translation;
+    }
+    return value ? byValue.get(`${key}|${String(value).toLowerCase()}`) || null : null;
+  };
+}
+
+/**
+ * Arabic name of a stop: its own translation, else its station's name
+ * with the stop's platform/bay number
+ */
+function translateStopName(translate, stop) {
+  const direct = translate('stops', 'stop_name', stop.stop_name, stop.stop_id ?? null);
+  if (direct) return direct;
+
+  const station = translate('stops', 'stop_name', stationName(stop.stop_name));
+  if (!station) return null;
+
+  const number = String(stop.stop_name).match(/\s(\d+(-\d+)?)\s*$/);
+  return number ? `${station} ${number[1]}` : station;
+}
+
+/**
+ * Arabic headsign: its own translation, else the stop it names
+ * ("To X" becomes "إلى X")
+ */
+function translateHeadsign(translate, headsign) {
+  if (!headsign) return null;
+
+  const direct = translate('trips', 'trip_headsign', headsign);
+  if (direct) return direct;
+
+  const towards = headsign.match(/^To\s+(.+)$/i);
+  const stop = translateStopName(translate, { stop_name: towards ? towards[1] : headsign });
+  if (!stop) return null;
+
+  return towards ? `إلى ${stop}` : stop;
+}
+
+/**
+ * Language of a request: the lang query parameter, else the first
+ * supported Accept-Language entry, else English
+ * Returns { language } or { error } for an unsupported lang.
+ */
+function parseLanguage(query, acceptLanguage) {
+  if (query.lang !== undefined) {
+    const language = String(query.lang).toLowerCase().split('-')[0];
+    if (!LANGUAGES.includes(language)) {
+      return { error: `"lang" must be one of: ${LANGUAGES.join(', ')}` };
+    }
+    return { language };
+  }
+
+  const accepted = String(acceptLanguage || '')
+    .split(',')
+    .map(entry => {
+      const [tag, ...params] = entry.trim().split(';');
+      const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { language: tag.toLowerCase().split('-')[0], quality: quality ? parseFloat(quality[1]) : 1 };
+    })
+    .filter(entry => LANGUAGES.includes(entry.language) && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+
+  return { language: accepted.length > 0 ? accepted[0].language : DEFAULT_LANGUAGE };
+}
+
+/**
+ * Whether text contains Arabic letters
+ */
+function hasArabic(text) {
+  return /[\u0600-\u06FF]/.test(String(text || ''));
+}
+
+/**
+ * SQL expression of a column normalized like normalizeArabic (stored
+ * names carry no diacritics)
+ */
+function normalizedArabicSql(column) {
+  return `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(${column}, 'أ', 'ا'), 'إ', 'ا'), 'آ', 'ا'), 'ة', 'ه'), 'ى', 'ي')`;
+}
+
+/**
+ * English -> Arabic names of the offline database (stops, places, routes,
+ * headsigns, metro lines), keyed by lowercased English name
+ */
+function buildNameTranslations(db) {
+  const names = new Map();
+  const add = (english, arabic) => {
+    if (english && arabic && !names.has(english.toLowerCase())) names.set(english.toLowerCase(), arabic);
+  };
+
+  db.prepare('SELECT stop_name, stop_name_ar FROM stops WHERE stop_name_ar IS NOT NULL').all()
+    .forEach(row => add(row.stop_name, row.stop_name_ar));
+
+  if (hasColumn(db, 'places', 'place_name_ar')) {
+    db.prepare('SELECT place_name, place_name_ar FROM places WHERE place_name_ar IS NOT NULL').all()
+      .forEach(row => add(row.place_name, row.place_name_ar));
+  }
+
+  if (hasColumn(db, 'routes', 'route_long_name_ar')) {
+    db.prepare('SELECT route_long_name, route_long_name_ar FROM routes WHERE route_long_name_ar IS NOT NULL').all()
+      .forEach(row => add(row.route_long_name, row.route_long_name_ar));
+  }
+
+  if (hasColumn(db, 'route_patterns', 'headsign_ar')) {
+    db.prepare('SELECT DISTINCT headsign, headsign_ar FROM route_patterns WHERE headsign_ar IS NOT NULL').all()
+      .forEach(row => add(row.headsign, row.headsign_ar));
+  }
+
+  // Metro lines go by their line name or route number ("Red Line", "MRed1")
+  db.prepare(`
+    SELECT ml.line_name, ml.line_name_ar, r.route_short_name
+    FROM metro_lines ml
+    JOIN routes r ON ml.route_id = r.route_id
+    WHERE ml.line_name_ar != ''
+  `).all().forEach(row => {
+    add(row.line_name, row.line_name_ar);
+    add(row.route_short_name, row.line_name_ar);
+  });
+
+  return names;
+}
+
+/**
+ * Get the cached name translations, building them on first use
+ */
+function getNameTranslations(db) {
+  let names = nameTranslations.get(db);
+  if (!names) {
+    names = buildNameTranslations(db);
+    nameTranslations.set(db, names);
+  }
+  return names;
+}
+
+/**
+ * Replace the names in a response body with their Arabic names
+ * Names without one (and "To <stop>" headsigns of stops without one)
+ * stay English.
+ */
+function localizeNames(names, value) {
+  if (Array.isArray(value)) return value.map(item => localizeNames(names, item));
+  if (!value || typeof value !== 'object') return value;
+
+  const localized = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (NAME_FIELDS.has(key) && typeof field === 'string') {
+      const towards = field.match(/^To\s+(.+)$/i);
+      const stop = towards && names.get(towards[1].toLowerCase());
+      localized[key] = names.get(field.toLowerCase()) || (stop ? `إلى ${stop}` : field);
+    } else {
+      localized[key] = localizeNames(names, field);
+    }
+  }
+  return localized;
+}
+
+/**
+ * Middleware: read the request's language (400 for an unsupported lang)
+ * and answer in it, setting Content-Language
+ */
+function localizeResponses(req, res, next) {
+  const { language, error } = parseLanguage(req.query, req.get('Accept-Language'));
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  req.language = language;
+  res.set('Content-Language', language);
+
+  if (language === 'ar') {
+    const json = res.json.bind(res);
+    res.json = body => {
+      try {
+        return json(localizeNames(getNameTranslations(getDb()), body));
+      } catch (err) {
+        return json(body);
+      }
+    };
+  }
+
+  next();
+}
+
+module.exports = {
+  loadLocalTranslations,
+  createTranslator,
+  translateStopName,
+  translateHeadsign,
+  parseLanguage,
+  hasArabic,
+  normalizeArabic,
+  normalizedArabicSql,
+  localizeResponses,
+  LANGUAGES,
+  TRANSLATIONS_AR_PATH
+};
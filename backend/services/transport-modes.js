@@ -0,0 +1,64 @@
+/**
+ * Transport Modes
+ * How GTFS route types map onto the modes riders see: Bus, Metro, Tram
+ * and Marine (abras, ferries, water buses and water taxis)
+ *
+ * Shared by the routers, the journey planner and stop search
+ */
+
+const { ROUTE_TYPES } = require('../db/offline-database');
+
+// Transport modes riders can pick (modes=bus,metro,tram,marine)
+const MODES = {
+  bus: ROUTE_TYPES.BUS,
+  metro: ROUTE_TYPES.METRO,
+  tram: ROUTE_TYPES.TRAM,
+  marine: ROUTE_TYPES.FERRY
+};
+
+// transport_type label per route type
+const TRANSPORT_TYPES = {
+  [ROUTE_TYPES.BUS]: 'Bus',
+  [ROUTE_TYPES.METRO]: 'Metro',
+  [ROUTE_TYPES.TRAM]: 'Tram',
+  [ROUTE_TYPES.FERRY]: 'Marine'
+};
+
+// Marine services by route number prefix (CR1 = creek abra, FR1 = ferry)
+const MARINE_SERVICES = {
+  CR: 'abra',
+  FR: 'ferry',
+  BM: 'water_bus',
+  DC: 'water_bus',
+  WT: 'water_taxi'
+};
+
+const MARINE_SERVICE_NAMES = {
+  abra: 'Abra',
+  ferry: 'Ferry',
+  water_bus: 'Water Bus',
+  water_taxi: 'Water Taxi'
+};
+
+/**
+ * Label of a route type for API responses ("Bus", "Metro", "Tram", "Marine")
+ */
+function transportType(routeType) {
+  return TRANSPORT_TYPES[routeType] || 'Bus';
+}
+
+/**
+ * Marine service of a route from its number ("CR3" -> "abra")
+ * Unknown prefixes are ferries.
+ */
+function marineService(routeShortName) {
+  const prefix = String(routeShortName || '').replace(/[^A-Za-z]/g, '').toUpperCase();
+  return MARINE_SERVICES[prefix] || 'ferry';
+}
+
+module.exports = {
+  transportType,
+  marineService,
+  MODES,
+  MARINE_SERVICE_NAMES
+};
@@ -0,0 +1,34 @@
+/**
+ * Journey planner checks against the built offline database
+ * (node scripts/build-offline-db.js first)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { getDb, OFFLINE_DB_PATH } = require('../db/offline-database');
+const { planJourneys } = require('../services/journey-planner');
+
+const skip = !fs.existsSync(OFFLINE_DB_PATH) && 'offline database not built';
+
+// The Dubai Mall -> Rashid Hospital, and stop to stop
+const SEARCHES = [
+  { from: { lat: 25.1985, lon: 55.2796 }, to: { lat: 25.2447, lon: 55.3173 } },
+  { from: { lat: 25.1985, lon: 55.2796 }, to: { lat: 25.2447, lon: 55.3173 }, departAt: 8 * 3600, serviceDate: '20250825' },
+  { from: { lat: 25.1985, lon: 55.2796 }, to: { lat: 25.2447, lon: 55.3173 }, arriveBy: 9 * 3600, serviceDate: '20250825' },
+  { from: { lat: 25.2653, lon: 55.2891 }, to: { lat: 25.2661, lon: 55.3137 }, walkRadius: 2000 },
+  { from: { stopId: '17301' }, to: { stopId: '13501' } }
+];
+
+test('no two walks in a row', { skip }, () => {
+  for (const search of SEARCHES) {
+    for (const journey of planJourneys(getDb(), search)) {
+      journey.legs.forEach((leg, i) => {
+        assert.ok(
+          !(leg.type === 'walk' && journey.legs[i - 1]?.type === 'walk'),
+          `${JSON.stringify(search)}: walks in a row at leg ${i}`
+        );
+      });
+    }
+  }
+});
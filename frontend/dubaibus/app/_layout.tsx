@@ -4,6 +4,8 @@ import { StatusBar } from "expo-status-bar";
 import { useEffect, useState } from "react";
 import { View, Text, ActivityIndicator } from "react-native";
 import { initDatabase } from "../src/database";
+import { startDataUpdates } from "../src/services";
+import { DataUpdateNotice } from "../src/components/common";
 import {
   useFonts,
   Poppins_400Regular,
@@ -42,6 +44,11 @@ export default function RootLayout() {
     prepare();
   }, []);
 
+  // Check for newer offline data once the database is open
+  useEffect(() => {
+    if (appReady) return startDataUpdates();
+  }, [appReady]);
+
   useEffect(() => {
     if (fontsLoaded && appReady) {
       // Hide splash screen after a tiny delay for visual smoothness
@@ -108,6 +115,7 @@ export default function RootLayout() {
           animation: "slide_from_right",
         }}
       />
+      <DataUpdateNotice className="absolute bottom-10 left-4 right-4" />
     </>
   );
 }
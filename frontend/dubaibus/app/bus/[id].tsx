@@ -10,7 +10,7 @@ import { useLocalSearchParams } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { ScreenContainer } from "@/components/layout";
 import { Header, Card, LoadingSpinner, EmptyState } from "@/components/common";
-import { DirectionTabs, StopsList } from "@/components/bus";
+import { DirectionTabs, StopsList, VariantList } from "@/components/bus";
 import { useBusDetails } from "@/hooks";
 import { colors } from "@/constants";
 
@@ -87,6 +87,10 @@ export default function BusDetailsScreen() {
                   {currentDirection.to}
                 </Text>
               </View>
+              <VariantList
+                variants={currentDirection.variants || []}
+                className="mt-3"
+              />
             </View>
           )}
         </Card>
@@ -1,7 +1,7 @@
 /**
  * Home Screen
  *
- * Main entry point with Bus and Metro buttons
+ * Main entry point with Bus, Metro, Tram and Marine buttons
  */
 
 import { View, Text, Image, Pressable } from "react-native";
@@ -25,7 +25,7 @@ export default function HomeScreen() {
           </Text>
         </View>
         <Text className="text-sm text-text-secondary mt-2">
-          Bus & Metro Routes
+          Bus, Metro, Tram & Marine Routes
         </Text>
       </View>
 
@@ -64,6 +64,46 @@ export default function HomeScreen() {
         </Pressable>
       </View>
 
+      <View className="flex-row gap-4 mt-4">
+        {/* Tram Button */}
+        <Pressable
+          className="flex-1"
+          onPress={() => router.push(routes.tram.index)}
+        >
+          <Card variant="elevated" className="items-center py-6">
+            <View
+              className="w-16 h-16 rounded-full items-center justify-center mb-3"
+              style={{ backgroundColor: `${colors.tram}1A` }}
+            >
+              <Ionicons name="train" size={32} color={colors.tram} />
+            </View>
+            <Text className="text-lg font-semibold text-rta-blue">TRAM</Text>
+            <Text className="text-sm text-text-secondary mt-1">
+              Lines & Stops
+            </Text>
+          </Card>
+        </Pressable>
+
+        {/* Marine Button */}
+        <Pressable
+          className="flex-1"
+          onPress={() => router.push(routes.marine.index)}
+        >
+          <Card variant="elevated" className="items-center py-6">
+            <View
+              className="w-16 h-16 rounded-full items-center justify-center mb-3"
+              style={{ backgroundColor: `${colors.marine}1A` }}
+            >
+              <Ionicons name="boat" size={32} color={colors.marine} />
+            </View>
+            <Text className="text-lg font-semibold text-rta-blue">MARINE</Text>
+            <Text className="text-sm text-text-secondary mt-1">
+              Abra, Ferry & Water Taxi
+            </Text>
+          </Card>
+        </Pressable>
+      </View>
+
       {/* Quick Info */}
       <View className="mt-8">
         <Text className="text-lg font-semibold text-rta-blue mb-3">
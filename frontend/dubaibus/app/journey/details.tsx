@@ -89,6 +89,9 @@ export default function JourneyDetailsScreen() {
             <View className="absolute left-4 px-3 py-0.5 bg-rta-blue/10 rounded-full">
               <Text className="text-[10px] font-poppins-bold text-rta-blue uppercase">
                 {route.stops_between} stops total
+                {route.duration_minutes != null
+                  ? ` · ~${route.duration_minutes} min`
+                  : ""}
               </Text>
             </View>
           </View>
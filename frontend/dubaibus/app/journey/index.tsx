@@ -1,7 +1,7 @@
 /**
  * Journey Planner Screen
  *
- * Search stops and find routes between them
+ * Search stops and places and find routes between them
  */
 
 import { useState, useCallback } from "react";
@@ -18,27 +18,42 @@ import {
   LoadingSpinner,
 } from "@/components/common";
 import { RouteCard } from "@/components/journey";
-import { useStopSearch, useJourneySearch } from "@/hooks";
+import {
+  useStopSearch,
+  useJourneySearch,
+  isPlace,
+  type JourneyPoint,
+} from "@/hooks";
 import { colors, screenTitles, routes } from "@/constants";
-import type { Stop } from "@/types";
+import { getTransportColor, getTransportIcon, getPlaceIcon } from "@/utils";
+import type { TransportMode } from "@/types";
 
 type PickerMode = "from" | "to" | null;
-type SearchMode = "All" | "Bus" | "Metro";
+type SearchMode = "All" | TransportMode;
 
 export default function JourneyScreen() {
   const router = useRouter();
 
-  // Selected stops
-  const [fromStop, setFromStop] = useState<Stop | null>(null);
-  const [toStop, setToStop] = useState<Stop | null>(null);
+  // Selected stops or places
+  const [fromStop, setFromStop] = useState<JourneyPoint | null>(null);
+  const [toStop, setToStop] = useState<JourneyPoint | null>(null);
 
   // Picker state
   const [pickerMode, setPickerMode] = useState<PickerMode>(null);
   const [searchQuery, setSearchQuery] = useState("");
   const [transportMode, setTransportMode] = useState<SearchMode>("All");
 
-  // Stop search (for picker)
-  const { results, search, clear, isLoading: isSearching } = useStopSearch();
+  // Stop and place search (for picker)
+  const {
+    results,
+    places,
+    search,
+    clear,
+    isLoading: isSearching,
+  } = useStopSearch();
+
+  // Places come first: riders searching "Dubai Mall" mean the mall
+  const pickerItems: JourneyPoint[] = [...places, ...results];
 
   // Journey search (for finding routes)
   const {
@@ -74,9 +89,9 @@ export default function JourneyScreen() {
     [clearRoutes]
   );
 
-  // Handle stop selection
+  // Handle stop or place selection
   const handleSelectStop = useCallback(
-    (stop: Stop) => {
+    (stop: JourneyPoint) => {
       if (pickerMode === "from") {
         setFromStop(stop);
       } else if (pickerMode === "to") {
@@ -115,12 +130,14 @@ export default function JourneyScreen() {
     clearRoutes();
   }, [fromStop, toStop, clearRoutes]);
 
-  // Handle find routes
+  // Handle find routes (the ride type limits the modes used)
   const handleFindRoutes = useCallback(() => {
     if (fromStop && toStop) {
-      searchRoutes(fromStop, toStop);
+      searchRoutes(fromStop, toStop, {
+        modes: transportMode === "All" ? undefined : [transportMode],
+      });
     }
-  }, [fromStop, toStop, searchRoutes]);
+  }, [fromStop, toStop, transportMode, searchRoutes]);
 
   // Handle route press - navigate to journey details
   const handleRoutePress = useCallback(
@@ -147,7 +164,7 @@ export default function JourneyScreen() {
         <Input
           value={searchQuery}
           onChangeText={handleSearch}
-          placeholder="Search stop or station..."
+          placeholder="Search stop, station or place..."
           showSearchIcon
           autoFocus
           className="mb-2"
@@ -167,56 +184,93 @@ export default function JourneyScreen() {
               Type at least 2 characters to search
             </Text>
           </View>
-        ) : results.length === 0 ? (
+        ) : pickerItems.length === 0 ? (
           <EmptyState
             icon="location-outline"
-            title="No stops found"
-            description={`No stops matching "${searchQuery}"`}
+            title="No stops or places found"
+            description={`No stops or places matching "${searchQuery}"`}
           />
         ) : (
           <FlatList
-            data={results}
-            keyExtractor={(item) => item.stop_id}
-            renderItem={({ item }) => (
-              <Pressable onPress={() => handleSelectStop(item)}>
-                <Card variant="flat" className="mb-2">
-                  <View className="flex-row items-center">
-                    <View
-                      className="w-10 h-10 rounded-full items-center justify-center mr-3"
-                      style={{
-                        backgroundColor:
-                          item.stop_id.includes(":") &&
-                          !item.stop_id.match(/^[0-9]+$/)
-                            ? `${colors.metro.red}15`
-                            : `${colors.rta.orange}15`,
-                      }}
-                    >
-                      <Ionicons
-                        name={
-                          item.stop_id.includes(":") &&
-                          !item.stop_id.match(/^[0-9]+$/)
-                            ? "subway"
-                            : "bus"
-                        }
-                        size={20}
-                        color={
-                          item.stop_id.includes(":") &&
-                          !item.stop_id.match(/^[0-9]+$/)
-                            ? colors.metro.red
-                            : colors.rta.orange
-                        }
-                      />
+            data={pickerItems}
+            keyExtractor={(item) =>
+              isPlace(item) ? `place-${item.place_id}` : item.stop_id
+            }
+            renderItem={({ item }) =>
+              isPlace(item) ? (
+                <Pressable onPress={() => handleSelectStop(item)}>
+                  <Card variant="flat" className="mb-2">
+                    <View className="flex-row items-center">
+                      <View
+                        className="w-10 h-10 rounded-full items-center justify-center mr-3"
+                        style={{ backgroundColor: `${colors.rta.blue}15` }}
+                      >
+                        <Ionicons
+                          name={getPlaceIcon(item.category)}
+                          size={20}
+                          color={colors.rta.blue}
+                        />
+                      </View>
+                      <View className="flex-1">
+                        <Text
+                          className="text-text-primary font-poppins-medium"
+                          numberOfLines={2}
+                        >
+                          {item.place_name}
+                        </Text>
+                        {item.nearest_stops.length > 0 && (
+                          <Text
+                            className="text-xs text-text-muted"
+                            numberOfLines={1}
+                          >
+                            {`${item.nearest_stops[0].distance_m} m walk to ${item.nearest_stops[0].stop_name}`}
+                          </Text>
+                        )}
+                      </View>
                     </View>
-                    <Text
-                      className="flex-1 text-text-primary font-poppins-medium"
-                      numberOfLines={2}
-                    >
-                      {item.stop_name}
-                    </Text>
-                  </View>
-                </Card>
-              </Pressable>
-            )}
+                  </Card>
+                </Pressable>
+              ) : (
+                <Pressable onPress={() => handleSelectStop(item)}>
+                  <Card variant="flat" className="mb-2">
+                    <View className="flex-row items-center">
+                      <View
+                        className="w-10 h-10 rounded-full items-center justify-center mr-3"
+                        style={{
+                          backgroundColor:
+                            item.stop_id.includes(":") &&
+                            !item.stop_id.match(/^[0-9]+$/)
+                              ? `${colors.metro.red}15`
+                              : `${colors.rta.orange}15`,
+                        }}
+                      >
+                        <Ionicons
+                          name={
+                            item.stop_id.includes(":") &&
+                            !item.stop_id.match(/^[0-9]+$/)
+                              ? "subway"
+                              : "bus"
+                          }
+                          size={20}
+                          color={
+                            item.stop_id.includes(":") &&
+                            !item.stop_id.match(/^[0-9]+$/)
+                              ? colors.metro.red
+                              : colors.rta.orange
+                          }
+                        />
+                      </View>
+                      <Text
+                        className="flex-1 text-text-primary font-poppins-medium"
+                        numberOfLines={2}
+                      >
+                        {item.stop_name}
+                      </Text>
+                    </View>
+                  </Card>
+                </Pressable>
+              )
+            }
             showsVerticalScrollIndicator={false}
           />
         )}
@@ -237,14 +291,12 @@ export default function JourneyScreen() {
             SELECT RIDE TYPE
           </Text>
           <View className="flex-row gap-2">
-            {(["All", "Bus", "Metro"] as SearchMode[]).map((mode) => {
+            {(
+              ["All", "Bus", "Metro", "Tram", "Marine"] as SearchMode[]
+            ).map((mode) => {
               const isActive = transportMode === mode;
               const modeColor =
-                mode === "Bus"
-                  ? colors.rta.orange
-                  : mode === "Metro"
-                  ? colors.metro.red
-                  : colors.rta.blue;
+                mode === "All" ? colors.rta.blue : getTransportColor(mode);
 
               return (
                 <Pressable
@@ -260,13 +312,7 @@ export default function JourneyScreen() {
                   }
                 >
                   <Ionicons
-                    name={
-                      mode === "Bus"
-                        ? "bus"
-                        : mode === "Metro"
-                        ? "subway"
-                        : "options"
-                    }
+                    name={mode === "All" ? "options" : getTransportIcon(mode)}
                     size={20}
                     color={isActive ? "white" : colors.text.muted}
                     className="mb-1"
@@ -301,7 +347,11 @@ export default function JourneyScreen() {
                 }`}
                 numberOfLines={1}
               >
-                {fromStop?.stop_name || "Select origin stop"}
+                {(fromStop &&
+                  (isPlace(fromStop)
+                    ? fromStop.place_name
+                    : fromStop.stop_name)) ||
+                  "Select origin stop or place"}
               </Text>
             </View>
           </Pressable>
@@ -338,7 +388,9 @@ export default function JourneyScreen() {
                 }`}
                 numberOfLines={1}
               >
-                {toStop?.stop_name || "Select destination stop"}
+                {(toStop &&
+                  (isPlace(toStop) ? toStop.place_name : toStop.stop_name)) ||
+                  "Select destination stop or place"}
               </Text>
             </View>
           </Pressable>
@@ -0,0 +1,21 @@
+/**
+ * Marine Details Screen
+ *
+ * Shows marine route details with upward/downward stops
+ */
+
+import { useLocalSearchParams } from "expo-router";
+import { LineDetailsView } from "@/components/line";
+import { screenTitles } from "@/constants";
+
+export default function MarineDetailsScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+
+  return (
+    <LineDetailsView
+      mode="Marine"
+      lineId={id || ""}
+      title={screenTitles.marine.details}
+    />
+  );
+}
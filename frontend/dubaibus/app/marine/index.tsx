@@ -0,0 +1,145 @@
+/**
+ * Marine Screen
+ *
+ * Search marine routes + routes list filtered by service
+ * (abra, ferry, water bus, water taxi)
+ */
+
+import { useState, useCallback } from "react";
+import { View, Text, FlatList, Pressable } from "react-native";
+import { useRouter } from "expo-router";
+import { ScreenContainer } from "@/components/layout";
+import { Header, Input, LoadingSpinner, EmptyState } from "@/components/common";
+import { LineCard } from "@/components/line";
+import { useLines } from "@/hooks";
+import { colors, routes, screenTitles } from "@/constants";
+import { getMarineServiceLabel } from "@/utils";
+import type { MarineService, TransitLine } from "@/types";
+
+type ServiceFilter = "all" | MarineService;
+
+const SERVICE_FILTERS: ServiceFilter[] = [
+  "all",
+  "abra",
+  "ferry",
+  "water_bus",
+  "water_taxi",
+];
+
+export default function MarineScreen() {
+  const router = useRouter();
+  const { lines, searchResults, search, clearSearch, isLoading } =
+    useLines("Marine");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [service, setService] = useState<ServiceFilter>("all");
+
+  // Handle search input
+  const handleSearch = useCallback(
+    (text: string) => {
+      setSearchQuery(text);
+      if (text.trim()) {
+        search(text);
+      } else {
+        clearSearch();
+      }
+    },
+    [search, clearSearch]
+  );
+
+  // Handle route press
+  const handleLinePress = useCallback(
+    (line: TransitLine) => {
+      router.push(routes.marine.details(line.route_number));
+    },
+    [router]
+  );
+
+  const showSearchResults = searchQuery.trim().length > 0;
+  const displayLines = (showSearchResults ? searchResults : lines).filter(
+    (line) => service === "all" || line.service === service
+  );
+
+  return (
+    <ScreenContainer>
+      {/* Header */}
+      <Header title={screenTitles.marine.index} showBack />
+
+      {/* Search Input */}
+      <Input
+        value={searchQuery}
+        onChangeText={handleSearch}
+        placeholder="Enter route number (e.g., CR3, FR1)"
+        showSearchIcon
+        keyboardType="default"
+        className="mb-4"
+      />
+
+      {/* Service Filter */}
+      <View className="flex-row flex-wrap gap-2 mb-4">
+        {SERVICE_FILTERS.map((filter) => {
+          const isActive = service === filter;
+          return (
+            <Pressable
+              key={filter}
+              onPress={() => setService(filter)}
+              className={`px-3 py-1.5 rounded-full border ${
+                isActive ? "" : "border-gray-200 bg-white"
+              }`}
+              style={
+                isActive
+                  ? {
+                      backgroundColor: colors.marine,
+                      borderColor: colors.marine,
+                    }
+                  : {}
+              }
+            >
+              <Text
+                className={`text-xs font-poppins-semibold ${
+                  isActive ? "text-white" : "text-text-secondary"
+                }`}
+              >
+                {filter === "all" ? "All" : getMarineServiceLabel(filter)}
+              </Text>
+            </Pressable>
+          );
+        })}
+      </View>
+
+      {/* Section Title */}
+      <Text className="text-lg font-semibold text-rta-blue mb-3">
+        {showSearchResults ? "Search Results" : "Marine Routes"}
+      </Text>
+
+      {/* Loading State */}
+      {isLoading ? (
+        <LoadingSpinner message="Loading marine routes..." />
+      ) : displayLines.length === 0 ? (
+        <EmptyState
+          icon={showSearchResults ? "search-outline" : "boat-outline"}
+          title={showSearchResults ? "No routes found" : "No routes available"}
+          description={
+            showSearchResults
+              ? `No marine routes matching "${searchQuery}"`
+              : "No marine routes for this service"
+          }
+        />
+      ) : (
+        /* Route List */
+        <FlatList
+          data={displayLines}
+          keyExtractor={(item) => item.route_id}
+          renderItem={({ item }) => (
+            <LineCard
+              mode="Marine"
+              line={item}
+              onPress={() => handleLinePress(item)}
+            />
+          )}
+          showsVerticalScrollIndicator={false}
+          contentContainerStyle={{ paddingBottom: 20 }}
+        />
+      )}
+    </ScreenContainer>
+  );
+}
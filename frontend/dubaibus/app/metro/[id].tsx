@@ -10,7 +10,7 @@ import { useLocalSearchParams } from "expo-router";
 import { Ionicons } from "@expo/vector-icons";
 import { ScreenContainer } from "@/components/layout";
 import { Header, Card, LoadingSpinner, EmptyState } from "@/components/common";
-import { DirectionTabs } from "@/components/bus";
+import { DirectionTabs, VariantList } from "@/components/bus";
 import { StationsList } from "@/components/metro";
 import { useMetroDetails } from "@/hooks";
 import { getMetroLineColor } from "@/utils";
@@ -105,6 +105,10 @@ export default function MetroDetailsScreen() {
                 <Text className="mt-2 text-xs text-text-muted">
                   {stations.length} stations
                 </Text>
+                <VariantList
+                  variants={currentDirection.variants || []}
+                  className="mt-2"
+                />
               </View>
             )}
           </View>
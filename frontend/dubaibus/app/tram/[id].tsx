@@ -0,0 +1,21 @@
+/**
+ * Tram Details Screen
+ *
+ * Shows tram line details with upward/downward stops
+ */
+
+import { useLocalSearchParams } from "expo-router";
+import { LineDetailsView } from "@/components/line";
+import { screenTitles } from "@/constants";
+
+export default function TramDetailsScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+
+  return (
+    <LineDetailsView
+      mode="Tram"
+      lineId={id || ""}
+      title={screenTitles.tram.details}
+    />
+  );
+}
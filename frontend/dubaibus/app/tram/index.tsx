@@ -0,0 +1,100 @@
+/**
+ * Tram Screen
+ *
+ * Search tram lines + tram lines list
+ */
+
+import { useState, useCallback } from "react";
+import { Text, FlatList } from "react-native";
+import { useRouter } from "expo-router";
+import { ScreenContainer } from "@/components/layout";
+import { Header, Input, LoadingSpinner, EmptyState } from "@/components/common";
+import { LineCard } from "@/components/line";
+import { useLines } from "@/hooks";
+import { routes, screenTitles } from "@/constants";
+import type { TransitLine } from "@/types";
+
+export default function TramScreen() {
+  const router = useRouter();
+  const { lines, searchResults, search, clearSearch, isLoading } =
+    useLines("Tram");
+  const [searchQuery, setSearchQuery] = useState("");
+
+  // Handle search input
+  const handleSearch = useCallback(
+    (text: string) => {
+      setSearchQuery(text);
+      if (text.trim()) {
+        search(text);
+      } else {
+        clearSearch();
+      }
+    },
+    [search, clearSearch]
+  );
+
+  // Handle line press
+  const handleLinePress = useCallback(
+    (line: TransitLine) => {
+      router.push(routes.tram.details(line.route_number));
+    },
+    [router]
+  );
+
+  const showSearchResults = searchQuery.trim().length > 0;
+  const displayLines = showSearchResults ? searchResults : lines;
+
+  return (
+    <ScreenContainer>
+      {/* Header */}
+      <Header title={screenTitles.tram.index} showBack />
+
+      {/* Search Input */}
+      <Input
+        value={searchQuery}
+        onChangeText={handleSearch}
+        placeholder="Enter tram line (e.g., T1)"
+        showSearchIcon
+        keyboardType="default"
+        className="mb-4"
+      />
+
+      {/* Section Title */}
+      <Text className="text-lg font-semibold text-rta-blue mb-3">
+        {showSearchResults ? "Search Results" : "Tram Lines"}
+      </Text>
+
+      {/* Loading State */}
+      {isLoading ? (
+        <LoadingSpinner message="Loading tram lines..." />
+      ) : displayLines.length === 0 ? (
+        <EmptyState
+          icon={showSearchResults ? "search-outline" : "train-outline"}
+          title={
+            showSearchResults ? "No tram lines found" : "No tram lines available"
+          }
+          description={
+            showSearchResults
+              ? `No tram lines matching "${searchQuery}"`
+              : "The offline timetable has no tram service"
+          }
+        />
+      ) : (
+        /* Line List */
+        <FlatList
+          data={displayLines}
+          keyExtractor={(item) => item.route_id}
+          renderItem={({ item }) => (
+            <LineCard
+              mode="Tram"
+              line={item}
+              onPress={() => handleLinePress(item)}
+            />
+          )}
+          showsVerticalScrollIndicator={false}
+          contentContainerStyle={{ paddingBottom: 20 }}
+        />
+      )}
+    </ScreenContainer>
+  );
+}
@@ -1,6 +1,13 @@
+const path = require("path");
 const { getDefaultConfig } = require("expo/metro-config");
 const { withNativeWind } = require("nativewind/metro");
 
 const config = getDefaultConfig(__dirname);
 
+// Release manifest checks and search ranking shared with the backend (../../shared)
+config.watchFolders = [
+  ...(config.watchFolders || []),
+  path.resolve(__dirname, "../../shared"),
+];
+
 module.exports = withNativeWind(config, { input: "./global.css" });
@@ -8,6 +8,7 @@ import { View, Text } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { Card } from "@/components/common";
 import { colors } from "@/constants";
+import { formatHeadway } from "@/utils";
 import type { BusRoute, WithClassName, WithOnPress } from "@/types";
 
 interface BusCardProps extends WithClassName, WithOnPress {
@@ -35,6 +36,16 @@ export function BusCard({ bus, onPress, className = "" }: BusCardProps) {
           <Text className="text-sm text-text-secondary mt-1" numberOfLines={1}>
             {bus.route_name}
           </Text>
+
+          {/* Frequency */}
+          {bus.headway_minutes != null && (
+            <View className="flex-row items-center mt-1">
+              <Ionicons name="time-outline" size={12} color={colors.text.muted} />
+              <Text className="text-xs text-text-muted ml-1">
+                {formatHeadway(bus.headway_minutes)}
+              </Text>
+            </View>
+          )}
         </View>
 
         {/* Chevron */}
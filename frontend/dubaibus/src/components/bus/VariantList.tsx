@@ -0,0 +1,34 @@
+/**
+ * VariantList Component
+ *
+ * Lists the other stop patterns of a direction (short-turns, express runs,
+ * branches) below the main route
+ */
+
+import { View, Text } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { colors } from "@/constants";
+import { getVariantLabel } from "@/utils";
+import type { RouteVariant, WithClassName } from "@/types";
+
+interface VariantListProps extends WithClassName {
+  /** Variants of the current direction */
+  variants: RouteVariant[];
+}
+
+export function VariantList({ variants, className = "" }: VariantListProps) {
+  if (variants.length === 0) return null;
+
+  return (
+    <View className={className}>
+      {variants.map((variant) => (
+        <View key={variant.pattern_id} className="flex-row items-center mt-1">
+          <Ionicons name="git-branch-outline" size={14} color={colors.text.muted} />
+          <Text className="ml-2 text-xs text-text-muted flex-1" numberOfLines={1}>
+            {`${getVariantLabel(variant.variant)}: ${variant.from} → ${variant.to} (${variant.trip_count} trips)`}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
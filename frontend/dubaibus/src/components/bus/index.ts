@@ -6,3 +6,4 @@ export { BusCard } from "./BusCard";
 export { StopItem } from "./StopItem";
 export { StopsList } from "./StopsList";
 export { DirectionTabs } from "./DirectionTabs";
+export { VariantList } from "./VariantList";
@@ -0,0 +1,39 @@
+/**
+ * DataUpdateNotice Component
+ *
+ * Banner shown after the offline database was updated in the background
+ */
+
+import { View, Text } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { colors } from "@/constants";
+import { useDataUpdateNotice } from "@/hooks";
+import type { WithClassName } from "@/types";
+import { IconButton } from "./IconButton";
+
+export function DataUpdateNotice({ className = "" }: WithClassName) {
+  const { notice, dismiss } = useDataUpdateNotice();
+
+  if (!notice) return null;
+
+  return (
+    <View
+      className={`flex-row items-center rounded-xl bg-rta-blue pl-4 pr-1 py-1 ${className}`}
+    >
+      <Ionicons
+        name="cloud-done-outline"
+        size={20}
+        color={colors.text.light}
+      />
+      <Text className="flex-1 ml-3 text-sm font-medium text-text-light">
+        {notice.message}
+      </Text>
+      <IconButton
+        icon="close"
+        size={20}
+        color={colors.text.light}
+        onPress={dismiss}
+      />
+    </View>
+  );
+}
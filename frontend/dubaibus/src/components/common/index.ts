@@ -12,3 +12,4 @@ export { Input } from "./Input";
 export { LoadingSpinner } from "./LoadingSpinner";
 export { EmptyState } from "./EmptyState";
 export { IconButton } from "./IconButton";
+export { DataUpdateNotice } from "./DataUpdateNotice";
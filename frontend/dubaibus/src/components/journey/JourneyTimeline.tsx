@@ -9,6 +9,7 @@ import { View, Text, Pressable } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { Card } from "@/components/common";
 import { colors } from "@/constants";
+import { getTransportIcon } from "@/utils";
 import type { JourneyLeg } from "@/hooks/useJourneyDetails";
 
 interface JourneyTimelineProps {
@@ -18,14 +19,41 @@ interface JourneyTimelineProps {
 export function JourneyTimeline({ legs }: JourneyTimelineProps) {
   return (
     <View className="px-4 py-6">
-      {legs.map((leg, index) => (
-        <TimelineLeg
-          key={`${leg.route_id}-${index}`}
-          leg={leg}
-          isFirst={index === 0}
-          isLast={index === legs.length - 1}
-        />
-      ))}
+      {legs.map((leg, index) =>
+        leg.type === "walk" ? (
+          <WalkStep key={`walk-${index}`} leg={leg} />
+        ) : (
+          <TimelineLeg
+            key={`${leg.route_id}-${index}`}
+            leg={leg}
+            isFirst={index === 0}
+            isLast={index === legs.length - 1}
+          />
+        )
+      )}
+    </View>
+  );
+}
+
+function WalkStep({ leg }: { leg: JourneyLeg }) {
+  return (
+    <View className="flex-row">
+      <View className="items-center mr-4 w-6">
+        <View className="w-1 flex-1 border-l-2 border-dashed border-gray-300" />
+      </View>
+      <View className="pb-6 flex-1">
+        <View className="flex-row items-center">
+          <Ionicons name="walk" size={18} color={colors.text.secondary} />
+          <Text className="ml-2 text-sm text-text-secondary font-poppins-medium flex-1">
+            {leg.direction}
+          </Text>
+        </View>
+        {leg.duration_minutes !== undefined && (
+          <Text className="text-xs text-text-muted mt-1 ml-6">
+            About {leg.duration_minutes} min walk
+          </Text>
+        )}
+      </View>
     </View>
   );
 }
@@ -81,7 +109,7 @@ function TimelineLeg({
                 style={{ backgroundColor: `${legColor}20` }}
               >
                 <Ionicons
-                  name={leg.transport_type === "Bus" ? "bus" : "subway"}
+                  name={getTransportIcon(leg.transport_type)}
                   size={20}
                   color={legColor}
                 />
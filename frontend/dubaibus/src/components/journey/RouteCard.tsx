@@ -8,6 +8,12 @@ import { View, Text } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { Card } from "@/components/common";
 import { colors } from "@/constants";
+import {
+  formatHeadway,
+  formatFare,
+  getCardClassLabel,
+  getTransportIcon,
+} from "@/utils";
 import type { WithClassName, WithOnPress } from "@/types";
 import type { FoundRoute } from "@/database";
 
@@ -18,9 +24,21 @@ interface RouteCardProps extends WithClassName, WithOnPress {
 
 export function RouteCard({ route, onPress, className = "" }: RouteCardProps) {
   const isBus = route.transport_type === "Bus";
-  const iconName = isBus ? "bus" : "subway";
+  const iconName = getTransportIcon(route.transport_type);
   const iconColor = route.color ? `#${route.color}` : colors.rta.orange;
   const isTransfer = route.type === "transfer";
+  const fare = route.fare;
+
+  // Silver is the everyday Nol card; other classes follow in small print
+  const otherFares = fare
+    ? Object.entries(fare.classes)
+        .filter(([cardClass, price]) => cardClass !== "silver" && price != null)
+        .map(
+          ([cardClass, price]) =>
+            `${getCardClassLabel(cardClass)} ${price!.toFixed(2)}`
+        )
+        .join(" · ")
+    : "";
 
   return (
     <Card variant="elevated" onPress={onPress} className={`mb-3 ${className}`}>
@@ -67,11 +85,65 @@ export function RouteCard({ route, onPress, className = "" }: RouteCardProps) {
             {route.direction}
           </Text>
 
-          {/* Stops Info */}
-          {!isTransfer && (
-            <Text className="text-xs text-text-muted mt-1">
-              {route.stops_between} stops
-            </Text>
+          {/* Duration, Stops and Frequency Info */}
+          <View className="flex-row items-center mt-1">
+            {route.duration_minutes != null && (
+              <Text className="text-xs font-semibold text-rta-blue mr-3">
+                ~{route.duration_minutes} min
+              </Text>
+            )}
+            {!isTransfer && (
+              <Text className="text-xs text-text-muted mr-3">
+                {route.stops_between} stops
+              </Text>
+            )}
+            {route.headway_minutes != null && (
+              <View className="flex-row items-center">
+                <Ionicons name="time-outline" size={12} color={colors.text.muted} />
+                <Text className="text-xs text-text-muted ml-1">
+                  {formatHeadway(route.headway_minutes)}
+                  {isTransfer && route.leg2_headway_minutes != null
+                    ? `, then every ${Math.max(1, route.leg2_headway_minutes)} min`
+                    : ""}
+                </Text>
+              </View>
+            )}
+          </View>
+
+          {/* Walks to and from places */}
+          {(route.start_walk_meters != null ||
+            route.end_walk_meters != null) && (
+            <View className="flex-row items-center mt-1">
+              <Ionicons name="walk" size={12} color={colors.text.muted} />
+              <Text className="flex-1 text-xs text-text-muted ml-1" numberOfLines={1}>
+                {[
+                  route.start_walk_meters != null &&
+                    `${route.start_walk_meters} m from ${route.start_place}`,
+                  route.end_walk_meters != null &&
+                    `${route.end_walk_meters} m to ${route.end_place}`,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </Text>
+            </View>
+          )}
+
+          {/* Nol Fare */}
+          {fare?.classes.silver != null && (
+            <View className="flex-row items-center mt-1">
+              <Ionicons name="card-outline" size={12} color={colors.text.muted} />
+              <Text className="text-xs font-semibold text-text-primary ml-1">
+                Silver {formatFare(fare.classes.silver, fare.currency)}
+              </Text>
+              {otherFares !== "" && (
+                <Text
+                  className="flex-1 text-xs text-text-muted ml-2"
+                  numberOfLines={1}
+                >
+                  {otherFares}
+                </Text>
+              )}
+            </View>
           )}
         </View>
 
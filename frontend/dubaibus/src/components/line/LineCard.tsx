@@ -0,0 +1,90 @@
+/**
+ * LineCard Component
+ *
+ * Displays a single tram line or marine route card
+ */
+
+import { View, Text } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { Card } from "@/components/common";
+import { colors } from "@/constants";
+import {
+  formatHeadway,
+  getMarineServiceLabel,
+  getTransportColor,
+  getTransportIcon,
+} from "@/utils";
+import type {
+  LineMode,
+  TransitLine,
+  WithClassName,
+  WithOnPress,
+} from "@/types";
+
+interface LineCardProps extends WithClassName, WithOnPress {
+  /** Mode of the line */
+  mode: LineMode;
+  /** Line data */
+  line: TransitLine;
+}
+
+export function LineCard({
+  mode,
+  line,
+  onPress,
+  className = "",
+}: LineCardProps) {
+  const modeColor = getTransportColor(mode);
+
+  return (
+    <Card variant="elevated" onPress={onPress} className={`mb-3 ${className}`}>
+      <View className="flex-row items-center">
+        {/* Mode Icon */}
+        <View
+          className="w-12 h-12 rounded-full items-center justify-center mr-3"
+          style={{ backgroundColor: `${modeColor}1A` }}
+        >
+          <Ionicons name={getTransportIcon(mode)} size={24} color={modeColor} />
+        </View>
+
+        {/* Line Info */}
+        <View className="flex-1">
+          {/* Route Number (and marine service) */}
+          <View className="flex-row items-center">
+            <Text className="text-lg font-semibold text-rta-blue">
+              {line.route_number}
+            </Text>
+            {line.service && (
+              <View
+                className="ml-2 px-2 py-0.5 rounded"
+                style={{ backgroundColor: `${modeColor}1A` }}
+              >
+                <Text className="text-xs" style={{ color: modeColor }}>
+                  {getMarineServiceLabel(line.service)}
+                </Text>
+              </View>
+            )}
+          </View>
+
+          {/* Route Name */}
+          <Text className="text-sm text-text-secondary mt-1" numberOfLines={1}>
+            {line.route_name}
+          </Text>
+
+          {/* Frequency */}
+          {line.headway_minutes != null && (
+            <View className="flex-row items-center mt-1">
+              <Ionicons name="time-outline" size={12} color={colors.text.muted} />
+              <Text className="text-xs text-text-muted ml-1">
+                {formatHeadway(line.headway_minutes)}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {/* Chevron */}
+        <Ionicons name="chevron-forward" size={20} color={colors.text.muted} />
+      </View>
+    </Card>
+  );
+}
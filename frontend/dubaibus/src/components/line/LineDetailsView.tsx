@@ -0,0 +1,146 @@
+/**
+ * LineDetailsView Component
+ *
+ * Tram line / marine route details with upward/downward stops
+ * (shared by the tram and marine details screens)
+ */
+
+import { useState } from "react";
+import { View, Text, ScrollView } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { ScreenContainer } from "@/components/layout";
+import { Header, Card, LoadingSpinner, EmptyState } from "@/components/common";
+import { DirectionTabs, StopsList, VariantList } from "@/components/bus";
+import { useLineDetails } from "@/hooks";
+import { colors } from "@/constants";
+import {
+  getMarineServiceLabel,
+  getTransportColor,
+  getTransportIcon,
+} from "@/utils";
+import type { LineMode } from "@/types";
+
+interface LineDetailsViewProps {
+  /** Mode of the line */
+  mode: LineMode;
+  /** Route number or ID */
+  lineId: string;
+  /** Screen title while loading */
+  title: string;
+}
+
+export function LineDetailsView({ mode, lineId, title }: LineDetailsViewProps) {
+  const { line, isLoading, error } = useLineDetails(mode, lineId);
+  const [activeDirection, setActiveDirection] = useState(0);
+  const modeColor = getTransportColor(mode);
+
+  // Loading state
+  if (isLoading) {
+    return (
+      <ScreenContainer>
+        <Header title={title} showBack />
+        <LoadingSpinner message="Loading route details..." />
+      </ScreenContainer>
+    );
+  }
+
+  // Error state
+  if (error || !line) {
+    return (
+      <ScreenContainer>
+        <Header title={title} showBack />
+        <EmptyState
+          icon="alert-circle-outline"
+          title="Route Not Found"
+          description={error || `Could not find route "${lineId}"`}
+        />
+      </ScreenContainer>
+    );
+  }
+
+  // Get current direction data
+  const currentDirection =
+    line.directions[activeDirection] || line.directions[0];
+  const stops = currentDirection?.stops || [];
+
+  return (
+    <ScreenContainer>
+      {/* Header */}
+      <Header title={`${mode} ${line.route_number}`} showBack />
+
+      <ScrollView showsVerticalScrollIndicator={false}>
+        {/* Line Info Card */}
+        <Card variant="elevated" className="mb-4">
+          <View className="flex-row items-center">
+            <View
+              className="w-14 h-14 rounded-full items-center justify-center mr-4"
+              style={{ backgroundColor: `${modeColor}1A` }}
+            >
+              <Ionicons
+                name={getTransportIcon(mode)}
+                size={28}
+                color={modeColor}
+              />
+            </View>
+            <View className="flex-1">
+              <Text className="text-2xl font-bold text-rta-blue">
+                {line.route_number}
+              </Text>
+              {line.service && (
+                <Text className="text-sm mt-1" style={{ color: modeColor }}>
+                  {getMarineServiceLabel(line.service)}
+                </Text>
+              )}
+              <Text
+                className="text-sm text-text-secondary mt-1"
+                numberOfLines={2}
+              >
+                {line.route_name}
+              </Text>
+            </View>
+          </View>
+
+          {/* Route Summary */}
+          {currentDirection && (
+            <View className="mt-4 pt-4 border-t border-gray-100">
+              <View className="flex-row items-center">
+                <Ionicons name="location" size={16} color={modeColor} />
+                <Text className="ml-2 text-sm text-text-secondary">
+                  {currentDirection.from}
+                </Text>
+              </View>
+              <View className="flex-row items-center mt-2">
+                <Ionicons name="navigate" size={16} color={colors.rta.blue} />
+                <Text className="ml-2 text-sm text-text-secondary">
+                  {currentDirection.to}
+                </Text>
+              </View>
+              <VariantList
+                variants={currentDirection.variants || []}
+                className="mt-3"
+              />
+            </View>
+          )}
+        </Card>
+
+        {/* Direction Tabs */}
+        {line.directions.length > 1 && (
+          <DirectionTabs
+            activeDirection={activeDirection}
+            onDirectionChange={setActiveDirection}
+            className="mb-4"
+          />
+        )}
+
+        {/* Stops List */}
+        <Card variant="flat" className="mb-6">
+          <StopsList
+            stops={stops}
+            directionName={currentDirection?.direction_name}
+            showHeader
+          />
+        </Card>
+      </ScrollView>
+    </ScreenContainer>
+  );
+}
@@ -0,0 +1,6 @@
+/**
+ * Line Components Index (tram & marine)
+ */
+
+export { LineCard } from "./LineCard";
+export { LineDetailsView } from "./LineDetailsView";
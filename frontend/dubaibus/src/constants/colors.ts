@@ -26,6 +26,10 @@ export const colors = {
     blueLight: "#339DD1",
   },
 
+  // Tram & Marine Colors
+  tram: "#00A19A",
+  marine: "#0093D0",
+
   // Background Colors
   background: {
     primary: "#F5F5F5",
@@ -18,6 +18,16 @@ export const routes = {
     details: (id: string) => `/metro/${id}` as const,
   },
 
+  tram: {
+    index: "/tram",
+    details: (id: string) => `/tram/${id}` as const,
+  },
+
+  marine: {
+    index: "/marine",
+    details: (id: string) => `/marine/${id}` as const,
+  },
+
   journey: {
     index: "/journey",
     details: "/journey/details",
@@ -36,6 +46,14 @@ export const screenTitles = {
     index: "Metro",
     details: "Metro Line",
   },
+  tram: {
+    index: "Tram",
+    details: "Tram Line",
+  },
+  marine: {
+    index: "Marine",
+    details: "Marine Route",
+  },
   journey: {
     index: "Journey Planner",
     details: "Journey Path",
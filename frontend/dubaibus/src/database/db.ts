@@ -2,23 +2,46 @@
  * Dubai Transit Offline Database Service
  *
  * This module handles all database operations for the offline app.
- * The database is bundled with the app and works without internet.
+ * The database is bundled with the app and works without internet;
+ * newer data releases replace it over the air (see DATA RELEASES).
  */
 
 import * as SQLite from "expo-sqlite";
 import { File, Directory, Paths } from "expo-file-system";
 import { Asset } from "expo-asset";
+import Constants from "expo-constants";
+import { ed25519 } from "@noble/curves/ed25519";
+import { sha256 } from "@noble/hashes/sha2";
+import { bytesToHex, hexToBytes, utf8ToBytes } from "@noble/hashes/utils";
+import {
+  verifyManifest,
+  type ManifestCheck,
+} from "../../../../shared/release-manifest";
+import releaseKeys from "../../../../shared/release-keys.json";
+import {
+  normalizeArabic,
+  normalizeSearchText,
+  searchTrigrams,
+  ftsQuery,
+  bestScore,
+  splitNames,
+  CANDIDATE_LIMIT,
+} from "../../../../shared/search-ranking";
 
 // Database name
 const DATABASE_NAME = "dubai_transit_offline.db";
 
+// The live database while a downloaded release replaces it
+const BACKUP_NAME = `${DATABASE_NAME}.backup`;
+
 // Database instance
 let db: SQLite.SQLiteDatabase | null = null;
 let initPromise: Promise<SQLite.SQLiteDatabase> | null = null;
 
 /**
  * Initialize the database
- * Copies the bundled database to the app's document directory if needed
+ * Copies the bundled database to the app's document directory if needed,
+ * and waits for a downloaded release being swapped in
  */
 export async function initDatabase(): Promise<SQLite.SQLiteDatabase> {
   if (db) return db;
@@ -30,6 +53,13 @@ export async function initDatabase(): Promise<SQLite.SQLiteDatabase> {
       const sqliteDir = new Directory(Paths.document, "SQLite");
       const dbFile = new File(sqliteDir, DATABASE_NAME);
 
+      // The app stopped half way through swapping in a release
+      const backupFile = new File(sqliteDir, BACKUP_NAME);
+      if (!dbFile.exists && backupFile.exists) {
+        backupFile.move(dbFile);
+        console.log("📦 Restored the database from before an update");
+      }
+
       // Check if database already exists and has content
       if (dbFile.exists && dbFile.size && dbFile.size > 0) {
         try {
@@ -82,14 +112,356 @@ export async function initDatabase(): Promise<SQLite.SQLiteDatabase> {
 
 /**
  * Get the database instance (must call initDatabase first)
+ * Waits while the database is opening or a downloaded release is being
+ * swapped in, so screens keep working through an update.
  */
-export function getDatabase(): SQLite.SQLiteDatabase {
+export async function getDatabase(): Promise<SQLite.SQLiteDatabase> {
+  if (initPromise) await initPromise.catch(() => {});
   if (!db) {
     throw new Error("Database not initialized. Call initDatabase() first.");
   }
   return db;
 }
 
+// ==========================================
+// SERVICE FREQUENCIES
+// ==========================================
+
+const WEEKDAY_COLUMNS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Format a date as a GTFS service date ("20250823")
+ */
+function toServiceDate(date: Date): string {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}${month}${day}`;
+}
+
+/**
+ * Check whether the bundled database has a table
+ * Older databases lack the timetable and frequency tables.
+ */
+async function hasTable(tableName: string): Promise<boolean> {
+  const database = await getDatabase();
+  const result = await database.getFirstAsync<{ count: number }>(
+    "SELECT COUNT(*) as count FROM sqlite_master WHERE type='table' AND name = ?",
+    [tableName]
+  );
+  return (result?.count || 0) > 0;
+}
+
+/**
+ * Check whether a table of the bundled database has a column
+ * Older databases lack the stop hierarchy (stops.parent_station).
+ */
+async function hasColumn(
+  tableName: string,
+  columnName: string
+): Promise<boolean> {
+  const database = await getDatabase();
+  const columns = await database.getAllAsync<{ name: string }>(
+    `PRAGMA table_info(${tableName})`
+  );
+  return columns.some((column) => column.name === columnName);
+}
+
+/**
+ * SQL for a pattern's trip count and variant kind, given the
+ * route_patterns alias ("rp." or "")
+ * Databases built before route variants lack both: patterns have no
+ * trip count, so the one with the most stops sorts first, and every
+ * pattern counts as a main route.
+ */
+async function patternVariantSql(
+  alias: string
+): Promise<{ tripCount: string; variant: string; busiest: string }> {
+  if (await hasColumn("route_patterns", "trip_count")) {
+    return {
+      tripCount: `${alias}trip_count`,
+      variant: `${alias}variant`,
+      busiest: `${alias}trip_count DESC`,
+    };
+  }
+  return {
+    tripCount: "0",
+    variant: "'main'",
+    busiest: `${alias}total_stops DESC`,
+  };
+}
+
+/**
+ * SQL condition matching a stop column against every platform and bay of
+ * a stop's station (the stop itself outside a station). Databases built
+ * before the stop hierarchy match stops sharing the exact name instead.
+ * Takes the stop ID twice as parameters.
+ */
+async function sameStationSql(column: string): Promise<string> {
+  if (await hasColumn("stops", "parent_station")) {
+    return `(${column} = ? OR ${column} IN (
+      SELECT s.stop_id FROM stops s
+      WHERE s.location_type = 0 AND s.parent_station = (
+        SELECT COALESCE(s2.parent_station, CASE WHEN s2.location_type = 1 THEN s2.stop_id END)
+        FROM stops s2 WHERE s2.stop_id = ?
+      )
+    ))`;
+  }
+  return `(${column} = ? OR ${column} IN (SELECT s.stop_id FROM stops s WHERE s.stop_name = (SELECT s2.stop_name FROM stops s2 WHERE s2.stop_id = ?)))`;
+}
+
+/**
+ * Get the headway (seconds) of every pattern running at a moment
+ * Reads the frequency bands computed by the offline database builder,
+ * keeping only services that run on that date (calendar + calendar_dates).
+ */
+async function getActiveHeadways(
+  date: Date = new Date()
+): Promise<{ pattern_id: number; route_id: string; headway_secs: number }[]> {
+  if (!(await hasTable("pattern_frequencies"))) return [];
+
+  const database = await getDatabase();
+  const serviceDate = toServiceDate(date);
+  const seconds =
+    date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+
+  // Without a calendar every service runs every day
+  const serviceFilter = (await hasTable("calendar"))
+    ? `AND pf.service_id IN (
+        SELECT service_id FROM calendar
+        WHERE ${WEEKDAY_COLUMNS[date.getDay()]} = 1
+          AND start_date <= ? AND end_date >= ?
+          AND service_id NOT IN (
+            SELECT service_id FROM calendar_dates WHERE date = ? AND exception_type = 2
+          )
+        UNION
+        SELECT service_id FROM calendar_dates WHERE date = ? AND exception_type = 1
+      )`
+    : "";
+
+  return await database.getAllAsync<{
+    pattern_id: number;
+    route_id: string;
+    headway_secs: number;
+  }>(
+    `
+    SELECT pf.pattern_id, rp.route_id, MIN(pf.headway_secs) as headway_secs
+    FROM pattern_frequencies pf
+    JOIN route_patterns rp ON pf.pattern_id = rp.pattern_id
+    WHERE pf.start_secs <= ? AND pf.end_secs > ?
+      ${serviceFilter}
+    GROUP BY pf.pattern_id
+  `,
+    serviceFilter
+      ? [seconds, seconds, serviceDate, serviceDate, serviceDate, serviceDate]
+      : [seconds, seconds]
+  );
+}
+
+/**
+ * Current headway in minutes per pattern
+ */
+async function getPatternHeadways(): Promise<Map<number, number>> {
+  const headways = new Map<number, number>();
+  for (const row of await getActiveHeadways()) {
+    headways.set(row.pattern_id, Math.round(row.headway_secs / 60));
+  }
+  return headways;
+}
+
+/**
+ * Current headway in minutes per route (most frequent direction)
+ */
+async function getRouteHeadways(): Promise<Map<string, number>> {
+  const headways = new Map<string, number>();
+  for (const row of await getActiveHeadways()) {
+    const minutes = Math.round(row.headway_secs / 60);
+    const current = headways.get(row.route_id);
+    if (current === undefined || minutes < current) {
+      headways.set(row.route_id, minutes);
+    }
+  }
+  return headways;
+}
+
+// ==========================================
+// TRANSPORT MODES
+// ==========================================
+
+export type TransportMode = "Bus" | "Metro" | "Tram" | "Marine";
+
+// Modes listed by route number on their own screens
+export type LineMode = "Tram" | "Marine";
+
+export type MarineService = "abra" | "ferry" | "water_bus" | "water_taxi";
+
+// route_type: 0 = Tram, 1 = Metro, 3 = Bus, 4 = Ferry (marine)
+const MODE_ROUTE_TYPES: Record<TransportMode, number> = {
+  Bus: 3,
+  Metro: 1,
+  Tram: 0,
+  Marine: 4,
+};
+
+// Marine services by route number prefix (CR1 = creek abra, FR1 = ferry)
+const MARINE_SERVICES: Record<string, MarineService> = {
+  CR: "abra",
+  FR: "ferry",
+  BM: "water_bus",
+  DC: "water_bus",
+  WT: "water_taxi",
+};
+
+/**
+ * Transport mode of a GTFS route type (unknown types are buses)
+ */
+export function getTransportMode(routeType: number): TransportMode {
+  const mode = (Object.keys(MODE_ROUTE_TYPES) as TransportMode[]).find(
+    (candidate) => MODE_ROUTE_TYPES[candidate] === routeType
+  );
+  return mode || "Bus";
+}
+
+/**
+ * Marine service of a route from its number ("CR3" -> "abra")
+ * Unknown prefixes are ferries.
+ */
+export function getMarineService(routeNumber: string): MarineService {
+  const prefix = routeNumber.replace(/[^A-Za-z]/g, "").toUpperCase();
+  return MARINE_SERVICES[prefix] || "ferry";
+}
+
+// ==========================================
+// TEXT SEARCH
+// ==========================================
+// Ranked like the API (shared/search-ranking.js): candidates sharing a
+// trigram with the query come from the FTS5 indexes (stop_search,
+// route_search) over normalized names; the best name decides. Databases
+// built before the indexes fall back to LIKE matching.
+
+/**
+ * SQL expression of an Arabic name column normalized like normalizeArabic
+ */
+function normalizedArabicSql(column: string): string {
+  return `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(${column}, 'أ', 'ا'), 'إ', 'ا'), 'آ', 'ا'), 'ة', 'ه'), 'ى', 'ي')`;
+}
+
+interface SearchRoute {
+  route_id: string;
+  route_short_name: string;
+  route_long_name: string;
+  route_color: string;
+}
+
+/**
+ * Search routes of some route types by number or name
+ * Numbers win: exact, then prefix, then containing the query; names are
+ * ranked like stop names.
+ */
+async function searchRoutes(
+  query: string,
+  routeTypes: number[]
+): Promise<SearchRoute[]> {
+  const database = await getDatabase();
+  const typeList = routeTypes.join(", ");
+
+  if (!(await hasTable("route_search"))) {
+    return database.getAllAsync<SearchRoute>(
+      `
+      SELECT route_id, route_short_name, route_long_name, route_color
+      FROM routes
+      WHERE route_type IN (${typeList}) AND (
+        route_short_name LIKE ? OR
+        route_long_name LIKE ?
+      )
+      ORDER BY
+        CASE
+          WHEN route_short_name = ? THEN 1
+          WHEN route_short_name LIKE ? THEN 2
+          ELSE 3
+        END,
+        route_short_name
+      LIMIT 20
+    `,
+      [`%${query}%`, `%${query}%`, query, `${query}%`]
+    );
+  }
+
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const match = ftsQuery(text);
+  const candidates = await database.getAllAsync<
+    SearchRoute & {
+      search_number: string;
+      search_name: string;
+      search_name_ar: string;
+    }
+  >(
+    `
+    SELECT
+      r.route_id, r.route_short_name, r.route_long_name, r.route_color,
+      rs.number AS search_number, rs.name AS search_name,
+      rs.name_ar AS search_name_ar
+    FROM route_search rs
+    JOIN routes r ON r.route_id = rs.route_id
+    WHERE r.route_type IN (${typeList}) AND (
+      rs.number LIKE ?
+      ${match ? "OR rs.rowid IN (SELECT rowid FROM route_search WHERE route_search MATCH ?)" : ""}
+    )
+    LIMIT ?
+  `,
+    [
+      `%${text}%`,
+      ...(match ? [`{name name_ar} : (${match})`] : []),
+      CANDIDATE_LIMIT,
+    ]
+  );
+
+  const queryTrigrams = searchTrigrams(text);
+  const numberScore = (number: string) => {
+    if (number === text) return 7;
+    if (number.startsWith(text)) return 6;
+    return number.includes(text) ? 5 : 0;
+  };
+
+  return candidates
+    .map((route) => ({
+      route,
+      score: Math.max(
+        numberScore(route.search_number),
+        bestScore(text, queryTrigrams, [
+          route.search_name,
+          route.search_name_ar,
+        ])
+      ),
+    }))
+    .filter((candidate) => candidate.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.route.route_short_name.localeCompare(
+          b.route.route_short_name,
+          undefined,
+          { numeric: true }
+        )
+    )
+    .slice(0, 20)
+    .map(({ route }) => ({
+      route_id: route.route_id,
+      route_short_name: route.route_short_name,
+      route_long_name: route.route_long_name,
+      route_color: route.route_color,
+    }));
+}
+
 // ==========================================
 // BUS QUERIES
 // ==========================================
@@ -99,16 +471,30 @@ export interface BusRoute {
   bus_number: string;
   route_name: string;
   route_color: string;
+  // Minutes between buses right now (null when not running)
+  headway_minutes?: number | null;
 }
 
 export interface Stop {
   stop_id: string;
   stop_name: string;
+  stop_name_ar?: string | null;
   stop_lat: number;
   stop_lon: number;
   stop_sequence?: number;
 }
 
+export interface RouteVariant {
+  pattern_id: number;
+  variant: string;
+  trip_count: number;
+  headsign: string;
+  from: string;
+  to: string;
+  total_stops: number;
+  stops: Stop[];
+}
+
 export interface RouteDirection {
   direction_id: number;
   direction_name: string;
@@ -117,6 +503,10 @@ export interface RouteDirection {
   to: string;
   total_stops: number;
   stops: Stop[];
+  // Main pattern of the direction and its other stop patterns
+  pattern_id?: number;
+  trip_count?: number;
+  variants?: RouteVariant[];
 }
 
 export interface BusDetails {
@@ -131,7 +521,7 @@ export interface BusDetails {
  * Get all bus routes
  */
 export async function getAllBuses(): Promise<BusRoute[]> {
-  const database = getDatabase();
+  const database = await getDatabase();
   const result = await database.getAllAsync<BusRoute>(`
     SELECT 
       route_id, 
@@ -147,80 +537,57 @@ export async function getAllBuses(): Promise<BusRoute[]> {
       END,
       route_short_name
   `);
-  return result;
+
+  const headways = await getRouteHeadways();
+  return result.map((bus) => ({
+    ...bus,
+    headway_minutes: headways.get(bus.route_id) ?? null,
+  }));
 }
 
 /**
- * Search buses by number
+ * Search buses by number or name, tolerating typos
  */
 export async function searchBuses(query: string): Promise<BusRoute[]> {
-  const database = getDatabase();
-  const result = await database.getAllAsync<BusRoute>(
-    `
-    SELECT 
-      route_id, 
-      route_short_name as bus_number, 
-      route_long_name as route_name, 
-      route_color
-    FROM routes 
-    WHERE route_type = 3 AND (
-      route_short_name LIKE ? OR 
-      route_short_name = ? OR
-      route_long_name LIKE ?
-    )
-    ORDER BY 
-      CASE 
-        WHEN route_short_name = ? THEN 1
-        WHEN route_short_name LIKE ? THEN 2
-        ELSE 3
-      END,
-      route_short_name
-    LIMIT 20
-  `,
-    [`%${query}%`, query, `%${query}%`, query, `${query}%`]
-  );
-  return result;
+  const result = await searchRoutes(query, [MODE_ROUTE_TYPES.Bus]);
+
+  const headways = await getRouteHeadways();
+  return result.map((route) => ({
+    route_id: route.route_id,
+    bus_number: route.route_short_name,
+    route_name: route.route_long_name,
+    route_color: route.route_color,
+    headway_minutes: headways.get(route.route_id) ?? null,
+  }));
 }
 
 /**
- * Get bus details with all stops (up and down directions)
+ * Get the directions of a route with their stops
+ * Each direction shows its main pattern (the one most trips follow);
+ * short-turns, express runs and branches are listed as variants.
  */
-export async function getBusDetails(
-  busNumber: string
-): Promise<BusDetails | null> {
-  const database = getDatabase();
-
-  // Get route info
-  const route = await database.getFirstAsync<BusRoute>(
-    `
-    SELECT route_id, route_short_name as bus_number, route_long_name as route_name, route_color
-    FROM routes 
-    WHERE (route_short_name = ? OR route_id = ?) AND route_type = 3
-  `,
-    [busNumber, busNumber]
-  );
-
-  if (!route) {
-    return null;
-  }
+async function getRouteDirections(routeId: string): Promise<RouteDirection[]> {
+  const database = await getDatabase();
+  const { tripCount, variant, busiest } = await patternVariantSql("");
 
-  // Get patterns (directions)
   const patterns = await database.getAllAsync<{
     pattern_id: number;
     direction_id: number;
     headsign: string;
     total_stops: number;
+    trip_count: number;
+    variant: string;
   }>(
     `
-    SELECT pattern_id, direction_id, headsign, total_stops
+    SELECT pattern_id, direction_id, headsign, total_stops,
+      ${tripCount} as trip_count, ${variant} as variant
     FROM route_patterns 
     WHERE route_id = ?
-    ORDER BY direction_id
+    ORDER BY direction_id, ${busiest}, pattern_id
   `,
-    [route.route_id]
+    [routeId]
   );
 
-  // Get stops for each direction
   const directions: RouteDirection[] = [];
 
   for (const pattern of patterns) {
@@ -242,19 +609,67 @@ export async function getBusDetails(
 
     const firstStop = stops[0];
     const lastStop = stops[stops.length - 1];
+    const headsign =
+      pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : "");
+
+    // Patterns are sorted busiest first, so the first one is the main pattern
+    const current = directions[directions.length - 1];
+    if (current && current.direction_id === pattern.direction_id) {
+      current.variants?.push({
+        pattern_id: pattern.pattern_id,
+        variant: pattern.variant,
+        trip_count: pattern.trip_count,
+        headsign,
+        from: firstStop?.stop_name || "",
+        to: lastStop?.stop_name || "",
+        total_stops: stops.length,
+        stops,
+      });
+      continue;
+    }
 
     directions.push({
       direction_id: pattern.direction_id,
       direction_name: pattern.direction_id === 0 ? "Upward" : "Downward",
-      headsign:
-        pattern.headsign || (lastStop ? `To ${lastStop.stop_name}` : ""),
+      headsign,
       from: firstStop?.stop_name || "",
       to: lastStop?.stop_name || "",
       total_stops: stops.length,
       stops,
+      pattern_id: pattern.pattern_id,
+      trip_count: pattern.trip_count,
+      variants: [],
     });
   }
 
+  return directions;
+}
+
+/**
+ * Get bus details with all stops (up and down directions)
+ */
+export async function getBusDetails(
+  busNumber: string
+): Promise<BusDetails | null> {
+  const database = await getDatabase();
+
+  // Get route info
+  const route = await database.getFirstAsync<BusRoute>(
+    `
+    SELECT route_id, route_short_name as bus_number, route_long_name as route_name, route_color
+    FROM routes 
+    WHERE (route_short_name = ? OR route_id = ?) AND route_type = 3
+  `,
+    [busNumber, busNumber]
+  );
+
+  if (!route) {
+    return null;
+  }
+
+  // Get stops for each direction
+  const directions = await getRouteDirections(route.route_id);
+
   return {
     ...route,
     directions,
@@ -289,7 +704,8 @@ export interface MetroDetails {
  * Get all metro lines
  */
 export async function getAllMetroLines(): Promise<MetroLine[]> {
-  const database = getDatabase();
+  const database = await getDatabase();
+  const { busiest } = await patternVariantSql("");
 
   const lines = await database.getAllAsync<{
     line_id: string;
@@ -316,6 +732,8 @@ export async function getAllMetroLines(): Promise<MetroLine[]> {
       SELECT first_stop_id, last_stop_id, total_stops
       FROM route_patterns
       WHERE route_id = ? AND direction_id = 0
+      ORDER BY ${busiest}
+      LIMIT 1
     `,
       [line.route_id]
     );
@@ -355,7 +773,7 @@ export async function getAllMetroLines(): Promise<MetroLine[]> {
 export async function getMetroDetails(
   lineId: string
 ): Promise<MetroDetails | null> {
-  const database = getDatabase();
+  const database = await getDatabase();
 
   // Get line info
   const line = await database.getFirstAsync<{
@@ -377,59 +795,129 @@ export async function getMetroDetails(
     return null;
   }
 
-  // Get patterns (directions)
-  const patterns = await database.getAllAsync<{
-    pattern_id: number;
-    direction_id: number;
-    headsign: string;
-    total_stops: number;
-  }>(
+  // Get stations for each direction
+  const directions = await getRouteDirections(line.route_id);
+
+  return {
+    ...line,
+    directions,
+  };
+}
+
+// ==========================================
+// TRAM & MARINE QUERIES
+// ==========================================
+
+export interface TransitLine {
+  route_id: string;
+  route_number: string;
+  route_name: string;
+  route_color: string;
+  // Marine routes only
+  service?: MarineService;
+  // Minutes between departures right now (null when not running)
+  headway_minutes?: number | null;
+}
+
+export interface TransitLineDetails {
+  route_id: string;
+  route_number: string;
+  route_name: string;
+  route_color: string;
+  service?: MarineService;
+  directions: RouteDirection[];
+}
+
+/**
+ * Add the marine service to marine routes
+ */
+function describeLine<T extends { route_number: string }>(
+  mode: LineMode,
+  line: T
+): T & { service?: MarineService } {
+  return mode === "Marine"
+    ? { ...line, service: getMarineService(line.route_number) }
+    : line;
+}
+
+/**
+ * Get all lines of a mode (tram lines or marine routes)
+ */
+export async function getLines(mode: LineMode): Promise<TransitLine[]> {
+  const database = await getDatabase();
+  const result = await database.getAllAsync<TransitLine>(
     `
-    SELECT pattern_id, direction_id, headsign, total_stops
-    FROM route_patterns 
-    WHERE route_id = ?
-    ORDER BY direction_id
+    SELECT
+      route_id,
+      route_short_name as route_number,
+      route_long_name as route_name,
+      route_color
+    FROM routes
+    WHERE route_type = ?
+    ORDER BY route_short_name
   `,
-    [line.route_id]
+    [MODE_ROUTE_TYPES[mode]]
   );
 
-  // Get stations for each direction
-  const directions: RouteDirection[] = [];
+  const headways = await getRouteHeadways();
+  return result.map((line) => ({
+    ...describeLine(mode, line),
+    headway_minutes: headways.get(line.route_id) ?? null,
+  }));
+}
 
-  for (const pattern of patterns) {
-    const stations = await database.getAllAsync<Stop>(
-      `
-      SELECT 
-        ps.stop_sequence,
-        s.stop_id,
-        s.stop_name,
-        s.stop_lat,
-        s.stop_lon
-      FROM pattern_stops ps
-      JOIN stops s ON ps.stop_id = s.stop_id
-      WHERE ps.pattern_id = ?
-      ORDER BY ps.stop_sequence
-    `,
-      [pattern.pattern_id]
-    );
+/**
+ * Search the lines of a mode by number or name, tolerating typos
+ */
+export async function searchLines(
+  mode: LineMode,
+  query: string
+): Promise<TransitLine[]> {
+  const result = await searchRoutes(query, [MODE_ROUTE_TYPES[mode]]);
+
+  const headways = await getRouteHeadways();
+  return result.map((route) => ({
+    ...describeLine(mode, {
+      route_id: route.route_id,
+      route_number: route.route_short_name,
+      route_name: route.route_long_name,
+      route_color: route.route_color,
+    }),
+    headway_minutes: headways.get(route.route_id) ?? null,
+  }));
+}
 
-    const firstStation = stations[0];
-    const lastStation = stations[stations.length - 1];
+/**
+ * Get a tram line or marine route with all stops (both directions)
+ */
+export async function getLineDetails(
+  mode: LineMode,
+  lineNumber: string
+): Promise<TransitLineDetails | null> {
+  const database = await getDatabase();
 
-    directions.push({
-      direction_id: pattern.direction_id,
-      direction_name: pattern.direction_id === 0 ? "Upward" : "Downward",
-      headsign:
-        pattern.headsign || (lastStation ? `To ${lastStation.stop_name}` : ""),
-      from: firstStation?.stop_name || "",
-      to: lastStation?.stop_name || "",
-      total_stops: stations.length,
-      stops: stations,
-    });
+  const line = await database.getFirstAsync<{
+    route_id: string;
+    route_number: string;
+    route_name: string;
+    route_color: string;
+  }>(
+    `
+    SELECT route_id, route_short_name as route_number, route_long_name as route_name, route_color
+    FROM routes
+    WHERE (route_short_name = ? OR route_id = ?) AND route_type = ?
+  `,
+    [lineNumber, lineNumber, MODE_ROUTE_TYPES[mode]]
+  );
+
+  if (!line) {
+    return null;
   }
 
+  const directions = await getRouteDirections(line.route_id);
+
   return {
-    ...line,
+    ...describeLine(mode, line),
     directions,
   };
 }
@@ -439,44 +927,257 @@ export async function getMetroDetails(
 // ==========================================
 
 /**
- * Search stops by name, with optional filtering by transport type
+ * Search stops by name, Arabic name or alias (MOE, DXB), tolerating
+ * typos, optionally only stops served by some modes
+ * A station stands for its platforms and bays, which still match by name.
  */
 export async function searchStops(
   query: string,
-  transportType?: "Bus" | "Metro"
+  modes?: TransportMode | TransportMode[]
 ): Promise<Stop[]> {
-  const database = getDatabase();
+  const database = await getDatabase();
 
-  const fuzzyPattern = `%${query.trim().toLowerCase()}%`;
+  const routeTypes = (
+    modes === undefined ? [] : Array.isArray(modes) ? modes : [modes]
+  ).map((mode) => MODE_ROUTE_TYPES[mode]);
+
+  if (!(await hasTable("stop_search"))) {
+    return likeSearchStops(query, routeTypes);
+  }
+
+  const text = normalizeSearchText(query);
+  if (!text) return [];
 
-  // route_type: 1 = Metro, 3 = Bus
   const typeFilter =
-    transportType === "Metro"
-      ? "AND s.stop_id IN (SELECT stop_id FROM stop_routes sr JOIN routes r ON sr.route_id = r.route_id WHERE r.route_type = 1)"
-      : transportType === "Bus"
-      ? "AND s.stop_id IN (SELECT stop_id FROM stop_routes sr JOIN routes r ON sr.route_id = r.route_id WHERE r.route_type = 3)"
+    routeTypes.length > 0
+      ? `AND s.stop_id IN (SELECT stop_id FROM stop_routes sr JOIN routes r ON sr.route_id = r.route_id WHERE r.route_type IN (${routeTypes.join(", ")}))`
       : "";
 
+  const match = ftsQuery(text);
+  const candidates = await database.getAllAsync<
+    Stop & {
+      search_name: string;
+      search_name_ar: string;
+      other_names: string;
+      aliases: string;
+    }
+  >(
+    `
+    SELECT
+      s.stop_id, s.stop_name, s.stop_name_ar, s.stop_lat, s.stop_lon,
+      ss.name AS search_name, ss.name_ar AS search_name_ar,
+      ss.other_names, ss.aliases
+    FROM stop_search ss
+    JOIN stops s ON s.stop_id = ss.stop_id
+    WHERE ${match ? "stop_search MATCH ?" : "(ss.name LIKE ? OR ss.other_names LIKE ? OR ss.name_ar LIKE ? OR ss.aliases LIKE ?)"}
+      ${typeFilter}
+    ORDER BY ${match ? "bm25(stop_search)" : "LENGTH(s.stop_name)"}
+    LIMIT ?
+  `,
+    [
+      ...(match ? [match] : Array<string>(4).fill(`%${text}%`)),
+      CANDIDATE_LIMIT,
+    ]
+  );
+
+  const queryTrigrams = searchTrigrams(text);
+
+  return candidates
+    .map((stop) => ({
+      stop,
+      score: bestScore(text, queryTrigrams, [
+        stop.search_name,
+        stop.search_name_ar,
+        ...splitNames(stop.other_names),
+        ...splitNames(stop.aliases),
+      ]),
+    }))
+    .filter((candidate) => candidate.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.stop.stop_name.length - b.stop.stop_name.length ||
+        a.stop.stop_name.localeCompare(b.stop.stop_name)
+    )
+    .slice(0, 20)
+    .map(({ stop }) => ({
+      stop_id: stop.stop_id,
+      stop_name: stop.stop_name,
+      stop_name_ar: stop.stop_name_ar,
+      stop_lat: stop.stop_lat,
+      stop_lon: stop.stop_lon,
+    }));
+}
+
+/**
+ * Stop search for databases without the search index
+ */
+async function likeSearchStops(
+  query: string,
+  routeTypes: number[]
+): Promise<Stop[]> {
+  const database = await getDatabase();
+
+  const arabic = /[\u0600-\u06FF]/.test(query);
+  const term = (arabic ? normalizeArabic(query) : query).trim().toLowerCase();
+  const fuzzyPattern = `%${term}%`;
+  const name = (alias: string) =>
+    arabic
+      ? normalizedArabicSql(`${alias}stop_name_ar`)
+      : `LOWER(${alias}stop_name)`;
+
+  const typeFilter =
+    routeTypes.length > 0
+      ? `AND s.stop_id IN (SELECT stop_id FROM stop_routes sr JOIN routes r ON sr.route_id = r.route_id WHERE r.route_type IN (${routeTypes.join(", ")}))`
+      : "";
+
+  const stations = await hasColumn("stops", "parent_station");
+  const nameFilter = stations
+    ? `s.parent_station IS NULL AND s.location_type IN (0, 1) AND (
+        ${name("s.")} LIKE ? OR
+        s.stop_id IN (SELECT parent_station FROM stops WHERE ${name("")} LIKE ?)
+      )`
+    : `${name("s.")} LIKE ?`;
+
   const result = await database.getAllAsync<Stop>(
     `
-    SELECT DISTINCT s.stop_id, s.stop_name, s.stop_lat, s.stop_lon
+    SELECT DISTINCT s.stop_id, s.stop_name, s.stop_name_ar, s.stop_lat, s.stop_lon
     FROM stops s
-    WHERE LOWER(s.stop_name) LIKE ? ${typeFilter}
+    WHERE ${nameFilter} ${typeFilter}
     ORDER BY 
       CASE 
-        WHEN LOWER(s.stop_name) = ? THEN 1
-        WHEN LOWER(s.stop_name) LIKE ? THEN 2
+        WHEN ${name("s.")} = ? THEN 1
+        WHEN ${name("s.")} LIKE ? THEN 2
         ELSE 3
       END,
       LENGTH(s.stop_name) ASC
     LIMIT 20
   `,
-    [fuzzyPattern, query.toLowerCase(), `${query.toLowerCase()}%`]
+    [
+      ...(stations ? [fuzzyPattern, fuzzyPattern] : [fuzzyPattern]),
+      term,
+      `${term}%`,
+    ]
   );
 
   return result;
 }
 
+// A stop near a place and the walk to it
+export interface PlaceStop {
+  stop_id: string;
+  stop_name: string;
+  distance_m: number;
+  walk_secs: number;
+}
+
+// Place (landmark) riders search by, with its nearest stops
+export interface Place {
+  place_id: string;
+  place_name: string;
+  place_name_ar?: string | null;
+  category: string;
+  place_lat: number;
+  place_lon: number;
+  nearest_stops: PlaceStop[];
+}
+
+/**
+ * Search places (landmarks like "Dubai Mall" or "Rashid Hospital") by
+ * name, English or Arabic, optionally only places near a stop served by
+ * some modes
+ * Databases built before places have none.
+ */
+export async function searchPlaces(
+  query: string,
+  modes?: TransportMode | TransportMode[]
+): Promise<Place[]> {
+  const database = await getDatabase();
+
+  if (!(await hasTable("place_search"))) return [];
+
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const routeTypes = (
+    modes === undefined ? [] : Array.isArray(modes) ? modes : [modes]
+  ).map((mode) => MODE_ROUTE_TYPES[mode]);
+
+  const typeFilter =
+    routeTypes.length > 0
+      ? `AND p.place_id IN (SELECT ps.place_id FROM place_stops ps JOIN stop_routes sr ON sr.stop_id = ps.stop_id JOIN routes r ON sr.route_id = r.route_id WHERE r.route_type IN (${routeTypes.join(", ")}))`
+      : "";
+
+  const match = ftsQuery(text);
+  const candidates = await database.getAllAsync<
+    Omit<Place, "nearest_stops"> & {
+      search_name: string;
+      search_name_ar: string;
+    }
+  >(
+    `
+    SELECT
+      p.place_id, p.place_name, p.place_name_ar, p.category,
+      p.place_lat, p.place_lon,
+      pls.name AS search_name, pls.name_ar AS search_name_ar
+    FROM place_search pls
+    JOIN places p ON p.place_id = pls.place_id
+    WHERE ${match ? "place_search MATCH ?" : "(pls.name LIKE ? OR pls.name_ar LIKE ?)"}
+      ${typeFilter}
+    LIMIT ?
+  `,
+    [
+      ...(match ? [match] : Array<string>(2).fill(`%${text}%`)),
+      CANDIDATE_LIMIT,
+    ]
+  );
+
+  const queryTrigrams = searchTrigrams(text);
+
+  const places = candidates
+    .map((place) => ({
+      place,
+      score: bestScore(text, queryTrigrams, [
+        place.search_name,
+        place.search_name_ar,
+      ]),
+    }))
+    .filter((candidate) => candidate.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.place.place_name.length - b.place.place_name.length ||
+        a.place.place_name.localeCompare(b.place.place_name)
+    )
+    .slice(0, 10)
+    .map(({ place }) => place);
+
+  if (places.length === 0) return [];
+
+  const stops = await database.getAllAsync<PlaceStop & { place_id: string }>(
+    `
+    SELECT ps.place_id, s.stop_id, s.stop_name, ps.distance_m, ps.walk_secs
+    FROM place_stops ps
+    JOIN stops s ON s.stop_id = ps.stop_id
+    WHERE ps.place_id IN (${places.map(() => "?").join(", ")})
+    ORDER BY ps.distance_m
+  `,
+    places.map((place) => place.place_id)
+  );
+
+  return places.map((place) => ({
+    place_id: place.place_id,
+    place_name: place.place_name,
+    place_name_ar: place.place_name_ar,
+    category: place.category,
+    place_lat: place.place_lat,
+    place_lon: place.place_lon,
+    nearest_stops: stops
+      .filter((stop) => stop.place_id === place.place_id)
+      .map(({ place_id, ...stop }) => stop),
+  }));
+}
+
 /**
  * Get all routes serving a specific stop
  */
@@ -490,7 +1191,7 @@ export async function getRoutesAtStop(stopId: string): Promise<{
     headsign: string;
   }>;
 }> {
-  const database = getDatabase();
+  const database = await getDatabase();
 
   const stop = await database.getFirstAsync<Stop>(
     "SELECT stop_id, stop_name, stop_lat, stop_lon FROM stops WHERE stop_id = ?",
@@ -501,11 +1202,16 @@ export async function getRoutesAtStop(stopId: string): Promise<{
     throw new Error("Stop not found");
   }
 
-  const routes = await database.getAllAsync<{
+  // Every variant stopping here (or at another platform or bay of the
+  // station), busiest first within a route direction
+  const stopFilter = await sameStationSql("ps.stop_id");
+  const { tripCount, busiest } = await patternVariantSql("rp.");
+  const patterns = await database.getAllAsync<{
     route_id: string;
     route_short_name: string;
     route_type: number;
     route_color: string;
+    direction_id: number;
     headsign: string;
   }>(
     `
@@ -514,22 +1220,33 @@ export async function getRoutesAtStop(stopId: string): Promise<{
       r.route_short_name,
       r.route_type,
       r.route_color,
-      rp.headsign
-    FROM stop_routes sr
-    JOIN routes r ON sr.route_id = r.route_id
-    LEFT JOIN route_patterns rp ON r.route_id = rp.route_id AND sr.direction_id = rp.direction_id
-    WHERE sr.stop_id = ?
-    ORDER BY r.route_type, r.route_short_name
+      rp.direction_id,
+      rp.headsign,
+      ${tripCount} as trip_count
+    FROM pattern_stops ps
+    JOIN route_patterns rp ON ps.pattern_id = rp.pattern_id
+    JOIN routes r ON rp.route_id = r.route_id
+    WHERE ${stopFilter}
+    ORDER BY r.route_type, r.route_short_name, rp.direction_id, ${busiest}
   `,
-    [stopId]
+    [stopId, stopId]
   );
 
+  // One entry per route direction
+  const seen = new Set<string>();
+  const routes = patterns.filter((p) => {
+    const key = `${p.route_id}|${p.direction_id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
   return {
     stop,
     routes: routes.map((r) => ({
       route_id: r.route_id,
       route_name: r.route_short_name,
-      transport_type: r.route_type === 1 ? "Metro" : "Bus",
+      transport_type: getTransportMode(r.route_type),
       color: r.route_color,
       headsign: r.headsign || "",
     })),
@@ -544,7 +1261,7 @@ export interface FoundRoute {
   type: "direct" | "transfer";
   route_id: string;
   route_name: string;
-  transport_type: "Bus" | "Metro";
+  transport_type: TransportMode;
   color: string;
   from_stop_id: string;
   from_stop: string;
@@ -562,9 +1279,489 @@ export interface FoundRoute {
   leg2_route_id?: string;
   leg2_name?: string;
   leg2_color?: string;
+  leg2_transport_type?: TransportMode;
   leg2_pattern_id?: number;
   leg2_from_seq?: number;
   leg2_to_seq?: number;
+  // Walking transfer (leg 2 boards at a nearby stop)
+  leg2_from_stop_id?: string;
+  leg2_from_stop_name?: string;
+  transfer_walk_meters?: number;
+  transfer_walk_secs?: number;
+  // Walks from a place to the first stop and from the last stop to a
+  // place (journeys to or from places)
+  start_place?: string;
+  start_walk_meters?: number;
+  start_walk_secs?: number;
+  end_place?: string;
+  end_walk_meters?: number;
+  end_walk_secs?: number;
+  // Minutes between vehicles right now (null when not running)
+  headway_minutes?: number | null;
+  leg2_headway_minutes?: number | null;
+  // Estimated minutes on board, waiting (half the headway) and in total
+  in_vehicle_minutes?: number | null;
+  wait_minutes?: number;
+  duration_minutes?: number | null;
+  // Nol fare per card class (null for databases without fares)
+  fare?: JourneyFare | null;
+}
+
+export type JourneyPreference = "fewest_transfers" | "fastest" | "least_walking";
+
+export interface JourneyPreferences {
+  /** Modes every leg may use (default: all) */
+  modes?: TransportMode[];
+  /** Longest walk in meters (transfers and to or from places) */
+  maxWalkMeters?: number;
+  /** Route IDs or numbers not to ride */
+  avoidRoutes?: string[];
+  /** How routes are ranked (default: fewest_transfers) */
+  prefer?: JourneyPreference;
+}
+
+/**
+ * SQL conditions limiting a routes table alias to the preferred modes
+ * and leaving out avoided routes (by ID or number)
+ */
+function routeFilter(
+  alias: string,
+  preferences: JourneyPreferences
+): { sql: string; params: (string | number)[] } {
+  const conditions: string[] = [];
+  const params: (string | number)[] = [];
+
+  if (preferences.modes && preferences.modes.length > 0) {
+    const types = preferences.modes.map((mode) => MODE_ROUTE_TYPES[mode]);
+    conditions.push(
+      `${alias}.route_type IN (${types.map(() => "?").join(", ")})`
+    );
+    params.push(...types);
+  }
+
+  const avoid = (preferences.avoidRoutes || []).map((r) => r.toLowerCase());
+  if (avoid.length > 0) {
+    const placeholders = avoid.map(() => "?").join(", ");
+    conditions.push(
+      `LOWER(${alias}.route_id) NOT IN (${placeholders}) AND LOWER(${alias}.route_short_name) NOT IN (${placeholders})`
+    );
+    params.push(...avoid, ...avoid);
+  }
+
+  return {
+    sql: conditions.map((condition) => `AND ${condition}`).join(" "),
+    params,
+  };
+}
+
+/**
+ * Typical riding time (seconds) between two stops of a pattern
+ * Sums the median run times, plus the dwell at the stops in between.
+ * Returns null when the database has no run times for the ride (or
+ * none at all, when built before run times).
+ */
+async function getRideSeconds(
+  patternId: number,
+  fromSeq: number,
+  toSeq: number
+): Promise<number | null> {
+  if (!(await hasColumn("pattern_stops", "run_secs"))) return null;
+
+  const database = await getDatabase();
+  const result = await database.getFirstAsync<{
+    run_secs: number | null;
+    dwell_secs: number | null;
+  }>(
+    `
+    SELECT
+      SUM(CASE WHEN stop_sequence > ? THEN run_secs END) as run_secs,
+      SUM(CASE WHEN stop_sequence > ? AND stop_sequence < ? THEN dwell_secs END) as dwell_secs
+    FROM pattern_stops
+    WHERE pattern_id = ? AND stop_sequence >= ? AND stop_sequence <= ?
+  `,
+    [fromSeq, fromSeq, toSeq, patternId, fromSeq, toSeq]
+  );
+
+  if (result?.run_secs == null) return null;
+  return result.run_secs + (result.dwell_secs ?? 0);
+}
+
+// Nol fare of a journey per card class (null when a class does not apply,
+// e.g. Gold without a metro ride)
+export type CardClass = "red" | "silver" | "gold" | "concession";
+
+export interface JourneyFare {
+  currency: string;
+  /** Where the prices come from: the feed's fares or the local zone table */
+  source: "gtfs" | "nol_zones";
+  version: string | null;
+  zones: number;
+  charged_trips: number;
+  classes: Partial<Record<CardClass, number | null>>;
+}
+
+interface FareClass {
+  card_class: CardClass;
+  routeTypes: number[] | null;
+  prices: number[];
+}
+
+interface FeedFare {
+  fare_id: string;
+  price: number;
+  transfers: number | null;
+  transfer_duration: number | null;
+  contains: string[];
+  rules: {
+    route_id: string | null;
+    origin_id: string | null;
+    destination_id: string | null;
+  }[];
+}
+
+interface FareTable {
+  version: string | null;
+  currency: string;
+  transferWindowSecs: number;
+  classes: FareClass[];
+  feed: FeedFare[] | null;
+}
+
+// A ride as fares see it: zones passed in order, and departure / arrival
+// in seconds from the start of the journey (null when unknown)
+interface FareRide {
+  route_id: string;
+  route_type: number;
+  zones: string[];
+  departure: number | null;
+  arrival: number | null;
+}
+
+interface FareCharge {
+  fare: FeedFare | null;
+  price: number | null;
+  zones: Set<string>;
+  transfers: number;
+  start: number | null;
+}
+
+// Class feed prices are given in
+const STANDARD_CLASS: CardClass = "silver";
+
+let fareTable: Promise<FareTable | null> | null = null;
+
+/**
+ * Load the Nol card classes and any feed fares from the database
+ * Returns null for databases built before fares existed.
+ */
+async function loadFareTable(): Promise<FareTable | null> {
+  if (!(await hasTable("fare_prices"))) return null;
+
+  const database = await getDatabase();
+  const settings = new Map(
+    (
+      await database.getAllAsync<{ key: string; value: string }>(
+        "SELECT key, value FROM fare_settings"
+      )
+    ).map((row) => [row.key, row.value])
+  );
+
+  const classRows = await database.getAllAsync<{
+    card_class: CardClass;
+    route_types: string | null;
+  }>("SELECT card_class, route_types FROM fare_classes ORDER BY rowid");
+  const priceRows = await database.getAllAsync<{
+    card_class: CardClass;
+    price: number;
+  }>("SELECT card_class, price FROM fare_prices ORDER BY zones");
+
+  const classes = classRows.map((row) => ({
+    card_class: row.card_class,
+    routeTypes: row.route_types ? row.route_types.split(",").map(Number) : null,
+    prices: priceRows
+      .filter((price) => price.card_class === row.card_class)
+      .map((price) => price.price),
+  }));
+
+  const fares = await database.getAllAsync<{
+    fare_id: string;
+    price: number;
+    transfers: number | null;
+    transfer_duration: number | null;
+  }>(
+    "SELECT fare_id, price, transfers, transfer_duration FROM fare_attributes"
+  );
+  const rules = await database.getAllAsync<{
+    fare_id: string;
+    route_id: string | null;
+    origin_id: string | null;
+    destination_id: string | null;
+    contains_id: string | null;
+  }>("SELECT * FROM fare_rules");
+
+  const feed = fares.map((fare) => {
+    const fareRules = rules.filter((rule) => rule.fare_id === fare.fare_id);
+    return {
+      ...fare,
+      rules: fareRules,
+      contains: fareRules
+        .map((rule) => rule.contains_id)
+        .filter((zone): zone is string => !!zone),
+    };
+  });
+
+  return {
+    version: settings.get("version") ?? null,
+    currency: settings.get("currency") ?? "AED",
+    transferWindowSecs:
+      (parseInt(settings.get("transfer_window_minutes") ?? "", 10) || 30) * 60,
+    classes,
+    feed: feed.length > 0 ? feed : null,
+  };
+}
+
+/**
+ * Get the cached fare table, loading it on first use
+ */
+function getFareTable(): Promise<FareTable | null> {
+  if (!fareTable) {
+    fareTable = loadFareTable();
+  }
+  return fareTable;
+}
+
+/**
+ * Fare zones passed between two stops of a pattern, in order
+ */
+async function getRideZones(
+  patternId: number,
+  fromSeq: number,
+  toSeq: number
+): Promise<string[]> {
+  const database = await getDatabase();
+  const rows = await database.getAllAsync<{ zone_id: string | null }>(
+    `
+    SELECT s.zone_id
+    FROM pattern_stops ps
+    JOIN stops s ON ps.stop_id = s.stop_id
+    WHERE ps.pattern_id = ? AND ps.stop_sequence >= ? AND ps.stop_sequence <= ?
+    ORDER BY ps.stop_sequence
+  `,
+    [patternId, fromSeq, toSeq]
+  );
+  return rows
+    .map((row) => row.zone_id)
+    .filter((zone): zone is string => !!zone);
+}
+
+/**
+ * Price of a class for a number of zones (the last band covers the rest)
+ */
+function classPrice(fareClass: FareClass, zones: number): number {
+  const prices = fareClass.prices;
+  return prices[Math.min(Math.max(zones, 1), prices.length) - 1];
+}
+
+/**
+ * Split rides into charged trips by the Nol transfer window
+ */
+function zoneCharges(table: FareTable, rides: FareRide[]): FareCharge[] {
+  const charges: FareCharge[] = [];
+  let current: FareCharge | null = null;
+  let lastArrival: number | null = null;
+
+  for (const ride of rides) {
+    const missedTransfer =
+      ride.departure !== null &&
+      lastArrival !== null &&
+      ride.departure - lastArrival > table.transferWindowSecs;
+
+    if (!current || missedTransfer) {
+      current = {
+        fare: null,
+        price: null,
+        zones: new Set(),
+        transfers: 0,
+        start: null,
+      };
+      charges.push(current);
+    }
+
+    for (const zone of ride.zones) current.zones.add(zone);
+    lastArrival = ride.arrival;
+  }
+
+  return charges;
+}
+
+/**
+ * Charge rides with the feed's fares, the next ride riding free on the
+ * current fare while its transfers and transfer_duration allow
+ * Returns null when a ride matches no fare.
+ */
+function feedCharges(
+  feed: FeedFare[],
+  rides: FareRide[]
+): FareCharge[] | null {
+  const charges: FareCharge[] = [];
+  let current: FareCharge | null = null;
+
+  for (const ride of rides) {
+    const origin = ride.zones[0];
+    const destination = ride.zones[ride.zones.length - 1];
+    const fares = feed.filter(
+      (fare) =>
+        (fare.contains.length === 0 ||
+          ride.zones.every((zone) => fare.contains.includes(zone))) &&
+        fare.rules.some(
+          (rule) =>
+            (!rule.route_id || rule.route_id === ride.route_id) &&
+            (!rule.origin_id || rule.origin_id === origin) &&
+            (!rule.destination_id || rule.destination_id === destination)
+        )
+    );
+    if (fares.length === 0) return null;
+
+    const fare = current?.fare;
+    if (
+      current &&
+      fare &&
+      fares.includes(fare) &&
+      (fare.transfers === null || current.transfers < fare.transfers) &&
+      (fare.transfer_duration === null ||
+        ride.departure === null ||
+        current.start === null ||
+        ride.departure - current.start <= fare.transfer_duration)
+    ) {
+      current.transfers++;
+    } else {
+      const cheapest = fares.reduce((best, candidate) =>
+        candidate.price < best.price ? candidate : best
+      );
+      current = {
+        fare: cheapest,
+        price: cheapest.price,
+        zones: new Set(),
+        transfers: 0,
+        start: ride.departure,
+      };
+      charges.push(current);
+    }
+
+    for (const zone of ride.zones) current.zones.add(zone);
+  }
+
+  return charges;
+}
+
+/**
+ * Calculate the fare of a journey for every Nol card class
+ * Zones passed set the price; rides linked within the transfer window
+ * count as one trip. Feed fares win when the database has them (as
+ * Silver prices, the other classes scaled by the zone table).
+ */
+async function calculateFare(rides: FareRide[]): Promise<JourneyFare | null> {
+  const table = await getFareTable();
+  if (!table || table.classes.length === 0 || rides.length === 0) return null;
+
+  const feed = table.feed ? feedCharges(table.feed, rides) : null;
+  const charges = feed ?? zoneCharges(table, rides);
+
+  const standard = table.classes.find(
+    (fareClass) => fareClass.card_class === STANDARD_CLASS
+  );
+  const round = (value: number) => Math.round(value * 100) / 100;
+
+  const classes: JourneyFare["classes"] = {};
+  for (const fareClass of table.classes) {
+    const routeTypes = fareClass.routeTypes;
+    const applies =
+      !routeTypes || rides.some((ride) => routeTypes.includes(ride.route_type));
+
+    classes[fareClass.card_class] = applies
+      ? round(
+          charges.reduce((sum, charge) => {
+            const zonePrice = classPrice(fareClass, charge.zones.size);
+            if (charge.price === null) return sum + zonePrice;
+
+            // Scale the feed's standard price to this class
+            const standardPrice = standard
+              ? classPrice(standard, charge.zones.size)
+              : zonePrice;
+            const scale = standardPrice ? zonePrice / standardPrice : 1;
+            return sum + charge.price * scale;
+          }, 0)
+        )
+      : null;
+  }
+
+  const zones = new Set<string>();
+  for (const charge of charges) {
+    for (const zone of charge.zones) zones.add(zone);
+  }
+
+  return {
+    currency: table.currency,
+    source: feed ? "gtfs" : "nol_zones",
+    version: table.version,
+    zones: Math.max(zones.size, 1),
+    charged_trips: charges.length,
+    classes,
+  };
+}
+
+// Criteria a route is compared on: minutes (unknown last), transfers
+// and walking meters
+type RouteCriterion = "time" | "transfers" | "walk";
+
+const ROUTE_CRITERIA: Record<RouteCriterion, (route: FoundRoute) => number> = {
+  time: (route) => route.duration_minutes ?? Infinity,
+  transfers: (route) => (route.type === "transfer" ? 1 : 0),
+  walk: (route) =>
+    (route.start_walk_meters ?? 0) +
+    (route.transfer_walk_meters ?? 0) +
+    (route.end_walk_meters ?? 0),
+};
+
+// Criteria order per preference (ties fall through to the next one)
+const RANKINGS: Record<JourneyPreference, RouteCriterion[]> = {
+  fewest_transfers: ["transfers", "time", "walk"],
+  fastest: ["time", "transfers", "walk"],
+  least_walking: ["walk", "time", "transfers"],
+};
+
+/**
+ * Whether route a is at least as good as b on every criterion and better
+ * on one
+ */
+function dominates(a: FoundRoute, b: FoundRoute): boolean {
+  const criteria = Object.values(ROUTE_CRITERIA);
+  return (
+    criteria.every((value) => value(a) <= value(b)) &&
+    criteria.some((value) => value(a) < value(b))
+  );
+}
+
+/**
+ * Keep the routes no other route beats on duration, transfers and walking,
+ * ranked by the rider's preference (fewer stops break ties)
+ */
+function rankRoutes(
+  routes: FoundRoute[],
+  prefer: JourneyPreference = "fewest_transfers"
+): FoundRoute[] {
+  const ranking = RANKINGS[prefer];
+
+  return routes
+    .filter((route) => !routes.some((other) => dominates(other, route)))
+    .sort((a, b) => {
+      for (const criterion of ranking) {
+        const difference =
+          ROUTE_CRITERIA[criterion](a) - ROUTE_CRITERIA[criterion](b);
+        if (difference) return difference;
+      }
+      return a.stops_between - b.stops_between;
+    });
 }
 
 /**
@@ -572,11 +1769,15 @@ export interface FoundRoute {
  */
 export async function findDirectRoutes(
   fromStopId: string,
-  toStopId: string
+  toStopId: string,
+  preferences: JourneyPreferences = {}
 ): Promise<FoundRoute[]> {
-  const database = getDatabase();
+  const database = await getDatabase();
+  const filter = routeFilter("r", preferences);
+  const fromFilter = await sameStationSql("ps1.stop_id");
+  const toFilter = await sameStationSql("ps2.stop_id");
 
-  // Find routes that pass through both stops
+  // Find routes that pass through both stops (any platform of a station)
   const routes = await database.getAllAsync<{
     route_id: string;
     route_short_name: string;
@@ -603,13 +1804,14 @@ export async function findDirectRoutes(
     JOIN pattern_stops ps2 ON ps1.pattern_id = ps2.pattern_id
     JOIN route_patterns rp ON ps1.pattern_id = rp.pattern_id
     JOIN routes r ON rp.route_id = r.route_id
-    WHERE (ps1.stop_id = ? OR ps1.stop_id IN (SELECT s.stop_id FROM stops s WHERE s.stop_name = (SELECT s2.stop_name FROM stops s2 WHERE s2.stop_id = ?)))
-      AND (ps2.stop_id = ? OR ps2.stop_id IN (SELECT s.stop_id FROM stops s WHERE s.stop_name = (SELECT s2.stop_name FROM stops s2 WHERE s2.stop_id = ?)))
+    WHERE ${fromFilter}
+      AND ${toFilter}
       AND ps1.stop_sequence < ps2.stop_sequence
+      ${filter.sql}
     ORDER BY (ps2.stop_sequence - ps1.stop_sequence) ASC
     LIMIT 10
   `,
-    [fromStopId, fromStopId, toStopId, toStopId]
+    [fromStopId, fromStopId, toStopId, toStopId, ...filter.params]
   );
 
   // Get stop names
@@ -622,22 +1824,59 @@ export async function findDirectRoutes(
     [toStopId]
   );
 
-  return routes.map((r) => ({
-    type: "direct" as const,
-    route_id: r.route_id,
-    route_name: r.route_short_name,
-    transport_type: (r.route_type === 1 ? "Metro" : "Bus") as "Bus" | "Metro",
-    color: r.route_color || (r.route_type === 1 ? "E21836" : "F7941D"),
-    from_stop_id: fromStopId,
-    from_stop: fromStop?.stop_name || "",
-    to_stop_id: toStopId,
-    to_stop: toStop?.stop_name || "",
-    stops_between: r.to_seq - r.from_seq,
-    direction: r.headsign || (r.direction_id === 0 ? "Upward" : "Downward"),
-    pattern_id: r.pattern_id,
-    from_seq: r.from_seq,
-    to_seq: r.to_seq,
-  }));
+  const headways = await getPatternHeadways();
+
+  // Variants of the same route direction (e.g. a short-turn) give the
+  // same ride: keep the one with the fewest stops
+  const seen = new Set<string>();
+  const uniqueRoutes = routes.filter((r) => {
+    const key = `${r.route_id}|${r.direction_id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const results: FoundRoute[] = [];
+
+  for (const r of uniqueRoutes) {
+    const rideSecs = await getRideSeconds(r.pattern_id, r.from_seq, r.to_seq);
+    const headway = headways.get(r.pattern_id) ?? null;
+    const waitMinutes = headway === null ? 0 : Math.ceil(headway / 2);
+    const fare = await calculateFare([
+      {
+        route_id: r.route_id,
+        route_type: r.route_type,
+        zones: await getRideZones(r.pattern_id, r.from_seq, r.to_seq),
+        departure: null,
+        arrival: null,
+      },
+    ]);
+
+    results.push({
+      type: "direct" as const,
+      route_id: r.route_id,
+      route_name: r.route_short_name,
+      transport_type: getTransportMode(r.route_type),
+      color: r.route_color || (r.route_type === 1 ? "E21836" : "F7941D"),
+      from_stop_id: fromStopId,
+      from_stop: fromStop?.stop_name || "",
+      to_stop_id: toStopId,
+      to_stop: toStop?.stop_name || "",
+      stops_between: r.to_seq - r.from_seq,
+      direction: r.headsign || (r.direction_id === 0 ? "Upward" : "Downward"),
+      pattern_id: r.pattern_id,
+      from_seq: r.from_seq,
+      to_seq: r.to_seq,
+      headway_minutes: headway,
+      in_vehicle_minutes: rideSecs === null ? null : Math.round(rideSecs / 60),
+      wait_minutes: waitMinutes,
+      duration_minutes:
+        rideSecs === null ? null : Math.ceil(rideSecs / 60) + waitMinutes,
+      fare,
+    });
+  }
+
+  return rankRoutes(results, preferences.prefer);
 }
 
 /**
@@ -645,14 +1884,25 @@ export async function findDirectRoutes(
  */
 export async function findTransferRoutes(
   fromStopId: string,
-  toStopId: string
+  toStopId: string,
+  preferences: JourneyPreferences = {}
 ): Promise<FoundRoute[]> {
-  const database = getDatabase();
-
-  // This query finds a transfer stop 'X' such that:
+  const database = await getDatabase();
+  const leg1Filter = routeFilter("r1", preferences);
+  const leg2Filter = routeFilter("r2", preferences);
+  const maxWalk = preferences.maxWalkMeters ?? null;
+  const fromFilter = await sameStationSql("ps1_start.stop_id");
+  const toFilter = await sameStationSql("ps2_end.stop_id");
+
+  // Databases built before footpaths only transfer at the same stop
+  const footpaths = (await hasTable("footpaths"))
+    ? "footpaths"
+    : "(SELECT NULL AS from_stop_id, NULL AS to_stop_id, NULL AS distance_m, NULL AS walk_secs WHERE 0)";
+
+  // This query finds transfer stops 'X' and 'Y' such that:
   // 1. Route A goes from 'fromStop' to 'X'
-  // 2. Route B goes from 'X' to 'toStop'
-  // 3. The transfer happens at the same stop ID
+  // 2. Route B goes from 'Y' to 'toStop'
+  // 3. 'Y' is 'X' itself or a short walk away (footpaths table)
   const routes = await database.getAllAsync<{
     r1_id: string;
     r1_name: string;
@@ -672,6 +1922,10 @@ export async function findTransferRoutes(
     r2_pattern_id: number;
     r2_from_seq: number;
     r2_to_seq: number;
+    r2_stop_id: string;
+    r2_stop_name: string;
+    walk_meters: number | null;
+    walk_secs: number | null;
   }>(
     `
     SELECT DISTINCT
@@ -679,27 +1933,49 @@ export async function findTransferRoutes(
       rp1.pattern_id as r1_pattern_id, ps1_start.stop_sequence as r1_from_seq, ps1_trans.stop_sequence as r1_to_seq,
       s_trans.stop_id as transfer_stop_id, s_trans.stop_name as transfer_stop_name,
       r2.route_id as r2_id, r2.route_short_name as r2_name, r2.route_type as r2_type, r2.route_color as r2_color, rp2.headsign as r2_headsign,
-      rp2.pattern_id as r2_pattern_id, ps2_trans.stop_sequence as r2_from_seq, ps2_end.stop_sequence as r2_to_seq
+      rp2.pattern_id as r2_pattern_id, ps2_trans.stop_sequence as r2_from_seq, ps2_end.stop_sequence as r2_to_seq,
+      s_board.stop_id as r2_stop_id, s_board.stop_name as r2_stop_name,
+      fp.distance_m as walk_meters, fp.walk_secs as walk_secs
     FROM pattern_stops ps1_start
     JOIN pattern_stops ps1_trans ON ps1_start.pattern_id = ps1_trans.pattern_id
     JOIN route_patterns rp1 ON ps1_start.pattern_id = rp1.pattern_id
     JOIN routes r1 ON rp1.route_id = r1.route_id
     
-    JOIN pattern_stops ps2_trans ON ps1_trans.stop_id = ps2_trans.stop_id
+    JOIN pattern_stops ps2_trans ON (
+      ps2_trans.stop_id = ps1_trans.stop_id
+      OR ps2_trans.stop_id IN (SELECT to_stop_id FROM ${footpaths} WHERE from_stop_id = ps1_trans.stop_id)
+    )
+    LEFT JOIN ${footpaths} fp ON fp.from_stop_id = ps1_trans.stop_id AND fp.to_stop_id = ps2_trans.stop_id
     JOIN pattern_stops ps2_end ON ps2_trans.pattern_id = ps2_end.pattern_id
     JOIN route_patterns rp2 ON ps2_trans.pattern_id = rp2.pattern_id
     JOIN routes r2 ON rp2.route_id = r2.route_id
     
     JOIN stops s_trans ON ps1_trans.stop_id = s_trans.stop_id
+    JOIN stops s_board ON ps2_trans.stop_id = s_board.stop_id
     
-    WHERE (ps1_start.stop_id = ? OR ps1_start.stop_id IN (SELECT s.stop_id FROM stops s WHERE s.stop_name = (SELECT s2.stop_name FROM stops s2 WHERE s2.stop_id = ?)))
-      AND (ps2_end.stop_id = ? OR ps2_end.stop_id IN (SELECT s.stop_id FROM stops s WHERE s.stop_name = (SELECT s2.stop_name FROM stops s2 WHERE s2.stop_id = ?)))
+    WHERE ${fromFilter}
+      AND ${toFilter}
       AND ps1_start.stop_sequence < ps1_trans.stop_sequence
       AND ps2_trans.stop_sequence < ps2_end.stop_sequence
       AND r1.route_id != r2.route_id
+      AND (? IS NULL OR COALESCE(fp.distance_m, 0) <= ?)
+      ${leg1Filter.sql}
+      ${leg2Filter.sql}
+    ORDER BY
+      (ps1_trans.stop_sequence - ps1_start.stop_sequence) + (ps2_end.stop_sequence - ps2_trans.stop_sequence) ASC,
+      COALESCE(fp.distance_m, 0) ASC
     LIMIT 5
     `,
-    [fromStopId, fromStopId, toStopId, toStopId]
+    [
+      fromStopId,
+      fromStopId,
+      toStopId,
+      toStopId,
+      maxWalk,
+      maxWalk,
+      ...leg1Filter.params,
+      ...leg2Filter.params,
+    ]
   );
 
   // Get start and end stop names for the summary
@@ -712,30 +1988,218 @@ export async function findTransferRoutes(
     [toStopId]
   );
 
-  return routes.map((r) => ({
-    type: "transfer" as const,
-    route_id: r.r1_id,
-    route_name: `${r.r1_name} ➔ ${r.r2_name}`,
-    transport_type: (r.r1_type === 1 ? "Metro" : "Bus") as "Bus" | "Metro",
-    color: r.r1_color || (r.r1_type === 1 ? "E21836" : "F7941D"),
-    from_stop_id: fromStopId,
-    from_stop: fromStop?.stop_name || "",
-    to_stop_id: toStopId,
-    to_stop: toStop?.stop_name || "",
-    stops_between: r.r1_to_seq - r.r1_from_seq + (r.r2_to_seq - r.r2_from_seq),
-    direction: `Transfer via ${r.transfer_stop_name}`,
-    pattern_id: r.r1_pattern_id,
-    from_seq: r.r1_from_seq,
-    to_seq: r.r1_to_seq,
-    transfer_stop_id: r.transfer_stop_id,
-    transfer_stop_name: r.transfer_stop_name,
-    leg2_route_id: r.r2_id,
-    leg2_name: r.r2_name,
-    leg2_color: r.r2_color || (r.r2_type === 1 ? "E21836" : "F7941D"),
-    leg2_pattern_id: r.r2_pattern_id,
-    leg2_from_seq: r.r2_from_seq,
-    leg2_to_seq: r.r2_to_seq,
-  }));
+  const headways = await getPatternHeadways();
+
+  // Keep one result per route pair and transfer stop across variants
+  const seen = new Set<string>();
+  const uniqueRoutes = routes.filter((r) => {
+    const key = `${r.r1_id}|${r.r2_id}|${r.transfer_stop_id}|${r.r2_stop_id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const results: FoundRoute[] = [];
+
+  for (const r of uniqueRoutes) {
+    const leg1Secs = await getRideSeconds(
+      r.r1_pattern_id,
+      r.r1_from_seq,
+      r.r1_to_seq
+    );
+    const leg2Secs = await getRideSeconds(
+      r.r2_pattern_id,
+      r.r2_from_seq,
+      r.r2_to_seq
+    );
+    const headway1 = headways.get(r.r1_pattern_id) ?? null;
+    const headway2 = headways.get(r.r2_pattern_id) ?? null;
+    const waitMinutes =
+      (headway1 === null ? 0 : Math.ceil(headway1 / 2)) +
+      (headway2 === null ? 0 : Math.ceil(headway2 / 2));
+    const rideSecs =
+      leg1Secs === null || leg2Secs === null ? null : leg1Secs + leg2Secs;
+
+    // Leg 2 leaves after the transfer walk and the expected wait
+    const fare = await calculateFare([
+      {
+        route_id: r.r1_id,
+        route_type: r.r1_type,
+        zones: await getRideZones(
+          r.r1_pattern_id,
+          r.r1_from_seq,
+          r.r1_to_seq
+        ),
+        departure: null,
+        arrival: 0,
+      },
+      {
+        route_id: r.r2_id,
+        route_type: r.r2_type,
+        zones: await getRideZones(
+          r.r2_pattern_id,
+          r.r2_from_seq,
+          r.r2_to_seq
+        ),
+        departure:
+          (r.walk_secs ?? 0) +
+          (headway2 === null ? 0 : Math.ceil(headway2 / 2) * 60),
+        arrival: null,
+      },
+    ]);
+
+    results.push({
+      type: "transfer" as const,
+      route_id: r.r1_id,
+      route_name: `${r.r1_name} ➔ ${r.r2_name}`,
+      transport_type: getTransportMode(r.r1_type),
+      color: r.r1_color || (r.r1_type === 1 ? "E21836" : "F7941D"),
+      from_stop_id: fromStopId,
+      from_stop: fromStop?.stop_name || "",
+      to_stop_id: toStopId,
+      to_stop: toStop?.stop_name || "",
+      stops_between: r.r1_to_seq - r.r1_from_seq + (r.r2_to_seq - r.r2_from_seq),
+      direction: r.walk_meters
+        ? `Transfer via ${r.transfer_stop_name} (walk ${r.walk_meters} m)`
+        : `Transfer via ${r.transfer_stop_name}`,
+      pattern_id: r.r1_pattern_id,
+      from_seq: r.r1_from_seq,
+      to_seq: r.r1_to_seq,
+      transfer_stop_id: r.transfer_stop_id,
+      transfer_stop_name: r.transfer_stop_name,
+      leg2_route_id: r.r2_id,
+      leg2_name: r.r2_name,
+      leg2_color: r.r2_color || (r.r2_type === 1 ? "E21836" : "F7941D"),
+      leg2_transport_type: getTransportMode(r.r2_type),
+      leg2_pattern_id: r.r2_pattern_id,
+      leg2_from_seq: r.r2_from_seq,
+      leg2_to_seq: r.r2_to_seq,
+      leg2_from_stop_id: r.r2_stop_id,
+      leg2_from_stop_name: r.r2_stop_name,
+      transfer_walk_meters: r.walk_meters ?? 0,
+      transfer_walk_secs: r.walk_secs ?? 0,
+      headway_minutes: headway1,
+      leg2_headway_minutes: headway2,
+      in_vehicle_minutes: rideSecs === null ? null : Math.round(rideSecs / 60),
+      wait_minutes: waitMinutes,
+      duration_minutes:
+        rideSecs === null
+          ? null
+          : Math.ceil((rideSecs + (r.walk_secs ?? 0)) / 60) + waitMinutes,
+      fare,
+    });
+  }
+
+  return rankRoutes(results, preferences.prefer);
+}
+
+// Nearest stops a place's journeys start or end at
+const PLACE_JOURNEY_STOPS = 3;
+
+// One end of a journey: a stop ID or a place
+export type JourneyEndpoint = string | Place;
+
+/**
+ * Stops a journey end can board or alight at, with the walk from or to
+ * the place (null for a stop)
+ */
+function endpointStops(
+  endpoint: JourneyEndpoint,
+  maxWalkMeters: number
+): { stopId: string; walk: PlaceStop | null }[] {
+  if (typeof endpoint === "string") return [{ stopId: endpoint, walk: null }];
+
+  return endpoint.nearest_stops
+    .filter((stop) => stop.distance_m <= maxWalkMeters)
+    .slice(0, PLACE_JOURNEY_STOPS)
+    .map((stop) => ({ stopId: stop.stop_id, walk: stop }));
+}
+
+/**
+ * Add the walks to and from places to a route (and to its duration)
+ */
+function withPlaceWalks(
+  route: FoundRoute,
+  from: JourneyEndpoint,
+  start: PlaceStop | null,
+  to: JourneyEndpoint,
+  end: PlaceStop | null
+): FoundRoute {
+  if (!start && !end) return route;
+
+  const walkMinutes = Math.ceil(
+    ((start?.walk_secs ?? 0) + (end?.walk_secs ?? 0)) / 60
+  );
+
+  return {
+    ...route,
+    ...(start &&
+      typeof from !== "string" && {
+        start_place: from.place_name,
+        start_walk_meters: start.distance_m,
+        start_walk_secs: start.walk_secs,
+      }),
+    ...(end &&
+      typeof to !== "string" && {
+        end_place: to.place_name,
+        end_walk_meters: end.distance_m,
+        end_walk_secs: end.walk_secs,
+      }),
+    duration_minutes:
+      route.duration_minutes == null
+        ? null
+        : route.duration_minutes + walkMinutes,
+  };
+}
+
+/**
+ * Find direct and single-transfer routes between two stops or places
+ * A transfer route is only kept if it beats every direct route on time
+ * (or the direct routes are all filtered out by the preferences).
+ * A place is walked to from its nearest stops, like the API's planner;
+ * each route is kept once, from the stops that rank it best.
+ */
+export async function findJourneys(
+  from: JourneyEndpoint,
+  to: JourneyEndpoint,
+  preferences: JourneyPreferences = {}
+): Promise<FoundRoute[]> {
+  const maxWalk = preferences.maxWalkMeters ?? Infinity;
+  const routes: FoundRoute[] = [];
+
+  for (const origin of endpointStops(from, maxWalk)) {
+    for (const destination of endpointStops(to, maxWalk)) {
+      if (origin.stopId === destination.stopId) continue;
+
+      const direct = await findDirectRoutes(
+        origin.stopId,
+        destination.stopId,
+        preferences
+      );
+      const transfer = await findTransferRoutes(
+        origin.stopId,
+        destination.stopId,
+        preferences
+      );
+
+      routes.push(
+        ...[...direct, ...transfer].map((route) =>
+          withPlaceWalks(route, from, origin.walk, to, destination.walk)
+        )
+      );
+    }
+  }
+
+  const ranked = rankRoutes(routes, preferences.prefer);
+  if (typeof from === "string" && typeof to === "string") return ranked;
+
+  const seen = new Set<string>();
+  return ranked.filter((route) => {
+    const key = `${route.route_id}|${route.leg2_route_id ?? ""}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
 /**
@@ -746,7 +2210,7 @@ export async function getJourneyLegStops(
   fromSeq: number,
   toSeq: number
 ): Promise<Stop[]> {
-  const database = getDatabase();
+  const database = await getDatabase();
 
   return await database.getAllAsync<Stop>(
     `
@@ -780,7 +2244,7 @@ export async function getDatabaseStats(): Promise<{
   patterns: number;
   metro_lines: number;
 }> {
-  const database = getDatabase();
+  const database = await getDatabase();
 
   const routes = await database.getFirstAsync<{ count: number }>(
     "SELECT COUNT(*) as count FROM routes"
@@ -802,3 +2266,458 @@ export async function getDatabaseStats(): Promise<{
     metro_lines: metro_lines?.count || 0,
   };
 }
+
+// ==========================================
+// DATA RELEASES
+// ==========================================
+// Releases come from the backend pipeline's publish stage: a signed
+// manifest (app-version.json), the stamped database and SQL deltas
+// between consecutive versions (backend/services/db-delta.js). Nothing
+// a manifest lists is used before its signature and hashes check out
+// (shared/release-manifest.js).
+
+// SQL that turns one release into the next
+export interface ReleaseDelta {
+  from_version: number;
+  to_version: number;
+  filename: string;
+  size_bytes: number;
+  sha256: string;
+  download_url: string;
+  /** Row count of every table after the delta */
+  counts: Record<string, number>;
+}
+
+export interface ReleaseManifest {
+  schema_version: number;
+  version: number;
+  gtfs_date: string;
+  updated_at: string;
+  database: {
+    filename: string;
+    size_bytes: number;
+    size_mb: number;
+    sha256: string;
+    download_url: string;
+  };
+  deltas: ReleaseDelta[];
+  changes: string;
+  changelog?: string[];
+  min_app_version: string;
+  signature: { algorithm: string; key_id: string; value: string };
+}
+
+export interface DataRelease {
+  /** 0 for databases from before releases were stamped */
+  version: number;
+  gtfs_date: string | null;
+}
+
+export type DeltaUpdateResult =
+  | { status: "rejected"; version: number; reason: string }
+  | { status: "up_to_date"; version: number }
+  | { status: "updated"; version: number; applied: number }
+  | { status: "needs_full_download"; version: number; reason: string };
+
+/**
+ * Release the offline database was stamped with
+ */
+export async function getDataRelease(): Promise<DataRelease> {
+  if (!(await hasTable("release_info"))) {
+    return { version: 0, gtfs_date: null };
+  }
+
+  const database = await getDatabase();
+  const info = new Map(
+    (
+      await database.getAllAsync<{ key: string; value: string }>(
+        "SELECT key, value FROM release_info"
+      )
+    ).map((row) => [row.key, row.value])
+  );
+
+  return {
+    version: parseInt(info.get("version") ?? "", 10) || 0,
+    gtfs_date: info.get("gtfs_date") ?? null,
+  };
+}
+
+/**
+ * Check a manifest before trusting anything it lists: its schema, its
+ * Ed25519 signature against the keys the app ships with
+ * (shared/release-keys.json) and its min_app_version
+ */
+export function verifyReleaseManifest(manifest: unknown): ManifestCheck {
+  return verifyManifest(manifest, {
+    trustedKeys: releaseKeys.keys as Record<string, string>,
+    verify: (payload, signature, publicKey) =>
+      ed25519.verify(
+        hexToBytes(signature),
+        utf8ToBytes(payload),
+        hexToBytes(publicKey)
+      ),
+    appVersion: Constants.expoConfig?.version ?? null,
+  });
+}
+
+/**
+ * Check a downloaded release file against its manifest entry (size and
+ * SHA-256); throws when it does not match
+ */
+async function checkReleaseFile(
+  file: File,
+  expected: { filename: string; size_bytes: number; sha256: string }
+): Promise<void> {
+  if (file.size !== expected.size_bytes) {
+    throw new Error(
+      `${expected.filename} is ${file.size} bytes, expected ${expected.size_bytes}`
+    );
+  }
+  if (bytesToHex(sha256(await file.bytes())) !== expected.sha256) {
+    throw new Error(`${expected.filename} does not match its SHA-256 hash`);
+  }
+}
+
+/**
+ * Deltas from a version up to the manifest's, in order
+ * Returns null when the chain is broken (a schema change, or the
+ * database is older than the deltas kept) and the full database has
+ * to be downloaded.
+ */
+export function planDeltaChain(
+  manifest: ReleaseManifest,
+  fromVersion: number
+): ReleaseDelta[] | null {
+  const chain: ReleaseDelta[] = [];
+  let version = fromVersion;
+
+  while (version < manifest.version) {
+    const next = manifest.deltas.find(
+      (delta) => delta.from_version === version
+    );
+    if (!next || !next.download_url) return null;
+    chain.push(next);
+    version = next.to_version;
+  }
+
+  return version === manifest.version ? chain : null;
+}
+
+/**
+ * Download a delta into the cache and check its size and SHA-256
+ * Returns its SQL.
+ */
+async function downloadDelta(delta: ReleaseDelta): Promise<string> {
+  const file = new File(Paths.cache, delta.filename);
+  if (file.exists) file.delete();
+
+  try {
+    await File.downloadFileAsync(delta.download_url, file);
+    await checkReleaseFile(file, delta);
+
+    return await file.text();
+  } finally {
+    if (file.exists) file.delete();
+  }
+}
+
+/**
+ * Bring the offline database up to the manifest's version with deltas
+ * The manifest is verified first (rejected when it does not). Every
+ * delta is downloaded and checked, then all are applied in one
+ * transaction, checking each one's row counts and release - any
+ * failure rolls back to the release the app had. Falls back to
+ * needs_full_download when there is no chain or a delta is bad.
+ */
+export async function applyReleaseDeltas(
+  manifest: ReleaseManifest
+): Promise<DeltaUpdateResult> {
+  const { version } = await getDataRelease();
+
+  const check = verifyReleaseManifest(manifest);
+  if (!check.valid) {
+    console.log("📦 Release manifest rejected:", check.error);
+    return { status: "rejected", version, reason: check.error };
+  }
+
+  if (version >= manifest.version) {
+    return { status: "up_to_date", version };
+  }
+
+  const chain = planDeltaChain(manifest, version);
+  if (!chain) {
+    return {
+      status: "needs_full_download",
+      version,
+      reason: `No deltas from version ${version} to ${manifest.version}`,
+    };
+  }
+
+  const deltas: { delta: ReleaseDelta; sql: string }[] = [];
+  try {
+    for (const delta of chain) {
+      deltas.push({ delta, sql: await downloadDelta(delta) });
+    }
+
+    await (await getDatabase()).withExclusiveTransactionAsync(async (txn) => {
+      for (const { delta, sql } of deltas) {
+        await txn.execAsync(sql);
+
+        for (const [table, expected] of Object.entries(delta.counts)) {
+          const result = await txn.getFirstAsync<{ count: number }>(
+            `SELECT COUNT(*) as count FROM ${table}`
+          );
+          if (result?.count !== expected) {
+            throw new Error(
+              `${delta.filename}: ${table} has ${result?.count} rows, expected ${expected}`
+            );
+          }
+        }
+
+        const release = await txn.getFirstAsync<{ value: string }>(
+          "SELECT value FROM release_info WHERE key = 'version'"
+        );
+        if (release?.value !== String(delta.to_version)) {
+          throw new Error(
+            `${delta.filename} did not reach version ${delta.to_version}`
+          );
+        }
+      }
+    });
+  } catch (error) {
+    console.log("📦 Delta update failed:", error);
+    return {
+      status: "needs_full_download",
+      version,
+      reason: error instanceof Error ? error.message : String(error),
+    };
+  }
+
+  // Cached from the previous release
+  fareTable = null;
+
+  console.log(`✅ Database updated to version ${manifest.version}`);
+  return {
+    status: "updated",
+    version: manifest.version,
+    applied: chain.length,
+  };
+}
+
+// A full database download, next to the live one so the swap is a rename
+const DOWNLOAD_NAME = `${DATABASE_NAME}.download`;
+
+// Tables the app reads without checking for them first
+const CORE_TABLES = [
+  "routes",
+  "stops",
+  "route_patterns",
+  "pattern_stops",
+  "stop_routes",
+  "metro_lines",
+  "release_info",
+];
+
+export type DatabaseDownloadResult =
+  | { status: "rejected"; version: number; reason: string }
+  | { status: "updated"; version: number }
+  | { status: "failed"; version: number; reason: string };
+
+/**
+ * Delete the journal files SQLite keeps next to a database
+ */
+function deleteJournalFiles(directory: Directory, name: string): void {
+  for (const suffix of ["-wal", "-shm", "-journal"]) {
+    const file = new File(directory, name + suffix);
+    if (file.exists) file.delete();
+  }
+}
+
+/**
+ * Check a downloaded database before it replaces the live one: intact,
+ * stamped with the manifest's release, with the tables the app relies
+ * on (not empty) and every table and column the live database has
+ */
+async function checkReleaseDatabase(
+  name: string,
+  manifest: ReleaseManifest
+): Promise<void> {
+  const candidate = await SQLite.openDatabaseAsync(name);
+
+  try {
+    const integrity = await candidate.getFirstAsync<{ quick_check: string }>(
+      "PRAGMA quick_check"
+    );
+    if (integrity?.quick_check !== "ok") {
+      throw new Error(`Database is damaged: ${integrity?.quick_check}`);
+    }
+
+    const tables = new Set(
+      (
+        await candidate.getAllAsync<{ name: string }>(
+          "SELECT name FROM sqlite_master WHERE type = 'table'"
+        )
+      ).map((table) => table.name)
+    );
+    const missing = CORE_TABLES.filter((table) => !tables.has(table));
+    if (missing.length > 0) {
+      throw new Error(`Database has no ${missing.join(", ")} table`);
+    }
+
+    const release = await candidate.getFirstAsync<{ value: string }>(
+      "SELECT value FROM release_info WHERE key = 'version'"
+    );
+    if (release?.value !== String(manifest.version)) {
+      throw new Error(
+        `Database is release ${release?.value}, expected ${manifest.version}`
+      );
+    }
+
+    for (const table of ["routes", "stops", "route_patterns"]) {
+      const result = await candidate.getFirstAsync<{ count: number }>(
+        `SELECT COUNT(*) as count FROM ${table}`
+      );
+      if (!result?.count) throw new Error(`Database has no ${table}`);
+    }
+
+    // Queries written for the live schema must keep working
+    const live = await getDatabase();
+    const liveTables = await live.getAllAsync<{ name: string }>(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'release_info'"
+    );
+    for (const { name: table } of liveTables) {
+      if (!tables.has(table)) {
+        throw new Error(`Database has no ${table} table`);
+      }
+
+      const columns = new Set(
+        (
+          await candidate.getAllAsync<{ name: string }>(
+            `PRAGMA table_info(${table})`
+          )
+        ).map((column) => column.name)
+      );
+      const liveColumns = await live.getAllAsync<{ name: string }>(
+        `PRAGMA table_info(${table})`
+      );
+      const dropped = liveColumns.filter((column) => !columns.has(column.name));
+      if (dropped.length > 0) {
+        throw new Error(
+          `Database has no ${table}.${dropped.map((column) => column.name).join(", ")}`
+        );
+      }
+    }
+  } finally {
+    await candidate.closeAsync();
+  }
+}
+
+/**
+ * Swap a checked download in for the live database
+ * The live file is kept as a backup until the new one opens as the
+ * manifest's release; any failure puts it back and reopens it.
+ * initDatabase() and getDatabase() wait for the swap, and initDatabase()
+ * restores the backup if the app stops half way.
+ */
+function swapDatabase(
+  manifest: ReleaseManifest
+): Promise<SQLite.SQLiteDatabase> {
+  const sqliteDir = new Directory(Paths.document, "SQLite");
+  const liveFile = () => new File(sqliteDir, DATABASE_NAME);
+
+  const swap = (async () => {
+    const live = db;
+    db = null;
+    if (live) {
+      // Everything in the WAL goes into the file the backup keeps
+      await live.execAsync("PRAGMA wal_checkpoint(TRUNCATE)");
+      await live.closeAsync();
+    }
+    deleteJournalFiles(sqliteDir, DATABASE_NAME);
+
+    const backup = new File(sqliteDir, BACKUP_NAME);
+    if (backup.exists) backup.delete();
+    liveFile().move(backup);
+    new File(sqliteDir, DOWNLOAD_NAME).move(liveFile());
+
+    let opened: SQLite.SQLiteDatabase | null = null;
+    try {
+      opened = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      const release = await opened.getFirstAsync<{ value: string }>(
+        "SELECT value FROM release_info WHERE key = 'version'"
+      );
+      if (release?.value !== String(manifest.version)) {
+        throw new Error(`Swapped database is not release ${manifest.version}`);
+      }
+    } catch (error) {
+      // Back to the release the app had
+      await opened?.closeAsync().catch(() => {});
+      deleteJournalFiles(sqliteDir, DATABASE_NAME);
+      liveFile().delete();
+      new File(sqliteDir, BACKUP_NAME).move(liveFile());
+      db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      throw error;
+    }
+
+    new File(sqliteDir, BACKUP_NAME).delete();
+    db = opened;
+    return db;
+  })();
+
+  initPromise = swap;
+  swap.catch(() => {
+    // Let initDatabase() start over if not even the backup reopened
+    if (!db) initPromise = null;
+  });
+  return swap;
+}
+
+/**
+ * Replace the offline database with the manifest's full release
+ * For apps with no delta chain to the latest release. The manifest is
+ * verified first (rejected when it does not); the database is
+ * downloaded next to the live one, checked against the manifest (size,
+ * SHA-256) and for its schema and content, then swapped in. The live
+ * database stays as it was on any failure.
+ */
+export async function downloadDatabaseRelease(
+  manifest: ReleaseManifest
+): Promise<DatabaseDownloadResult> {
+  const { version } = await getDataRelease();
+
+  const check = verifyReleaseManifest(manifest);
+  if (!check.valid) {
+    console.log("📦 Release manifest rejected:", check.error);
+    return { status: "rejected", version, reason: check.error };
+  }
+
+  const sqliteDir = new Directory(Paths.document, "SQLite");
+  const download = new File(sqliteDir, DOWNLOAD_NAME);
+
+  try {
+    deleteJournalFiles(sqliteDir, DOWNLOAD_NAME);
+    if (download.exists) download.delete();
+
+    await File.downloadFileAsync(manifest.database.download_url, download);
+    await checkReleaseFile(download, manifest.database);
+    await checkReleaseDatabase(DOWNLOAD_NAME, manifest);
+    deleteJournalFiles(sqliteDir, DOWNLOAD_NAME);
+
+    await swapDatabase(manifest);
+  } catch (error) {
+    console.log("📦 Database download failed:", error);
+    return {
+      status: "failed",
+      version,
+      reason: error instanceof Error ? error.message : String(error),
+    };
+  } finally {
+    if (download.exists) download.delete();
+  }
+
+  // Cached from the previous release
+  fareTable = null;
+
+  console.log(`✅ Database replaced with version ${manifest.version}`);
+  return { status: "updated", version: manifest.version };
+}
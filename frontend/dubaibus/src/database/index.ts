@@ -7,21 +7,57 @@
 // Database initialization
 export { initDatabase, getDatabase, getDatabaseStats } from "./db";
 
+// Data releases (signed manifests, delta and full updates)
+export {
+  getDataRelease,
+  verifyReleaseManifest,
+  planDeltaChain,
+  applyReleaseDeltas,
+  downloadDatabaseRelease,
+  type ReleaseManifest,
+  type ReleaseDelta,
+  type DataRelease,
+  type DeltaUpdateResult,
+  type DatabaseDownloadResult,
+} from "./db";
+
 // Bus functions
 export { getAllBuses, searchBuses, getBusDetails } from "./db";
 
 // Metro functions
 export { getAllMetroLines, getMetroDetails } from "./db";
 
+// Tram & marine functions
+export {
+  getLines,
+  searchLines,
+  getLineDetails,
+  getTransportMode,
+  getMarineService,
+} from "./db";
+
 // Search functions
-export { searchStops, getRoutesAtStop } from "./db";
+export {
+  searchStops,
+  searchPlaces,
+  getRoutesAtStop,
+  type Place,
+  type PlaceStop,
+} from "./db";
 
 // Route finding
 export {
   findDirectRoutes,
   findTransferRoutes,
+  findJourneys,
   getJourneyLegStops,
   type FoundRoute,
+  type JourneyEndpoint,
+  type TransportMode,
+  type JourneyPreference,
+  type JourneyPreferences,
+  type JourneyFare,
+  type CardClass,
 } from "./db";
 
 // Note: Types are exported from @/types, not here
@@ -9,6 +9,13 @@ export { useBuses } from "./useBuses";
 export { useBusDetails } from "./useBusDetails";
 export { useMetroLines } from "./useMetroLines";
 export { useMetroDetails } from "./useMetroDetails";
+export { useLines } from "./useLines";
+export { useLineDetails } from "./useLineDetails";
 export { useStopSearch } from "./useStopSearch";
-export { useJourneySearch } from "./useJourneySearch";
+export {
+  useJourneySearch,
+  isPlace,
+  type JourneyPoint,
+} from "./useJourneySearch";
 export { useJourneyDetails } from "./useJourneyDetails";
+export { useDataUpdateNotice } from "./useDataUpdateNotice";
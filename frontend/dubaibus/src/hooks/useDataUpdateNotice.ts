@@ -0,0 +1,33 @@
+/**
+ * useDataUpdateNotice Hook
+ *
+ * Hook for the "Data updated to GTFS ..." notice after the offline
+ * database was updated in the background
+ */
+
+import { useState, useEffect } from "react";
+import {
+  getDataUpdateNotice,
+  dismissDataUpdateNotice,
+  subscribeDataUpdateNotice,
+  type DataUpdateNotice,
+} from "@/services";
+
+interface UseDataUpdateNoticeReturn {
+  /** The last data update, null when there is none to show */
+  notice: DataUpdateNotice | null;
+  /** Hide the notice */
+  dismiss: () => void;
+}
+
+export function useDataUpdateNotice(): UseDataUpdateNoticeReturn {
+  const [notice, setNotice] = useState(getDataUpdateNotice);
+
+  // Follow updates finishing while mounted
+  useEffect(() => subscribeDataUpdateNotice(setNotice), []);
+
+  return {
+    notice,
+    dismiss: dismissDataUpdateNotice,
+  };
+}
@@ -1,22 +1,27 @@
 /**
  * useJourneyDetails Hook
  *
- * Hook for fetching detailed stop path for a found route
+ * Hook for fetching detailed stop path for a found route (with the
+ * walks to and from places)
  */
 
 import { useState, useEffect, useCallback } from "react";
 import { initDatabase, getJourneyLegStops, type FoundRoute } from "@/database";
-import type { Stop, LoadingState } from "@/types";
+import type { Stop, LoadingState, TransportMode } from "@/types";
 
 export interface JourneyLeg {
+  type: "ride" | "walk";
   route_id: string;
   route_name: string;
-  transport_type: "Bus" | "Metro";
+  transport_type: TransportMode | "Walk";
   color: string;
   stops: Stop[];
   direction: string;
   from_stop_name: string;
   to_stop_name: string;
+  // Walk legs only
+  distance_meters?: number;
+  duration_minutes?: number;
 }
 
 interface UseJourneyDetailsReturn extends LoadingState {
@@ -24,6 +29,30 @@ interface UseJourneyDetailsReturn extends LoadingState {
   refresh: () => Promise<void>;
 }
 
+/**
+ * Walk leg between two stops, or a place and a stop
+ */
+function walkLeg(
+  from: string,
+  to: string,
+  meters: number,
+  secs: number | undefined
+): JourneyLeg {
+  return {
+    type: "walk",
+    route_id: "walk",
+    route_name: "Walk",
+    transport_type: "Walk",
+    color: "",
+    stops: [],
+    direction: `Walk ${meters} m to ${to}`,
+    from_stop_name: from,
+    to_stop_name: to,
+    distance_meters: meters,
+    duration_minutes: Math.ceil((secs || 0) / 60),
+  };
+}
+
 export function useJourneyDetails(
   route: FoundRoute | null
 ): UseJourneyDetailsReturn {
@@ -52,6 +81,7 @@ export function useJourneyDetails(
       );
 
       newLegs.push({
+        type: "ride",
         route_id: route.route_id,
         route_name:
           route.type === "transfer"
@@ -77,13 +107,26 @@ export function useJourneyDetails(
           route.leg2_to_seq!
         );
 
+        // Walk to a nearby stop when the transfer is not at the same stop
+        if (route.transfer_walk_meters) {
+          const walkTo =
+            route.leg2_from_stop_name || leg2Stops[0]?.stop_name || "";
+
+          newLegs.push(
+            walkLeg(
+              route.transfer_stop_name!,
+              walkTo,
+              route.transfer_walk_meters,
+              route.transfer_walk_secs
+            )
+          );
+        }
+
         newLegs.push({
+          type: "ride",
           route_id: route.leg2_route_id!,
           route_name: route.leg2_name!,
-          transport_type:
-            route.leg2_color === "E21836" || route.leg2_color === "4CAF50"
-              ? "Metro"
-              : "Bus", // Heuristic if not explicitly stored
+          transport_type: route.leg2_transport_type || "Bus",
           color: route.leg2_color!,
           stops: leg2Stops,
           direction: `To ${leg2Stops[leg2Stops.length - 1]?.stop_name}`,
@@ -93,6 +136,28 @@ export function useJourneyDetails(
         });
       }
 
+      // Journeys to or from a place walk to the first stop and from the last
+      if (route.start_place && route.start_walk_meters != null) {
+        newLegs.unshift(
+          walkLeg(
+            route.start_place,
+            newLegs[0].from_stop_name,
+            route.start_walk_meters,
+            route.start_walk_secs
+          )
+        );
+      }
+      if (route.end_place && route.end_walk_meters != null) {
+        newLegs.push(
+          walkLeg(
+            newLegs[newLegs.length - 1].to_stop_name,
+            route.end_place,
+            route.end_walk_meters,
+            route.end_walk_secs
+          )
+        );
+      }
+
       setLegs(newLegs);
     } catch (e) {
       setError(
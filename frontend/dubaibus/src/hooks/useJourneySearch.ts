@@ -1,23 +1,38 @@
 /**
  * useJourneySearch Hook
  *
- * Hook for finding routes between two stops
+ * Hook for finding routes between two stops or places
  */
 
 import { useState, useCallback } from "react";
 import {
   initDatabase,
-  findDirectRoutes,
-  findTransferRoutes,
+  findJourneys,
   type FoundRoute,
+  type JourneyPreferences,
+  type Place,
 } from "@/database";
 import type { Stop, LoadingState } from "@/types";
 
+// Picked journey end: a stop or a place (landmark)
+export type JourneyPoint = Stop | Place;
+
+/**
+ * Whether a picked journey end is a place
+ */
+export function isPlace(point: JourneyPoint): point is Place {
+  return "place_id" in point;
+}
+
 interface UseJourneySearchReturn extends LoadingState {
   /** Found routes */
   routes: FoundRoute[];
-  /** Search function */
-  search: (fromStop: Stop, toStop: Stop) => Promise<void>;
+  /** Search function (preferences filter and rank the routes) */
+  search: (
+    from: JourneyPoint,
+    to: JourneyPoint,
+    preferences?: JourneyPreferences
+  ) => Promise<void>;
   /** Clear results */
   clear: () => void;
 }
@@ -28,45 +43,44 @@ export function useJourneySearch(): UseJourneySearchReturn {
   const [error, setError] = useState<string | null>(null);
 
   // Search for routes
-  const search = useCallback(async (fromStop: Stop, toStop: Stop) => {
-    if (!fromStop || !toStop) {
-      setError("Please select both stops");
-      return;
-    }
-
-    try {
-      setIsLoading(true);
-      setError(null);
-      await initDatabase();
+  const search = useCallback(
+    async (
+      from: JourneyPoint,
+      to: JourneyPoint,
+      preferences?: JourneyPreferences
+    ) => {
+      if (!from || !to) {
+        setError("Please select both stops");
+        return;
+      }
 
-      // 1. Try finding direct routes first
-      let directResults = await findDirectRoutes(
-        fromStop.stop_id,
-        toStop.stop_id
-      );
+      try {
+        setIsLoading(true);
+        setError(null);
+        await initDatabase();
 
-      if (directResults.length > 0) {
-        setRoutes(directResults);
-      } else {
-        // 2. If no direct routes, look for transfer routes
-        let transferResults = await findTransferRoutes(
-          fromStop.stop_id,
-          toStop.stop_id
+        // Direct and transfer routes, trading off time, transfers and
+        // walking (places walk to and from their nearest stops)
+        const results = await findJourneys(
+          isPlace(from) ? from : from.stop_id,
+          isPlace(to) ? to : to.stop_id,
+          preferences
         );
-        setRoutes(transferResults);
+        setRoutes(results);
 
-        if (transferResults.length === 0) {
+        if (results.length === 0) {
           setError("No routes found between these stops");
         }
+      } catch (e) {
+        setError(e instanceof Error ? e.message : "Failed to search routes");
+        console.error("useJourneySearch error:", e);
+        setRoutes([]);
+      } finally {
+        setIsLoading(false);
       }
-    } catch (e) {
-      setError(e instanceof Error ? e.message : "Failed to search routes");
-      console.error("useJourneySearch error:", e);
-      setRoutes([]);
-    } finally {
-      setIsLoading(false);
-    }
-  }, []);
+    },
+    []
+  );
 
   // Clear results
   const clear = useCallback(() => {
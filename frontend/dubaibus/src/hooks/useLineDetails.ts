@@ -0,0 +1,66 @@
+/**
+ * useLineDetails Hook
+ *
+ * Hook for fetching a single tram line or marine route with stops
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { initDatabase, getLineDetails as dbGetLineDetails } from "@/database";
+import type { LineMode, LoadingState, TransitLineDetails } from "@/types";
+
+interface UseLineDetailsReturn extends LoadingState {
+  /** Line details with directions and stops */
+  line: TransitLineDetails | null;
+  /** Refresh data */
+  refresh: () => Promise<void>;
+}
+
+export function useLineDetails(
+  mode: LineMode,
+  lineId: string
+): UseLineDetailsReturn {
+  const [line, setLine] = useState<TransitLineDetails | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetch line details
+  const fetchLineDetails = useCallback(async () => {
+    if (!lineId) {
+      setError("No route number provided");
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      await initDatabase();
+      const data = await dbGetLineDetails(mode, lineId);
+
+      if (data) {
+        setLine(data);
+      } else {
+        setError(`${mode} route not found`);
+      }
+    } catch (e) {
+      setError(
+        e instanceof Error ? e.message : "Failed to load route details"
+      );
+      console.error("useLineDetails error:", e);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [mode, lineId]);
+
+  // Load on mount or when the line changes
+  useEffect(() => {
+    fetchLineDetails();
+  }, [fetchLineDetails]);
+
+  return {
+    line,
+    isLoading,
+    error,
+    refresh: fetchLineDetails,
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * useLines Hook
+ *
+ * Hook for fetching and searching tram lines or marine routes from
+ * offline database
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import {
+  initDatabase,
+  getLines,
+  searchLines as dbSearchLines,
+} from "@/database";
+import type { LineMode, LoadingState, TransitLine } from "@/types";
+
+interface UseLinesReturn extends LoadingState {
+  /** All lines of the mode */
+  lines: TransitLine[];
+  /** Search results */
+  searchResults: TransitLine[];
+  /** Search function */
+  search: (query: string) => Promise<void>;
+  /** Clear search */
+  clearSearch: () => void;
+  /** Refresh lines */
+  refresh: () => Promise<void>;
+}
+
+export function useLines(mode: LineMode): UseLinesReturn {
+  const [lines, setLines] = useState<TransitLine[]>([]);
+  const [searchResults, setSearchResults] = useState<TransitLine[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Fetch all lines on mount
+  const fetchLines = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      await initDatabase();
+      const data = await getLines(mode);
+      setLines(data);
+    } catch (e) {
+      setError(
+        e instanceof Error ? e.message : `Failed to load ${mode.toLowerCase()}`
+      );
+      console.error("useLines error:", e);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [mode]);
+
+  // Search lines
+  const search = useCallback(
+    async (query: string) => {
+      if (!query.trim()) {
+        setSearchResults([]);
+        return;
+      }
+
+      try {
+        await initDatabase();
+        const results = await dbSearchLines(mode, query);
+        setSearchResults(results);
+      } catch (e) {
+        console.error("Search error:", e);
+        setSearchResults([]);
+      }
+    },
+    [mode]
+  );
+
+  // Clear search
+  const clearSearch = useCallback(() => {
+    setSearchResults([]);
+  }, []);
+
+  // Load on mount
+  useEffect(() => {
+    fetchLines();
+  }, [fetchLines]);
+
+  return {
+    lines,
+    searchResults,
+    isLoading,
+    error,
+    search,
+    clearSearch,
+    refresh: fetchLines,
+  };
+}
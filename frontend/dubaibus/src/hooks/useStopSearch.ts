@@ -1,32 +1,41 @@
 /**
  * useStopSearch Hook
  *
- * Hook for searching stops by name
+ * Hook for searching stops and places (landmarks) by name
  */
 
 import { useState, useCallback } from "react";
-import { initDatabase, searchStops as dbSearchStops } from "@/database";
-import type { Stop, LoadingState } from "@/types";
+import {
+  initDatabase,
+  searchStops as dbSearchStops,
+  searchPlaces,
+  type Place,
+} from "@/database";
+import type { Stop, LoadingState, TransportMode } from "@/types";
 
 interface UseStopSearchReturn extends LoadingState {
   /** Search results */
   results: Stop[];
+  /** Places matching the search, with their nearest stops */
+  places: Place[];
   /** Search function */
-  search: (query: string, transportType?: "Bus" | "Metro") => Promise<void>;
+  search: (query: string, transportType?: TransportMode) => Promise<void>;
   /** Clear results */
   clear: () => void;
 }
 
 export function useStopSearch(): UseStopSearchReturn {
   const [results, setResults] = useState<Stop[]>([]);
+  const [places, setPlaces] = useState<Place[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
   // Search stops
   const search = useCallback(
-    async (query: string, transportType?: "Bus" | "Metro") => {
+    async (query: string, transportType?: TransportMode) => {
       if (!query.trim() || query.length < 2) {
         setResults([]);
+        setPlaces([]);
         return;
       }
 
@@ -36,10 +45,12 @@ export function useStopSearch(): UseStopSearchReturn {
         await initDatabase();
         const data = await dbSearchStops(query, transportType);
         setResults(data);
+        setPlaces(await searchPlaces(query, transportType));
       } catch (e) {
         setError(e instanceof Error ? e.message : "Search failed");
         console.error("useStopSearch error:", e);
         setResults([]);
+        setPlaces([]);
       } finally {
         setIsLoading(false);
       }
@@ -50,11 +61,13 @@ export function useStopSearch(): UseStopSearchReturn {
   // Clear results
   const clear = useCallback(() => {
     setResults([]);
+    setPlaces([]);
     setError(null);
   }, []);
 
   return {
     results,
+    places,
     isLoading,
     error,
     search,
@@ -0,0 +1,136 @@
+/**
+ * Data Updates Service
+ *
+ * Keeps the offline database current between app releases. Fetches the
+ * signed release manifest (app-version.json, published by the backend
+ * pipeline) when the app starts and comes back to the foreground; when
+ * it lists a newer release, the deltas are applied, or the whole
+ * database is downloaded when there are none from this version.
+ *
+ * The manifest URL is app.json's extra.dataManifestUrl (no URL, no
+ * updates).
+ */
+
+import { AppState } from "react-native";
+import Constants from "expo-constants";
+import {
+  applyReleaseDeltas,
+  downloadDatabaseRelease,
+  type ReleaseManifest,
+} from "@/database";
+import { formatGtfsDate } from "@/utils";
+
+// Where the release manifest is hosted
+const MANIFEST_URL: string =
+  Constants.expoConfig?.extra?.dataManifestUrl ?? "";
+
+// Checks while the app stays open are at least this far apart
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+export interface DataUpdateNotice {
+  version: number;
+  gtfs_date: string;
+  /** "Data updated to GTFS 2025-08-23" */
+  message: string;
+}
+
+type NoticeListener = (notice: DataUpdateNotice | null) => void;
+
+let notice: DataUpdateNotice | null = null;
+const listeners = new Set<NoticeListener>();
+
+let running: Promise<DataUpdateNotice | null> | null = null;
+let lastCheck = 0;
+
+function setNotice(next: DataUpdateNotice | null): void {
+  notice = next;
+  listeners.forEach((listener) => listener(notice));
+}
+
+/**
+ * Fetch the manifest and bring the offline database up to its release
+ * Returns the notice to show when the data was updated, null when it
+ * was current, the manifest was rejected or the update failed (the
+ * database then stays as it was). Throws when the manifest cannot be
+ * fetched.
+ */
+export function checkForDataUpdate(): Promise<DataUpdateNotice | null> {
+  if (running) return running;
+
+  running = (async () => {
+    if (!MANIFEST_URL) return null;
+    lastCheck = Date.now();
+
+    const response = await fetch(MANIFEST_URL, {
+      headers: { "Cache-Control": "no-cache" },
+    });
+    if (!response.ok) {
+      throw new Error(`Release manifest request failed (${response.status})`);
+    }
+    const manifest: ReleaseManifest = await response.json();
+
+    const deltas = await applyReleaseDeltas(manifest);
+    const result =
+      deltas.status === "needs_full_download"
+        ? await downloadDatabaseRelease(manifest)
+        : deltas;
+    if (result.status !== "updated") return null;
+
+    setNotice({
+      version: manifest.version,
+      gtfs_date: manifest.gtfs_date,
+      message: `Data updated to GTFS ${formatGtfsDate(manifest.gtfs_date)}`,
+    });
+    return notice;
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Check for data updates now and whenever the app comes back to the
+ * foreground (at most every few hours)
+ * Returns a function that stops the foreground checks.
+ */
+export function startDataUpdates(): () => void {
+  const check = () => {
+    checkForDataUpdate().catch((error) => {
+      console.log("📦 Data update check failed:", error);
+    });
+  };
+
+  check();
+  const subscription = AppState.addEventListener("change", (state) => {
+    if (state === "active" && Date.now() - lastCheck >= CHECK_INTERVAL_MS) {
+      check();
+    }
+  });
+
+  return () => subscription.remove();
+}
+
+/**
+ * The last data update, until it is dismissed
+ */
+export function getDataUpdateNotice(): DataUpdateNotice | null {
+  return notice;
+}
+
+export function dismissDataUpdateNotice(): void {
+  setNotice(null);
+}
+
+/**
+ * Listen for data update notices
+ * Returns a function that stops listening.
+ */
+export function subscribeDataUpdateNotice(
+  listener: NoticeListener
+): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
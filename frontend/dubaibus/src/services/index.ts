@@ -0,0 +1,15 @@
+/**
+ * Services Index
+ *
+ * Single import point for all services
+ * Usage: import { startDataUpdates } from '@/services';
+ */
+
+export {
+  checkForDataUpdate,
+  startDataUpdates,
+  getDataUpdateNotice,
+  dismissDataUpdateNotice,
+  subscribeDataUpdateNotice,
+  type DataUpdateNotice,
+} from "./dataUpdates";
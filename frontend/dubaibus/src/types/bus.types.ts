@@ -10,6 +10,7 @@ export interface BusRoute {
   bus_number: string;
   route_name: string;
   route_color: string;
+  headway_minutes?: number | null; // Minutes between buses right now
 }
 
 // Single stop
@@ -21,6 +22,18 @@ export interface Stop {
   stop_sequence?: number;
 }
 
+// Route variant (another stop pattern of a direction)
+export interface RouteVariant {
+  pattern_id: number;
+  variant: string; // "short_turn", "express" or "branch"
+  trip_count: number;
+  headsign: string;
+  from: string;
+  to: string;
+  total_stops: number;
+  stops: Stop[];
+}
+
 // Direction (Upward/Downward)
 export interface RouteDirection {
   direction_id: number;
@@ -30,6 +43,9 @@ export interface RouteDirection {
   to: string;
   total_stops: number;
   stops: Stop[];
+  pattern_id?: number; // Main pattern (most trips)
+  trip_count?: number;
+  variants?: RouteVariant[];
 }
 
 // Full bus details with directions
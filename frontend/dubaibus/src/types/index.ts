@@ -10,6 +10,7 @@ export type {
   BusRoute,
   Stop,
   RouteDirection,
+  RouteVariant,
   BusDetails,
   DirectionType,
   DirectionName,
@@ -19,6 +20,15 @@ export type {
 export type { MetroLine, MetroDetails, MetroLineColor } from "./metro.types";
 export { metroLineColorMap } from "./metro.types";
 
+// Tram & marine types
+export type {
+  TransportMode,
+  LineMode,
+  MarineService,
+  TransitLine,
+  TransitLineDetails,
+} from "./line.types";
+
 // Journey types
 export type {
   SearchStop,
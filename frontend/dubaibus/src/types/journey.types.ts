@@ -5,6 +5,7 @@
  */
 
 import type { Stop } from "./bus.types";
+import type { TransportMode } from "./line.types";
 
 // Search result stop
 export interface SearchStop extends Stop {
@@ -15,7 +16,7 @@ export interface SearchStop extends Stop {
 export interface RouteLeg {
   route_id: string;
   route_name: string;
-  transport_type: "Bus" | "Metro";
+  transport_type: TransportMode;
   color: string;
   from: string;
   to: string;
@@ -26,7 +27,7 @@ export interface DirectRouteResult {
   type: "direct";
   route_id: string;
   route_name: string;
-  transport_type: "Bus" | "Metro";
+  transport_type: TransportMode;
   color: string;
   headsign: string;
   from_stop: string;
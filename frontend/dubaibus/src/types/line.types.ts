@@ -0,0 +1,36 @@
+/**
+ * Tram & Marine Types
+ *
+ * Type definitions for transport modes and lines listed by route number
+ */
+
+import type { RouteDirection } from "./bus.types";
+
+// Every mode a journey can ride
+export type TransportMode = "Bus" | "Metro" | "Tram" | "Marine";
+
+// Modes with their own line screens
+export type LineMode = "Tram" | "Marine";
+
+// Marine service (from the route number: CR = abra, FR = ferry, ...)
+export type MarineService = "abra" | "ferry" | "water_bus" | "water_taxi";
+
+// Tram line or marine route (from list)
+export interface TransitLine {
+  route_id: string;
+  route_number: string;
+  route_name: string;
+  route_color: string;
+  service?: MarineService; // Marine routes only
+  headway_minutes?: number | null; // Minutes between departures right now
+}
+
+// Full tram line / marine route details with directions
+export interface TransitLineDetails {
+  route_id: string;
+  route_number: string;
+  route_name: string;
+  route_color: string;
+  service?: MarineService;
+  directions: RouteDirection[];
+}
@@ -51,3 +51,74 @@ export function getDirectionLabel(directionId: number): string {
 export function getDirectionIcon(directionId: number): string {
   return directionId === 0 ? "↑" : "↓";
 }
+
+/**
+ * Format a headway for display ("Every 10 min")
+ */
+export function formatHeadway(minutes: number): string {
+  return `Every ${Math.max(1, minutes)} min`;
+}
+
+/**
+ * Get route variant label ("Short turn", "Express", "Branch")
+ */
+export function getVariantLabel(variant: string): string {
+  switch (variant) {
+    case "short_turn":
+      return "Short turn";
+    case "express":
+      return "Express";
+    case "branch":
+      return "Branch";
+    default:
+      return "Main route";
+  }
+}
+
+/**
+ * Format a fare ("AED 5.00")
+ */
+export function formatFare(amount: number, currency = "AED"): string {
+  return `${currency} ${amount.toFixed(2)}`;
+}
+
+/**
+ * Get Nol card class label ("Red Ticket", "Silver", "Gold", "Concession")
+ */
+export function getCardClassLabel(cardClass: string): string {
+  switch (cardClass) {
+    case "red":
+      return "Red Ticket";
+    case "gold":
+      return "Gold";
+    case "concession":
+      return "Concession";
+    default:
+      return "Silver";
+  }
+}
+
+/**
+ * Get marine service label ("Abra", "Ferry", "Water Bus", "Water Taxi")
+ */
+export function getMarineServiceLabel(service: string): string {
+  switch (service) {
+    case "abra":
+      return "Abra";
+    case "water_bus":
+      return "Water Bus";
+    case "water_taxi":
+      return "Water Taxi";
+    default:
+      return "Ferry";
+  }
+}
+
+/**
+ * Format a GTFS date for display ("20250823" -> "2025-08-23")
+ */
+export function formatGtfsDate(date: string): string {
+  return /^\d{8}$/.test(date)
+    ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`
+    : date;
+}
@@ -4,6 +4,7 @@
  * General utility helpers
  */
 
+import type { Ionicons } from "@expo/vector-icons";
 import { colors } from "../constants";
 import type { MetroLineColor } from "../types";
 
@@ -28,6 +29,73 @@ export function getMetroLineColorKey(lineName: string): MetroLineColor {
   return "blue";
 }
 
+/**
+ * Get the icon of a transport mode (Bus, Metro, Tram, Marine)
+ */
+export function getTransportIcon(
+  mode: string
+): keyof typeof Ionicons.glyphMap {
+  switch (mode) {
+    case "Metro":
+      return "subway";
+    case "Tram":
+      return "train";
+    case "Marine":
+      return "boat";
+    default:
+      return "bus";
+  }
+}
+
+/**
+ * Get the theme color of a transport mode
+ */
+export function getTransportColor(mode: string): string {
+  switch (mode) {
+    case "Metro":
+      return colors.metro.red;
+    case "Tram":
+      return colors.tram;
+    case "Marine":
+      return colors.marine;
+    default:
+      return colors.rta.orange;
+  }
+}
+
+/**
+ * Get the icon of a place category (mall, hospital, airport, ...)
+ */
+export function getPlaceIcon(
+  category: string
+): keyof typeof Ionicons.glyphMap {
+  switch (category) {
+    case "mall":
+      return "cart";
+    case "market":
+      return "basket";
+    case "hospital":
+      return "medkit";
+    case "airport":
+      return "airplane";
+    case "education":
+      return "school";
+    case "business":
+      return "briefcase";
+    case "government":
+      return "business";
+    case "park":
+      return "leaf";
+    case "beach":
+      return "sunny";
+    case "landmark":
+    case "attraction":
+      return "star";
+    default:
+      return "location";
+  }
+}
+
 /**
  * Delay helper for loading states
  */
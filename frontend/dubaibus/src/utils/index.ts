@@ -12,11 +12,20 @@ export {
   formatBusNumber,
   getDirectionLabel,
   getDirectionIcon,
+  formatHeadway,
+  getVariantLabel,
+  formatFare,
+  getCardClassLabel,
+  getMarineServiceLabel,
+  formatGtfsDate,
 } from "./formatters";
 
 export {
   getMetroLineColor,
   getMetroLineColorKey,
+  getTransportIcon,
+  getTransportColor,
+  getPlaceIcon,
   delay,
   safeParseInt,
   generateKey,
@@ -0,0 +1,26 @@
+// Types of release-manifest.js for the Expo app
+
+export const MANIFEST_SCHEMA_VERSION: number;
+export const SIGNATURE_ALGORITHM: string;
+
+export type ManifestCheck =
+  | { valid: true }
+  | {
+      valid: false;
+      reason: "schema" | "untrusted_key" | "signature" | "app_too_old";
+      error: string;
+    };
+
+export function canonicalJson(value: unknown): string;
+export function signedPayload(manifest: object): string;
+export function keyIdOf(publicKeyHex: string): string;
+export function compareVersions(a: string, b: string): -1 | 0 | 1;
+export function manifestProblems(manifest: unknown): string[];
+export function verifyManifest(
+  manifest: unknown,
+  options: {
+    trustedKeys: Record<string, string>;
+    verify: (payload: string, signatureHex: string, publicKeyHex: string) => boolean;
+    appVersion?: string | null;
+  }
+): ManifestCheck;
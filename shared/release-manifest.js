@@ -0,0 +1,159 @@
+/**
+ * Release Manifest
+ * The signed manifest (app-version.json) an app checks before it trusts
+ * an over-the-air offline database: schema, Ed25519 signature and the
+ * oldest app version the release works with
+ *
+ * Shared by the backend publisher (scripts/pipeline.js) and the Expo app
+ * (src/database/db.ts), so both sign and check the same bytes. It has no
+ * dependencies: hashing and Ed25519 come from the caller (Node's crypto
+ * on the backend, @noble on the app).
+ */
+
+// Manifest layout this code reads and writes
+const MANIFEST_SCHEMA_VERSION = 2;
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+const HEX_128 = /^[0-9a-f]{128}$/;
+const APP_VERSION = /^\d+(\.\d+)*$/;
+
+/**
+ * JSON with object keys sorted and no whitespace
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * The bytes a manifest's signature covers: everything but the
+ * signature, as canonical JSON
+ */
+function signedPayload(manifest) {
+  const { signature, ...signed } = manifest;
+  return canonicalJson(signed);
+}
+
+/**
+ * Key id of an Ed25519 public key (hex): its first 16 hex digits
+ */
+function keyIdOf(publicKeyHex) {
+  return publicKeyHex.slice(0, 16);
+}
+
+/**
+ * Compare dotted app versions ("1.2.0" < "1.10.0")
+ * Returns -1, 0 or 1.
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * What is wrong with a manifest's layout (empty when nothing)
+ */
+function manifestProblems(manifest) {
+  const problems = [];
+  const check = (ok, problem) => { if (!ok) problems.push(problem); };
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  const isFile = (file, name) => {
+    check(file && typeof file === 'object', `${name} is missing`);
+    if (!file || typeof file !== 'object') return;
+    check(typeof file.filename === 'string' && file.filename !== '', `${name}.filename is missing`);
+    check(isCount(file.size_bytes) && file.size_bytes > 0, `${name}.size_bytes is not a size`);
+    check(HEX_64.test(file.sha256 || ''), `${name}.sha256 is not a SHA-256 hash`);
+    check(typeof file.download_url === 'string', `${name}.download_url is missing`);
+  };
+
+  if (!manifest || typeof manifest !== 'object') return ['Manifest is not an object'];
+
+  check(manifest.schema_version === MANIFEST_SCHEMA_VERSION,
+    `schema_version ${manifest.schema_version} is not ${MANIFEST_SCHEMA_VERSION}`);
+  check(Number.isInteger(manifest.version) && manifest.version > 0, 'version is not a positive integer');
+  check(typeof manifest.gtfs_date === 'string', 'gtfs_date is missing');
+  check(APP_VERSION.test(manifest.min_app_version || ''), 'min_app_version is not a version like 1.0.0');
+  isFile(manifest.database, 'database');
+
+  check(Array.isArray(manifest.deltas), 'deltas is not a list');
+  (Array.isArray(manifest.deltas) ? manifest.deltas : []).forEach((delta, i) => {
+    isFile(delta, `deltas[${i}]`);
+    if (!delta || typeof delta !== 'object') return;
+    check(Number.isInteger(delta.from_version) && delta.to_version === delta.from_version + 1,
+      `deltas[${i}] is not from one version to the next`);
+    check(delta.counts && typeof delta.counts === 'object', `deltas[${i}].counts is missing`);
+  });
+
+  const signature = manifest.signature;
+  check(signature && signature.algorithm === SIGNATURE_ALGORITHM, `signature is not ${SIGNATURE_ALGORITHM}`);
+  check(signature && typeof signature.key_id === 'string', 'signature.key_id is missing');
+  check(signature && HEX_128.test(signature.value || ''), 'signature.value is not an Ed25519 signature');
+
+  return problems;
+}
+
+/**
+ * Check a manifest before trusting anything it lists
+ * trustedKeys maps key ids to Ed25519 public keys (hex); verify(payload,
+ * signatureHex, publicKeyHex) checks an Ed25519 signature over a
+ * string; appVersion (optional) is checked against min_app_version.
+ * Returns { valid: true } or { valid: false, reason: 'schema' |
+ * 'untrusted_key' | 'signature' | 'app_too_old', error }.
+ */
+function verifyManifest(manifest, { trustedKeys, verify, appVersion = null }) {
+  const problems = manifestProblems(manifest);
+  if (problems.length > 0) {
+    return { valid: false, reason: 'schema', error: problems.join('; ') };
+  }
+
+  const { key_id: keyId, value } = manifest.signature;
+  const publicKey = trustedKeys[keyId];
+  if (!publicKey) {
+    return { valid: false, reason: 'untrusted_key', error: `Signing key ${keyId} is not trusted` };
+  }
+
+  let signed = false;
+  try {
+    signed = verify(signedPayload(manifest), value, publicKey) === true;
+  } catch (error) {
+    signed = false;
+  }
+  if (!signed) {
+    return { valid: false, reason: 'signature', error: 'Manifest signature does not match' };
+  }
+
+  if (appVersion && compareVersions(appVersion, manifest.min_app_version) < 0) {
+    return {
+      valid: false,
+      reason: 'app_too_old',
+      error: `Release ${manifest.version} needs app version ${manifest.min_app_version} (this is ${appVersion})`
+    };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  canonicalJson,
+  signedPayload,
+  keyIdOf,
+  compareVersions,
+  manifestProblems,
+  verifyManifest,
+  MANIFEST_SCHEMA_VERSION,
+  SIGNATURE_ALGORITHM
+};
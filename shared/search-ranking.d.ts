@@ -0,0 +1,21 @@
+// Types of search-ranking.js for the Expo app
+
+export const MIN_SIMILARITY: number;
+export const CANDIDATE_LIMIT: number;
+export const NAME_SEPARATOR: string;
+
+export function normalizeArabic(text: string | null | undefined): string;
+export function normalizeSearchText(text: string | null | undefined): string;
+export function searchTrigrams(text: string): Set<string>;
+export function ftsQuery(text: string): string | null;
+export function matchScore(
+  query: string,
+  queryTrigrams: Set<string>,
+  name: string | null | undefined
+): number;
+export function bestScore(
+  query: string,
+  queryTrigrams: Set<string>,
+  names: (string | null | undefined)[]
+): number;
+export function splitNames(names: string | null | undefined): string[];
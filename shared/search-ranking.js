@@ -0,0 +1,123 @@
+/**
+ * Search Ranking
+ * How stop, place and route names are normalized and scored against a
+ * search query
+ *
+ * The offline database indexes normalized names in FTS5 trigram tables;
+ * candidates sharing a trigram with the query come from the index and
+ * are ranked by how well their best name matches: exact, prefix, every
+ * query word starting a name word, else the share of the query's
+ * trigrams the name contains ("Burjumn" still finds "BurJuman").
+ *
+ * Shared by the backend (services/text-search.js and the database
+ * builder) and the Expo app (src/database/db.ts), so the API and the
+ * app rank the same way. It has no dependencies.
+ */
+
+// Share of the query's trigrams a name must contain to match
+const MIN_SIMILARITY = 0.5;
+
+// Index candidates ranked per search
+const CANDIDATE_LIMIT = 200;
+
+// Separator of a search row's extra names (platforms, aliases)
+const NAME_SEPARATOR = '\n';
+
+/**
+ * Normalize Arabic for matching: no diacritics or tatweel, one alef,
+ * taa marbuta as haa and alef maqsura as yaa
+ */
+function normalizeArabic(text) {
+  return String(text || '')
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي');
+}
+
+/**
+ * Normalize a name or query for searching: lower case without accents
+ * or punctuation, Arabic letters unified ("Al Qiyadah-Metro" -> "al qiyadah metro")
+ */
+function normalizeSearchText(text) {
+  return normalizeArabic(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Trigrams of each word, padded so word starts and ends count
+ */
+function searchTrigrams(text) {
+  const trigrams = new Set();
+  for (const word of text.split(' ').filter(Boolean)) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) trigrams.add(padded.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * FTS5 query matching any trigram inside the query's words
+ * Returns null when no word is long enough for the trigram index.
+ */
+function ftsQuery(text) {
+  const trigrams = new Set();
+  for (const word of text.split(' ')) {
+    for (let i = 0; i + 3 <= word.length; i++) trigrams.add(word.slice(i, i + 3));
+  }
+  return trigrams.size > 0 ? [...trigrams].map(trigram => `"${trigram}"`).join(' OR ') : null;
+}
+
+/**
+ * How well a normalized name matches a normalized query:
+ * 4 exact, 3 prefix, 2 every query word starts a name word, else the
+ * share of the query's trigrams in the name (0 below MIN_SIMILARITY)
+ */
+function matchScore(query, queryTrigrams, name) {
+  if (!name) return 0;
+  if (name === query) return 4;
+  if (name.startsWith(query)) return 3;
+
+  const words = name.split(' ');
+  if (query.split(' ').every(term => words.some(word => word.startsWith(term)))) return 2;
+
+  const nameTrigrams = searchTrigrams(name);
+  let shared = 0;
+  queryTrigrams.forEach(trigram => {
+    if (nameTrigrams.has(trigram)) shared++;
+  });
+
+  const similarity = queryTrigrams.size > 0 ? shared / queryTrigrams.size : 0;
+  return similarity >= MIN_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * Best score over a search row's names
+ */
+function bestScore(query, queryTrigrams, names) {
+  return Math.max(0, ...names.map(name => matchScore(query, queryTrigrams, name)));
+}
+
+/**
+ * Split a search row's extra names
+ */
+function splitNames(names) {
+  return names ? names.split(NAME_SEPARATOR) : [];
+}
+
+module.exports = {
+  normalizeArabic,
+  normalizeSearchText,
+  searchTrigrams,
+  ftsQuery,
+  matchScore,
+  bestScore,
+  splitNames,
+  MIN_SIMILARITY,
+  CANDIDATE_LIMIT,
+  NAME_SEPARATOR
+};